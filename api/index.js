@@ -10,19 +10,32 @@ import express from "express";
 import cors from "cors";
 
 import dbCheck from "../middlewares/dbCheck.js";
+import { pingDatabase } from "../utils/diagnostics.js";
 
 const app = express();
 
+// Behind Vercel's proxy; needed for req.ip (login rate limiting, audit trail).
+// Only the proxy's own hop is trusted: X-Forwarded-For entries further left
+// come from the client and could be anything. TRUST_PROXY_HOPS overrides it
+// when more proxies sit in front.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS) || 1);
+
 app.use(dbCheck);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-app.get("/", (req, res) => {
-  res.json({
-    status: "ok",
-    message: "Backend is running",
-    envLoaded: !!process.env.SUPABASE_URL
+app.get("/", async (req, res) => {
+  const database = await pingDatabase();
+
+  res.status(database.ok ? 200 : 503).json({
+    status: database.ok ? "ok" : "degraded",
+    message: database.ok ? "Backend is running" : "Backend is running but the database is unreachable",
+    envLoaded: !!process.env.SUPABASE_URL,
+    database: {
+      ok: database.ok,
+      latency_ms: database.latency_ms,
+    },
   });
 });
 
@@ -34,6 +47,11 @@ import classTeacherRoutes from "../routes/classTeacherRoutes.js"
 import facultyRoutes from "../routes/faculty.js"
 import defaulterRoutes from "../routes/defaulter.js"
 import submissionRoutes from "../routes/submissionRoute.js"
+import diagnosticsRoutes from "../routes/diagnostics.js"
+import attendanceRoutes from "../routes/attendance.js"
+import jobRoutes from "../routes/jobs.js"
+import marksRoutes from "../routes/marks.js"
+import reportRoutes from "../routes/reports.js"
 
 app.use('/api/students', studentRoutes)
 app.use("/api/auth", authRoutes);
@@ -43,6 +61,11 @@ app.use("/api/class-teacher", classTeacherRoutes)
 app.use("/api/faculty", facultyRoutes)
 app.use("/api/defaulter/", defaulterRoutes)
 app.use("/api/submissions/", submissionRoutes)
+app.use("/api/diagnostics", diagnosticsRoutes)
+app.use("/api/attendance", attendanceRoutes)
+app.use("/api/jobs", jobRoutes)
+app.use("/api/marks", marksRoutes)
+app.use("/api/reports", reportRoutes)
 
 // app.listen(process.env.PORT, () => {
 //   console.log(`Server running on port ${process.env.PORT}`);
@@ -0,0 +1,27 @@
+import { runRecalculationBatch } from "../utils/defaulterRecalculation.js";
+
+// Scheduled job working off the students still queued for recalculation
+// after a defaulter rule change (see utils/defaulterRecalculation.js).
+// Stops once the queue is empty or the time budget is spent; whatever is
+// left is picked up by the next run.
+
+const TIME_BUDGET_MS = Number(process.env.DEFAULTER_RECALCULATION_BUDGET_MS) || 45 * 1000;
+
+export const runDefaulterRecalculation = async ({ now = new Date() } = {}) => {
+  const started = Date.now();
+  let processed = 0;
+  let changed = 0;
+  let remaining = 0;
+
+  do {
+    const batch = await runRecalculationBatch();
+    processed += batch.processed;
+    changed += batch.changed.length;
+    remaining = batch.remaining;
+    if (batch.processed === 0) break;
+  } while (remaining > 0 && Date.now() - started < TIME_BUDGET_MS);
+
+  console.log("🔁 Defaulter recalculation job:", { processed, changed, remaining });
+
+  return { ran_at: now.toISOString(), processed, changed, remaining };
+};
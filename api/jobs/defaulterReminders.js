@@ -0,0 +1,205 @@
+import { supabase } from '../db/supabaseClient.js'
+import { sendMail, appLink } from "../utils/mailer.js";
+import { latestUploads } from "../utils/defaulterUploads.js";
+import { graceEndsAt } from "../utils/deadlines.js";
+import { chunk, selectAll } from "../utils/queries.js";
+
+// Scheduled job for defaulter work deadlines (see routes/jobs.js):
+//   - reminds students whose work is due within DEFAULTER_REMINDER_LEAD_HOURS
+//   - after the grace period, tells each class teacher which of their
+//     students are overdue
+// Each work item is reminded and escalated at most once: the row is claimed
+// (reminded_at / escalated_at set) before any mail goes out, so overlapping
+// runs don't send duplicates; when the mail can't be delivered the claim is
+// given back so the next run tries again.
+
+const REMINDER_LEAD_HOURS = Number(process.env.DEFAULTER_REMINDER_LEAD_HOURS) || 24;
+
+// Deadlines live on the assignment; the progress rows are filtered through it
+const WORK_COLUMNS = `
+  id,
+  student_id,
+  subject_id,
+  defaulter_assignments!inner ( title, due_at, grace_hours ),
+  students ( name, roll_no, email, class_id, classes ( name, class_teacher_id ) ),
+  subjects ( name, subject_code )
+`;
+
+// Work whose latest upload is waiting for review or accepted is handed in
+const withoutHandedIn = async (work) => {
+  const uploads = await latestUploads(work.map(w => w.id));
+  return work.filter(w => !["submitted", "accepted"].includes(uploads.get(w.id)?.status));
+};
+
+// Set column to now on the rows that don't have it yet; returns the ids this run claimed
+const claim = async (ids, column, now) => {
+  const claimed = [];
+
+  for (const part of chunk(ids)) {
+    const { data, error } = await supabase
+      .from("defaulter_submissions")
+      .update({ [column]: now.toISOString() })
+      .in("id", part)
+      .is(column, null)
+      .select("id");
+
+    if (error) throw error;
+    claimed.push(...(data || []).map(row => row.id));
+  }
+
+  return new Set(claimed);
+};
+
+// Undo this run's claim on ids so they are picked up again
+const release = async (ids, column, now) => {
+  for (const part of chunk(ids)) {
+    const { error } = await supabase
+      .from("defaulter_submissions")
+      .update({ [column]: null })
+      .in("id", part)
+      .eq(column, now.toISOString());
+
+    if (error) throw error;
+  }
+};
+
+const subjectLabel = (work) => {
+  const subject = work.subjects ? `${work.subjects.subject_code} ${work.subjects.name}` : "a subject";
+  const title = work.defaulter_assignments?.title;
+  return title ? `${subject} ("${title}")` : subject;
+};
+
+const dueDate = (work) => new Date(work.defaulter_assignments.due_at).toUTCString();
+
+const sendReminders = async (now) => {
+  const until = new Date(now.getTime() + REMINDER_LEAD_HOURS * 60 * 60 * 1000);
+
+  const upcoming = await selectAll(() => supabase
+    .from("defaulter_submissions")
+    .select(WORK_COLUMNS)
+    .eq("status", "pending")
+    .eq("skip", false)
+    .is("reminded_at", null)
+    .gt("defaulter_assignments.due_at", now.toISOString())
+    .lte("defaulter_assignments.due_at", until.toISOString())
+    .order("id", { ascending: true }));
+
+  const outstanding = await withoutHandedIn(upcoming);
+  const claimed = await claim(outstanding.map(w => w.id), "reminded_at", now);
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const work of outstanding.filter(w => claimed.has(w.id))) {
+    try {
+      const delivered = await sendMail({
+        to: work.students?.email,
+        subject: `Reminder: defaulter work for ${subjectLabel(work)} is due soon`,
+        text: [
+          `Hello ${work.students?.name || ""},`,
+          "",
+          `Your defaulter work for ${subjectLabel(work)} is due on ${dueDate(work)}.`,
+          `Log in to submit it: ${appLink("/")}`,
+        ].join("\n"),
+      });
+      if (delivered) {
+        sent++;
+        continue;
+      }
+    } catch (err) {
+      failed++;
+      console.error("Failed to send defaulter reminder:", work.id, err.message);
+    }
+    await release([work.id], "reminded_at", now);
+  }
+
+  return { due_soon: outstanding.length, reminders_sent: sent, reminders_failed: failed };
+};
+
+const sendEscalations = async (now) => {
+  const pastDue = await selectAll(() => supabase
+    .from("defaulter_submissions")
+    .select(WORK_COLUMNS)
+    .eq("status", "pending")
+    .eq("skip", false)
+    .is("escalated_at", null)
+    .lt("defaulter_assignments.due_at", now.toISOString())
+    .order("id", { ascending: true }));
+
+  const overdue = await withoutHandedIn(pastDue.filter(w => graceEndsAt(w.defaulter_assignments) < now));
+  const claimed = await claim(overdue.map(w => w.id), "escalated_at", now);
+
+  // One message per class teacher
+  const byTeacher = new Map();
+  let unassigned = 0;
+
+  overdue.filter(w => claimed.has(w.id)).forEach(work => {
+    const teacherId = work.students?.classes?.class_teacher_id;
+    if (!teacherId) {
+      unassigned++;
+      return;
+    }
+    if (!byTeacher.has(teacherId)) byTeacher.set(teacherId, []);
+    byTeacher.get(teacherId).push(work);
+  });
+
+  let teachers = [];
+  if (byTeacher.size > 0) {
+    const { data, error } = await supabase
+      .from("users")
+      .select("id, name, email")
+      .in("id", [...byTeacher.keys()]);
+
+    if (error) throw error;
+    teachers = data || [];
+  }
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const teacher of teachers) {
+    const items = byTeacher.get(teacher.id);
+    const lines = items.map(work =>
+      `- ${work.students?.roll_no || ""} ${work.students?.name || work.student_id} (${work.students?.classes?.name || "class"}): ` +
+      `${subjectLabel(work)}, due ${dueDate(work)}`
+    );
+
+    try {
+      const delivered = await sendMail({
+        to: teacher.email,
+        subject: `${items.length} student(s) overdue on defaulter work`,
+        text: [
+          `Hello ${teacher.name || ""},`,
+          "",
+          "The following students have not submitted their defaulter work after the deadline and grace period:",
+          "",
+          ...lines,
+        ].join("\n"),
+      });
+      if (delivered) {
+        sent++;
+        continue;
+      }
+    } catch (err) {
+      failed++;
+      console.error("Failed to send defaulter escalation:", teacher.id, err.message);
+    }
+    await release(items.map(w => w.id), "escalated_at", now);
+  }
+
+  return {
+    overdue: overdue.length,
+    escalations_sent: sent,
+    escalations_failed: failed,
+    without_class_teacher: unassigned,
+  };
+};
+
+export const runDefaulterReminders = async ({ now = new Date() } = {}) => {
+  const reminders = await sendReminders(now);
+  const escalations = await sendEscalations(now);
+
+  console.log("⏰ Defaulter deadline job:", { ...reminders, ...escalations });
+
+  return { ran_at: now.toISOString(), ...reminders, ...escalations };
+};
@@ -0,0 +1,91 @@
+import { supabase } from '../db/supabaseClient.js'
+import { allocationStudents } from "../utils/electiveAllocation.js";
+import { loadChoices, loadLocked, setLocked } from "../utils/electiveCategories.js";
+
+// Scheduled job for elective selection windows (see routes/jobs.js): every
+// window past its closes_at locks the selections of all students of its
+// department year, whether they finished choosing or not. A window is
+// claimed (closed_at set) before anything is locked so overlapping runs
+// don't both close it; if locking fails the claim is given back for the
+// next run.
+//
+// It runs once a day (vercel.json), since Hobby plans don't allow more
+// frequent crons. That is enough because selection is already refused from
+// closes_at on (see utils/electiveWindows.js); the job only makes the lock
+// permanent, so a window may show as closed for up to a day before its
+// locked_count is filled in.
+
+const closeWindow = async (window, now) => {
+  const { data: claimed, error: claimError } = await supabase
+    .from("elective_windows")
+    .update({ closed_at: now.toISOString() })
+    .eq("id", window.id)
+    .is("closed_at", null)
+    .select("id");
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return null;
+
+  try {
+    const studentIds = (await allocationStudents(window.department_id, window.year)).map(s => s.id);
+    const alreadyLocked = await loadLocked(studentIds);
+    await setLocked(studentIds, true);
+
+    const choices = await loadChoices(studentIds);
+    const neverSelected = studentIds.filter(id => choices.get(id).length === 0).length;
+    const locked = studentIds.length - alreadyLocked.size;
+
+    const { error: countError } = await supabase
+      .from("elective_windows")
+      .update({ locked_count: locked })
+      .eq("id", window.id);
+
+    if (countError) throw countError;
+
+    return { students: studentIds.length, locked, never_selected: neverSelected };
+  } catch (err) {
+    await supabase.from("elective_windows").update({ closed_at: null }).eq("id", window.id);
+    throw err;
+  }
+};
+
+export const runElectiveWindowClose = async ({ now = new Date() } = {}) => {
+  const { data: due, error } = await supabase
+    .from("elective_windows")
+    .select("id, department_id, year, closes_at")
+    .is("closed_at", null)
+    .lte("closes_at", now.toISOString())
+    .order("closes_at", { ascending: true });
+
+  if (error) throw error;
+
+  let closed = 0;
+  let locked = 0;
+  let neverSelected = 0;
+  let failed = 0;
+
+  for (const window of due || []) {
+    try {
+      const result = await closeWindow(window, now);
+      if (!result) continue;
+
+      closed++;
+      locked += result.locked;
+      neverSelected += result.never_selected;
+    } catch (err) {
+      failed++;
+      console.error("Failed to close elective window:", window.id, err.message);
+    }
+  }
+
+  const result = {
+    windows_closed: closed,
+    windows_failed: failed,
+    students_locked: locked,
+    never_selected: neverSelected,
+  };
+
+  console.log("🔒 Elective window job:", result);
+
+  return { ran_at: now.toISOString(), ...result };
+};
@@ -1,6 +1,8 @@
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../utils/sessions.js";
+import { can, isInScope } from "../utils/permissions.js";
 
-export const authenticateUser = (req, res, next) => {
+export const authenticateUser = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -9,21 +11,74 @@ export const authenticateUser = (req, res, next) => {
 
   const token = authHeader.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // attach user id, role
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ success: false, error: "Invalid or expired token" });
   }
+
+  // Tokens issued before sessions existed carry no sid and can't be revoked
+  if (!decoded.sid) {
+    return res.status(401).json({ success: false, error: "Session expired. Please log in again." });
+  }
+
+  try {
+    const active = await isSessionActive(decoded.sid);
+    if (!active) {
+      return res.status(401).json({ success: false, error: "Session has been revoked. Please log in again." });
+    }
+  } catch (err) {
+    console.error("Session lookup error:", err);
+    return res.status(500).json({ success: false, error: "Unable to verify session" });
+  }
+
+  // Imported students log in with their hall ticket number and must pick a
+  // new password before anything outside /api/auth is available to them
+  if (decoded.must_change_password && !req.originalUrl.startsWith("/api/auth/")) {
+    return res.status(403).json({
+      success: false,
+      error: "You must change your password before continuing.",
+      code: "PASSWORD_CHANGE_REQUIRED",
+    });
+  }
+
+  req.user = decoded; // attach user id, role, session id
+  next();
 };
 
 
-export const authorizeRoles = (...allowedRoles) => {
-  return (req, res, next) => {
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ success: false, error: "Access denied" });
+// authorize("student.update", studentScope(req => req.params.id))
+// Checks the action against the permission registry and, when a scope
+// resolver is given, that the target resource is within the user's scope.
+export const authorize = (action, scopeResolver) => {
+  return async (req, res, next) => {
+    if (!can(req.user, action)) {
+      return res.status(403).json({ success: false, error: "Access denied", action });
+    }
+
+    if (!scopeResolver) return next();
+
+    try {
+      const scope = await scopeResolver(req);
+
+      if (scope === undefined) {
+        return res.status(400).json({ success: false, error: "Missing resource identifier", action });
+      }
+
+      if (!scope) {
+        return res.status(404).json({ success: false, error: "Resource not found" });
+      }
+
+      if (!(await isInScope(req.user, scope))) {
+        return res.status(403).json({ success: false, error: "Access denied for this resource", action });
+      }
+
+      req.scope = scope;
+      next();
+    } catch (err) {
+      console.error(`Scope check failed for ${action}:`, err);
+      return res.status(500).json({ success: false, error: "Unable to verify access" });
     }
-    next();
   };
-};
\ No newline at end of file
+};
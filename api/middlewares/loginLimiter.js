@@ -0,0 +1,138 @@
+import { supabase } from '../db/supabaseClient.js'
+import { getLimiterStore } from "../utils/limiterStore.js";
+
+// Failed logins are counted per IP and per account. After a couple of
+// failures every further attempt has to wait exponentially longer, and once
+// the maximum is reached the key is locked out for LOGIN_LOCKOUT_MINUTES.
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const MAX_BACKOFF_SECONDS = 60;
+
+// 1st and 2nd failure: no delay, then 1s, 2s, 4s, ... capped at a minute
+const backoffSeconds = (failures) =>
+  failures < 2 ? 0 : Math.min(2 ** (failures - 2), MAX_BACKOFF_SECONDS);
+
+// Drop state whose failures are too old to matter any more
+const activeState = (state, now) => {
+  if (!state) return null;
+  if (state.locked_until && new Date(state.locked_until) > now) return state;
+
+  const lastFailure = state.last_failure_at ? new Date(state.last_failure_at) : null;
+  if (!lastFailure || now - lastFailure > FAILURE_WINDOW_MINUTES * 60 * 1000) return null;
+
+  return state;
+};
+
+const isLocked = (state, now) =>
+  !!state?.locked_until && new Date(state.locked_until) > now;
+
+const retryAfterSeconds = (state, now) => {
+  if (!state) return 0;
+
+  if (isLocked(state, now)) {
+    return Math.ceil((new Date(state.locked_until) - now) / 1000);
+  }
+
+  const waitUntil = new Date(state.last_failure_at).getTime() + backoffSeconds(state.failures) * 1000;
+  return Math.max(0, Math.ceil((waitUntil - now.getTime()) / 1000));
+};
+
+// Every failed or blocked attempt ends up in login_attempts for the director to review
+const logAttempt = async (req, { account_type, identifier, reason }) => {
+  const { error } = await supabase
+    .from("login_attempts")
+    .insert([{
+      account_type,
+      identifier: identifier || null,
+      ip_address: req.ip || null,
+      user_agent: req.headers["user-agent"] || null,
+      success: false,
+      reason,
+    }]);
+
+  if (error) {
+    console.error("Error recording login attempt:", error);
+  }
+};
+
+const noopLimiter = {
+  recordFailure: async () => {},
+  recordSuccess: async () => {},
+};
+
+// Usage: router.post("/login", loginRateLimit("staff", "email"), handler)
+// The handler reports the outcome through req.loginLimiter.recordFailure(reason) / recordSuccess().
+export const loginRateLimit = (accountType, identifierField) => async (req, res, next) => {
+  const rawIdentifier = String(req.body?.[identifierField] || "").trim();
+  const ip = req.ip || "unknown";
+
+  const keys = [{ key: `ip:${ip}`, maxFailures: IP_MAX_FAILURES }];
+  if (rawIdentifier) {
+    keys.push({ key: `${accountType}:${rawIdentifier.toLowerCase()}`, maxFailures: ACCOUNT_MAX_FAILURES });
+  }
+
+  try {
+    const store = getLimiterStore();
+    const now = new Date();
+    const states = (await Promise.all(keys.map(k => store.get(k.key)))).map(st => activeState(st, now));
+
+    const wait = Math.max(...states.map(st => retryAfterSeconds(st, now)));
+
+    if (wait > 0) {
+      const locked = states.some(st => isLocked(st, now));
+
+      await logAttempt(req, {
+        account_type: accountType,
+        identifier: rawIdentifier,
+        reason: locked ? "locked_out" : "throttled",
+      });
+
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({
+        success: false,
+        error: locked
+          ? `Too many failed login attempts. Try again in ${Math.ceil(wait / 60)} minute(s).`
+          : `Too many login attempts. Please wait ${wait} second(s) before trying again.`,
+        retry_after: wait,
+      });
+    }
+
+    req.loginLimiter = {
+      recordFailure: async (reason) => {
+        const failedAt = new Date();
+
+        try {
+          // Counted from the stored state, not the one read before the
+          // password check, so concurrent failures all count
+          await Promise.all(keys.map(({ key, maxFailures }) => store.addFailure(key, {
+            now: failedAt,
+            windowMs: FAILURE_WINDOW_MINUTES * 60 * 1000,
+            maxFailures,
+            lockoutMs: LOCKOUT_MINUTES * 60 * 1000,
+          })));
+        } catch (err) {
+          console.error("Login limiter error:", err);
+        }
+
+        await logAttempt(req, { account_type: accountType, identifier: rawIdentifier, reason });
+      },
+      // A successful login clears the account counter, the IP counter keeps running
+      recordSuccess: async () => {
+        if (!keys[1]) return;
+        try {
+          await store.delete(keys[1].key);
+        } catch (err) {
+          console.error("Login limiter error:", err);
+        }
+      },
+    };
+  } catch (err) {
+    // Don't lock everyone out because the limiter store is unavailable
+    console.error("Login limiter error:", err);
+    req.loginLimiter = noopLimiter;
+  }
+
+  next();
+};
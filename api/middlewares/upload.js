@@ -0,0 +1,31 @@
+import multer from "multer";
+
+const MAX_FILE_BYTES = Number(process.env.UPLOAD_MAX_FILE_BYTES) || 10 * 1024 * 1024;
+
+// Parses up to maxCount files from a multipart field into memory (req.files),
+// so they can be handed to the storage layer. Oversized or surplus files are
+// rejected with a 400 instead of reaching the error handler.
+export const acceptFiles = (field, maxCount) => {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_BYTES, files: maxCount },
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    parse(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        const message = err.code === "LIMIT_FILE_SIZE"
+          ? `Each file must be at most ${Math.round(MAX_FILE_BYTES / (1024 * 1024))} MB.`
+          : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+            ? `Upload at most ${maxCount} files in the "${field}" field.`
+            : err.message;
+
+        return res.status(400).json({ success: false, error: message });
+      }
+
+      next(err);
+    });
+  };
+};
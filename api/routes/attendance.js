@@ -0,0 +1,565 @@
+import express from "express";
+import { supabase } from '../db/supabaseClient.js'
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import {
+  subjectScope,
+  studentScope,
+  attendanceSessionScope,
+  teachesClass,
+} from "../utils/permissions.js";
+import {
+  ATTENDANCE_STATUSES,
+  summarizeRecords,
+  loadAttendanceRecords,
+  getStudentAttendance,
+  recalculateStudents,
+} from "../utils/attendance.js";
+import { recordAudit } from "../utils/audit.js";
+import { enrolledSubjects } from "../utils/defaulterStatus.js";
+import { chunk, selectAll } from "../utils/queries.js";
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns an error message, or null when every record is well formed
+const validateRecords = (records) => {
+  if (!Array.isArray(records) || records.length === 0) {
+    return "records must be a non-empty array of { student_id, status }.";
+  }
+
+  const seen = new Set();
+  for (const record of records) {
+    if (!record || !record.student_id) return "Each record needs a student_id.";
+    if (!ATTENDANCE_STATUSES.includes(record.status)) {
+      return `Invalid status for student ${record.student_id}. Use: ${ATTENDANCE_STATUSES.join(", ")}.`;
+    }
+    if (seen.has(record.student_id)) return `Student ${record.student_id} is listed more than once.`;
+    seen.add(record.student_id);
+  }
+  return null;
+};
+
+// Teaching the subject somewhere isn't enough to mark a lecture for a class
+// or batch: the caller has to teach it to that class/batch or be its class
+// teacher (or the HOD of the subject's department, or the director).
+// Returns an error message, or null when the caller may mark it
+const lectureAccessError = async (user, scope, { subject_id, class_id, batch_id }) => {
+  if (user.role === "director") return null;
+  if (user.role === "hod" && scope.department_id && scope.department_id === user.department_id) return null;
+
+  let classId = class_id || null;
+  if (batch_id) {
+    const { data: batch, error } = await supabase
+      .from("batches")
+      .select("id, class_id")
+      .eq("id", batch_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!batch) return "Batch not found.";
+    if (classId && batch.class_id !== classId) return "The batch is not part of this class.";
+    classId = batch.class_id;
+  }
+
+  // Lectures without a class (electives) only need the subject, which
+  // authorize() already checked
+  if (!classId) return null;
+  if (user.class_id && user.class_id === classId) return null;
+  if (await teachesClass(user.id, subject_id, { class_id: classId, batch_id: batch_id || null })) return null;
+
+  return "You do not teach this subject to this class/batch.";
+};
+
+// Students that can't be marked in this lecture: unknown, not in the
+// class/batch, or not taking the subject
+const findInvalidStudents = async (studentIds, { subject_id, class_id, batch_id }) => {
+  const students = [];
+
+  for (const part of chunk(studentIds)) {
+    let query = supabase
+      .from("students")
+      .select("id, class_id, batch_id")
+      .in("id", part);
+
+    if (class_id) query = query.eq("class_id", class_id);
+    if (batch_id) query = query.eq("batch_id", batch_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    students.push(...(data || []));
+  }
+
+  const enrolled = await enrolledSubjects(students);
+  const validIds = new Set(students.filter(s => enrolled.get(s.id)?.has(subject_id)).map(s => s.id));
+  return studentIds.filter(id => !validIds.has(id));
+};
+
+const invalidStudentsError = ({ class_id, batch_id }) =>
+  class_id || batch_id
+    ? "Some students do not belong to this class/batch or do not take this subject."
+    : "Some students do not take this subject.";
+
+const upsertRecords = async (sessionId, records, markedBy) => {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from("attendance_records")
+    .upsert(
+      records.map(r => ({
+        session_id: sessionId,
+        student_id: r.student_id,
+        status: r.status,
+        marked_by: markedBy,
+        marked_at: now,
+      })),
+      { onConflict: "session_id,student_id" }
+    );
+
+  if (error) throw error;
+};
+
+// POST /api/attendance/sessions
+// Record a lecture and mark students.
+// Body: { subject_id, class_id?, batch_id?, session_date, slot?, topic?, records: [{ student_id, status }] }
+// class_id can be left out for elective lectures attended by several classes.
+router.post("/sessions", authenticateUser, authorize("attendance.mark", subjectScope(req => req.body.subject_id)),
+  async (req, res) => {
+    try {
+      const { subject_id, class_id, batch_id, session_date, slot, topic, records } = req.body;
+
+      if (!session_date || !DATE_PATTERN.test(session_date)) {
+        return res.status(400).json({ success: false, error: "session_date (YYYY-MM-DD) is required." });
+      }
+
+      const recordsError = validateRecords(records);
+      if (recordsError) {
+        return res.status(400).json({ success: false, error: recordsError });
+      }
+
+      const accessError = await lectureAccessError(req.user, req.scope, { subject_id, class_id, batch_id });
+      if (accessError) {
+        return res.status(403).json({ success: false, error: accessError });
+      }
+
+      const invalid = await findInvalidStudents(records.map(r => r.student_id), { subject_id, class_id, batch_id });
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: invalidStudentsError({ class_id, batch_id }),
+          student_ids: invalid,
+        });
+      }
+
+      const { data: session, error: sessionError } = await supabase
+        .from("attendance_sessions")
+        .insert([{
+          subject_id,
+          class_id: class_id || null,
+          batch_id: batch_id || null,
+          faculty_id: req.user.id,
+          session_date,
+          slot: slot ?? null,
+          topic: topic || null,
+        }])
+        .select()
+        .single();
+
+      if (sessionError) {
+        if (sessionError.code === "23505") {
+          return res.status(409).json({
+            success: false,
+            error: "Attendance for this lecture has already been recorded. Update it instead.",
+          });
+        }
+        throw sessionError;
+      }
+
+      try {
+        await upsertRecords(session.id, records, req.user.id);
+      } catch (err) {
+        // Don't leave an empty lecture behind
+        await supabase.from("attendance_sessions").delete().eq("id", session.id);
+        throw err;
+      }
+
+      const defaulterChanges = await recalculateStudents(records.map(r => r.student_id));
+
+      await recordAudit(req, {
+        action: "attendance.record",
+        entity: "attendance_sessions",
+        entity_id: session.id,
+        after: { ...session, records },
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: `Attendance recorded for ${records.length} students.`,
+        session,
+        defaulter_changes: defaulterChanges,
+      });
+    } catch (err) {
+      console.error("Error recording attendance:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/attendance/sessions?subject_id=&class_id=&batch_id=&from=&to=
+router.get("/sessions", authenticateUser, authorize("attendance.read", subjectScope(req => req.query.subject_id)),
+  async (req, res) => {
+    try {
+      const { subject_id, class_id, batch_id, from, to } = req.query;
+
+      let query = supabase
+        .from("attendance_sessions")
+        .select("id, subject_id, class_id, batch_id, faculty_id, session_date, slot, topic, created_at, attendance_records ( status )")
+        .eq("subject_id", subject_id)
+        .order("session_date", { ascending: false })
+        .order("slot", { ascending: true });
+
+      if (class_id) query = query.eq("class_id", class_id);
+      if (batch_id) query = query.eq("batch_id", batch_id);
+      if (from) query = query.gte("session_date", from);
+      if (to) query = query.lte("session_date", to);
+
+      const { data: sessions, error } = await query;
+      if (error) throw error;
+
+      const formatted = (sessions || []).map(({ attendance_records, ...session }) => {
+        const counts = { present: 0, absent: 0, excused: 0 };
+        (attendance_records || []).forEach(r => { counts[r.status] = (counts[r.status] || 0) + 1; });
+        return { ...session, ...counts, marked: (attendance_records || []).length };
+      });
+
+      return res.json({ success: true, sessions: formatted });
+    } catch (err) {
+      console.error("Error fetching attendance sessions:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/attendance/sessions/:id
+router.get("/sessions/:id", authenticateUser, authorize("attendance.read", attendanceSessionScope(req => req.params.id)),
+  async (req, res) => {
+    try {
+      const { data: session, error } = await supabase
+        .from("attendance_sessions")
+        .select(`
+          id, subject_id, class_id, batch_id, faculty_id, session_date, slot, topic, created_at,
+          subjects ( name, subject_code ),
+          attendance_records ( student_id, status, marked_by, marked_at, students ( roll_no, name ) )
+        `)
+        .eq("id", req.params.id)
+        .single();
+
+      if (error) throw error;
+
+      const records = (session.attendance_records || [])
+        .map(r => ({
+          student_id: r.student_id,
+          roll_no: r.students?.roll_no || null,
+          name: r.students?.name || null,
+          status: r.status,
+          marked_by: r.marked_by,
+          marked_at: r.marked_at,
+        }))
+        .sort((a, b) => String(a.roll_no).localeCompare(String(b.roll_no), undefined, { numeric: true }));
+
+      const { attendance_records, subjects, ...rest } = session;
+
+      return res.json({
+        success: true,
+        session: {
+          ...rest,
+          subject_name: subjects?.name || null,
+          subject_code: subjects?.subject_code || null,
+          records,
+        },
+      });
+    } catch (err) {
+      console.error("Error fetching attendance session:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// PUT /api/attendance/sessions/:id
+// Correct a lecture. Body: { session_date?, slot?, topic?, records?: [{ student_id, status }] }
+// Only the listed students' marks change.
+router.put("/sessions/:id", authenticateUser, authorize("attendance.mark", attendanceSessionScope(req => req.params.id)),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { session_date, slot, topic, records } = req.body;
+
+      const { data: session, error: fetchError } = await supabase
+        .from("attendance_sessions")
+        .select("*")
+        .eq("id", id)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      const accessError = await lectureAccessError(req.user, req.scope, session);
+      if (accessError) {
+        return res.status(403).json({ success: false, error: accessError });
+      }
+
+      if (session_date !== undefined && !DATE_PATTERN.test(session_date)) {
+        return res.status(400).json({ success: false, error: "session_date must be YYYY-MM-DD." });
+      }
+
+      if (records !== undefined) {
+        const recordsError = validateRecords(records);
+        if (recordsError) {
+          return res.status(400).json({ success: false, error: recordsError });
+        }
+
+        const invalid = await findInvalidStudents(records.map(r => r.student_id), session);
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: invalidStudentsError(session),
+            student_ids: invalid,
+          });
+        }
+      }
+
+      const updates = {};
+      if (session_date !== undefined) updates.session_date = session_date;
+      if (slot !== undefined) updates.slot = slot;
+      if (topic !== undefined) updates.topic = topic;
+
+      let updated = session;
+      if (Object.keys(updates).length > 0) {
+        const { data, error } = await supabase
+          .from("attendance_sessions")
+          .update({ ...updates, updated_at: new Date().toISOString() })
+          .eq("id", id)
+          .select()
+          .single();
+
+        if (error) {
+          if (error.code === "23505") {
+            return res.status(409).json({
+              success: false,
+              error: "Another lecture is already recorded for this date and slot.",
+            });
+          }
+          throw error;
+        }
+        updated = data;
+      }
+
+      let previousRecords = [];
+      let defaulterChanges = [];
+      if (records !== undefined) {
+        const { data: previous, error: previousError } = await supabase
+          .from("attendance_records")
+          .select("student_id, status")
+          .eq("session_id", id)
+          .in("student_id", records.map(r => r.student_id));
+
+        if (previousError) throw previousError;
+        previousRecords = previous || [];
+
+        await upsertRecords(id, records, req.user.id);
+        defaulterChanges = await recalculateStudents(records.map(r => r.student_id));
+      }
+
+      await recordAudit(req, {
+        action: "attendance.update",
+        entity: "attendance_sessions",
+        entity_id: id,
+        before: { ...session, records: previousRecords },
+        after: { ...updated, records: records || [] },
+      });
+
+      return res.json({
+        success: true,
+        message: "Attendance updated successfully.",
+        session: updated,
+        defaulter_changes: defaulterChanges,
+      });
+    } catch (err) {
+      console.error("Error updating attendance:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// DELETE /api/attendance/sessions/:id
+router.delete("/sessions/:id", authenticateUser, authorize("attendance.mark", attendanceSessionScope(req => req.params.id)),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { data: session, error: fetchError } = await supabase
+        .from("attendance_sessions")
+        .select("*, attendance_records ( student_id, status )")
+        .eq("id", id)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      const accessError = await lectureAccessError(req.user, req.scope, session);
+      if (accessError) {
+        return res.status(403).json({ success: false, error: accessError });
+      }
+
+      const { error: recordsError } = await supabase
+        .from("attendance_records")
+        .delete()
+        .eq("session_id", id);
+
+      if (recordsError) throw recordsError;
+
+      const { error } = await supabase
+        .from("attendance_sessions")
+        .delete()
+        .eq("id", id);
+
+      if (error) throw error;
+
+      const { attendance_records, ...rest } = session;
+      const defaulterChanges = await recalculateStudents((attendance_records || []).map(r => r.student_id));
+
+      await recordAudit(req, {
+        action: "attendance.delete",
+        entity: "attendance_sessions",
+        entity_id: id,
+        before: { ...rest, records: attendance_records || [] },
+      });
+
+      return res.json({
+        success: true,
+        message: "Lecture deleted successfully.",
+        defaulter_changes: defaulterChanges,
+      });
+    } catch (err) {
+      console.error("Error deleting attendance session:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/attendance/subjects/:subjectId/summary?class_id=&batch_id=
+// Per-student percentage for one subject
+router.get("/subjects/:subjectId/summary", authenticateUser, authorize("attendance.read", subjectScope(req => req.params.subjectId)),
+  async (req, res) => {
+    try {
+      const { subjectId } = req.params;
+      const { class_id, batch_id } = req.query;
+
+      const sessions = await selectAll(() => {
+        let query = supabase
+          .from("attendance_sessions")
+          .select("id, class_id, batch_id")
+          .eq("subject_id", subjectId)
+          .order("id", { ascending: true });
+
+        if (class_id) query = query.eq("class_id", class_id);
+        if (batch_id) query = query.eq("batch_id", batch_id);
+        return query;
+      });
+
+      if (sessions.length === 0) {
+        return res.json({ success: true, total_sessions: 0, students: [] });
+      }
+
+      const marked = new Set();
+      for (const part of chunk(sessions.map(s => s.id))) {
+        const rows = await selectAll(() => supabase
+          .from("attendance_records")
+          .select("student_id")
+          .in("session_id", part)
+          .order("id", { ascending: true }));
+
+        rows.forEach(r => marked.add(r.student_id));
+      }
+
+      const studentIds = [...marked];
+      const students = [];
+      for (const part of chunk(studentIds)) {
+        const { data, error: studentsError } = await supabase
+          .from("students")
+          .select("id, roll_no, name, class_id, batch_id")
+          .in("id", part);
+
+        if (studentsError) throw studentsError;
+        students.push(...(data || []));
+      }
+      students.sort((a, b) => String(a.roll_no).localeCompare(String(b.roll_no), undefined, { numeric: true }));
+
+      const records = await loadAttendanceRecords(studentIds, { subjectId });
+      const summaries = summarizeRecords(records);
+
+      return res.json({
+        success: true,
+        total_sessions: sessions.length,
+        students: students.map(student => ({
+          ...student,
+          ...(summaries.get(student.id)?.subjects[subjectId] || { present: 0, absent: 0, excused: 0, total: 0, percent: null }),
+        })),
+      });
+    } catch (err) {
+      console.error("Error fetching subject attendance:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+const withSubjectNames = async (attendance) => {
+  const subjectIds = Object.keys(attendance.subjects);
+  if (subjectIds.length === 0) return { overall: attendance.overall, subjects: [] };
+
+  const { data: subjects, error } = await supabase
+    .from("subjects")
+    .select("id, name, subject_code, type")
+    .in("id", subjectIds);
+
+  if (error) throw error;
+
+  const subjectMap = new Map((subjects || []).map(s => [s.id, s]));
+
+  return {
+    overall: attendance.overall,
+    subjects: subjectIds.map(id => ({
+      subject_id: id,
+      subject_name: subjectMap.get(id)?.name || null,
+      subject_code: subjectMap.get(id)?.subject_code || null,
+      type: subjectMap.get(id)?.type || null,
+      ...attendance.subjects[id],
+    })),
+  };
+};
+
+// GET /api/attendance/students/:studentId
+// Per-subject and overall attendance of one student (class teacher, HOD)
+router.get("/students/:studentId", authenticateUser, authorize("attendance.read", studentScope(req => req.params.studentId)),
+  async (req, res) => {
+    try {
+      const attendance = await withSubjectNames(await getStudentAttendance(req.params.studentId));
+      return res.json({ success: true, student_id: req.params.studentId, ...attendance });
+    } catch (err) {
+      console.error("Error fetching student attendance:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/attendance/me
+// The logged-in student's own attendance
+router.get("/me", authenticateUser, authorize("student_portal.read"), async (req, res) => {
+  try {
+    const attendance = await withSubjectNames(await getStudentAttendance(req.user.id));
+    return res.json({ success: true, ...attendance });
+  } catch (err) {
+    console.error("Error fetching own attendance:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -2,61 +2,192 @@
 import express from "express";
 // import bcrypt from "bcrypt";
 import bcrypt from "bcryptjs";
-
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
 import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { permissionsFor } from "../utils/permissions.js";
+import { loadRoleContexts, findContext } from "../utils/roles.js";
+import {
+  createSession,
+  findSessionByRefreshToken,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  updateSessionContext,
+  signAccessToken,
+  userTypeFor,
+  hashToken,
+} from "../utils/sessions.js";
+import { sendMail, appLink } from "../utils/mailer.js";
+import { recordAudit } from "../utils/audit.js";
+import { loginRateLimit } from "../middlewares/loginLimiter.js";
 
 
 const router = express.Router();
 
-// Test route
-router.get("/test", (req, res) => {
-  res.json({ success: true, message: "Auth routes working!" });
+// Build the JWT payload for a staff user (director, hod, faculty, class_teacher).
+// The payload carries every role context the user has; role/class_id/department_id
+// describe the active one. `preferred` ({ role, class_id }) keeps a previously
+// chosen context when it is still valid, otherwise the primary role is used.
+const buildStaffPayload = async (user, preferred = null) => {
+  const contexts = await loadRoleContexts(user);
+  const active = findContext(contexts, preferred) || contexts[0];
+
+  return {
+    id: user.id,
+    role: active.role,
+    ...(active.class_id ? { class_id: active.class_id } : {}),
+    ...(active.department_id ? { department_id: active.department_id } : {}),
+    roles: contexts,
+  };
+};
+
+const buildStudentPayload = (student) => ({
+  id: student.id,
+  role: "student",
+  class_id: student.class_id,
+  batch_id: student.batch_id,
+  ...(student.must_change_password ? { must_change_password: true } : {}),
 });
 
-// POST /api/auth/register
-router.post("/register", async (req, res) => {
-  try {
-    const { name, email, password, role, department_id } = req.body;
+// Which roles each role may invite. Directors onboard HODs, HODs onboard their own staff.
+const INVITABLE_ROLES = {
+  director: ["hod"],
+  hod: ["faculty", "class_teacher"],
+};
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
 
-    if (!name || !email || !password || !role) {
-      return res.status(400).json({ success: false, error: "All fields are required." });
-    }
+const inviteExpiry = () =>
+  new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
 
-    // Check if user already exists
-    const { data: existingUser } = await supabase
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
+const inviteStatus = (invite) => {
+  if (invite.accepted_at) return "accepted";
+  if (invite.revoked_at) return "revoked";
+  if (new Date(invite.expires_at) <= new Date()) return "expired";
+  return "pending";
+};
 
-    if (existingUser) {
-      return res.status(400).json({ success: false, error: "User already exists." });
-    }
+// A director manages HOD invites, an HOD manages invites into their own department
+const canManageInvite = (user, invite) => {
+  if (!(INVITABLE_ROLES[user.role] || []).includes(invite.role)) return false;
+  if (user.role === "hod") return invite.department_id === user.department_id;
+  return true;
+};
 
-    // Hash password before saving
-    const hashedPassword = await bcrypt.hash(password, 10);
+const formatInvite = (invite) => ({
+  id: invite.id,
+  email: invite.email,
+  name: invite.name,
+  role: invite.role,
+  department_id: invite.department_id,
+  invited_by: invite.invited_by,
+  expires_at: invite.expires_at,
+  accepted_at: invite.accepted_at,
+  revoked_at: invite.revoked_at,
+  created_at: invite.created_at,
+  status: inviteStatus(invite),
+});
 
-    // Insert new user
-    const { data, error } = await supabase
-      .from("users")
-      .insert([{ name, email, password: hashedPassword, role, department_id }])
-      .select();
+const sendInviteEmail = async (invite, token) => {
+  return sendMail({
+    to: invite.email,
+    subject: "You have been invited to join Rivoox",
+    text: [
+      `Hello ${invite.name || ""},`.trim(),
+      "",
+      `You have been invited to join as ${invite.role.replace("_", " ")}.`,
+      "Use the link below to set up your account:",
+      appLink("/accept-invite", { token }),
+      "",
+      `This invitation expires in ${INVITE_TTL_DAYS} days.`,
+    ].join("\n"),
+  });
+};
 
-    if (error) throw error;
+// Extra roles that can be granted on top of a user's primary role.
+// Class-teacher contexts come from class assignments, HODs from /director/assign-hod.
+const GRANTABLE_ROLES = {
+  director: ["faculty"],
+  hod: ["faculty"],
+};
 
-    res.status(201).json({ success: true, message: "User registered successfully", data });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, error: err.message });
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Returns an error message, or null if the password is acceptable
+const validateNewPassword = (password, { hall_ticket_number } = {}) => {
+  if (!password || typeof password !== "string") {
+    return "New password is required.";
+  }
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+  }
+  if (hall_ticket_number && password.trim() === String(hall_ticket_number).trim()) {
+    return "Password must not be your hall ticket number.";
+  }
+  return null;
+};
+
+// Fetch the account behind a session's user id from the right table
+const findAccount = async (userId, userType) => {
+  const { data, error } = await supabase
+    .from(userType === "student" ? "students" : "users")
+    .select(userType === "student"
+      ? "id, name, email, password, hall_ticket_number"
+      : "id, name, email, password")
+    .eq("id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const updatePassword = async (userId, userType, password) => {
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const update = { password: hashedPassword };
+
+  if (userType === "student") {
+    update.must_change_password = false;
   }
+
+  const { error } = await supabase
+    .from(userType === "student" ? "students" : "users")
+    .update(update)
+    .eq("id", userId);
+
+  if (error) throw error;
+};
+
+// Staff emails are stored trimmed and lower-cased (see POST /invites), so
+// every lookup by email goes through this
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Accounts created before invites still have their email as it was typed,
+// so users are matched case-insensitively. ilike's wildcards are escaped and
+// the rows compared once more here, since PostgREST also reads * as one.
+// email must already be normalized. Returns the user or null
+const findUserByEmail = async (email, columns = "*") => {
+  const { data, error } = await supabase
+    .from("users")
+    .select(columns)
+    .ilike("email", email.replace(/[\\%_]/g, "\\$&"));
+
+  if (error) throw error;
+
+  const matches = (data || []).filter(u => normalizeEmail(u.email) === email);
+  return matches.find(u => u.email === email) || matches[0] || null;
+};
+
+// Test route
+router.get("/test", (req, res) => {
+  res.json({ success: true, message: "Auth routes working!" });
 });
 
-router.post("/login", async (req, res) => {
+router.post("/login", loginRateLimit("staff", "email"), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const { password } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -66,13 +197,10 @@ router.post("/login", async (req, res) => {
     }
 
     // Fetch user by email
-    const { data: user, error: userError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
+    const user = await findUserByEmail(email);
 
-    if (userError || !user) {
+    if (!user) {
+      await req.loginLimiter.recordFailure("unknown_account");
       return res.status(400).json({
         success: false,
         error: "Invalid credentials.",
@@ -83,62 +211,18 @@ router.post("/login", async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.password);
 
     if (!isMatch) {
+      await req.loginLimiter.recordFailure("invalid_password");
       return res.status(400).json({
         success: false,
         error: "Invalid credentials.",
       });
     }
 
-    // Base JWT payload
-    let payload = {
-      id: user.id,
-      role: user.role,
-    };
-
-    // Add class_id if user is class_teacher
-    if (user.role === "class_teacher") {
-      const { data: classData, error: classError } = await supabase
-        .from("classes")
-        .select("id")
-        .eq("class_teacher_id", user.id)
-        .limit(1);
-
-      if (classError) {
-        console.error("Error fetching class for class_teacher:", classError);
-      }
-
-      if (classData && classData.length > 0) {
-        payload.class_id = classData[0].id; // UUID
-      } else {
-        console.warn(`No class found for class_teacher_id = ${user.id}`);
-      }
-    }
-
-    // Add department_id if user is HOD
-    if (user.role === "hod") {
-      const { data: hodData, error: hodError } = await supabase
-        .from("users")
-        .select("department_id")
-        .eq("id", user.id)
-        .single();
-
-      if (hodError) {
-        console.error("Error fetching department for HOD:", hodError);
-        throw new Error("Unable to fetch department for HOD");
-      }
-
-      if (hodData?.department_id) {
-        payload.department_id = hodData.department_id;
-      } else {
-        throw new Error(`No department_id found for HOD with user ID: ${user.id}`);
-      }
-    }
+    await req.loginLimiter.recordSuccess();
 
+    const payload = await buildStaffPayload(user);
 
-    // Generate JWT token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    const { token, refresh_token } = await createSession(payload, req);
 
     console.log("Token Payload:", payload);
 
@@ -147,13 +231,15 @@ router.post("/login", async (req, res) => {
       success: true,
       message: "Login successful",
       token,
+      refresh_token,
       user: {
         id: user.id,
         name: user.name,
-        role: user.role,
+        role: payload.role,
         email: user.email,
         class_id: payload.class_id || null,
         department_id: payload.department_id || null,
+        roles: payload.roles,
       },
     });
   } catch (err) {
@@ -165,7 +251,7 @@ router.post("/login", async (req, res) => {
   }
 });
 
-router.post("/student/login", async (req, res) => {
+router.post("/student/login", loginRateLimit("student", "hall_ticket_number"), async (req, res) => {
   try {
     const { hall_ticket_number, password } = req.body;
 
@@ -189,6 +275,7 @@ router.post("/student/login", async (req, res) => {
 
     if (studentError || !student) {
       console.error("No student found:", studentError);
+      await req.loginLimiter.recordFailure("unknown_account");
       return res.status(400).json({
         success: false,
         error: "Invalid hall ticket number or password.",
@@ -198,30 +285,29 @@ router.post("/student/login", async (req, res) => {
     // 🔐 Verify password (hashed hall_ticket_number)
     const isMatch = await bcrypt.compare(password, student.password);
     if (!isMatch) {
+      await req.loginLimiter.recordFailure("invalid_password");
       return res.status(400).json({
         success: false,
         error: "Invalid hall ticket number or password.",
       });
     }
 
+    await req.loginLimiter.recordSuccess();
+
     // 🪪 Prepare JWT payload
-    const payload = {
-      id: student.id,
-      role: "student",
-      class_id: student.class_id,
-      batch_id: student.batch_id,
-    };
+    const payload = buildStudentPayload(student);
 
     console.log('Creating JWT with payload:', payload);
 
-    // 🎟️ Generate JWT token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" });
+    // 🎟️ Create a session and its token pair
+    const { token, refresh_token } = await createSession(payload, req);
 
     // 📦 Respond
     return res.status(200).json({
       success: true,
       message: "Student login successful.",
       token,
+      refresh_token,
       student: {
         id: student.id,
         name: student.name,
@@ -232,6 +318,7 @@ router.post("/student/login", async (req, res) => {
         class_id: student.class_id,
         batch_id: student.batch_id,
         defaulter: student.defaulter,
+        must_change_password: !!student.must_change_password,
         role: "student", // Add role field for AuthWrapper routing
       },
     });
@@ -244,5 +331,960 @@ router.post("/student/login", async (req, res) => {
   }
 });
 
+// POST /api/auth/refresh
+// Exchange a refresh token for a new access token. The refresh token is rotated on every use.
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ success: false, error: "refresh_token is required." });
+    }
+
+    const session = await findSessionByRefreshToken(refresh_token);
+
+    if (!session) {
+      return res.status(401).json({ success: false, error: "Invalid or expired refresh token." });
+    }
+
+    // Rebuild the payload from the database so role/class changes are picked up
+    let payload;
+    if (session.user_type === "student") {
+      const { data: student, error: studentError } = await supabase
+        .from("students")
+        .select("id, class_id, batch_id, must_change_password")
+        .eq("id", session.user_id)
+        .maybeSingle();
+
+      if (studentError) throw studentError;
+      if (student) payload = buildStudentPayload(student);
+    } else {
+      const { data: user, error: userError } = await supabase
+        .from("users")
+        .select("id, role, department_id")
+        .eq("id", session.user_id)
+        .maybeSingle();
+
+      if (userError) throw userError;
+      if (user) payload = await buildStaffPayload(user, session.context);
+    }
+
+    if (!payload) {
+      await revokeSession(session.id);
+      return res.status(401).json({ success: false, error: "Account no longer exists." });
+    }
+
+    const tokens = await rotateSession(session, refresh_token, payload);
+
+    if (!tokens) {
+      return res.status(401).json({ success: false, error: "Invalid or expired refresh token." });
+    }
+
+    return res.status(200).json({
+      success: true,
+      token: tokens.token,
+      refresh_token: tokens.refresh_token,
+    });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/logout
+// Revoke the session the current access token belongs to
+router.post("/logout", authenticateUser, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+
+    return res.json({ success: true, message: "Logged out successfully." });
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/logout-all
+// Revoke every session of the current user (log out all devices)
+router.post("/logout-all", authenticateUser, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, userTypeFor(req.user.role));
+
+    return res.json({
+      success: true,
+      message: "Logged out from all devices.",
+      sessions_revoked: revoked,
+    });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/auth/me/permissions
+// Actions the current user may perform, so the frontend can hide the rest.
+// Resource scope (own class / department / taught subjects) is still checked per request.
+router.get("/me/permissions", authenticateUser, (req, res) => {
+  res.json({
+    success: true,
+    role: req.user.role,
+    scope: {
+      class_id: req.user.class_id || null,
+      department_id: req.user.department_id || null,
+    },
+    roles: req.user.roles || [],
+    permissions: permissionsFor(req.user),
+  });
+});
+
+// POST /api/auth/switch-context
+// Staff holding several roles/classes pick which one they are working in.
+// Body: { role, class_id? } - class_id is needed when class teacher of several classes.
+// Returns a new access token; the refresh token stays valid and keeps the choice.
+router.post("/switch-context", authenticateUser, async (req, res) => {
+  try {
+    const { role, class_id } = req.body;
+
+    if (!role) {
+      return res.status(400).json({ success: false, error: "role is required." });
+    }
+
+    if (userTypeFor(req.user.role) === "student") {
+      return res.status(403).json({ success: false, error: "Students cannot switch context." });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from("users")
+      .select("id, role, department_id")
+      .eq("id", req.user.id)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user) {
+      return res.status(404).json({ success: false, error: "Account not found." });
+    }
+
+    // Checked against the database, not the token, so removed roles can't be picked
+    const contexts = await loadRoleContexts(user);
+    const context = findContext(contexts, { role, class_id });
+
+    if (!context) {
+      return res.status(403).json({
+        success: false,
+        error: "You do not hold this role" + (class_id ? " for this class." : "."),
+        roles: contexts,
+      });
+    }
+
+    const payload = await buildStaffPayload(user, context);
+
+    await updateSessionContext(req.user.sid, payload);
+
+    return res.json({
+      success: true,
+      message: `Switched to ${payload.role.replace("_", " ")}.`,
+      token: signAccessToken(payload, req.user.sid),
+      user: {
+        id: user.id,
+        role: payload.role,
+        class_id: payload.class_id || null,
+        department_id: payload.department_id || null,
+        roles: payload.roles,
+      },
+    });
+  } catch (err) {
+    console.error("Switch context error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/auth/users/:id/roles
+// Every role context of a staff member (primary role, granted roles, classes)
+router.get("/users/:id/roles", authenticateUser, authorize("role.assign"), async (req, res) => {
+  try {
+    const { data: user, error: userError } = await supabase
+      .from("users")
+      .select("id, name, email, role, department_id")
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    if (req.user.role === "hod" && user.department_id !== req.user.department_id) {
+      return res.status(403).json({ success: false, error: "User is not in your department" });
+    }
+
+    const { data: granted, error: grantedError } = await supabase
+      .from("user_roles")
+      .select("id, role, department_id, granted_by, created_at")
+      .eq("user_id", user.id)
+      .order("created_at", { ascending: true });
+
+    if (grantedError) throw grantedError;
+
+    return res.json({
+      success: true,
+      user: { id: user.id, name: user.name, email: user.email, role: user.role },
+      granted_roles: granted || [],
+      contexts: await loadRoleContexts(user),
+    });
+  } catch (err) {
+    console.error("Fetch user roles error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/users/:id/roles
+// Grant an extra role, e.g. let an HOD or class teacher also teach as faculty.
+// Body: { role }
+router.post("/users/:id/roles", authenticateUser, authorize("role.assign"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const allowedRoles = GRANTABLE_ROLES[req.user.role] || [];
+
+    if (!allowedRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${allowedRoles.join(", ")}`,
+      });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from("users")
+      .select("id, role, department_id")
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    if (req.user.role === "hod" && user.department_id !== req.user.department_id) {
+      return res.status(403).json({ success: false, error: "User is not in your department" });
+    }
+
+    if (user.role === role || user.role === "director") {
+      return res.status(400).json({ success: false, error: `User already has the ${user.role} role` });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from("user_roles")
+      .select("id")
+      .eq("user_id", user.id)
+      .eq("role", role)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      return res.status(400).json({ success: false, error: "Role already granted" });
+    }
+
+    const { data: granted, error } = await supabase
+      .from("user_roles")
+      .insert([{
+        user_id: user.id,
+        role,
+        department_id: user.department_id || null,
+        granted_by: req.user.id,
+      }])
+      .select("id, role, department_id, granted_by, created_at")
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: "role.grant",
+      entity: "user_roles",
+      entity_id: granted.id,
+      after: { user_id: user.id, ...granted },
+      department_id: user.department_id || null,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `${role.replace("_", " ")} role granted.`,
+      role: granted,
+    });
+  } catch (err) {
+    console.error("Grant role error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// DELETE /api/auth/users/:id/roles/:roleId
+router.delete("/users/:id/roles/:roleId", authenticateUser, authorize("role.assign"), async (req, res) => {
+  try {
+    const { data: granted, error: grantedError } = await supabase
+      .from("user_roles")
+      .select("id, role, department_id, users ( department_id )")
+      .eq("id", req.params.roleId)
+      .eq("user_id", req.params.id)
+      .maybeSingle();
+
+    if (grantedError) throw grantedError;
+    if (!granted) {
+      return res.status(404).json({ success: false, error: "Role not found" });
+    }
+
+    if (!(GRANTABLE_ROLES[req.user.role] || []).includes(granted.role)) {
+      return res.status(403).json({ success: false, error: "You cannot remove this role" });
+    }
+
+    if (req.user.role === "hod" && granted.users?.department_id !== req.user.department_id) {
+      return res.status(403).json({ success: false, error: "User is not in your department" });
+    }
+
+    const { error } = await supabase
+      .from("user_roles")
+      .delete()
+      .eq("id", granted.id);
+
+    if (error) throw error;
+
+    const { users: _user, ...removed } = granted;
+    await recordAudit(req, {
+      action: "role.remove",
+      entity: "user_roles",
+      entity_id: granted.id,
+      before: { user_id: req.params.id, ...removed },
+      department_id: granted.users?.department_id || null,
+    });
+
+    return res.json({ success: true, message: "Role removed." });
+  } catch (err) {
+    console.error("Remove role error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/change-password
+// Any logged-in user (staff or student). Revokes all other sessions and returns a fresh token pair.
+router.post("/change-password", authenticateUser, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    const userType = userTypeFor(req.user.role);
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        error: "current_password and new_password are required.",
+      });
+    }
+
+    const account = await findAccount(req.user.id, userType);
+
+    if (!account) {
+      return res.status(404).json({ success: false, error: "Account not found." });
+    }
+
+    const isMatch = await bcrypt.compare(current_password, account.password);
+    if (!isMatch) {
+      return res.status(400).json({ success: false, error: "Current password is incorrect." });
+    }
+
+    if (current_password === new_password) {
+      return res.status(400).json({
+        success: false,
+        error: "New password must be different from the current password.",
+      });
+    }
+
+    const validationError = validateNewPassword(new_password, account);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    await updatePassword(account.id, userType, new_password);
+
+    // Log out everywhere, then start a fresh session for this device
+    await revokeUserSessions(account.id, userType);
+
+    let payload;
+    if (userType === "student") {
+      const { data: student, error: studentError } = await supabase
+        .from("students")
+        .select("id, class_id, batch_id, must_change_password")
+        .eq("id", account.id)
+        .single();
+
+      if (studentError) throw studentError;
+      payload = buildStudentPayload(student);
+    } else {
+      const { data: user, error: userError } = await supabase
+        .from("users")
+        .select("id, role, department_id")
+        .eq("id", account.id)
+        .single();
+
+      if (userError) throw userError;
+      payload = await buildStaffPayload(user, req.user);
+    }
+
+    const { token, refresh_token } = await createSession(payload, req);
+
+    await recordAudit(req, {
+      action: "account.password_change",
+      entity: userType === "student" ? "students" : "users",
+      entity_id: account.id,
+    });
+
+    return res.json({
+      success: true,
+      message: "Password changed successfully.",
+      token,
+      refresh_token,
+    });
+  } catch (err) {
+    console.error("Change password error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/forgot-password
+// Staff send { email }, students send { hall_ticket_number }.
+// Always answers the same way so it can't be used to discover accounts.
+router.post("/forgot-password", async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: "If an account with those details exists, a password reset link has been sent.",
+  };
+
+  try {
+    const { hall_ticket_number } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!email && !hall_ticket_number) {
+      return res.status(400).json({
+        success: false,
+        error: "email or hall_ticket_number is required.",
+      });
+    }
+
+    let account = null;
+    let userType = "staff";
+
+    if (hall_ticket_number) {
+      userType = "student";
+      const { data, error } = await supabase
+        .from("students")
+        .select("id, name, email")
+        .eq("hall_ticket_number", hall_ticket_number)
+        .maybeSingle();
+
+      if (error) throw error;
+      account = data;
+    } else {
+      account = await findUserByEmail(email, "id, name, email");
+    }
+
+    if (!account || !account.email) {
+      console.warn("Password reset requested for unknown account or account without email");
+      return res.json(genericResponse);
+    }
+
+    // Only the most recent reset link stays valid
+    const { error: invalidateError } = await supabase
+      .from("password_resets")
+      .update({ used_at: new Date().toISOString() })
+      .eq("user_id", account.id)
+      .eq("user_type", userType)
+      .is("used_at", null);
+
+    if (invalidateError) throw invalidateError;
+
+    const resetToken = crypto.randomBytes(32).toString("hex");
+
+    const { error: insertError } = await supabase
+      .from("password_resets")
+      .insert([{
+        user_id: account.id,
+        user_type: userType,
+        token_hash: hashToken(resetToken),
+        expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+        requested_ip: req.ip || null,
+      }]);
+
+    if (insertError) throw insertError;
+
+    // A failed send must answer like an unknown account does, or the error
+    // would tell which accounts exist
+    try {
+      await sendMail({
+        to: account.email,
+        subject: "Reset your password",
+        text: [
+          `Hello ${account.name || ""},`.trim(),
+          "",
+          "We received a request to reset your password. Use the link below to choose a new one:",
+          appLink("/reset-password", { token: resetToken }),
+          "",
+          `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not request it, you can ignore this email.`,
+        ].join("\n"),
+      });
+    } catch (err) {
+      console.error("Failed to send password reset email:", account.id, err.message);
+    }
+
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/reset-password
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({
+        success: false,
+        error: "token and new_password are required.",
+      });
+    }
+
+    const { data: reset, error: resetError } = await supabase
+      .from("password_resets")
+      .select("id, user_id, user_type, expires_at, used_at")
+      .eq("token_hash", hashToken(token))
+      .maybeSingle();
+
+    if (resetError) throw resetError;
+
+    if (!reset || reset.used_at || new Date(reset.expires_at) <= new Date()) {
+      return res.status(400).json({ success: false, error: "Invalid or expired reset link." });
+    }
+
+    const account = await findAccount(reset.user_id, reset.user_type);
+
+    if (!account) {
+      return res.status(400).json({ success: false, error: "Invalid or expired reset link." });
+    }
+
+    const validationError = validateNewPassword(new_password, account);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    // Claim the token first so it can only ever be used once
+    const { data: claimed, error: claimError } = await supabase
+      .from("password_resets")
+      .update({ used_at: new Date().toISOString() })
+      .eq("id", reset.id)
+      .is("used_at", null)
+      .select("id");
+
+    if (claimError) throw claimError;
+
+    if (!claimed || claimed.length === 0) {
+      return res.status(400).json({ success: false, error: "Invalid or expired reset link." });
+    }
+
+    await updatePassword(account.id, reset.user_type, new_password);
+    await revokeUserSessions(account.id, reset.user_type);
+
+    await recordAudit(req, {
+      action: "account.password_reset",
+      entity: reset.user_type === "student" ? "students" : "users",
+      entity_id: account.id,
+      actor: { id: account.id, type: reset.user_type },
+    });
+
+    return res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/invites
+// Director invites HODs, HOD invites faculty and class teachers into their own department
+router.post("/invites", authenticateUser, authorize("invite.manage"), async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    const email = normalizeEmail(req.body.email);
+    let { department_id } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ success: false, error: "email and role are required." });
+    }
+
+    const allowedRoles = INVITABLE_ROLES[req.user.role] || [];
+    if (!allowedRoles.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        error: `You can only invite: ${allowedRoles.join(", ")}.`,
+      });
+    }
+
+    if (req.user.role === "hod") {
+      if (department_id && department_id !== req.user.department_id) {
+        return res.status(403).json({
+          success: false,
+          error: "You can only invite staff into your own department.",
+        });
+      }
+      department_id = req.user.department_id;
+    }
+
+    if (!department_id) {
+      return res.status(400).json({ success: false, error: "department_id is required." });
+    }
+
+    const { data: dept, error: deptError } = await supabase
+      .from("departments")
+      .select("id")
+      .eq("id", department_id)
+      .maybeSingle();
+
+    if (deptError) throw deptError;
+    if (!dept) {
+      return res.status(404).json({ success: false, error: "Department not found" });
+    }
+
+    const existingUser = await findUserByEmail(email, "id, email");
+    if (existingUser) {
+      return res.status(400).json({ success: false, error: "User already exists." });
+    }
+
+    const { data: openInvites, error: openError } = await supabase
+      .from("invites")
+      .select("id, expires_at, accepted_at, revoked_at")
+      .eq("email", email)
+      .is("accepted_at", null)
+      .is("revoked_at", null);
+
+    if (openError) throw openError;
+    if ((openInvites || []).some(inv => inviteStatus(inv) === "pending")) {
+      return res.status(409).json({
+        success: false,
+        error: "A pending invite already exists for this email. Resend or revoke it instead.",
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+
+    const { data: invite, error: insertError } = await supabase
+      .from("invites")
+      .insert([{
+        email,
+        name: name || null,
+        role,
+        department_id,
+        invited_by: req.user.id,
+        token_hash: hashToken(token),
+        expires_at: inviteExpiry(),
+      }])
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    await recordAudit(req, {
+      action: "invite.create",
+      entity: "invites",
+      entity_id: invite.id,
+      after: formatInvite(invite),
+      department_id,
+    });
+
+    let delivered = false;
+    try {
+      delivered = await sendInviteEmail(invite, token);
+    } catch (err) {
+      console.error("Failed to send invite email:", err);
+    }
+
+    // Nobody got the link: revoke the invite so inviting again isn't blocked
+    if (!delivered) {
+      const { error: revokeError } = await supabase
+        .from("invites")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("id", invite.id)
+        .is("revoked_at", null);
+
+      if (revokeError) throw revokeError;
+
+      await recordAudit(req, {
+        action: "invite.revoke",
+        entity: "invites",
+        entity_id: invite.id,
+        before: formatInvite(invite),
+        department_id,
+      });
+
+      return res.status(502).json({
+        success: false,
+        error: "The invitation email could not be sent. Please try again.",
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}.`,
+      invite: formatInvite(invite),
+    });
+  } catch (err) {
+    console.error("Create invite error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/auth/invites?status=pending|accepted|revoked|expired|all
+router.get("/invites", authenticateUser, authorize("invite.manage"), async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+
+    let query = supabase
+      .from("invites")
+      .select("*")
+      .in("role", INVITABLE_ROLES[req.user.role])
+      .order("created_at", { ascending: false });
+
+    if (req.user.role === "hod") {
+      query = query.eq("department_id", req.user.department_id);
+    }
+
+    const { data: invites, error } = await query;
+
+    if (error) throw error;
+
+    const formatted = (invites || [])
+      .map(formatInvite)
+      .filter(inv => status === "all" || inv.status === status);
+
+    return res.json({ success: true, invites: formatted });
+  } catch (err) {
+    console.error("List invites error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/invites/:id/resend
+// Issues a new token (the old link stops working) and restarts the expiry clock
+router.post("/invites/:id/resend", authenticateUser, authorize("invite.manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: invite, error: fetchError } = await supabase
+      .from("invites")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!invite || !canManageInvite(req.user, invite)) {
+      return res.status(404).json({ success: false, error: "Invite not found or access denied" });
+    }
+
+    if (invite.accepted_at || invite.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        error: `Invite has already been ${inviteStatus(invite)}.`,
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+
+    const { data: updated, error: updateError } = await supabase
+      .from("invites")
+      .update({ token_hash: hashToken(token), expires_at: inviteExpiry() })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    await recordAudit(req, {
+      action: "invite.resend",
+      entity: "invites",
+      entity_id: id,
+      before: { expires_at: invite.expires_at },
+      after: { expires_at: updated.expires_at },
+      department_id: invite.department_id,
+    });
+
+    await sendInviteEmail(updated, token);
+
+    return res.json({
+      success: true,
+      message: `Invitation resent to ${updated.email}.`,
+      invite: formatInvite(updated),
+    });
+  } catch (err) {
+    console.error("Resend invite error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// DELETE /api/auth/invites/:id
+router.delete("/invites/:id", authenticateUser, authorize("invite.manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: invite, error: fetchError } = await supabase
+      .from("invites")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!invite || !canManageInvite(req.user, invite)) {
+      return res.status(404).json({ success: false, error: "Invite not found or access denied" });
+    }
+
+    if (invite.accepted_at) {
+      return res.status(400).json({ success: false, error: "Invite has already been accepted." });
+    }
+
+    const { error: updateError } = await supabase
+      .from("invites")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("id", id)
+      .is("revoked_at", null);
+
+    if (updateError) throw updateError;
+
+    await recordAudit(req, {
+      action: "invite.revoke",
+      entity: "invites",
+      entity_id: id,
+      before: formatInvite(invite),
+      department_id: invite.department_id,
+    });
+
+    return res.json({ success: true, message: "Invite revoked successfully." });
+  } catch (err) {
+    console.error("Revoke invite error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/auth/accept-invite
+// Creates the staff account from a pending invite and logs the new user in
+router.post("/accept-invite", async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, error: "token and password are required." });
+    }
+
+    const nonText = Object.entries({ token, name, password })
+      .find(([, value]) => value !== undefined && value !== null && typeof value !== "string");
+    if (nonText) {
+      return res.status(400).json({ success: false, error: `${nonText[0]} must be text.` });
+    }
+
+    const { data: invite, error: inviteError } = await supabase
+      .from("invites")
+      .select("*")
+      .eq("token_hash", hashToken(token))
+      .maybeSingle();
+
+    if (inviteError) throw inviteError;
+
+    if (!invite || inviteStatus(invite) !== "pending") {
+      return res.status(400).json({ success: false, error: "Invalid or expired invitation." });
+    }
+
+    const userName = (name || invite.name || "").trim();
+    if (!userName) {
+      return res.status(400).json({ success: false, error: "name is required." });
+    }
+
+    const validationError = validateNewPassword(password);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const existingUser = await findUserByEmail(normalizeEmail(invite.email), "id, email");
+    if (existingUser) {
+      return res.status(400).json({ success: false, error: "User already exists." });
+    }
+
+    // Claim the invite first so the same link can't create two accounts
+    const { data: claimed, error: claimError } = await supabase
+      .from("invites")
+      .update({ accepted_at: new Date().toISOString() })
+      .eq("id", invite.id)
+      .is("accepted_at", null)
+      .is("revoked_at", null)
+      .select("id");
+
+    if (claimError) throw claimError;
+
+    if (!claimed || claimed.length === 0) {
+      return res.status(400).json({ success: false, error: "Invalid or expired invitation." });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const { data: user, error: userError } = await supabase
+      .from("users")
+      .insert([{
+        name: userName,
+        email: invite.email,
+        password: hashedPassword,
+        role: invite.role,
+        department_id: invite.department_id,
+      }])
+      .select()
+      .single();
+
+    if (userError) {
+      // Give the invite back so it can be retried
+      await supabase.from("invites").update({ accepted_at: null }).eq("id", invite.id);
+      throw userError;
+    }
+
+    await supabase
+      .from("invites")
+      .update({ accepted_user_id: user.id })
+      .eq("id", invite.id);
+
+    await recordAudit(req, {
+      action: "invite.accept",
+      entity: "users",
+      entity_id: user.id,
+      after: { id: user.id, name: user.name, email: user.email, role: user.role, invite_id: invite.id },
+      department_id: invite.department_id,
+      actor: { id: user.id, role: user.role },
+    });
+
+    const payload = await buildStaffPayload(user);
+    const { token: accessToken, refresh_token } = await createSession(payload, req);
+
+    return res.status(201).json({
+      success: true,
+      message: "Account created successfully.",
+      token: accessToken,
+      refresh_token,
+      user: {
+        id: user.id,
+        name: user.name,
+        role: payload.role,
+        email: user.email,
+        class_id: payload.class_id || null,
+        department_id: payload.department_id || null,
+        roles: payload.roles,
+      },
+    });
+  } catch (err) {
+    console.error("Accept invite error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 
 export default router;  
\ No newline at end of file
@@ -4,14 +4,31 @@ import xlsx from "xlsx";
 import bcrypt from "bcryptjs";
 import fs from "fs"
 import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles  } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { classScope, studentScope } from "../utils/permissions.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import { recordAudit } from "../utils/audit.js";
+import { recalculateStudents } from "../utils/attendance.js";
+import { completionSummary } from "../utils/components.js";
+import { findSection, claimSeat, releaseUnchosenSeats, leaveWaitlist, promoteReleased } from "../utils/electiveSeats.js";
+import { CHANGE_STATUSES, MAX_REASON_LENGTH, loadRequest, listRequests, reviewRequest } from "../utils/electiveChanges.js";
+import {
+  loadCategories,
+  categoryFor,
+  parsePicks,
+  findChoices,
+  loadChoices,
+  setCategoryChoices,
+  selectionColumns,
+  isLocked,
+  setLocked,
+} from "../utils/electiveCategories.js";
 
 const upload = multer({ dest: "uploads/" });
-const calculateDefaulter = (attendance) => attendance < 75;
 const router = express.Router();
 
 // Get all faculties (all users except directors)
-router.get('/faculties', authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.get('/faculties', authenticateUser, authorize("staff.read"), async (req, res) => {
   try {
     const { data: faculties, error } = await supabase
       .from('users')
@@ -28,7 +45,7 @@ router.get('/faculties', authenticateUser, authorizeRoles("class_teacher", "facu
   }
 });
 
-router.get('/students', authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.get('/students', authenticateUser, authorize("student.read"), async (req, res) => {
   try {
     const classId = req.user.class_id;
     console.log('User from token:', req.user);
@@ -62,90 +79,20 @@ router.get('/students', authenticateUser, authorizeRoles("class_teacher", "facul
 
     if (error) throw error;
 
-    const studentIds = (data || []).map(s => s.id);
+    // A subject is complete once every assessment component expected of the
+    // student in it is completed; subjects without components don't count
+    const summary = await completionSummary(data || []);
 
-    // Get all subjects for this class
-    const { data: subjects, error: subjectsError } = await supabase
-      .from('subjects')
-      .select('id, type')
-      .eq('class_id', classId);
-
-    if (subjectsError) {
-      console.error('Error fetching subjects:', subjectsError);
-    }
-
-    const totalSubjects = (subjects || []).length;
-
-    // Get all submissions for these students
-    const { data: submissions, error: submissionsError } = await supabase
-      .from('student_submissions')
-      .select('student_id, subject_id, submission_type_id, status')
-      .in('student_id', studentIds);
-
-    if (submissionsError) {
-      console.error('Error fetching submissions:', submissionsError);
-    }
-
-    // Get submission types
-    const { data: submissionTypes, error: typesError } = await supabase
-      .from('submission_types')
-      .select('*');
-
-    if (typesError) {
-      console.error('Error fetching submission types:', typesError);
-    }
-
-    const taType = (submissionTypes || []).find(t => t.name === 'TA');
-    const cieType = (submissionTypes || []).find(t => t.name === 'CIE');
-
-    // Calculate submission percentage for each student across all subjects
     const students = (data || []).map(s => {
-      if (totalSubjects === 0) {
-        return {
-          ...s,
-          batch_name: s.batches?.name || null,
-          submission_percentage: 0
-        };
-      }
-
-      // Get student's submissions
-      const studentSubmissions = (submissions || []).filter(sub => sub.student_id === s.id);
-      
-      // Count subjects where student completed required submissions
-      let completedSubjects = 0;
-
-      (subjects || []).forEach(subject => {
-        // Get submissions for this subject
-        const subjectSubmissions = studentSubmissions.filter(sub => sub.subject_id === subject.id);
-        
-        // For practical subjects: only TA is required
-        // For theory/MDM/OE/PE: both TA and CIE are required
-        let isSubjectComplete = false;
-        
-        if (subject.type === 'practical') {
-          // Check if TA is completed
-          const taSubmission = subjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
-          isSubjectComplete = taSubmission && taSubmission.status === 'completed';
-        } else {
-          // Check if both TA and CIE are completed
-          const taSubmission = subjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
-          const cieSubmission = subjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
-          isSubjectComplete = 
-            taSubmission && taSubmission.status === 'completed' &&
-            cieSubmission && cieSubmission.status === 'completed';
-        }
-
-        if (isSubjectComplete) {
-          completedSubjects++;
-        }
-      });
-
-      const submissionPercentage = Math.round((completedSubjects / totalSubjects) * 100);
+      const subjects = Object.values(summary.students.get(s.id)?.subjects || {})
+        .filter(progress => progress.total > 0);
+      const completedSubjects = subjects.filter(progress => progress.completed === progress.total).length;
 
       return {
         ...s,
         batch_name: s.batches?.name || null,
-        submission_percentage: submissionPercentage
+        submission_percentage: subjects.length > 0 ? Math.round((completedSubjects / subjects.length) * 100) : 0,
+        component_percentage: summary.students.get(s.id)?.percent ?? 0
       };
     });
 
@@ -158,7 +105,7 @@ router.get('/students', authenticateUser, authorizeRoles("class_teacher", "facul
   }
 });
 
-router.get('/batches', authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.get('/batches', authenticateUser, authorize("batch.read"), async (req, res) => {
   try {
     const classId = req.user.class_id;
     console.log('User from token (batches):', req.user);
@@ -186,7 +133,7 @@ router.get('/batches', authenticateUser, authorizeRoles("class_teacher", "facult
 });
 
 
-router.put("/student/:id", authenticateUser, authorizeRoles("class_teacher", "faculty"),
+router.put("/student/:id", authenticateUser, authorize("student.update", studentScope(req => req.params.id)),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -201,7 +148,7 @@ router.put("/student/:id", authenticateUser, authorizeRoles("class_teacher", "fa
         attendance_percent,
         hall_ticket_number,
         batch_id,
-        defaulter, // optional override
+        cgpa,
         electiveSelections // MDM, OE, PE selections
       } = req.body;
 
@@ -209,10 +156,22 @@ router.put("/student/:id", authenticateUser, authorizeRoles("class_teacher", "fa
         return res.status(400).json({ success: false, error: "Missing student ID or class ID" });
       }
 
+      // CGPA can rank students when electives are allocated by preference
+      if (cgpa !== undefined && cgpa !== null && (typeof cgpa !== "number" || cgpa < 0 || cgpa > 10)) {
+        return res.status(400).json({ success: false, error: "cgpa must be a number between 0 and 10." });
+      }
+
+      if (req.body.defaulter !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: "defaulter is calculated from recorded attendance. Override it per subject with PUT /api/defaulter/status/students/:studentId/subjects/:subjectId.",
+        });
+      }
+
       // Fetch the student to confirm same class
       const { data: student, error: fetchError } = await supabase
         .from("students")
-        .select("id, class_id")
+        .select("id, class_id, name, roll_no, email, mobile, attendance_percent, hall_ticket_number, batch_id, cgpa, defaulter")
         .eq("id", id)
         .single();
 
@@ -224,12 +183,41 @@ router.put("/student/:id", authenticateUser, authorizeRoles("class_teacher", "fa
         return res.status(403).json({ success: false, error: "Unauthorized to edit this student" });
       }
 
-      const finalDefaulter =
-        typeof defaulter === "boolean"
-          ? defaulter
-          : Number(attendance_percent) < 75;
+      // Elective picks are checked against the class year's categories before anything is saved
+      let picks = null;
+      let categories = [];
+      if (electiveSelections) {
+        const { data: classInfo, error: classError } = await supabase
+          .from("classes")
+          .select("year, department_id")
+          .eq("id", classId)
+          .single();
+
+        if (classError) throw classError;
+        categories = await loadCategories(classInfo.department_id, classInfo.year);
+
+        const { error: picksError, value } = parsePicks(electiveSelections, categories);
+        if (picksError) return res.status(400).json({ success: false, error: picksError });
+
+        for (const [code, list] of value) {
+          for (const pick of list) {
+            const offered = await findSection(pick.subject_id, pick.faculty_id, { year: classInfo.year });
+            if (!offered || categoryFor(offered, categories, classInfo.department_id)?.code !== code) {
+              return res.status(400).json({
+                success: false,
+                error: `Subject ${pick.subject_id} is not offered as ${code} with that faculty.`,
+              });
+            }
+            pick.offered = offered;
+            pick.offered_subject_id = offered.id;
+          }
+        }
+        picks = value;
+      }
 
-      const { data: updated, error: updateError } = await supabase
+      // attendance_percent is only a starting value; once lectures are recorded
+      // the live percentage replaces it (see recalculateStudents)
+      const { error: updateError } = await supabase
         .from("students")
         .update({
           name,
@@ -239,58 +227,67 @@ router.put("/student/:id", authenticateUser, authorizeRoles("class_teacher", "fa
           attendance_percent,
           hall_ticket_number,
           batch_id,
-          defaulter: finalDefaulter,
+          cgpa,
         })
-        .eq("id", id)
-        .select()
-        .single();
+        .eq("id", id);
 
       if (updateError) throw updateError;
 
-      // Update elective selections if provided
-      if (electiveSelections) {
-        const { mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id } = electiveSelections;
-        
-        // Check if student has existing selections
-        const { data: existing, error: existingError } = await supabase
-          .from("student_subject_selection")
-          .select("*")
-          .eq("student_id", id)
-          .maybeSingle();
-
-        if (existingError) throw existingError;
-
-        const selectionsData = {
-          mdm_id: mdm_id || null,
-          oe_id: oe_id || null,
-          pe_id: pe_id || null,
-          mdm_faculty_id: mdm_faculty_id || null,
-          oe_faculty_id: oe_faculty_id || null,
-          pe_faculty_id: pe_faculty_id || null
-        };
-
-        if (existing) {
-          // Update existing selections
-          const { error: updateSelectionsError } = await supabase
-            .from("student_subject_selection")
-            .update(selectionsData)
-            .eq("student_id", id);
-
-          if (updateSelectionsError) throw updateSelectionsError;
-        } else {
-          // Insert new selections
-          const { error: insertSelectionsError } = await supabase
-            .from("student_subject_selection")
-            .insert([{ student_id: id, ...selectionsData, selections_locked: false }]);
-
-          if (insertSelectionsError) throw insertSelectionsError;
+      // Update elective selections if provided. Class teachers may place a
+      // student over a section's seat limit; seats of the choices they
+      // replaced go to those sections' waitlists.
+      if (picks) {
+        const before = {};
+        const after = {};
+        const released = [];
+
+        for (const [code, list] of picks) {
+          const change = await setCategoryChoices(id, code, list);
+          before[code] = change.before;
+          after[code] = change.after;
+
+          for (const pick of list) {
+            await claimSeat({ offered: pick.offered, facultyId: pick.faculty_id, studentId: id, type: code, force: true });
+          }
+          released.push(...await releaseUnchosenSeats(id, code, list));
+          await leaveWaitlist(id, code);
         }
+
+        await recordAudit(req, {
+          action: "elective.update_student",
+          entity: "student_elective_choices",
+          entity_id: id,
+          before,
+          after,
+        });
+
+        await promoteReleased(req, released);
       }
 
+      // After the choices so the defaulter status covers the new subjects
+      await recalculateStudents([id]);
+
+      const { data: updated, error: refetchError } = await supabase
+        .from("students")
+        .select("*")
+        .eq("id", id)
+        .single();
+
+      if (refetchError) throw refetchError;
+
+      const { password: _password, ...updatedFields } = updated;
+      await recordAudit(req, {
+        action: "student.update",
+        entity: "students",
+        entity_id: id,
+        before: student,
+        after: Object.fromEntries(Object.keys(student).map(key => [key, updatedFields[key]])),
+      });
+
       res.status(200).json({
         success: true,
         message: "Student updated successfully",
-        student: updated,
+        student: updatedFields,
       });
     } catch (err) {
       console.error("Update student error:", err);
@@ -299,7 +296,7 @@ router.put("/student/:id", authenticateUser, authorizeRoles("class_teacher", "fa
   }
 );
 
-router.delete("/student/:id", authenticateUser, authorizeRoles("class_teacher", "faculty"),
+router.delete("/student/:id", authenticateUser, authorize("student.delete", studentScope(req => req.params.id)),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -312,7 +309,7 @@ router.delete("/student/:id", authenticateUser, authorizeRoles("class_teacher",
       // Confirm same class ownership
       const { data: student, error: fetchError } = await supabase
         .from("students")
-        .select("id, class_id")
+        .select("id, class_id, name, roll_no, email, hall_ticket_number, batch_id, attendance_percent, defaulter")
         .eq("id", id)
         .single();
 
@@ -324,6 +321,8 @@ router.delete("/student/:id", authenticateUser, authorizeRoles("class_teacher",
         return res.status(403).json({ success: false, error: "Unauthorized to delete this student" });
       }
 
+      await revokeUserSessions(id, "student");
+
       const { error: deleteError } = await supabase
         .from("students")
         .delete()
@@ -331,6 +330,13 @@ router.delete("/student/:id", authenticateUser, authorizeRoles("class_teacher",
 
       if (deleteError) throw deleteError;
 
+      await recordAudit(req, {
+        action: "student.delete",
+        entity: "students",
+        entity_id: id,
+        before: student,
+      });
+
       res.status(200).json({ success: true, message: "Student deleted successfully" });
     } catch (err) {
       console.error("Delete student error:", err);
@@ -339,7 +345,7 @@ router.delete("/student/:id", authenticateUser, authorizeRoles("class_teacher",
   }
 );
 
-router.post("/subjects/assign", authenticateUser, authorizeRoles("class_teacher", "faculty"),
+router.post("/subjects/assign", authenticateUser, authorize("subject.assign", classScope(req => req.body.class_id)),
   async (req, res) => {
     try {
       console.log('📚 Subject assign request received:', req.body);
@@ -456,6 +462,14 @@ router.post("/subjects/assign", authenticateUser, authorizeRoles("class_teacher"
 
       console.log('✅ Subject assigned successfully');
 
+      await recordAudit(req, {
+        action: "subject.assign",
+        entity: "subjects",
+        entity_id: subject_id,
+        after: { ...subjectData, assignments: assignedData },
+        department_id,
+      });
+
       res.status(201).json({
         success: true,
         message:
@@ -475,16 +489,13 @@ router.post("/subjects/assign", authenticateUser, authorizeRoles("class_teacher"
   }
 );
 
-router.post("/create-batch", authenticateUser, authorizeRoles("class_teacher", "hod"), async (req, res) => {
+// Class teachers create batches in their own class; HODs name the class
+// (body.class_id) and may only use classes of their department
+router.post("/create-batch", authenticateUser, authorize("batch.create", classScope(req => req.user.class_id || req.body?.class_id)), async (req, res) => {
   try {
     console.log('📦 Create batch request:', req.body);
     const { name, roll_start, roll_end, faculty_id } = req.body;
-    const class_id = req.user.class_id; // from token
-
-    if (!class_id) {
-      console.error('❌ Class ID missing in token');
-      return res.status(403).json({ success: false, error: "Class ID missing in token" });
-    }
+    const class_id = req.scope.class_id;
 
     if (!name || !roll_start || !roll_end || !faculty_id) {
       console.error('❌ Missing required fields:', { name, roll_start, roll_end, faculty_id });
@@ -536,6 +547,13 @@ router.post("/create-batch", authenticateUser, authorizeRoles("class_teacher", "
     }
 
     console.log('✅ Batch creation complete');
+
+    await recordAudit(req, {
+      action: "batch.create",
+      entity: "batches",
+      entity_id: batch_id,
+      after: batchData,
+    });
     return res.status(200).json({
       success: true,
       message: "Batch created and faculty linked successfully",
@@ -547,8 +565,10 @@ router.post("/create-batch", authenticateUser, authorizeRoles("class_teacher", "
   }
 });
 
-router.post("/import-students", authenticateUser, authorizeRoles("class_teacher", "faculty"),
+router.post("/import-students", authenticateUser, authorize("student.import"),
   upload.single("file"),
+  // multipart body (and so body.class_id) is only available after multer ran
+  authorize("student.import", classScope(req => req.user.class_id || req.body.class_id)),
   async (req, res) => {
     try {
       if (!req.file)
@@ -613,22 +633,39 @@ router.post("/import-students", authenticateUser, authorizeRoles("class_teacher"
           name: s.name.trim(),
           hall_ticket_number: hallticket,
           attendance_percent: attendance,
-          defaulter: attendance < 75,
+          defaulter: false, // set from the department's defaulter rule below
           class_id: classId,
           batch_id: null,
           password: hash,
+          must_change_password: true, // hall ticket number is only a first-login password
         };
       });
 
       // Insert only unique new records
-      const { error: insertError } = await supabase
+      const { data: inserted, error: insertError } = await supabase
         .from("students")
-        .insert(students);
+        .insert(students)
+        .select("id, roll_no, name, hall_ticket_number, attendance_percent, defaulter");
 
       if (insertError) throw insertError;
 
       fs.unlinkSync(req.file.path);
 
+      await recalculateStudents((inserted || []).map(s => s.id));
+
+      await recordAudit(req, {
+        action: "student.import",
+        entity: "students",
+        entity_id: classId,
+        after: {
+          class_id: classId,
+          file: req.file.originalname,
+          imported: (inserted || []).length,
+          skipped: data.length - newStudents.length,
+          students: inserted || [],
+        },
+      });
+
       res.status(200).json({
         success: true,
         message: `Import completed. ${students.length} new students added.`,
@@ -642,7 +679,7 @@ router.post("/import-students", authenticateUser, authorizeRoles("class_teacher"
 
 
 // Get subjects for class teacher/faculty
-router.get('/subjects', authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.get('/subjects', authenticateUser, authorize("subject.read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const userRole = req.user.role;
@@ -714,34 +751,12 @@ router.get('/subjects', authenticateUser, authorizeRoles("class_teacher", "facul
         }
       });
 
-      // Also fetch elective subjects from student selections
-      const { data: electiveSelections, error: electiveError } = await supabase
-        .from('student_subject_selection')
-        .select(`
-          mdm_id,
-          oe_id,
-          pe_id,
-          mdm_faculty_id,
-          oe_faculty_id,
-          pe_faculty_id
-        `)
-        .or(`mdm_faculty_id.eq.${userId},oe_faculty_id.eq.${userId},pe_faculty_id.eq.${userId}`);
-
-      if (electiveError) throw electiveError;
-
-      // Collect unique elective subject IDs
-      const electiveSubjectIds = new Set();
-      (electiveSelections || []).forEach(selection => {
-        if (selection.mdm_faculty_id === userId && selection.mdm_id && !subjectIds.has(selection.mdm_id)) {
-          electiveSubjectIds.add(selection.mdm_id);
-        }
-        if (selection.oe_faculty_id === userId && selection.oe_id && !subjectIds.has(selection.oe_id)) {
-          electiveSubjectIds.add(selection.oe_id);
-        }
-        if (selection.pe_faculty_id === userId && selection.pe_id && !subjectIds.has(selection.pe_id)) {
-          electiveSubjectIds.add(selection.pe_id);
-        }
-      });
+      // Also fetch elective subjects students chose with this faculty
+      const electiveSubjectIds = new Set(
+        (await findChoices({ facultyId: userId }))
+          .map(choice => choice.subject_id)
+          .filter(subjectId => !subjectIds.has(subjectId))
+      );
 
       // Fetch elective subject details
       if (electiveSubjectIds.size > 0) {
@@ -803,7 +818,7 @@ router.get('/subjects', authenticateUser, authorizeRoles("class_teacher", "facul
 });
 
 // Get teacher availability status
-router.get('/availability', authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.get('/availability', authenticateUser, authorize("availability.manage"), async (req, res) => {
   try {
     const userId = req.user.id;
     
@@ -836,7 +851,7 @@ router.get('/availability', authenticateUser, authorizeRoles("class_teacher", "f
 });
 
 // Update teacher availability status for selected subjects
-router.put('/availability', authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.put('/availability', authenticateUser, authorize("availability.manage"), async (req, res) => {
   try {
     const userId = req.user.id;
     const { isAvailable, selectedSubjects } = req.body;
@@ -852,6 +867,13 @@ router.put('/availability', authenticateUser, authorizeRoles("class_teacher", "f
       });
     }
 
+    const { data: previous, error: previousError } = await supabase
+      .from('faculty_availability')
+      .select('subject_id')
+      .eq('faculty_id', userId);
+
+    if (previousError) throw previousError;
+
     // Delete all existing availability records for this faculty
     const { error: deleteError } = await supabase
       .from('faculty_availability')
@@ -905,6 +927,14 @@ router.put('/availability', authenticateUser, authorizeRoles("class_teacher", "f
       console.log('✅ Availability set to offline (no subjects)');
     }
 
+    await recordAudit(req, {
+      action: "availability.update",
+      entity: "faculty_availability",
+      entity_id: userId,
+      before: { subject_ids: (previous || []).map(p => p.subject_id) },
+      after: { is_available: !!isAvailable, subject_codes: isAvailable ? selectedSubjects : [] },
+    });
+
     return res.json({ 
       success: true, 
       isAvailable,
@@ -917,7 +947,7 @@ router.put('/availability', authenticateUser, authorizeRoles("class_teacher", "f
 });
 
 // Get available subjects for a faculty
-router.get('/available-subjects', authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.get('/available-subjects', authenticateUser, authorize("availability.manage"), async (req, res) => {
   try {
     const userId = req.user.id;
     
@@ -959,7 +989,7 @@ router.get('/available-subjects', authenticateUser, authorizeRoles("class_teache
 });
 
 // Get elective subjects for a student (class teacher)
-router.get("/elective-subjects/:studentId", authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.get("/elective-subjects/:studentId", authenticateUser, authorize("elective.read_student", studentScope(req => req.params.studentId)), async (req, res) => {
   try {
     const { studentId } = req.params;
     const class_id = req.user.class_id;
@@ -1025,17 +1055,13 @@ router.get("/elective-subjects/:studentId", authenticateUser, authorizeRoles("cl
 
     const facultyMap = new Map(faculties.map(f => [f.id, f.name]));
 
-    // Get student's current selections
-    const { data: currentSelections, error: selectionsError } = await supabase
-      .from("student_subject_selection")
-      .select("*")
-      .eq("student_id", studentId)
-      .maybeSingle();
+    // Get student's current choices
+    const categories = await loadCategories(classInfo.department_id, classInfo.year);
+    const choices = (await loadChoices([studentId])).get(studentId);
+    const locked = await isLocked(studentId);
 
-    if (selectionsError) throw selectionsError;
-
-    // Organize subjects
-    const electiveSubjects = { mdm: [], oe: [], pe: [] };
+    // Organize subjects by the elective categories of the class year
+    const electiveSubjects = Object.fromEntries(categories.map(category => [category.code.toLowerCase(), []]));
 
     offeredSubjects.forEach(offered => {
       const subject = offered.subjects;
@@ -1053,24 +1079,23 @@ router.get("/elective-subjects/:studentId", authenticateUser, authorizeRoles("cl
         faculties: facultyOptions
       };
 
-      const subjectType = (subject.type || '').toLowerCase();
-      const subjectName = (subject.name || '').toLowerCase();
-
-      if (subjectType === 'mdm' || subjectName.includes('multidisciplinary')) {
-        electiveSubjects.mdm.push(subjectData);
-      } else if (subjectType === 'oe' || subjectName.includes('open elective')) {
-        electiveSubjects.oe.push(subjectData);
-      } else if (subjectType === 'pe' || subjectName.includes('professional elective')) {
-        if (offered.department_id === classInfo.department_id) {
-          electiveSubjects.pe.push(subjectData);
-        }
-      }
+      const category = categoryFor(offered, categories, classInfo.department_id);
+      if (category) electiveSubjects[category.code.toLowerCase()].push(subjectData);
     });
 
     return res.json({
       success: true,
+      categories: categories.map(({ code, name, pick_count, mandatory }) => ({
+        code,
+        name,
+        pick_count,
+        mandatory,
+        chosen: choices
+          .filter(c => c.category_code === code)
+          .map(({ subject_id, faculty_id }) => ({ subject_id, faculty_id }))
+      })),
       electives: electiveSubjects,
-      currentSelections: currentSelections || {}
+      currentSelections: { ...selectionColumns(choices), selections_locked: locked }
     });
   } catch (err) {
     console.error("Error fetching elective subjects:", err);
@@ -1079,7 +1104,7 @@ router.get("/elective-subjects/:studentId", authenticateUser, authorizeRoles("cl
 });
 
 // Unlock student's elective selections (class teacher only)
-router.put("/unlock-student-selections/:studentId", authenticateUser, authorizeRoles("class_teacher", "faculty"), async (req, res) => {
+router.put("/unlock-student-selections/:studentId", authenticateUser, authorize("elective.unlock", studentScope(req => req.params.studentId)), async (req, res) => {
   try {
     const { studentId } = req.params;
     const class_id = req.user.class_id;
@@ -1105,13 +1130,20 @@ router.put("/unlock-student-selections/:studentId", authenticateUser, authorizeR
       });
     }
 
-    // Unlock selections
-    const { error: updateError } = await supabase
-      .from("student_subject_selection")
-      .update({ selections_locked: false })
-      .eq("student_id", studentId);
+    const wasLocked = await isLocked(studentId);
 
-    if (updateError) throw updateError;
+    // Unlock selections
+    await setLocked([studentId], false);
+
+    if (wasLocked) {
+      await recordAudit(req, {
+        action: "elective.unlock",
+        entity: "student_subject_selection",
+        entity_id: studentId,
+        before: { selections_locked: true },
+        after: { selections_locked: false },
+      });
+    }
 
     return res.json({
       success: true,
@@ -1123,4 +1155,54 @@ router.put("/unlock-student-selections/:studentId", authenticateUser, authorizeR
   }
 });
 
+// Elective change requests of the class, newest first, with their history.
+// ?status= filters
+router.get("/elective-change-requests", authenticateUser, authorize("elective_change.review"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !CHANGE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${CHANGE_STATUSES.join(", ")}.` });
+    }
+
+    return res.json({ success: true, requests: await listRequests({ classId: req.user.class_id, status }) });
+  } catch (err) {
+    console.error("Error fetching elective change requests:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { note? } (required when rejecting)
+const reviewChange = (approve) => async (req, res) => {
+  try {
+    const note = req.body?.note ? String(req.body.note).trim().slice(0, MAX_REASON_LENGTH) : null;
+    if (!approve && !note) {
+      return res.status(400).json({ success: false, error: "note is required when rejecting a request." });
+    }
+
+    const request = await loadRequest(req.params.id);
+    if (!request || request.class_id !== req.user.class_id) {
+      return res.status(404).json({ success: false, error: "Change request not found." });
+    }
+
+    const { request: updated, status, error } = await reviewRequest(req, request, { stage: "class_teacher", approve, note });
+    if (error) return res.status(status).json({ success: false, error });
+
+    return res.json({
+      success: true,
+      status: updated.status,
+      message: {
+        approved: "Change approved and applied.",
+        awaiting_hod: "Change approved and sent to the HOD.",
+        rejected: "Change request rejected.",
+      }[updated.status],
+    });
+  } catch (err) {
+    console.error("Error reviewing elective change request:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+router.post("/elective-change-requests/:id/approve", authenticateUser, authorize("elective_change.review"), reviewChange(true));
+router.post("/elective-change-requests/:id/reject", authenticateUser, authorize("elective_change.review"), reviewChange(false));
+
 export default router;
@@ -4,20 +4,476 @@ import xlsx from "xlsx";
 import bcrypt from "bcryptjs";
 import fs from "fs"
 import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles  } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import {
+  subjectScope,
+  studentScope,
+  studentSubjectScope,
+  defaulterUploadScope,
+  defaulterAssignmentScope,
+} from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { recalculateStudents } from "../utils/attendance.js";
+import { findChoices } from "../utils/electiveCategories.js";
+import {
+  filterSubjectDefaulters,
+  loadSubjectStatuses,
+  getSubjectStatus,
+  setManualStatus,
+  clearManualStatus,
+} from "../utils/defaulterStatus.js";
+import {
+  UPLOAD_STATUSES,
+  REVIEW_DECISIONS,
+  MAX_UPLOAD_FILES,
+  storeUploadFiles,
+  removeUploadFiles,
+  readUploadFile,
+  sendUploadFile,
+  latestUpload,
+  latestUploads,
+  publicFiles,
+  publicUpload,
+} from "../utils/defaulterUploads.js";
+import { acceptFiles } from "../middlewares/upload.js";
+import { parseDeadline, deadlineState, graceEndsAt } from "../utils/deadlines.js";
+import { chunk, selectAll } from "../utils/queries.js";
 
 
 const upload = multer({ dest: "uploads/" });
 
-const calculateDefaulter = (attendance) => attendance < 75;
-
 const router = express.Router();
 
-router.post("/assign-defaulter-work", authenticateUser, authorizeRoles("faculty", "hod", "class_teacher"),
+// Students who should receive `user`'s defaulter work for a subject: the
+// class (class teacher) or the classes/batches the faculty teaches it to, plus
+// students who chose the faculty for it as an elective, narrowed down to those
+// who are defaulters in that subject.
+const resolveDefaulterStudents = async (user, subject_id) => {
+  const faculty_id = user.id;
+
+  // Check multiple sources: faculty_subjects, department_offered_subjects, and elective choices
+  let studentIds = [];
+  
+  // First, check if this is an elective subject: one any student chose
+  const electiveChoices = await findChoices({ subjectId: subject_id });
+  const isElectiveSubject = electiveChoices.length > 0;
+
+  // Students who chose this faculty for this subject
+  const electiveStudentIds = [...new Set(
+    electiveChoices.filter(choice => choice.faculty_id === faculty_id).map(choice => choice.student_id)
+  )];
+
+  if (user.role === "class_teacher" && user.class_id) {
+    if (isElectiveSubject) {
+      // For elective subjects, only get students who selected this faculty for this subject
+      if (electiveStudentIds.length > 0) {
+        const { data: electiveStudents, error: electiveStudentsError } = await supabase
+          .from('students')
+          .select('id')
+          .in('id', electiveStudentIds)
+          .eq('class_id', user.class_id);
+
+        if (!electiveStudentsError && electiveStudents) {
+          studentIds = electiveStudents.map(s => s.id);
+        }
+      }
+    } else {
+      // For regular subjects, get all students from their class
+      const { data: classStudents, error: classStudentsError } = await supabase
+        .from("students")
+        .select("id")
+        .eq("class_id", user.class_id);
+
+      if (classStudentsError) throw classStudentsError;
+      studentIds = (classStudents || []).map(s => s.id);
+    }
+  } else {
+    // For faculty, check faculty_subjects first
+    const { data: facultySubjectData, error: facultySubjectError } = await supabase
+      .from("faculty_subjects")
+      .select("class_id, batch_id")
+      .eq("faculty_id", faculty_id)
+      .eq("subject_id", subject_id);
+
+    if (!facultySubjectError && facultySubjectData && facultySubjectData.length > 0) {
+      // Get students from faculty_subjects assignments
+      for (const assignment of facultySubjectData) {
+        let query = supabase
+          .from("students")
+          .select("id")
+          .eq("class_id", assignment.class_id);
+
+        if (assignment.batch_id) {
+          query = query.eq("batch_id", assignment.batch_id);
+        }
+
+        const { data: students, error: studentsError } = await query;
+        if (!studentsError && students) {
+          studentIds.push(...students.map(s => s.id));
+        }
+      }
+    }
+
+    // Elective choices are the authoritative source for which students selected which faculty
+    if (electiveStudentIds.length > 0) {
+      const { data: electiveStudents, error: electiveStudentsError } = await supabase
+        .from('students')
+        .select('id')
+        .in('id', electiveStudentIds);
+
+      if (!electiveStudentsError && electiveStudents) {
+        studentIds.push(...electiveStudents.map(s => s.id));
+      }
+    }
+  }
+
+  // Keep only students who are defaulters in this subject
+  return filterSubjectDefaulters(subject_id, studentIds);
+};
+
+const ASSIGNMENT_COLUMNS = "id, faculty_id, subject_id, batch_id, target_role, target_class_id, title, instruction_text, reference_link, attachments, skip, due_at, grace_hours, created_at, updated_at";
+
+// The role context an assignment targets students from, saved when it's
+// created: work set as class teacher keeps going to the class and work set
+// as faculty to the faculty's sections, whatever context it's edited from
+const targetContext = (user) => ({
+  target_role: user.role,
+  target_class_id: user.role === "class_teacher" ? user.class_id || null : null,
+});
+
+// Shared fields of an assignment from a request body. With `current`, fields
+// missing from the body keep their current value (used for edits).
+// Returns { error } or { value }
+const parseAssignmentFields = (body, current = null) => {
+  const value = {};
+
+  if (body.skip !== undefined) {
+    if (typeof body.skip !== "boolean") return { error: "skip must be true or false." };
+    value.skip = body.skip;
+  } else if (!current) {
+    value.skip = false;
+  }
+
+  for (const field of ["title", "instruction_text", "reference_link"]) {
+    if (body[field] != null && typeof body[field] !== "string") {
+      return { error: `${field} must be text.` };
+    }
+  }
+
+  if (body.title !== undefined || !current) {
+    value.title = (body.title || "").trim() || null;
+  }
+  if (body.instruction_text !== undefined || !current) {
+    value.instruction_text = body.instruction_text || "No instructions provided.";
+  }
+  if (value.skip === true) {
+    value.instruction_text = "Skipped by faculty";
+  }
+  if (body.reference_link !== undefined || !current) {
+    value.reference_link = body.reference_link || null;
+  }
+
+  if (body.due_at !== undefined || body.grace_hours !== undefined || !current) {
+    const deadline = parseDeadline({
+      due_at: body.due_at !== undefined ? body.due_at : current?.due_at,
+      grace_hours: body.grace_hours !== undefined ? body.grace_hours : current?.grace_hours,
+    });
+    if (deadline.error) return { error: deadline.error };
+
+    value.due_at = deadline.value.due_at;
+    value.grace_hours = deadline.value.grace_hours;
+  }
+
+  return { value };
+};
+
+// The students of `studentIds` who are in the given batch
+const studentsInBatch = async (studentIds, batch_id) => {
+  const inBatch = [];
+
+  for (const part of chunk([...new Set(studentIds)])) {
+    const { data, error } = await supabase
+      .from("students")
+      .select("id")
+      .in("id", part)
+      .eq("batch_id", batch_id);
+
+    if (error) throw error;
+    inBatch.push(...(data || []).map(s => s.id));
+  }
+
+  return inBatch;
+};
+
+// Assignments from before the targeting context was saved fall back to the
+// caller's current context
+const assignmentTargets = async (user, assignment) => {
+  const creator = assignment.target_role
+    ? { id: assignment.faculty_id, role: assignment.target_role, class_id: assignment.target_class_id }
+    : user;
+  const studentIds = await resolveDefaulterStudents(creator, assignment.subject_id);
+  return assignment.batch_id ? studentsInBatch(studentIds, assignment.batch_id) : studentIds;
+};
+
+const insertProgressRows = async (assignment, studentIds) => {
+  if (studentIds.length === 0) return;
+
+  // Note: status field has a check constraint that only allows "pending" or "completed"
+  // We use the skip boolean field to indicate if work is skipped, not the status field
+  const { error } = await supabase
+    .from("defaulter_submissions")
+    .insert(studentIds.map(student_id => ({
+      assignment_id: assignment.id,
+      student_id,
+      subject_id: assignment.subject_id,
+      faculty_id: assignment.faculty_id,
+      created_at: new Date().toISOString(),
+      skip: assignment.skip,
+      status: "pending",
+    })));
+
+  if (error) throw error;
+};
+
+// Per-student progress rows of an assignment
+const loadProgressRows = async (assignmentId) => selectAll(() => supabase
+  .from("defaulter_submissions")
+  .select("id, student_id, status, skip, created_at, students ( roll_no, name, class_id, batch_id )")
+  .eq("assignment_id", assignmentId)
+  .order("created_at", { ascending: true })
+  .order("id", { ascending: true }));
+
+// Progress rows of many assignments. A few dozen assignments over full
+// classes pass the 1000-row response cap, so every chunk is paged.
+const loadAssignmentRows = async (assignmentIds, columns) => {
+  const rows = [];
+
+  for (const part of chunk(assignmentIds)) {
+    rows.push(...await selectAll(() => supabase
+      .from("defaulter_submissions")
+      .select(columns)
+      .in("assignment_id", part)
+      .order("id", { ascending: true })));
+  }
+  return rows;
+};
+
+// Delete progress rows that are still pending, in chunks that keep the
+// .in() filter within URL length limits. Returns the deleted rows.
+const deletePendingRows = async (ids) => {
+  const deleted = [];
+
+  for (const part of chunk(ids)) {
+    const { data, error } = await supabase
+      .from("defaulter_submissions")
+      .delete()
+      .in("id", part)
+      .eq("status", "pending")
+      .select("id, student_id, status, skip");
+
+    if (error) throw error;
+    deleted.push(...(data || []));
+  }
+
+  return deleted;
+};
+
+// Outstanding rows that can be withdrawn: not completed and nothing handed in
+const withdrawableRows = async (rows) => {
+  const outstanding = rows.filter(row => row.status !== "completed");
+  const uploads = await latestUploads(outstanding.map(row => row.id));
+
+  return {
+    withdrawable: outstanding.filter(row => !uploads.has(row.id)),
+    kept: outstanding.filter(row => uploads.has(row.id)),
+  };
+};
+
+// Bring an assignment's recipients in line with the current defaulters:
+// students who became defaulters get the work, students who no longer are
+// lose it. Completed work and work with uploads is never withdrawn.
+const syncAssignment = async (user, assignment) => {
+  const rows = await loadProgressRows(assignment.id);
+  const targets = new Set(await assignmentTargets(user, assignment));
+  const assigned = new Set(rows.map(row => row.student_id));
+
+  const added = [...targets].filter(id => !assigned.has(id));
+  await insertProgressRows(assignment, added);
+
+  const { withdrawable, kept } = await withdrawableRows(rows.filter(row => !targets.has(row.student_id)));
+  const withdrawn = await deletePendingRows(withdrawable.map(row => row.id));
+
+  return {
+    added,
+    withdrawn: withdrawn.map(row => row.student_id),
+    kept: kept.map(row => row.student_id),
+  };
+};
+
+// Completion breakdown of an assignment from its progress rows
+const progressBreakdown = (assignment, rows, uploads, now = new Date()) => {
+  const breakdown = { total: 0, completed: 0, submitted: 0, pending: 0, skipped: 0, overdue: 0, late: 0 };
+
+  rows.forEach(row => {
+    const upload = uploads.get(row.id);
+    const deadline = deadlineState({ ...assignment, status: row.status, skip: row.skip }, {
+      handedInAt: upload?.first_submitted_at,
+      pendingReview: upload?.status === "submitted",
+      now,
+    });
+
+    breakdown.total++;
+    if (row.skip) breakdown.skipped++;
+    else if (deadline.state === "completed") breakdown.completed++;
+    else if (deadline.state === "submitted") breakdown.submitted++;
+    else breakdown.pending++;
+
+    if (deadline.overdue) breakdown.overdue++;
+    if (deadline.late) breakdown.late++;
+  });
+
+  breakdown.completion_percent = breakdown.total > 0
+    ? Math.round(((breakdown.completed + breakdown.skipped) / breakdown.total) * 100)
+    : 0;
+
+  return breakdown;
+};
+
+const publicAssignment = (assignment) => {
+  const graceEnd = graceEndsAt(assignment);
+  return {
+    ...assignment,
+    attachments: publicFiles(assignment.attachments),
+    grace_ends_at: graceEnd ? graceEnd.toISOString() : null,
+  };
+};
+
+// Create an assignment and a progress row for every student it targets
+// (looked up unless the caller already did)
+const createAssignment = async (req, fields, targets = null) => {
+  const { data: assignment, error } = await supabase
+    .from("defaulter_assignments")
+    .insert([{
+      ...fields,
+      ...targetContext(req.user),
+      faculty_id: req.user.id,
+      attachments: [],
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }])
+    .select(ASSIGNMENT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  const studentIds = targets || await assignmentTargets(req.user, assignment);
+
+  console.log('📝 Assigning defaulter work:');
+  console.log('   Assignment ID:', assignment.id);
+  console.log('   Subject ID:', assignment.subject_id);
+  console.log('   Student IDs found:', studentIds.length);
+
+  await insertProgressRows(assignment, studentIds);
+
+  await recordAudit(req, {
+    action: "defaulter.assign",
+    entity: "defaulter_assignments",
+    entity_id: assignment.id,
+    after: { ...assignment, student_ids: studentIds },
+  });
+
+  return { assignment, studentIds };
+};
+
+// The batch must exist; a class teacher can only scope to a batch of their class
+const validateBatch = async (user, batch_id) => {
+  if (!batch_id) return null;
+
+  const { data: batch, error } = await supabase
+    .from("batches")
+    .select("id, class_id")
+    .eq("id", batch_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!batch) return "Batch not found.";
+  if (user.role === "class_teacher" && user.class_id && batch.class_id !== user.class_id) {
+    return "The batch is not part of your class.";
+  }
+  return null;
+};
+
+// Assignments can only be changed by the faculty who created them
+const ownAssignment = (req, res, next) => {
+  if (req.assignment.faculty_id !== req.user.id) {
+    return res.status(403).json({ success: false, error: "Only the faculty who created this assignment can change it." });
+  }
+  next();
+};
+
+// Loads :id into req.assignment once its scope has been checked
+const loadAssignment = async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from("defaulter_assignments")
+      .select(ASSIGNMENT_COLUMNS)
+      .eq("id", req.params.id)
+      .single();
+
+    if (error) throw error;
+    req.assignment = data;
+    next();
+  } catch (err) {
+    console.error("Error loading defaulter assignment:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+const assignmentAccess = (action) => [
+  authenticateUser,
+  authorize(action, defaulterAssignmentScope(req => req.params.id)),
+  loadAssignment,
+];
+
+// Create a defaulter assignment for a subject.
+// Body: { subject_id, title?, instruction_text, reference_link?, batch_id?, skip?, due_at?, grace_hours? }
+router.post("/assignments", authenticateUser, authorize("defaulter.assign", subjectScope(req => req.body.subject_id)),
   async (req, res) => {
     try {
-      const { subject_id, instruction_text, reference_link, skip } = req.body;
-      const faculty_id = req.user.id;
+      const { subject_id, batch_id } = req.body;
+
+      const fields = parseAssignmentFields(req.body);
+      if (fields.error) {
+        return res.status(400).json({ success: false, error: fields.error });
+      }
+
+      const batchError = await validateBatch(req.user, batch_id);
+      if (batchError) {
+        return res.status(400).json({ success: false, error: batchError });
+      }
+
+      const { assignment, studentIds } = await createAssignment(req, {
+        ...fields.value,
+        subject_id,
+        batch_id: batch_id || null,
+      });
+
+      return res.status(201).json({
+        success: true,
+        assignment: publicAssignment(assignment),
+        total_assigned: studentIds.length,
+      });
+    } catch (err) {
+      console.error("Error creating defaulter assignment:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+router.post("/assign-defaulter-work", authenticateUser, authorize("defaulter.assign", subjectScope(req => req.body.subject_id)),
+  async (req, res) => {
+    try {
+      const { subject_id, skip } = req.body;
 
       if (!subject_id) {
         return res
@@ -25,173 +481,35 @@ router.post("/assign-defaulter-work", authenticateUser, authorizeRoles("faculty"
           .json({ success: false, error: "subject_id is required." });
       }
 
-      // Step 1: Get students for this subject
-      // Check multiple sources: faculty_subjects, department_offered_subjects, and student_subject_selection
-      let studentIds = [];
-      
-      // First, check if this is an elective subject by checking student_subject_selection
-      const { data: electiveCheck, error: electiveCheckError } = await supabase
-        .from('student_subject_selection')
-        .select('student_id, mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id')
-        .or(`mdm_id.eq.${subject_id},oe_id.eq.${subject_id},pe_id.eq.${subject_id}`)
-        .limit(1);
-
-      const isElectiveSubject = !electiveCheckError && electiveCheck && electiveCheck.length > 0;
-
-      if (req.user.role === "class_teacher" && req.user.class_id) {
-        if (isElectiveSubject) {
-          // For elective subjects, only get students who selected this faculty for this subject
-          const { data: electiveSelections, error: electiveError } = await supabase
-            .from('student_subject_selection')
-            .select('student_id, mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id')
-            .or(`mdm_faculty_id.eq.${faculty_id},oe_faculty_id.eq.${faculty_id},pe_faculty_id.eq.${faculty_id}`);
-
-          if (!electiveError && electiveSelections) {
-            const electiveStudentIds = [];
-            electiveSelections.forEach(selection => {
-              if ((selection.mdm_faculty_id === faculty_id && selection.mdm_id === subject_id) ||
-                  (selection.oe_faculty_id === faculty_id && selection.oe_id === subject_id) ||
-                  (selection.pe_faculty_id === faculty_id && selection.pe_id === subject_id)) {
-                electiveStudentIds.push(selection.student_id);
-              }
-            });
-
-            if (electiveStudentIds.length > 0) {
-              const { data: electiveStudents, error: electiveStudentsError } = await supabase
-                .from('students')
-                .select('id')
-                .in('id', electiveStudentIds)
-                .eq('class_id', req.user.class_id)
-                .eq('defaulter', true);
-
-              if (!electiveStudentsError && electiveStudents) {
-                studentIds = electiveStudents.map(s => s.id);
-              }
-            }
-          }
-        } else {
-          // For regular subjects, get all defaulter students from their class
-          const { data: classStudents, error: classStudentsError } = await supabase
-            .from("students")
-            .select("id")
-            .eq("class_id", req.user.class_id)
-            .eq("defaulter", true);
-
-          if (classStudentsError) throw classStudentsError;
-          studentIds = (classStudents || []).map(s => s.id);
-        }
-      } else {
-        // For faculty, check faculty_subjects first
-        const { data: facultySubjectData, error: facultySubjectError } = await supabase
-          .from("faculty_subjects")
-          .select("class_id, batch_id")
-          .eq("faculty_id", faculty_id)
-          .eq("subject_id", subject_id);
-
-        if (!facultySubjectError && facultySubjectData && facultySubjectData.length > 0) {
-          // Get students from faculty_subjects assignments
-          for (const assignment of facultySubjectData) {
-            let query = supabase
-              .from("students")
-              .select("id")
-              .eq("class_id", assignment.class_id)
-              .eq("defaulter", true);
-
-            if (assignment.batch_id) {
-              query = query.eq("batch_id", assignment.batch_id);
-            }
-
-            const { data: students, error: studentsError } = await query;
-            if (!studentsError && students) {
-              studentIds.push(...students.map(s => s.id));
-            }
-          }
-        }
-
-        // Check student_subject_selection for elective subjects
-        // This is the authoritative source for which students selected which faculty
-        const { data: electiveSelections, error: electiveError } = await supabase
-          .from('student_subject_selection')
-          .select('student_id, mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id')
-          .or(`mdm_faculty_id.eq.${faculty_id},oe_faculty_id.eq.${faculty_id},pe_faculty_id.eq.${faculty_id}`);
-
-        if (!electiveError && electiveSelections) {
-          const electiveStudentIds = [];
-          electiveSelections.forEach(selection => {
-            if ((selection.mdm_faculty_id === faculty_id && selection.mdm_id === subject_id) ||
-                (selection.oe_faculty_id === faculty_id && selection.oe_id === subject_id) ||
-                (selection.pe_faculty_id === faculty_id && selection.pe_id === subject_id)) {
-              electiveStudentIds.push(selection.student_id);
-            }
-          });
-
-          if (electiveStudentIds.length > 0) {
-            const { data: electiveStudents, error: electiveStudentsError } = await supabase
-              .from('students')
-              .select('id')
-              .in('id', electiveStudentIds)
-              .eq('defaulter', true);
-
-            if (!electiveStudentsError && electiveStudents) {
-              studentIds.push(...electiveStudents.map(s => s.id));
-            }
-          }
-        }
+      const fields = parseAssignmentFields({ ...req.body, skip: skip === undefined ? undefined : !!skip });
+      if (fields.error) {
+        return res.status(400).json({ success: false, error: fields.error });
       }
 
-      // Remove duplicates
-      studentIds = [...new Set(studentIds)];
-
-      console.log('📝 Assigning defaulter work:');
-      console.log('   Subject ID:', subject_id);
-      console.log('   Faculty ID:', faculty_id);
-      console.log('   Student IDs found:', studentIds.length);
-      console.log('   Students:', studentIds);
-
-      // Step 2: Check if we found any defaulter students
-      if (!studentIds || studentIds.length === 0) {
+      // Only create the assignment when there is someone to give it to
+      const studentIds = await resolveDefaulterStudents(req.user, subject_id);
+      if (studentIds.length === 0) {
         return res.status(200).json({
           success: true,
           message: "No defaulter students found for this subject.",
         });
       }
 
-      // Step 3: Insert instruction for all defaulter students
-      // Note: status field has a check constraint that only allows "pending" or "completed"
-      // We use the skip boolean field to indicate if work is skipped, not the status field
-      const insertPayload = studentIds.map((student_id) => ({
-        student_id,
+      const { assignment, studentIds: assigned } = await createAssignment(req, {
+        ...fields.value,
         subject_id,
-        faculty_id,
-        submission_text: skip
-          ? "Skipped by faculty"
-          : instruction_text || "No instructions provided.",
-        reference_link: reference_link || null,
-        created_at: new Date().toISOString(),
-        skip: !!skip,
-        status: "pending", // Status must be "pending" or "completed" per constraint
-      }));
-
-      console.log('📝 Insert payload count:', insertPayload.length);
-      console.log('📝 Sample payload:', insertPayload[0]);
-
-      const { error: insertError } = await supabase
-        .from("defaulter_submissions")
-        .insert(insertPayload);
-
-      if (insertError) {
-        console.error("❌ Insert error details:", insertError);
-        throw insertError;
-      }
+        batch_id: null,
+      }, studentIds);
 
-      console.log('✅ Defaulter work assigned successfully to', insertPayload.length, 'students');
+      console.log('✅ Defaulter work assigned successfully to', assigned.length, 'students');
 
       return res.status(201).json({
         success: true,
         message: skip
           ? "Marked as skipped for all defaulter students."
           : "Defaulter work assigned successfully.",
-        total_assigned: insertPayload.length,
+        assignment_id: assignment.id,
+        total_assigned: assigned.length,
       });
     } catch (err) {
       console.error("Error assigning defaulter work:", err);
@@ -200,49 +518,91 @@ router.post("/assign-defaulter-work", authenticateUser, authorizeRoles("faculty"
   }
 );
 
-// Get defaulter submissions for faculty
-router.get("/submissions", authenticateUser, authorizeRoles("faculty", "hod", "class_teacher"),
+// The faculty's defaulter assignments with a completion breakdown each
+// GET /api/defaulter/assignments?subject_id=...
+router.get("/assignments", authenticateUser, authorize("defaulter.read"),
+  async (req, res) => {
+    try {
+      const assignments = await selectAll(() => {
+        const query = supabase
+          .from("defaulter_assignments")
+          .select(`${ASSIGNMENT_COLUMNS}, subjects ( id, name, subject_code, type )`)
+          .eq("faculty_id", req.user.id)
+          .order("created_at", { ascending: false })
+          .order("id", { ascending: true });
+
+        return req.query.subject_id ? query.eq("subject_id", req.query.subject_id) : query;
+      });
+
+      const rows = await loadAssignmentRows(assignments.map(a => a.id), "id, assignment_id, status, skip");
+
+      const uploads = await latestUploads(rows.map(row => row.id));
+      const now = new Date();
+
+      return res.json({
+        success: true,
+        assignments: assignments.map(assignment => ({
+          ...publicAssignment(assignment),
+          progress: progressBreakdown(assignment, rows.filter(row => row.assignment_id === assignment.id), uploads, now),
+        })),
+      });
+    } catch (err) {
+      console.error("Error fetching defaulter assignments:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Get defaulter submissions for faculty: one entry per assignment, with the
+// deadline state of every student's work
+router.get("/submissions", authenticateUser, authorize("defaulter.read"),
   async (req, res) => {
     try {
       const faculty_id = req.user.id;
 
-      // Get unique defaulter work assignments (grouped by subject)
-      const { data: submissions, error } = await supabase
-        .from("defaulter_submissions")
-        .select(`
-          id,
-          subject_id,
-          submission_text,
-          reference_link,
-          skip,
-          created_at,
-          subjects (
-            id,
-            name,
-            subject_code,
-            type
-          )
-        `)
+      const assignments = await selectAll(() => supabase
+        .from("defaulter_assignments")
+        .select(`${ASSIGNMENT_COLUMNS}, subjects ( id, name, subject_code, type )`)
         .eq("faculty_id", faculty_id)
-        .order("created_at", { ascending: false });
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: true }));
 
-      if (error) throw error;
+      const submissions = await loadAssignmentRows(
+        assignments.map(a => a.id),
+        "id, assignment_id, student_id, status, skip, students ( roll_no, name )"
+      );
 
-      // Group by subject and get the latest submission for each
-      const groupedSubmissions = {};
-      submissions?.forEach(sub => {
-        const subjectId = sub.subject_id;
-        if (!groupedSubmissions[subjectId] || 
-            new Date(sub.created_at) > new Date(groupedSubmissions[subjectId].created_at)) {
-          groupedSubmissions[subjectId] = sub;
-        }
-      });
+      const uploads = await latestUploads(submissions.map(sub => sub.id));
+      const now = new Date();
+
+      const result = assignments.map(assignment => {
+        const rows = submissions.filter(sub => sub.assignment_id === assignment.id);
+        const overdueStudents = rows
+          .filter(row => deadlineState({ ...assignment, status: row.status, skip: row.skip }, {
+            handedInAt: uploads.get(row.id)?.first_submitted_at,
+            pendingReview: uploads.get(row.id)?.status === "submitted",
+            now,
+          }).overdue)
+          .map(row => ({
+            student_id: row.student_id,
+            roll_no: row.students?.roll_no || null,
+            name: row.students?.name || null,
+          }));
 
-      const uniqueSubmissions = Object.values(groupedSubmissions);
+        return {
+          ...publicAssignment(assignment),
+          // Field names of the per-subject listing this replaced
+          submission_text: assignment.instruction_text,
+          deadline: {
+            ...progressBreakdown(assignment, rows, uploads, now),
+            overdue_students: overdueStudents,
+          },
+        };
+      });
 
       return res.json({
         success: true,
-        submissions: uniqueSubmissions,
+        submissions: result,
       });
     } catch (err) {
       console.error("Error fetching defaulter submissions:", err);
@@ -251,29 +611,236 @@ router.get("/submissions", authenticateUser, authorizeRoles("faculty", "hod", "c
   }
 );
 
-// Delete defaulter work for a subject
-router.delete("/submissions/:subject_id", authenticateUser, authorizeRoles("faculty", "hod", "class_teacher"),
+// One assignment with every student's progress
+router.get("/assignments/:id", ...assignmentAccess("defaulter.read"),
   async (req, res) => {
     try {
-      const { subject_id } = req.params;
-      const faculty_id = req.user.id;
+      const assignment = req.assignment;
+      const rows = await loadProgressRows(assignment.id);
+      const uploads = await latestUploads(rows.map(row => row.id));
+      const now = new Date();
 
-      if (!subject_id) {
-        return res.status(400).json({ success: false, error: "subject_id is required." });
+      const students = rows.map(row => {
+        const upload = uploads.get(row.id);
+        const deadline = deadlineState({ ...assignment, status: row.status, skip: row.skip }, {
+          handedInAt: upload?.first_submitted_at,
+          pendingReview: upload?.status === "submitted",
+          now,
+        });
+
+        return {
+          submission_id: row.id,
+          student_id: row.student_id,
+          roll_no: row.students?.roll_no || null,
+          name: row.students?.name || null,
+          status: row.status,
+          skip: row.skip,
+          deadline_state: deadline.state,
+          overdue: deadline.overdue,
+          late: deadline.late,
+          latest_upload: upload ? {
+            id: upload.id,
+            version: upload.version,
+            status: upload.status,
+            submitted_at: upload.submitted_at,
+          } : null,
+        };
+      });
+
+      return res.json({
+        success: true,
+        assignment: publicAssignment(assignment),
+        progress: progressBreakdown(assignment, rows, uploads, now),
+        students,
+      });
+    } catch (err) {
+      console.error("Error fetching defaulter assignment:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Edit an assignment for every recipient, then re-target it. Progress rows
+// are kept as they are.
+// Body (all optional): { title, instruction_text, reference_link, skip, due_at, grace_hours }
+router.put("/assignments/:id", ...assignmentAccess("defaulter.assign"), ownAssignment,
+  async (req, res) => {
+    try {
+      const before = req.assignment;
+
+      const fields = parseAssignmentFields(req.body, before);
+      if (fields.error) {
+        return res.status(400).json({ success: false, error: fields.error });
+      }
+      if (Object.keys(fields.value).length === 0) {
+        return res.status(400).json({ success: false, error: "Nothing to update." });
+      }
+
+      const { data: assignment, error } = await supabase
+        .from("defaulter_assignments")
+        .update({ ...fields.value, updated_at: new Date().toISOString() })
+        .eq("id", before.id)
+        .select(ASSIGNMENT_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      // Skipping applies to everyone who hasn't completed the work yet
+      if (fields.value.skip !== undefined && fields.value.skip !== before.skip) {
+        const { error: skipError } = await supabase
+          .from("defaulter_submissions")
+          .update({ skip: fields.value.skip })
+          .eq("assignment_id", before.id)
+          .neq("status", "completed");
+
+        if (skipError) throw skipError;
+      }
+
+      // A new deadline gets its own reminder and escalation
+      if (assignment.due_at !== before.due_at || assignment.grace_hours !== before.grace_hours) {
+        const { error: resetError } = await supabase
+          .from("defaulter_submissions")
+          .update({ reminded_at: null, escalated_at: null })
+          .eq("assignment_id", before.id);
+
+        if (resetError) throw resetError;
+      }
+
+      const sync = await syncAssignment(req.user, assignment);
+
+      await recordAudit(req, {
+        action: "defaulter.update",
+        entity: "defaulter_assignments",
+        entity_id: assignment.id,
+        before,
+        after: { ...assignment, ...sync },
+      });
+
+      return res.json({
+        success: true,
+        message: "Defaulter work updated successfully.",
+        assignment: publicAssignment(assignment),
+        ...sync,
+      });
+    } catch (err) {
+      console.error("Error updating defaulter work:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Re-target an assignment without editing it
+router.post("/assignments/:id/sync", ...assignmentAccess("defaulter.assign"), ownAssignment,
+  async (req, res) => {
+    try {
+      const sync = await syncAssignment(req.user, req.assignment);
+
+      if (sync.added.length > 0 || sync.withdrawn.length > 0) {
+        await recordAudit(req, {
+          action: "defaulter.sync",
+          entity: "defaulter_assignments",
+          entity_id: req.assignment.id,
+          after: sync,
+        });
       }
 
-      // Delete all defaulter submissions for this subject by this faculty
-      const { error: deleteError } = await supabase
-        .from("defaulter_submissions")
+      return res.json({ success: true, ...sync });
+    } catch (err) {
+      console.error("Error syncing defaulter work:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Withdraw outstanding work of the given assignments. An assignment is
+// deleted once no progress rows are left; completed work and work with
+// uploads stays on record. Returns the deleted progress rows and the kept count.
+const withdrawAssignments = async (assignments) => {
+  const deleted = [];
+  let kept = 0;
+
+  for (const assignment of assignments) {
+    const rows = await loadProgressRows(assignment.id);
+    const { withdrawable } = await withdrawableRows(rows);
+
+    const removed = await deletePendingRows(withdrawable.map(row => row.id));
+    deleted.push(...removed.map(row => ({ ...row, assignment_id: assignment.id })));
+
+    const remaining = rows.length - removed.length;
+    kept += remaining;
+
+    if (remaining === 0) {
+      await removeUploadFiles(assignment.attachments);
+
+      const { error } = await supabase
+        .from("defaulter_assignments")
         .delete()
-        .eq("subject_id", subject_id)
-        .eq("faculty_id", faculty_id);
+        .eq("id", assignment.id);
+
+      if (error) throw error;
+    }
+  }
 
-      if (deleteError) throw deleteError;
+  return { deleted, kept };
+};
+
+router.delete("/assignments/:id", ...assignmentAccess("defaulter.assign"), ownAssignment,
+  async (req, res) => {
+    try {
+      const { deleted, kept } = await withdrawAssignments([req.assignment]);
+
+      await recordAudit(req, {
+        action: "defaulter.delete",
+        entity: "defaulter_assignments",
+        entity_id: req.assignment.id,
+        before: { ...req.assignment, submissions: deleted },
+      });
+
+      return res.json({
+        success: true,
+        message: kept > 0
+          ? "Outstanding defaulter work withdrawn; completed and handed-in work is kept."
+          : "Defaulter assignment deleted successfully.",
+        total_deleted: deleted.length,
+        kept,
+      });
+    } catch (err) {
+      console.error("Error deleting defaulter assignment:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Withdraw all of the faculty's defaulter work for a subject. Completed work stays on record.
+router.delete("/submissions/:subject_id", authenticateUser, authorize("defaulter.assign"),
+  async (req, res) => {
+    try {
+      const { subject_id } = req.params;
+
+      const { data: assignments, error } = await supabase
+        .from("defaulter_assignments")
+        .select(ASSIGNMENT_COLUMNS)
+        .eq("faculty_id", req.user.id)
+        .eq("subject_id", subject_id);
+
+      if (error) throw error;
+
+      const { deleted, kept } = await withdrawAssignments(assignments || []);
+
+      if (deleted.length > 0) {
+        await recordAudit(req, {
+          action: "defaulter.delete",
+          entity: "defaulter_submissions",
+          entity_id: subject_id,
+          before: { subject_id, submissions: deleted },
+        });
+      }
 
       return res.json({
         success: true,
         message: "Defaulter work deleted successfully.",
+        total_deleted: deleted.length,
+        kept_with_uploads: kept,
       });
     } catch (err) {
       console.error("Error deleting defaulter work:", err);
@@ -282,4 +849,389 @@ router.delete("/submissions/:subject_id", authenticateUser, authorizeRoles("facu
   }
 );
 
+// Attach reference files to an assignment (multipart "files")
+router.post("/assignments/:id/attachments", ...assignmentAccess("defaulter.assign"), ownAssignment,
+  acceptFiles("files", MAX_UPLOAD_FILES),
+  async (req, res) => {
+    try {
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ success: false, error: "No file uploaded" });
+      }
+
+      const current = req.assignment.attachments || [];
+      if (current.length + files.length > MAX_UPLOAD_FILES) {
+        return res.status(400).json({ success: false, error: `An assignment can have at most ${MAX_UPLOAD_FILES} attachments.` });
+      }
+
+      const stored = await storeUploadFiles(`defaulter-assignments/${req.assignment.id}`, files);
+
+      const { data: assignment, error } = await supabase
+        .from("defaulter_assignments")
+        .update({ attachments: [...current, ...stored], updated_at: new Date().toISOString() })
+        .eq("id", req.assignment.id)
+        .select(ASSIGNMENT_COLUMNS)
+        .single();
+
+      if (error) {
+        await removeUploadFiles(stored);
+        throw error;
+      }
+
+      await recordAudit(req, {
+        action: "defaulter.attachment_add",
+        entity: "defaulter_assignments",
+        entity_id: assignment.id,
+        before: { attachments: publicFiles(current) },
+        after: { attachments: publicFiles(assignment.attachments) },
+      });
+
+      return res.status(201).json({ success: true, assignment: publicAssignment(assignment) });
+    } catch (err) {
+      console.error("Error adding assignment attachment:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+router.get("/assignments/:id/attachments/:index", ...assignmentAccess("defaulter.read"),
+  async (req, res) => {
+    try {
+      const stored = await readUploadFile({ files: req.assignment.attachments }, req.params.index);
+      if (!stored) {
+        return res.status(404).json({ success: false, error: "File not found" });
+      }
+
+      return sendUploadFile(res, stored);
+    } catch (err) {
+      console.error("Error downloading assignment attachment:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+router.delete("/assignments/:id/attachments/:index", ...assignmentAccess("defaulter.assign"), ownAssignment,
+  async (req, res) => {
+    try {
+      const current = req.assignment.attachments || [];
+      const index = Number(req.params.index);
+      const file = current[index];
+
+      if (!file) {
+        return res.status(404).json({ success: false, error: "File not found" });
+      }
+
+      const { data: assignment, error } = await supabase
+        .from("defaulter_assignments")
+        .update({ attachments: current.filter((_, i) => i !== index), updated_at: new Date().toISOString() })
+        .eq("id", req.assignment.id)
+        .select(ASSIGNMENT_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      await removeUploadFiles([file]);
+
+      await recordAudit(req, {
+        action: "defaulter.attachment_remove",
+        entity: "defaulter_assignments",
+        entity_id: assignment.id,
+        before: { attachments: publicFiles(current) },
+        after: { attachments: publicFiles(assignment.attachments) },
+      });
+
+      return res.json({ success: true, assignment: publicAssignment(assignment) });
+    } catch (err) {
+      console.error("Error removing assignment attachment:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Per-subject defaulter status of every student tracked in a subject
+// GET /api/defaulter/status?subject_id=...
+router.get("/status", authenticateUser, authorize("defaulter.read", subjectScope(req => req.query.subject_id)),
+  async (req, res) => {
+    try {
+      const { subject_id } = req.query;
+
+      const statuses = await selectAll(() => supabase
+        .from("student_subject_defaulters")
+        .select(`
+          student_id,
+          subject_id,
+          is_defaulter,
+          status,
+          attendance_percent,
+          threshold,
+          grace_band,
+          source,
+          reason,
+          overridden_by,
+          updated_at,
+          students ( roll_no, name, class_id )
+        `)
+        .eq("subject_id", subject_id)
+        .order("student_id", { ascending: true }));
+
+      return res.json({
+        success: true,
+        subject_id,
+        defaulter_count: statuses.filter(s => s.is_defaulter).length,
+        statuses,
+      });
+    } catch (err) {
+      console.error("Error fetching subject defaulter status:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Defaulter status of one student in each of their subjects
+router.get("/status/students/:studentId", authenticateUser,
+  authorize("defaulter.read", studentScope(req => req.params.studentId)),
+  async (req, res) => {
+    try {
+      const statuses = await loadSubjectStatuses([req.params.studentId], {
+        columns: "subject_id, is_defaulter, status, attendance_percent, threshold, grace_band, source, reason, overridden_by, updated_at, subjects ( name, subject_code, type )",
+      });
+
+      return res.json({ success: true, student_id: req.params.studentId, statuses });
+    } catch (err) {
+      console.error("Error fetching student defaulter status:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Override a student's defaulter status in one subject
+// Body: { is_defaulter: boolean, reason: string }
+router.put("/status/students/:studentId/subjects/:subjectId", authenticateUser,
+  authorize("defaulter.override", studentSubjectScope(req => req.params.studentId, req => req.params.subjectId)),
+  async (req, res) => {
+    try {
+      const { studentId, subjectId } = req.params;
+      const { is_defaulter, reason } = req.body;
+
+      if (typeof is_defaulter !== "boolean") {
+        return res.status(400).json({ success: false, error: "is_defaulter must be true or false." });
+      }
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ success: false, error: "A reason is required for a manual override." });
+      }
+
+      const before = await getSubjectStatus(studentId, subjectId);
+
+      await setManualStatus({
+        studentId,
+        subjectId,
+        isDefaulter: is_defaulter,
+        reason: String(reason).trim(),
+        userId: req.user.id,
+      });
+
+      const defaulterChanges = await recalculateStudents([studentId]);
+      const status = await getSubjectStatus(studentId, subjectId);
+
+      await recordAudit(req, {
+        action: "defaulter.override",
+        entity: "student_subject_defaulters",
+        entity_id: status.id,
+        before,
+        after: status,
+      });
+
+      return res.json({ success: true, status, defaulter_changes: defaulterChanges });
+    } catch (err) {
+      console.error("Error overriding defaulter status:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Drop a manual override; the status is calculated from attendance again
+router.delete("/status/students/:studentId/subjects/:subjectId", authenticateUser,
+  authorize("defaulter.override", studentSubjectScope(req => req.params.studentId, req => req.params.subjectId)),
+  async (req, res) => {
+    try {
+      const { studentId, subjectId } = req.params;
+
+      const cleared = await clearManualStatus(studentId, subjectId);
+      if (!cleared) {
+        return res.status(404).json({ success: false, error: "No manual override for this student and subject." });
+      }
+
+      const defaulterChanges = await recalculateStudents([studentId]);
+      const status = await getSubjectStatus(studentId, subjectId);
+
+      await recordAudit(req, {
+        action: "defaulter.override_clear",
+        entity: "student_subject_defaulters",
+        entity_id: cleared.id,
+        before: cleared,
+        after: status,
+      });
+
+      return res.json({ success: true, status, defaulter_changes: defaulterChanges });
+    } catch (err) {
+      console.error("Error clearing defaulter override:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Work students handed in for the faculty's defaulter assignments
+// GET /api/defaulter/uploads?subject_id=...&assignment_id=...&status=submitted|accepted|rejected
+router.get("/uploads", authenticateUser, authorize("defaulter.read"),
+  async (req, res) => {
+    try {
+      const { subject_id, status } = req.query;
+
+      if (status && !UPLOAD_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${UPLOAD_STATUSES.join(", ")}` });
+      }
+
+      const uploads = await selectAll(() => {
+        let query = supabase
+          .from("defaulter_work_uploads")
+          .select(`
+            *,
+            defaulter_submissions!inner (
+              id,
+              subject_id,
+              faculty_id,
+              status,
+              assignment_id,
+              subjects ( name, subject_code ),
+              defaulter_assignments ( title )
+            ),
+            students ( roll_no, name, class_id )
+          `)
+          .eq("defaulter_submissions.faculty_id", req.user.id)
+          .order("submitted_at", { ascending: false })
+          .order("id", { ascending: true });
+
+        if (subject_id) query = query.eq("defaulter_submissions.subject_id", subject_id);
+        if (req.query.assignment_id) query = query.eq("defaulter_submissions.assignment_id", req.query.assignment_id);
+        if (status) query = query.eq("status", status);
+        return query;
+      });
+
+      return res.json({ success: true, uploads: uploads.map(publicUpload) });
+    } catch (err) {
+      console.error("Error fetching defaulter work uploads:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Download a file from a student's upload
+router.get("/uploads/:uploadId/files/:index", authenticateUser,
+  authorize("defaulter.read", defaulterUploadScope(req => req.params.uploadId)),
+  async (req, res) => {
+    try {
+      const { data: upload, error } = await supabase
+        .from("defaulter_work_uploads")
+        .select("id, files")
+        .eq("id", req.params.uploadId)
+        .single();
+
+      if (error) throw error;
+
+      const stored = await readUploadFile(upload, req.params.index);
+      if (!stored) {
+        return res.status(404).json({ success: false, error: "File not found" });
+      }
+
+      return sendUploadFile(res, stored);
+    } catch (err) {
+      console.error("Error downloading defaulter work file:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Accept or reject the latest version of a student's upload
+// Body: { decision: "accepted" | "rejected", remarks }
+router.put("/uploads/:uploadId/review", authenticateUser,
+  authorize("defaulter.review", defaulterUploadScope(req => req.params.uploadId)),
+  async (req, res) => {
+    try {
+      const { uploadId } = req.params;
+      const { decision } = req.body;
+
+      if (req.body.remarks != null && typeof req.body.remarks !== "string") {
+        return res.status(400).json({ success: false, error: "remarks must be text." });
+      }
+      const remarks = (req.body.remarks || "").trim() || null;
+
+      if (!REVIEW_DECISIONS.includes(decision)) {
+        return res.status(400).json({ success: false, error: `decision must be one of: ${REVIEW_DECISIONS.join(", ")}` });
+      }
+      if (decision === "rejected" && !remarks) {
+        return res.status(400).json({ success: false, error: "remarks are required when rejecting work." });
+      }
+
+      const { data: upload, error: fetchError } = await supabase
+        .from("defaulter_work_uploads")
+        .select("*")
+        .eq("id", uploadId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      const latest = await latestUpload(upload.defaulter_submission_id);
+      if (latest.id !== upload.id) {
+        return res.status(409).json({ success: false, error: `A newer version (v${latest.version}) has been submitted.` });
+      }
+
+      // Only a pending version can be reviewed, and only once
+      const { data: reviewed, error: updateError } = await supabase
+        .from("defaulter_work_uploads")
+        .update({
+          status: decision,
+          remarks,
+          reviewed_by: req.user.id,
+          reviewed_at: new Date().toISOString(),
+        })
+        .eq("id", upload.id)
+        .eq("status", "submitted")
+        .select("*");
+
+      if (updateError) throw updateError;
+      if (!reviewed || reviewed.length === 0) {
+        return res.status(409).json({ success: false, error: `This upload has already been ${upload.status}.` });
+      }
+
+      if (decision === "accepted") {
+        const { error: workError } = await supabase
+          .from("defaulter_submissions")
+          .update({ status: "completed" })
+          .eq("id", upload.defaulter_submission_id);
+
+        if (workError) throw workError;
+      }
+
+      console.log(`✅ Defaulter work upload ${decision}:`, upload.id);
+
+      await recordAudit(req, {
+        action: "defaulter_work.review",
+        entity: "defaulter_work_uploads",
+        entity_id: upload.id,
+        before: publicUpload(upload),
+        after: publicUpload(reviewed[0]),
+      });
+
+      return res.json({
+        success: true,
+        upload: publicUpload(reviewed[0]),
+        work_status: decision === "accepted" ? "completed" : "pending",
+      });
+    } catch (err) {
+      console.error("Error reviewing defaulter work upload:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
 export default router;
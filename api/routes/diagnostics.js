@@ -0,0 +1,132 @@
+import express from "express";
+import jwt from "jsonwebtoken";
+import { authenticateUser } from "../middlewares/auth.js";
+import { can } from "../utils/permissions.js";
+import { isSessionActive } from "../utils/sessions.js";
+import { pingDatabase, tableHealth } from "../utils/diagnostics.js";
+import { isProduction } from "../utils/environment.js";
+
+const router = express.Router();
+
+// Open in development/staging. In production only a logged-in director gets
+// through; everyone else sees a plain 404 so the module isn't advertised.
+const diagnosticsAccess = (req, res, next) => {
+  if (!isProduction()) return next();
+
+  return authenticateUser(req, res, () => {
+    if (!can(req.user, "diagnostics.read")) {
+      return res.status(404).json({ success: false, error: "Not found" });
+    }
+    next();
+  });
+};
+
+router.use(diagnosticsAccess);
+
+// Decode the bearer token of this request and explain why it is or isn't accepted.
+// Only the caller's own claims are returned.
+const inspectToken = async (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return { present: false };
+  }
+
+  const token = authHeader.split(" ")[1];
+  const result = { present: true, valid: false };
+
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.JWT_SECRET);
+    result.valid = true;
+  } catch (err) {
+    result.error = err.name === "TokenExpiredError" ? "expired" : "invalid";
+    result.reason = err.message;
+    claims = jwt.decode(token);
+  }
+
+  if (!claims || typeof claims !== "object") return result;
+
+  result.claims = {
+    id: claims.id || null,
+    role: claims.role || null,
+    class_id: claims.class_id || null,
+    department_id: claims.department_id || null,
+    batch_id: claims.batch_id || null,
+    roles: Array.isArray(claims.roles) ? claims.roles.length : 0,
+    must_change_password: !!claims.must_change_password,
+    sid: claims.sid || null,
+  };
+  result.issued_at = claims.iat ? new Date(claims.iat * 1000).toISOString() : null;
+  result.expires_at = claims.exp ? new Date(claims.exp * 1000).toISOString() : null;
+  result.expires_in_seconds = claims.exp ? claims.exp - Math.floor(Date.now() / 1000) : null;
+
+  if (result.valid) {
+    if (!claims.sid) {
+      result.session = "missing";
+    } else {
+      try {
+        result.session = (await isSessionActive(claims.sid)) ? "active" : "revoked_or_expired";
+      } catch (err) {
+        result.session = "unknown";
+        result.session_error = err.message;
+      }
+    }
+  }
+
+  return result;
+};
+
+// GET /api/diagnostics
+router.get("/", async (req, res) => {
+  try {
+    const [token, database] = await Promise.all([inspectToken(req), pingDatabase()]);
+
+    res.json({
+      success: true,
+      environment: process.env.NODE_ENV || "development",
+      node: process.version,
+      uptime_seconds: Math.round(process.uptime()),
+      config: {
+        supabase_url: !!process.env.SUPABASE_URL,
+        supabase_key: !!process.env.SUPABASE_SERVICE_KEY,
+        jwt_secret: !!process.env.JWT_SECRET,
+      },
+      token,
+      database,
+    });
+  } catch (err) {
+    console.error("Diagnostics error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/diagnostics/token
+router.get("/token", async (req, res) => {
+  try {
+    res.json({ success: true, token: await inspectToken(req) });
+  } catch (err) {
+    console.error("Token diagnostics error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/diagnostics/db
+router.get("/db", async (req, res) => {
+  const database = await pingDatabase();
+  res.status(database.ok ? 200 : 503).json({ success: database.ok, database });
+});
+
+// GET /api/diagnostics/tables
+// Row count per table; contents are never read
+router.get("/tables", async (req, res) => {
+  try {
+    const health = await tableHealth();
+    res.status(health.ok ? 200 : 503).json({ success: health.ok, ...health });
+  } catch (err) {
+    console.error("Table health error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
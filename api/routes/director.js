@@ -1,11 +1,14 @@
 import express from "express";
 import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles  } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import { recordAudit, listAuditEntries, verifyAuditChain } from "../utils/audit.js";
+import { completionSummary } from "../utils/components.js";
 
 const router = express.Router();
 
 // Get director profile
-router.get("/profile", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.get("/profile", authenticateUser, authorize("profile.read"), async (req, res) => {
   try {
     const userId = req.user.id;
 
@@ -27,7 +30,7 @@ router.get("/profile", authenticateUser, authorizeRoles("director"), async (req,
   }
 });
 
-router.get("/departments", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.get("/departments", authenticateUser, authorize("department.read"), async (req, res) => {
   try {
     // Get all departments
     const { data: departments, error: deptError } = await supabase
@@ -62,7 +65,7 @@ router.get("/departments", authenticateUser, authorizeRoles("director"), async (
   }
 });
 
-router.get("/hods", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.get("/hods", authenticateUser, authorize("hod.list"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("users")
@@ -77,7 +80,7 @@ router.get("/hods", authenticateUser, authorizeRoles("director"), async (req, re
   }
 });
 
-router.post("/departments", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.post("/departments", authenticateUser, authorize("department.create"), async (req, res) => {
   try {
     const { name } = req.body;
 
@@ -95,6 +98,14 @@ router.post("/departments", authenticateUser, authorizeRoles("director"), async
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: "department.create",
+      entity: "departments",
+      entity_id: data.id,
+      after: data,
+      department_id: data.id,
+    });
+
     res.status(201).json({ success: true, department: data });
   } catch (err) {
     res
@@ -104,7 +115,7 @@ router.post("/departments", authenticateUser, authorizeRoles("director"), async
 });
 
 
-router.post("/assign-hod", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.post("/assign-hod", authenticateUser, authorize("hod.assign"), async (req, res) => {
   try {
     const { user_id, department_id } = req.body;
 
@@ -128,7 +139,7 @@ router.post("/assign-hod", authenticateUser, authorizeRoles("director"), async (
     // Check if user exists
     const { data: user, error: userCheckError } = await supabase
       .from("users")
-      .select("id, name, role")
+      .select("id, name, role, department_id")
       .eq("id", user_id)
       .single();
 
@@ -153,6 +164,27 @@ router.post("/assign-hod", authenticateUser, authorizeRoles("director"), async (
 
     if (error) throw error;
 
+    // A faculty member promoted to HOD keeps teaching; keep that as an extra role
+    if (user.role === "faculty") {
+      const { error: roleError } = await supabase
+        .from("user_roles")
+        .upsert(
+          [{ user_id, role: "faculty", department_id, granted_by: req.user.id }],
+          { onConflict: "user_id,role", ignoreDuplicates: true }
+        );
+
+      if (roleError) throw roleError;
+    }
+
+    await recordAudit(req, {
+      action: "hod.assign",
+      entity: "users",
+      entity_id: user_id,
+      before: { role: user.role, department_id: user.department_id },
+      after: { role: data.role, department_id: data.department_id },
+      department_id,
+    });
+
     res.status(200).json({
       success: true,
       message: "HOD assigned successfully",
@@ -165,10 +197,22 @@ router.post("/assign-hod", authenticateUser, authorizeRoles("director"), async (
   }
 });
 
-router.delete("/departments/:id", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.delete("/departments/:id", authenticateUser, authorize("department.delete"), async (req, res) => {
   try {
     const { id } = req.params;
 
+    const { data: department, error: fetchError } = await supabase
+      .from("departments")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!department) {
+      return res.status(404).json({ success: false, error: "Department not found" });
+    }
+
     // First, remove department_id from all users in this department
     await supabase
       .from("users")
@@ -183,6 +227,14 @@ router.delete("/departments/:id", authenticateUser, authorizeRoles("director"),
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: "department.delete",
+      entity: "departments",
+      entity_id: id,
+      before: department,
+      department_id: id,
+    });
+
     res.json({ success: true, message: "Department deleted successfully" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -190,14 +242,14 @@ router.delete("/departments/:id", authenticateUser, authorizeRoles("director"),
 });
 
 // Delete faculty/HOD
-router.delete("/faculty/:id", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.delete("/faculty/:id", authenticateUser, authorize("staff.delete"), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if user exists
     const { data: existingUser, error: checkError } = await supabase
       .from("users")
-      .select("id, role")
+      .select("id, name, email, role, department_id")
       .eq("id", id)
       .single();
 
@@ -205,6 +257,9 @@ router.delete("/faculty/:id", authenticateUser, authorizeRoles("director"), asyn
       return res.status(404).json({ success: false, error: "User not found" });
     }
 
+    // Revoke all sessions first so existing tokens stop working immediately
+    await revokeUserSessions(id, "staff");
+
     // Delete the user
     const { error } = await supabase
       .from("users")
@@ -213,14 +268,83 @@ router.delete("/faculty/:id", authenticateUser, authorizeRoles("director"), asyn
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: "staff.delete",
+      entity: "users",
+      entity_id: id,
+      before: existingUser,
+      department_id: existingUser.department_id,
+    });
+
     res.json({ success: true, message: "Faculty deleted successfully" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// Get failed/blocked login attempts
+// Optional filters: account_type, identifier, ip, reason, from, to, limit
+router.get("/login-attempts", authenticateUser, authorize("login_attempts.read"), async (req, res) => {
+  try {
+    const { account_type, identifier, ip, reason, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+    let query = supabase
+      .from("login_attempts")
+      .select("id, account_type, identifier, ip_address, user_agent, success, reason, created_at")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (account_type) query = query.eq("account_type", account_type);
+    if (identifier) query = query.ilike("identifier", `%${identifier}%`);
+    if (ip) query = query.eq("ip_address", ip);
+    if (reason) query = query.eq("reason", reason);
+    if (from) query = query.gte("created_at", from);
+    if (to) query = query.lte("created_at", to);
+
+    const { data: attempts, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, attempts });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Audit log across the whole institution
+// Optional filters: actor_id, actor_role, action, entity, entity_id, department_id, from, to, limit, offset
+router.get("/audit", authenticateUser, authorize("audit.read"), async (req, res) => {
+  try {
+    const { total, entries } = await listAuditEntries(req.query, {
+      department_id: req.query.department_id,
+    });
+
+    res.json({ success: true, total, entries });
+  } catch (err) {
+    console.error("Error fetching audit log:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Recompute the hash chain to detect edited or deleted audit entries
+router.get("/audit/verify", authenticateUser, authorize("audit.verify"), async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    if (!result.valid) {
+      console.warn(`⚠️ Audit chain broken at entry ${result.broken_at}`);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Error verifying audit log:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Get department-wise submission statistics
-router.get("/department-statistics", authenticateUser, authorizeRoles("director"), async (req, res) => {
+router.get("/department-statistics", authenticateUser, authorize("statistics.institution"), async (req, res) => {
   try {
     console.log('📊 Fetching department statistics for director');
 
@@ -259,7 +383,7 @@ router.get("/department-statistics", authenticateUser, authorizeRoles("director"
         // Get all students in these classes
         const { data: students, error: studentsError } = await supabase
           .from("students")
-          .select("id")
+          .select("id, class_id, batch_id")
           .in("class_id", classIds);
 
         if (studentsError) throw studentsError;
@@ -277,43 +401,17 @@ router.get("/department-statistics", authenticateUser, authorizeRoles("director"
           };
         }
 
-        const studentIds = students.map(s => s.id);
-
-        // Get all submissions for these students
-        const { data: submissions, error: submissionsError } = await supabase
-          .from("student_submissions")
-          .select("student_id, submission_type_id, status")
-          .in("student_id", studentIds);
-
-        if (submissionsError) throw submissionsError;
-
-        // Get submission types
-        const { data: submissionTypes, error: typesError } = await supabase
-          .from("submission_types")
-          .select("*");
-
-        if (typesError) throw typesError;
-
-        const taType = submissionTypes.find(t => t.name === 'TA');
-        const cieType = submissionTypes.find(t => t.name === 'CIE');
-
-        // Calculate overall submission percentage
-        const studentsWithSubmissions = new Set();
-        submissions.forEach(sub => {
-          if (sub.status === 'completed' && 
-              (sub.submission_type_id === taType?.id || sub.submission_type_id === cieType?.id)) {
-            studentsWithSubmissions.add(sub.student_id);
-          }
-        });
-
-        const submissionRate = Math.round((studentsWithSubmissions.size / totalStudents) * 100);
+        // Completion of the assessment components of every subject the students take
+        const summary = await completionSummary(students);
 
         return {
           id: dept.id,
           name: dept.name,
-          submissionRate,
+          submissionRate: summary.percent,
           totalStudents,
-          completedStudents: studentsWithSubmissions.size,
+          completedStudents: summary.completed_students,
+          expectedSubmissions: summary.total,
+          completedSubmissions: summary.completed,
           classCount: classIds.length
         };
       })
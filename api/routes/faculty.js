@@ -1,11 +1,12 @@
 import express from "express";
 import { supabase } from '../db/supabaseClient.js';
-import { authenticateUser, authorizeRoles } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { findChoices } from "../utils/electiveCategories.js";
 
 const router = express.Router();
 
 // Get subjects assigned to the faculty
-router.get('/subjects', authenticateUser, authorizeRoles("faculty"), async (req, res) => {
+router.get('/subjects', authenticateUser, authorize("subject.read"), async (req, res) => {
   try {
     const facultyId = req.user.id;
 
@@ -72,34 +73,8 @@ router.get('/subjects', authenticateUser, authorizeRoles("faculty"), async (req,
       }
     });
 
-    // Also fetch elective subjects (OE, PE, MDM) where this faculty is assigned via student selections
-    const { data: electiveSelections, error: electiveError } = await supabase
-      .from('student_subject_selection')
-      .select(`
-        mdm_id,
-        oe_id,
-        pe_id,
-        mdm_faculty_id,
-        oe_faculty_id,
-        pe_faculty_id
-      `)
-      .or(`mdm_faculty_id.eq.${facultyId},oe_faculty_id.eq.${facultyId},pe_faculty_id.eq.${facultyId}`);
-
-    if (electiveError) throw electiveError;
-
-    // Collect unique elective subject IDs where this faculty is assigned
-    const electiveSubjectIds = new Set();
-    (electiveSelections || []).forEach(selection => {
-      if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
-        electiveSubjectIds.add(selection.mdm_id);
-      }
-      if (selection.oe_faculty_id === facultyId && selection.oe_id) {
-        electiveSubjectIds.add(selection.oe_id);
-      }
-      if (selection.pe_faculty_id === facultyId && selection.pe_id) {
-        electiveSubjectIds.add(selection.pe_id);
-      }
-    });
+    // Also fetch elective subjects where students chose this faculty
+    const electiveSubjectIds = new Set((await findChoices({ facultyId })).map(choice => choice.subject_id));
 
     // Fetch elective subject details from student selections
     if (electiveSubjectIds.size > 0) {
@@ -132,7 +107,7 @@ router.get('/subjects', authenticateUser, authorizeRoles("faculty"), async (req,
 });
 
 // Get students for subjects assigned to the faculty
-router.get('/students', authenticateUser, authorizeRoles("faculty"), async (req, res) => {
+router.get('/students', authenticateUser, authorize("teaching.students"), async (req, res) => {
   try {
     const facultyId = req.user.id;
 
@@ -207,23 +182,10 @@ router.get('/students', authenticateUser, authorizeRoles("faculty"), async (req,
     });
 
     // Also get students who have selected elective subjects taught by this faculty
-    const { data: electiveSelections, error: electiveError } = await supabase
-      .from('student_subject_selection')
-      .select(`
-        student_id,
-        mdm_id,
-        oe_id,
-        pe_id,
-        mdm_faculty_id,
-        oe_faculty_id,
-        pe_faculty_id
-      `)
-      .or(`mdm_faculty_id.eq.${facultyId},oe_faculty_id.eq.${facultyId},pe_faculty_id.eq.${facultyId}`);
+    const electiveChoices = await findChoices({ facultyId });
 
-    if (electiveError) throw electiveError;
-
-    // Get unique student IDs from elective selections
-    const electiveStudentIds = [...new Set((electiveSelections || []).map(s => s.student_id))];
+    // Get unique student IDs from elective choices
+    const electiveStudentIds = [...new Set(electiveChoices.map(c => c.student_id))];
 
     if (electiveStudentIds.length > 0) {
       // Fetch student details
@@ -248,25 +210,11 @@ router.get('/students', authenticateUser, authorizeRoles("faculty"), async (req,
 
       if (electiveStudentsError) throw electiveStudentsError;
 
-      // Get subject IDs for electives
-      const electiveSubjectIds = new Set();
-      (electiveSelections || []).forEach(selection => {
-        if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
-          electiveSubjectIds.add(selection.mdm_id);
-        }
-        if (selection.oe_faculty_id === facultyId && selection.oe_id) {
-          electiveSubjectIds.add(selection.oe_id);
-        }
-        if (selection.pe_faculty_id === facultyId && selection.pe_id) {
-          electiveSubjectIds.add(selection.pe_id);
-        }
-      });
-
       // Fetch elective subject details
       const { data: electiveSubjects, error: electiveSubjectsError } = await supabase
         .from('subjects')
         .select('id, name, subject_code, type')
-        .in('id', Array.from(electiveSubjectIds));
+        .in('id', [...new Set(electiveChoices.map(c => c.subject_id))]);
 
       if (electiveSubjectsError) throw electiveSubjectsError;
 
@@ -276,15 +224,14 @@ router.get('/students', authenticateUser, authorizeRoles("faculty"), async (req,
         subjectMap.set(subject.id, subject);
       });
 
-      // Map elective students to their subjects
+      // Add student for each elective subject they selected with this faculty
       (electiveStudents || []).forEach(student => {
-        const selection = electiveSelections.find(s => s.student_id === student.id);
-        if (!selection) return;
+        electiveChoices
+          .filter(choice => choice.student_id === student.id)
+          .forEach(choice => {
+            const subject = subjectMap.get(choice.subject_id);
+            if (!subject) return;
 
-        // Add student for each elective subject they selected with this faculty
-        if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
-          const subject = subjectMap.get(selection.mdm_id);
-          if (subject) {
             studentsWithSubjects.push({
               ...student,
               batch_name: student.batches?.name || null,
@@ -293,36 +240,7 @@ router.get('/students', authenticateUser, authorizeRoles("faculty"), async (req,
               subject_code: subject.subject_code,
               subject_type: subject.type
             });
-          }
-        }
-
-        if (selection.oe_faculty_id === facultyId && selection.oe_id) {
-          const subject = subjectMap.get(selection.oe_id);
-          if (subject) {
-            studentsWithSubjects.push({
-              ...student,
-              batch_name: student.batches?.name || null,
-              subject_id: subject.id,
-              subject_name: subject.name,
-              subject_code: subject.subject_code,
-              subject_type: subject.type
-            });
-          }
-        }
-
-        if (selection.pe_faculty_id === facultyId && selection.pe_id) {
-          const subject = subjectMap.get(selection.pe_id);
-          if (subject) {
-            studentsWithSubjects.push({
-              ...student,
-              batch_name: student.batches?.name || null,
-              subject_id: subject.id,
-              subject_name: subject.name,
-              subject_code: subject.subject_code,
-              subject_type: subject.type
-            });
-          }
-        }
+          });
       });
     }
 
@@ -1,11 +1,31 @@
 import express from "express";
 import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles  } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { classScope, subjectScope, assessmentComponentScope } from "../utils/permissions.js";
+import { recordAudit, listAuditEntries } from "../utils/audit.js";
+import { queueRecalculation, runRecalculationBatch } from "../utils/defaulterRecalculation.js";
+import { chunk } from "../utils/queries.js";
+import { DEFAULT_POLICY, validateRule, affectedStudentIds } from "../utils/defaulterPolicy.js";
+import { validateComponent, completionSummary } from "../utils/components.js";
+import { DEFAULT_GRADE_BOUNDARIES, validateBoundaries } from "../utils/grades.js";
+import { seatLimit, promoteWaitlist } from "../utils/electiveSeats.js";
+import { validateCategory, loadCategories, findCategory, loadChoices } from "../utils/electiveCategories.js";
+import { WINDOW_COLUMNS, loadWindow, windowState, validateWindow } from "../utils/electiveWindows.js";
+import { CHANGE_STATUSES, MAX_REASON_LENGTH, loadRequest, listRequests, reviewRequest } from "../utils/electiveChanges.js";
+import {
+  ALLOCATION_PRIORITIES,
+  newSeed,
+  computeAllocation,
+  loadPreferences,
+  publishAllocation,
+  preferencesChanged,
+  allocationStudents,
+} from "../utils/electiveAllocation.js";
 
 const router = express.Router();
 
 // Get HOD profile
-router.get("/profile", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.get("/profile", authenticateUser, authorize("profile.read"), async (req, res) => {
   try {
     const userId = req.user.id;
 
@@ -48,7 +68,7 @@ router.get("/profile", authenticateUser, authorizeRoles("hod"), async (req, res)
 });
 
 // Get all classes for HOD's department
-router.get("/classes", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.get("/classes", authenticateUser, authorize("class.read"), async (req, res) => {
   try {
     const department_id = req.user.department_id;
 
@@ -95,7 +115,7 @@ router.get("/classes", authenticateUser, authorizeRoles("hod"), async (req, res)
 });
 
 // Get all faculties in HOD's department
-router.get("/faculties", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.get("/faculties", authenticateUser, authorize("department_staff.list"), async (req, res) => {
   try {
     const department_id = req.user.department_id;
 
@@ -122,7 +142,7 @@ router.get("/faculties", authenticateUser, authorizeRoles("hod"), async (req, re
 });
 
 // Get available class teachers for HOD's department
-router.get("/class-teachers", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.get("/class-teachers", authenticateUser, authorize("department_staff.list"), async (req, res) => {
   try {
     const department_id = req.user.department_id;
 
@@ -156,7 +176,7 @@ router.get("/class-teachers", authenticateUser, authorizeRoles("hod"), async (re
   }
 });
 
-router.post("/classes", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.post("/classes", authenticateUser, authorize("class.create"), async (req, res) => {
   try {
     const { name, class_teacher_id, year } = req.body;
 
@@ -223,6 +243,14 @@ router.post("/classes", authenticateUser, authorizeRoles("hod"), async (req, res
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: "class.create",
+      entity: "classes",
+      entity_id: data[0].id,
+      after: data[0],
+      department_id,
+    });
+
     res.status(201).json({
       success: true,
       message: "Class created successfully",
@@ -234,7 +262,7 @@ router.post("/classes", authenticateUser, authorizeRoles("hod"), async (req, res
 });
 
 // Update class
-router.put("/classes/:id", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.put("/classes/:id", authenticateUser, authorize("class.update", classScope(req => req.params.id)), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, class_teacher_id, year } = req.body;
@@ -257,7 +285,7 @@ router.put("/classes/:id", authenticateUser, authorizeRoles("hod"), async (req,
     // Verify the class belongs to HOD's department
     const { data: existingClass, error: checkError } = await supabase
       .from("classes")
-      .select("id")
+      .select("*")
       .eq("id", id)
       .eq("department_id", department_id)
       .single();
@@ -293,6 +321,15 @@ router.put("/classes/:id", authenticateUser, authorizeRoles("hod"), async (req,
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: "class.update",
+      entity: "classes",
+      entity_id: id,
+      before: existingClass,
+      after: data[0],
+      department_id,
+    });
+
     res.json({
       success: true,
       message: "Class updated successfully",
@@ -304,7 +341,7 @@ router.put("/classes/:id", authenticateUser, authorizeRoles("hod"), async (req,
 });
 
 // Delete class
-router.delete("/classes/:id", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.delete("/classes/:id", authenticateUser, authorize("class.delete", classScope(req => req.params.id)), async (req, res) => {
   try {
     const { id } = req.params;
     const department_id = req.user.department_id;
@@ -319,7 +356,7 @@ router.delete("/classes/:id", authenticateUser, authorizeRoles("hod"), async (re
     // Verify the class belongs to HOD's department
     const { data: existingClass, error: checkError } = await supabase
       .from("classes")
-      .select("id")
+      .select("*")
       .eq("id", id)
       .eq("department_id", department_id)
       .single();
@@ -339,6 +376,14 @@ router.delete("/classes/:id", authenticateUser, authorizeRoles("hod"), async (re
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: "class.delete",
+      entity: "classes",
+      entity_id: id,
+      before: existingClass,
+      department_id,
+    });
+
     res.json({
       success: true,
       message: "Class deleted successfully",
@@ -349,7 +394,7 @@ router.delete("/classes/:id", authenticateUser, authorizeRoles("hod"), async (re
 });
 
 // Get all offered subjects for HOD's department
-router.get("/offered-subjects", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.get("/offered-subjects", authenticateUser, authorize("offered_subject.read"), async (req, res) => {
   try {
     const department_id = req.user.department_id;
 
@@ -367,6 +412,7 @@ router.get("/offered-subjects", authenticateUser, authorizeRoles("hod"), async (
         semester,
         year,
         faculty_ids,
+        seat_limits,
         created_at,
         subject:subject_id (
           id,
@@ -402,6 +448,7 @@ router.get("/offered-subjects", authenticateUser, authorizeRoles("hod"), async (
           subject_name: sub.subject?.name || 'N/A',
           type: sub.subject?.type || 'N/A',
           faculties: facultyNames,
+          seat_limits: sub.seat_limits || {},
           semester: sub.semester,
           year: sub.year,
           created_at: sub.created_at
@@ -417,7 +464,7 @@ router.get("/offered-subjects", authenticateUser, authorizeRoles("hod"), async (
 });
 
 // Delete offered subject
-router.delete("/offered-subjects/:id", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+router.delete("/offered-subjects/:id", authenticateUser, authorize("offered_subject.delete"), async (req, res) => {
   try {
     const { id } = req.params;
     const department_id = req.user.department_id;
@@ -435,7 +482,7 @@ router.delete("/offered-subjects/:id", authenticateUser, authorizeRoles("hod"),
     // Verify the subject belongs to HOD's department
     const { data: existingSubject, error: checkError } = await supabase
       .from("department_offered_subjects")
-      .select("id, subject_id")
+      .select("*")
       .eq("id", id)
       .eq("department_id", department_id)
       .single();
@@ -486,6 +533,14 @@ router.delete("/offered-subjects/:id", authenticateUser, authorizeRoles("hod"),
 
     console.log('Subject deleted successfully from all tables');
 
+    await recordAudit(req, {
+      action: "offered_subject.delete",
+      entity: "department_offered_subjects",
+      entity_id: id,
+      before: existingSubject,
+      department_id,
+    });
+
     res.json({
       success: true,
       message: "Subject deleted successfully",
@@ -496,7 +551,154 @@ router.delete("/offered-subjects/:id", authenticateUser, authorizeRoles("hod"),
   }
 });
 
-router.post("/add-offered-subject", authenticateUser, authorizeRoles("hod"),
+// Returns an error message, or null when every limit is valid.
+// limits: { faculty_id: seats | null }, null removes the limit
+const seatLimitsError = (limits, facultyIds) => {
+  if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+    return "limits must be an object of { faculty_id: seats }.";
+  }
+
+  for (const [facultyId, seats] of Object.entries(limits)) {
+    if (!facultyIds.includes(facultyId)) return `Faculty ${facultyId} does not teach this offered subject.`;
+    if (seats !== null && (!Number.isInteger(seats) || seats < 1)) {
+      return "Seat limits must be positive whole numbers, or null for no limit.";
+    }
+  }
+  return null;
+};
+
+// Seat limits per faculty of an offered elective.
+// Body: { limits: { faculty_id: seats | null } }
+// Lowering a limit keeps students who already hold a seat; raising it moves
+// waitlisted students into the new seats.
+router.put("/offered-subjects/:id/seat-limits", authenticateUser, authorize("offered_subject.update"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const department_id = req.user.department_id;
+    const { limits } = req.body || {};
+
+    const { data: offered, error: offeredError } = await supabase
+      .from("department_offered_subjects")
+      .select("id, department_id, faculty_ids, seat_limits")
+      .eq("id", id)
+      .eq("department_id", department_id)
+      .maybeSingle();
+
+    if (offeredError) throw offeredError;
+    if (!offered) {
+      return res.status(404).json({ success: false, error: "Subject not found or access denied" });
+    }
+
+    const limitsError = seatLimitsError(limits, offered.faculty_ids || []);
+    if (limitsError) return res.status(400).json({ success: false, error: limitsError });
+
+    const seatLimits = { ...(offered.seat_limits || {}) };
+    Object.entries(limits).forEach(([facultyId, seats]) => {
+      if (seats === null) delete seatLimits[facultyId];
+      else seatLimits[facultyId] = seats;
+    });
+
+    const { error: updateError } = await supabase
+      .from("department_offered_subjects")
+      .update({ seat_limits: seatLimits })
+      .eq("id", id);
+
+    if (updateError) throw updateError;
+
+    await recordAudit(req, {
+      action: "offered_subject.seat_limits",
+      entity: "department_offered_subjects",
+      entity_id: id,
+      before: offered.seat_limits || {},
+      after: seatLimits,
+      department_id,
+    });
+
+    const promoted = [];
+    for (const facultyId of Object.keys(limits)) {
+      promoted.push(...await promoteWaitlist(req, id, facultyId));
+    }
+
+    console.log("🎟️ Seat limits updated:", id, seatLimits, "promoted", promoted.length);
+
+    res.json({ success: true, seat_limits: seatLimits, promoted });
+  } catch (err) {
+    console.error("Error updating seat limits:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Seats taken and waitlist of each faculty of an offered elective
+router.get("/offered-subjects/:id/seats", authenticateUser, authorize("offered_subject.read"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const department_id = req.user.department_id;
+
+    const { data: offered, error: offeredError } = await supabase
+      .from("department_offered_subjects")
+      .select("id, department_id, faculty_ids, seat_limits, subjects ( name, subject_code )")
+      .eq("id", id)
+      .eq("department_id", department_id)
+      .maybeSingle();
+
+    if (offeredError) throw offeredError;
+    if (!offered) {
+      return res.status(404).json({ success: false, error: "Subject not found or access denied" });
+    }
+
+    const { data: seats, error: seatsError } = await supabase
+      .from("elective_seats")
+      .select("faculty_id, seat_no, created_at, students ( id, roll_no, name, class_id )")
+      .eq("offered_subject_id", id)
+      .order("seat_no", { ascending: true });
+
+    if (seatsError) throw seatsError;
+
+    const { data: waiting, error: waitingError } = await supabase
+      .from("elective_waitlist")
+      .select("faculty_id, created_at, students ( id, roll_no, name, class_id )")
+      .eq("offered_subject_id", id)
+      .is("promoted_at", null)
+      .order("created_at", { ascending: true });
+
+    if (waitingError) throw waitingError;
+
+    const facultyIds = offered.faculty_ids || [];
+    const { data: faculties, error: facultiesError } = facultyIds.length > 0
+      ? await supabase.from("users").select("id, name").in("id", facultyIds)
+      : { data: [], error: null };
+
+    if (facultiesError) throw facultiesError;
+    const facultyNames = new Map((faculties || []).map(f => [f.id, f.name]));
+
+    const sections = facultyIds.map(facultyId => {
+      const limit = seatLimit(offered, facultyId);
+      const taken = (seats || []).filter(s => s.faculty_id === facultyId);
+      return {
+        faculty_id: facultyId,
+        faculty_name: facultyNames.get(facultyId) || null,
+        seat_limit: limit,
+        seats_taken: taken.length,
+        seats_remaining: limit === null ? null : Math.max(limit - taken.length, 0),
+        seats: taken.map(s => ({ seat_no: s.seat_no, student: s.students, taken_at: s.created_at })),
+        waitlist: (waiting || [])
+          .filter(w => w.faculty_id === facultyId)
+          .map((w, index) => ({ position: index + 1, student: w.students, joined_at: w.created_at })),
+      };
+    });
+
+    res.json({
+      success: true,
+      subject: { id: offered.id, code: offered.subjects?.subject_code, name: offered.subjects?.name },
+      sections,
+    });
+  } catch (err) {
+    console.error("Error fetching elective seats:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.post("/add-offered-subject", authenticateUser, authorize("offered_subject.create"),
   async (req, res) => {
     try {
       const { name, subject_code, type, faculty_ids, semester, year } = req.body;
@@ -627,6 +829,14 @@ router.post("/add-offered-subject", authenticateUser, authorizeRoles("hod"),
         if (facultyMapError) throw facultyMapError;
       }
 
+      await recordAudit(req, {
+        action: "offered_subject.create",
+        entity: "department_offered_subjects",
+        entity_id: deptSubjectData.id,
+        after: { ...deptSubjectData, subject: subjectData },
+        department_id,
+      });
+
       return res.status(201).json({
         success: true,
         message: `${type} subject "${name}" added successfully with ${facultyMappings.length} faculty assigned.`,
@@ -644,115 +854,1227 @@ router.post("/add-offered-subject", authenticateUser, authorizeRoles("hod"),
 );
 
 
-// Get year-wise submission statistics for HOD's department
-router.get("/year-statistics", authenticateUser, authorizeRoles("hod"), async (req, res) => {
+// Insert or update one defaulter rule, then queue every student it can affect
+// for recalculation and work off the first batch.
+// Returns { policy, changed, remaining } where changed lists students whose
+// defaulter flag flipped so far and remaining the students still queued.
+const saveDefaulterPolicy = async (req, { scope, subject_type = null, subject_id = null, threshold, grace_band = 0 }) => {
+  const department_id = req.user.department_id;
+
+  let query = supabase
+    .from("defaulter_policies")
+    .select("*")
+    .eq("department_id", department_id)
+    .eq("scope", scope);
+
+  if (scope === "subject_type") query = query.eq("subject_type", subject_type);
+  if (scope === "subject") query = query.eq("subject_id", subject_id);
+
+  const { data: existing, error: existingError } = await query.maybeSingle();
+  if (existingError) throw existingError;
+
+  const values = {
+    threshold: Number(threshold),
+    grace_band: Number(grace_band) || 0,
+    updated_by: req.user.id,
+    updated_at: new Date().toISOString(),
+  };
+
+  let policy;
+  if (existing) {
+    const { data, error } = await supabase
+      .from("defaulter_policies")
+      .update(values)
+      .eq("id", existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    policy = data;
+  } else {
+    const { data, error } = await supabase
+      .from("defaulter_policies")
+      .insert([{ department_id, scope, subject_type, subject_id, ...values }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    policy = data;
+  }
+
+  await recordAudit(req, {
+    action: existing ? "defaulter_policy.update" : "defaulter_policy.create",
+    entity: "defaulter_policies",
+    entity_id: policy.id,
+    before: existing,
+    after: policy,
+    department_id,
+  });
+
+  await queueRecalculation(await affectedStudentIds(policy), department_id);
+  const { changed, remaining } = await runRecalculationBatch({ departmentId: department_id });
+  return { policy, changed, remaining };
+};
+
+// Attach roll number and name to recalculateStudents() output for the response
+const describeDefaulterChanges = async (changed) => {
+  if (changed.length === 0) return [];
+
+  const studentMap = new Map();
+
+  for (const part of chunk(changed.map(c => c.student_id))) {
+    const { data: students, error } = await supabase
+      .from("students")
+      .select("id, roll_no, name, class_id")
+      .in("id", part);
+
+    if (error) throw error;
+    (students || []).forEach(s => studentMap.set(s.id, s));
+  }
+
+  return changed.map(c => ({
+    ...c,
+    roll_no: studentMap.get(c.student_id)?.roll_no || null,
+    name: studentMap.get(c.student_id)?.name || null,
+    class_id: studentMap.get(c.student_id)?.class_id || null,
+  }));
+};
+
+const recalculationMessage = (changedStudents, remaining) =>
+  `${changedStudents.length} student(s) changed state.` +
+  (remaining > 0 ? ` ${remaining} student(s) are still waiting to be recalculated.` : "");
+
+const policyResponse = async (res, { policy, changed, remaining }, status = 200) => {
+  const changedStudents = await describeDefaulterChanges(changed);
+
+  return res.status(status).json({
+    success: true,
+    message: `Defaulter policy saved. ${recalculationMessage(changedStudents, remaining)}`,
+    policy,
+    changed_students: changedStudents,
+    recalculation_pending: remaining,
+  });
+};
+
+// Get the defaulter rules of the HOD's department
+router.get("/defaulter-policies", authenticateUser, authorize("defaulter_policy.manage"), async (req, res) => {
   try {
     const department_id = req.user.department_id;
 
     if (!department_id) {
-      return res.status(400).json({
-        success: false,
-        error: "Department ID not found in token"
-      });
+      return res.status(403).json({ success: false, error: "Department ID missing in token." });
     }
 
-    console.log('📊 Fetching year statistics for department:', department_id);
-
-    // Get all classes in this department grouped by year
-    const { data: classes, error: classesError } = await supabase
-      .from("classes")
-      .select("id, name, year")
+    const { data: policies, error } = await supabase
+      .from("defaulter_policies")
+      .select("id, scope, subject_type, subject_id, threshold, grace_band, updated_by, updated_at, subjects ( name, subject_code, type )")
       .eq("department_id", department_id)
-      .order("year", { ascending: true });
+      .order("scope", { ascending: true });
 
-    if (classesError) throw classesError;
+    if (error) throw error;
 
-    // Group classes by year
-    const yearGroups = {};
-    (classes || []).forEach(cls => {
-      if (!yearGroups[cls.year]) {
-        yearGroups[cls.year] = [];
-      }
-      yearGroups[cls.year].push(cls.id);
+    const departmentPolicy = (policies || []).find(p => p.scope === "department");
+
+    res.json({
+      success: true,
+      department: departmentPolicy
+        ? { id: departmentPolicy.id, threshold: departmentPolicy.threshold, grace_band: departmentPolicy.grace_band, is_default: false }
+        : { id: null, ...DEFAULT_POLICY, is_default: true },
+      subject_types: (policies || []).filter(p => p.scope === "subject_type").map(({ subjects, ...p }) => p),
+      subjects: (policies || []).filter(p => p.scope === "subject").map(({ subjects, ...p }) => ({
+        ...p,
+        subject_name: subjects?.name || null,
+        subject_code: subjects?.subject_code || null,
+        type: subjects?.type || null,
+      })),
     });
+  } catch (err) {
+    console.error("Error fetching defaulter policies:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    // Calculate statistics for each year
-    const yearStats = await Promise.all(
-      Object.entries(yearGroups).map(async ([year, classIds]) => {
-        // Get all students in these classes
-        const { data: students, error: studentsError } = await supabase
-          .from("students")
-          .select("id, defaulter")
-          .in("class_id", classIds);
+// Set the department-wide defaulter rule. Body: { threshold, grace_band? }
+router.put("/defaulter-policies/department", authenticateUser, authorize("defaulter_policy.manage"), async (req, res) => {
+  try {
+    if (!req.user.department_id) {
+      return res.status(403).json({ success: false, error: "Department ID missing in token." });
+    }
 
-        if (studentsError) throw studentsError;
+    const ruleError = validateRule(req.body);
+    if (ruleError) return res.status(400).json({ success: false, error: ruleError });
 
-        const totalStudents = students?.length || 0;
-        const defaulterStudents = students?.filter(s => s.defaulter).length || 0;
+    const result = await saveDefaulterPolicy(req, { scope: "department", ...req.body });
+    return policyResponse(res, result);
+  } catch (err) {
+    console.error("Error saving department defaulter policy:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-        if (totalStudents === 0) {
-          return {
-            year: parseInt(year),
-            yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
-            percentage: 0,
-            totalStudents: 0,
-            defaulterCount: 0,
-            classCount: classIds.length
-          };
-        }
+// Override the rule for one subject type, e.g. practical. Body: { threshold, grace_band? }
+router.put("/defaulter-policies/subject-types/:type", authenticateUser, authorize("defaulter_policy.manage"), async (req, res) => {
+  try {
+    if (!req.user.department_id) {
+      return res.status(403).json({ success: false, error: "Department ID missing in token." });
+    }
+
+    const subject_type = String(req.params.type || "").trim().toLowerCase();
+    if (!subject_type) {
+      return res.status(400).json({ success: false, error: "Subject type is required." });
+    }
 
-        const studentIds = students.map(s => s.id);
+    const ruleError = validateRule(req.body);
+    if (ruleError) return res.status(400).json({ success: false, error: ruleError });
 
-        // Get all submissions for these students
-        const { data: submissions, error: submissionsError } = await supabase
-          .from("student_submissions")
-          .select("student_id, submission_type_id, status")
-          .in("student_id", studentIds);
+    const { threshold, grace_band } = req.body;
+    const result = await saveDefaulterPolicy(req, { scope: "subject_type", subject_type, threshold, grace_band });
+    return policyResponse(res, result);
+  } catch (err) {
+    console.error("Error saving subject type defaulter policy:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-        if (submissionsError) throw submissionsError;
+// Override the rule for a single subject of the department. Body: { threshold, grace_band? }
+router.put("/defaulter-policies/subjects/:subjectId", authenticateUser,
+  authorize("defaulter_policy.manage", subjectScope(req => req.params.subjectId)),
+  async (req, res) => {
+    try {
+      if (req.scope.department_id !== req.user.department_id) {
+        return res.status(403).json({ success: false, error: "Subject does not belong to your department." });
+      }
 
-        // Get submission types
-        const { data: submissionTypes, error: typesError } = await supabase
-          .from("submission_types")
-          .select("*");
+      const ruleError = validateRule(req.body);
+      if (ruleError) return res.status(400).json({ success: false, error: ruleError });
 
-        if (typesError) throw typesError;
+      const { threshold, grace_band } = req.body;
+      const result = await saveDefaulterPolicy(req, {
+        scope: "subject",
+        subject_id: req.params.subjectId,
+        threshold,
+        grace_band,
+      });
+      return policyResponse(res, result);
+    } catch (err) {
+      console.error("Error saving subject defaulter policy:", err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
 
-        const taType = submissionTypes.find(t => t.name === 'TA');
-        const cieType = submissionTypes.find(t => t.name === 'CIE');
+// Remove a rule; affected students fall back to the next less specific rule
+router.delete("/defaulter-policies/:id", authenticateUser, authorize("defaulter_policy.manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-        // Calculate overall submission percentage
-        const studentsWithSubmissions = new Set();
-        submissions.forEach(sub => {
-          if (sub.status === 'completed' && 
-              (sub.submission_type_id === taType?.id || sub.submission_type_id === cieType?.id)) {
-            studentsWithSubmissions.add(sub.student_id);
-          }
-        });
+    const { data: policy, error: fetchError } = await supabase
+      .from("defaulter_policies")
+      .select("*")
+      .eq("id", id)
+      .eq("department_id", req.user.department_id)
+      .maybeSingle();
 
-        const percentage = Math.round((studentsWithSubmissions.size / totalStudents) * 100);
+    if (fetchError) throw fetchError;
 
-        return {
-          year: parseInt(year),
-          yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
-          percentage,
-          totalStudents,
-          completedStudents: studentsWithSubmissions.size,
-          defaulterCount: defaulterStudents,
-          classCount: classIds.length
-        };
-      })
-    );
+    if (!policy) {
+      return res.status(404).json({ success: false, error: "Policy not found or access denied" });
+    }
 
-    console.log('✅ Year statistics calculated:', yearStats);
+    const { error } = await supabase
+      .from("defaulter_policies")
+      .delete()
+      .eq("id", id);
 
-    return res.json({
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: "defaulter_policy.delete",
+      entity: "defaulter_policies",
+      entity_id: id,
+      before: policy,
+      department_id: policy.department_id,
+    });
+
+    await queueRecalculation(await affectedStudentIds(policy), policy.department_id);
+    const { changed, remaining } = await runRecalculationBatch({ departmentId: policy.department_id });
+    const changedStudents = await describeDefaulterChanges(changed);
+
+    res.json({
       success: true,
-      statistics: yearStats.sort((a, b) => a.year - b.year)
+      message: `Defaulter policy removed. ${recalculationMessage(changedStudents, remaining)}`,
+      changed_students: changedStudents,
+      recalculation_pending: remaining,
     });
   } catch (err) {
-    console.error("Error fetching year statistics:", err);
-    return res.status(500).json({ success: false, error: err.message });
+    console.error("Error deleting defaulter policy:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Recalculate the next batch of students still queued after a rule change.
+// Call again while recalculation_pending is above zero; the
+// defaulter-recalculation job picks up whatever is left otherwise.
+router.post("/defaulter-policies/recalculate", authenticateUser, authorize("defaulter_policy.manage"), async (req, res) => {
+  try {
+    if (!req.user.department_id) {
+      return res.status(403).json({ success: false, error: "Department ID missing in token." });
+    }
+
+    const { changed, remaining } = await runRecalculationBatch({ departmentId: req.user.department_id });
+    const changedStudents = await describeDefaulterChanges(changed);
+
+    res.json({
+      success: true,
+      message: recalculationMessage(changedStudents, remaining),
+      changed_students: changedStudents,
+      recalculation_pending: remaining,
+    });
+  } catch (err) {
+    console.error("Error recalculating defaulter status:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Assessment components of a subject (assignments, lab journals, CIE-1, ...).
+// Statistics compute completion from these instead of fixed submission types.
+const inDepartment = (req, res) => {
+  if (req.scope.department_id !== req.user.department_id) {
+    res.status(403).json({ success: false, error: "Subject does not belong to your department." });
+    return false;
+  }
+  return true;
+};
+
+const componentConflict = (res, error) => {
+  if (error.code === "23505") {
+    res.status(409).json({ success: false, error: "A component with this name already exists for the subject." });
+    return true;
+  }
+  return false;
+};
+
+router.get("/subjects/:subjectId/components", authenticateUser,
+  authorize("assessment.manage", subjectScope(req => req.params.subjectId)),
+  async (req, res) => {
+    try {
+      if (!inDepartment(req, res)) return;
+
+      const { data: components, error } = await supabase
+        .from("assessment_components")
+        .select("*")
+        .eq("subject_id", req.params.subjectId)
+        .order("position", { ascending: true })
+        .order("name", { ascending: true });
+
+      if (error) throw error;
+
+      const totalWeight = (components || []).reduce((sum, c) => sum + Number(c.weight || 0), 0);
+
+      res.json({ success: true, components: components || [], total_weight: totalWeight });
+    } catch (err) {
+      console.error("Error fetching assessment components:", err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Body: { name, max_marks, weight?, due_at?, applies_to? ("all" | "defaulters"), position? }
+router.post("/subjects/:subjectId/components", authenticateUser,
+  authorize("assessment.manage", subjectScope(req => req.params.subjectId)),
+  async (req, res) => {
+    try {
+      if (!inDepartment(req, res)) return;
+
+      const { error: validationError, value } = validateComponent(req.body || {});
+      if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+      const { data: component, error } = await supabase
+        .from("assessment_components")
+        .insert([{
+          ...value,
+          subject_id: req.params.subjectId,
+          department_id: req.user.department_id,
+          created_by: req.user.id,
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        if (componentConflict(res, error)) return;
+        throw error;
+      }
+
+      await recordAudit(req, {
+        action: "assessment_component.create",
+        entity: "assessment_components",
+        entity_id: component.id,
+        after: component,
+        department_id: req.user.department_id,
+      });
+
+      res.status(201).json({ success: true, component });
+    } catch (err) {
+      console.error("Error creating assessment component:", err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Body: any of { name, max_marks, weight, due_at, applies_to, position }
+router.put("/components/:id", authenticateUser,
+  authorize("assessment.manage", assessmentComponentScope(req => req.params.id)),
+  async (req, res) => {
+    try {
+      if (!inDepartment(req, res)) return;
+
+      const { error: validationError, value } = validateComponent(req.body || {}, { partial: true });
+      if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+      if (Object.keys(value).length === 0) {
+        return res.status(400).json({ success: false, error: "Nothing to update." });
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from("assessment_components")
+        .select("*")
+        .eq("id", req.params.id)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      // Marks already recorded must still fit the component
+      if (value.max_marks !== undefined && value.max_marks < Number(existing.max_marks)) {
+        const { data: above, error: aboveError } = await supabase
+          .from("student_submissions")
+          .select("id")
+          .eq("component_id", req.params.id)
+          .gt("marks", value.max_marks)
+          .limit(1);
+
+        if (aboveError) throw aboveError;
+
+        if (above && above.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: "Some students already have marks above the new max_marks.",
+          });
+        }
+      }
+
+      const { data: component, error } = await supabase
+        .from("assessment_components")
+        .update({ ...value, updated_at: new Date().toISOString() })
+        .eq("id", req.params.id)
+        .select()
+        .single();
+
+      if (error) {
+        if (componentConflict(res, error)) return;
+        throw error;
+      }
+
+      await recordAudit(req, {
+        action: "assessment_component.update",
+        entity: "assessment_components",
+        entity_id: component.id,
+        before: existing,
+        after: component,
+        department_id: req.user.department_id,
+      });
+
+      res.json({ success: true, component });
+    } catch (err) {
+      console.error("Error updating assessment component:", err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Components that already have submissions recorded can't be removed
+router.delete("/components/:id", authenticateUser,
+  authorize("assessment.manage", assessmentComponentScope(req => req.params.id)),
+  async (req, res) => {
+    try {
+      if (!inDepartment(req, res)) return;
+
+      const { count, error: countError } = await supabase
+        .from("student_submissions")
+        .select("id", { count: "exact", head: true })
+        .eq("component_id", req.params.id);
+
+      if (countError) throw countError;
+
+      if (count > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `${count} submission(s) are recorded for this component. It can't be deleted.`,
+        });
+      }
+
+      const { data: component, error } = await supabase
+        .from("assessment_components")
+        .delete()
+        .eq("id", req.params.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await recordAudit(req, {
+        action: "assessment_component.delete",
+        entity: "assessment_components",
+        entity_id: component.id,
+        before: component,
+        department_id: req.user.department_id,
+      });
+
+      res.json({ success: true, message: "Assessment component deleted." });
+    } catch (err) {
+      console.error("Error deleting assessment component:", err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Grade boundaries of the HOD's department (defaults when none are configured)
+router.get("/grade-boundaries", authenticateUser, authorize("grade_scale.manage"), async (req, res) => {
+  try {
+    if (!req.user.department_id) {
+      return res.status(403).json({ success: false, error: "Department ID missing in token." });
+    }
+
+    const { data, error } = await supabase
+      .from("grade_boundaries")
+      .select("grade, min_percent")
+      .eq("department_id", req.user.department_id)
+      .order("min_percent", { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      boundaries: data && data.length > 0 ? data : DEFAULT_GRADE_BOUNDARIES,
+      is_default: !data || data.length === 0,
+    });
+  } catch (err) {
+    console.error("Error fetching grade boundaries:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Replace the department's grade scale. Body: { boundaries: [{ grade, min_percent }] }
+router.put("/grade-boundaries", authenticateUser, authorize("grade_scale.manage"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    if (!department_id) {
+      return res.status(403).json({ success: false, error: "Department ID missing in token." });
+    }
+
+    const { error: validationError, value: boundaries } = validateBoundaries(req.body?.boundaries);
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+    const { data: before, error: beforeError } = await supabase
+      .from("grade_boundaries")
+      .select("grade, min_percent")
+      .eq("department_id", department_id);
+
+    if (beforeError) throw beforeError;
+
+    // Upsert the new scale first, then drop grades it no longer has, so the
+    // department is never left without a scale
+    const { error: upsertError } = await supabase
+      .from("grade_boundaries")
+      .upsert(
+        boundaries.map(b => ({ department_id, ...b, updated_by: req.user.id, updated_at: new Date().toISOString() })),
+        { onConflict: "department_id,grade" }
+      );
+
+    if (upsertError) throw upsertError;
+
+    const removed = (before || []).map(b => b.grade).filter(grade => !boundaries.some(b => b.grade === grade));
+    if (removed.length > 0) {
+      const { error: deleteError } = await supabase
+        .from("grade_boundaries")
+        .delete()
+        .eq("department_id", department_id)
+        .in("grade", removed);
+
+      if (deleteError) throw deleteError;
+    }
+
+    await recordAudit(req, {
+      action: "grade_boundaries.update",
+      entity: "grade_boundaries",
+      entity_id: department_id,
+      before: { boundaries: before || [] },
+      after: { boundaries },
+      department_id,
+    });
+
+    res.json({ success: true, message: "Grade boundaries saved.", boundaries });
+  } catch (err) {
+    console.error("Error saving grade boundaries:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Go back to the default grade scale
+router.delete("/grade-boundaries", authenticateUser, authorize("grade_scale.manage"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    if (!department_id) {
+      return res.status(403).json({ success: false, error: "Department ID missing in token." });
+    }
+
+    const { data: removed, error } = await supabase
+      .from("grade_boundaries")
+      .delete()
+      .eq("department_id", department_id)
+      .select("grade, min_percent");
+
+    if (error) throw error;
+
+    if (removed && removed.length > 0) {
+      await recordAudit(req, {
+        action: "grade_boundaries.reset",
+        entity: "grade_boundaries",
+        entity_id: department_id,
+        before: { boundaries: removed },
+        after: { boundaries: DEFAULT_GRADE_BOUNDARIES },
+        department_id,
+      });
+    }
+
+    res.json({ success: true, message: "Grade boundaries reset to the default scale.", boundaries: DEFAULT_GRADE_BOUNDARIES });
+  } catch (err) {
+    console.error("Error resetting grade boundaries:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Elective categories of a department year: which subjects make up each
+// elective, how many a student picks and whether it's mandatory. Years
+// without any use the defaults (MDM, OE and PE, one each).
+const CATEGORY_COLUMNS = "id, year, code, name, subject_type, offered_by, pick_count, mandatory, change_needs_hod, position, created_at, updated_at";
+
+const categoryYear = (value) => {
+  const year = Number(value);
+  return Number.isInteger(year) && year >= 1 && year <= 4 ? year : null;
+};
+
+const loadCategory = async (id, departmentId) => {
+  const { data, error } = await supabase
+    .from("elective_categories")
+    .select(CATEGORY_COLUMNS)
+    .eq("id", id)
+    .eq("department_id", departmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Number of students of the department year with choices in a category
+const categoryChoiceCount = async (departmentId, year, code) => {
+  const students = await allocationStudents(departmentId, year);
+  const choices = await loadChoices(students.map(s => s.id), { categoryCode: code });
+  return [...choices.values()].filter(list => list.length > 0).length;
+};
+
+router.get("/elective-categories", authenticateUser, authorize("elective_category.manage"), async (req, res) => {
+  try {
+    const year = categoryYear(req.query.year);
+    if (!year) return res.status(400).json({ success: false, error: "year must be between 1 and 4." });
+
+    const categories = await loadCategories(req.user.department_id, year);
+    res.json({
+      success: true,
+      year,
+      categories: categories.map(({ name_matches: _nameMatches, department_id: _departmentId, ...category }) => category),
+      is_default: categories.every(c => !c.id),
+    });
+  } catch (err) {
+    console.error("Error fetching elective categories:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { year, code, name, subject_type, offered_by?, pick_count?, mandatory?, change_needs_hod?, position? }
+router.post("/elective-categories", authenticateUser, authorize("elective_category.manage"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    const year = categoryYear(req.body?.year);
+    if (!year) return res.status(400).json({ success: false, error: "year must be between 1 and 4." });
+
+    const { error: validationError, value } = validateCategory(req.body || {});
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+    // The first category of a year replaces the defaults, so write those
+    // out too rather than have the year silently lose them
+    const current = await loadCategories(department_id, year);
+    const defaults = current
+      .filter(c => !c.id && c.code !== value.code)
+      .map(({ id: _id, name_matches: _nameMatches, ...category }) => category);
+
+    const { data, error } = await supabase
+      .from("elective_categories")
+      .insert([...defaults, { department_id, year, position: current.length, ...value }])
+      .select(CATEGORY_COLUMNS);
+
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ success: false, error: `Year ${year} already has a ${value.code} category.` });
+      }
+      throw error;
+    }
+
+    const category = data.find(c => c.code === value.code);
+    await recordAudit(req, {
+      action: "elective_category.create",
+      entity: "elective_categories",
+      entity_id: category.id,
+      after: category,
+      department_id,
+    });
+
+    res.status(201).json({ success: true, category, defaults_saved: defaults.map(c => c.code) });
+  } catch (err) {
+    console.error("Error creating elective category:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: any of { name, subject_type, offered_by, pick_count, mandatory, change_needs_hod, position }.
+// The code can't change, students' choices are stored against it.
+router.put("/elective-categories/:id", authenticateUser, authorize("elective_category.manage"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    const before = await loadCategory(req.params.id, department_id);
+    if (!before) return res.status(404).json({ success: false, error: "Elective category not found." });
+
+    const { error: validationError, value } = validateCategory(req.body || {}, { partial: true });
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+    if (value.code && value.code !== before.code) {
+      return res.status(400).json({ success: false, error: "code can't be changed. Add a new category instead." });
+    }
+    delete value.code;
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ success: false, error: "Nothing to update." });
+    }
+
+    const { data: after, error } = await supabase
+      .from("elective_categories")
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq("id", before.id)
+      .select(CATEGORY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: "elective_category.update",
+      entity: "elective_categories",
+      entity_id: before.id,
+      before,
+      after,
+      department_id,
+    });
+
+    res.json({ success: true, category: after });
+  } catch (err) {
+    console.error("Error updating elective category:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete("/elective-categories/:id", authenticateUser, authorize("elective_category.manage"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    const before = await loadCategory(req.params.id, department_id);
+    if (!before) return res.status(404).json({ success: false, error: "Elective category not found." });
+
+    const chosen = await categoryChoiceCount(department_id, before.year, before.code);
+    if (chosen > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${chosen} student(s) have already chosen ${before.code} subjects. Clear their choices first.`,
+      });
+    }
+
+    const { error } = await supabase
+      .from("elective_categories")
+      .delete()
+      .eq("id", before.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: "elective_category.delete",
+      entity: "elective_categories",
+      entity_id: before.id,
+      before,
+      department_id,
+    });
+
+    res.json({ success: true, message: `${before.code} removed from year ${before.year}.` });
+  } catch (err) {
+    console.error("Error deleting elective category:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Elective selection windows, one per year. Students can only pick
+// electives while their year's window is open; the elective-windows job
+// locks everyone at close. Moving the dates of a closed window reopens it
+// for students who aren't locked (class teachers unlock the rest).
+router.get("/elective-windows", authenticateUser, authorize("elective_window.manage"), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("elective_windows")
+      .select(WINDOW_COLUMNS)
+      .eq("department_id", req.user.department_id)
+      .order("year", { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      windows: (data || []).map(window => ({ ...window, state: windowState(window) })),
+    });
+  } catch (err) {
+    console.error("Error fetching elective windows:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { opens_at, closes_at }
+router.put("/elective-windows/:year", authenticateUser, authorize("elective_window.manage"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    const year = categoryYear(req.params.year);
+    if (!year) return res.status(400).json({ success: false, error: "year must be between 1 and 4." });
+
+    const { error: validationError, value } = validateWindow(req.body);
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+    const before = await loadWindow(department_id, year);
+
+    const { data: window, error } = await supabase
+      .from("elective_windows")
+      .upsert({
+        department_id,
+        year,
+        ...value,
+        closed_at: null,
+        locked_count: null,
+        created_by: before?.created_by || req.user.id,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: "department_id,year" })
+      .select(WINDOW_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: before ? "elective_window.update" : "elective_window.create",
+      entity: "elective_windows",
+      entity_id: window.id,
+      before,
+      after: window,
+      department_id,
+    });
+
+    res.json({ success: true, window: { ...window, state: windowState(window) } });
+  } catch (err) {
+    console.error("Error saving elective window:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Without a window the year's selection is open at any time again
+router.delete("/elective-windows/:year", authenticateUser, authorize("elective_window.manage"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    const year = categoryYear(req.params.year);
+    if (!year) return res.status(400).json({ success: false, error: "year must be between 1 and 4." });
+
+    const { data: removed, error } = await supabase
+      .from("elective_windows")
+      .delete()
+      .eq("department_id", department_id)
+      .eq("year", year)
+      .select(WINDOW_COLUMNS);
+
+    if (error) throw error;
+    if (!removed || removed.length === 0) {
+      return res.status(404).json({ success: false, error: `Year ${year} has no elective window.` });
+    }
+
+    await recordAudit(req, {
+      action: "elective_window.delete",
+      entity: "elective_windows",
+      entity_id: removed[0].id,
+      before: removed[0],
+      department_id,
+    });
+
+    res.json({ success: true, message: `Elective window for year ${year} removed.` });
+  } catch (err) {
+    console.error("Error deleting elective window:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Elective change requests of the department. Those in categories with
+// change_needs_hod come here as awaiting_hod once the class teacher approves.
+router.get("/elective-change-requests", authenticateUser, authorize("elective_change.approve"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !CHANGE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${CHANGE_STATUSES.join(", ")}.` });
+    }
+
+    res.json({ success: true, requests: await listRequests({ departmentId: req.user.department_id, status }) });
+  } catch (err) {
+    console.error("Error fetching elective change requests:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { note? } (required when rejecting)
+const reviewChange = (approve) => async (req, res) => {
+  try {
+    const note = req.body?.note ? String(req.body.note).trim().slice(0, MAX_REASON_LENGTH) : null;
+    if (!approve && !note) {
+      return res.status(400).json({ success: false, error: "note is required when rejecting a request." });
+    }
+
+    const request = await loadRequest(req.params.id);
+    if (!request || request.department_id !== req.user.department_id) {
+      return res.status(404).json({ success: false, error: "Change request not found." });
+    }
+
+    const { request: updated, status, error } = await reviewRequest(req, request, { stage: "hod", approve, note });
+    if (error) return res.status(status).json({ success: false, error });
+
+    res.json({
+      success: true,
+      status: updated.status,
+      message: approve ? "Change approved and applied." : "Change request rejected.",
+    });
+  } catch (err) {
+    console.error("Error reviewing elective change request:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+router.post("/elective-change-requests/:id/approve", authenticateUser, authorize("elective_change.approve"), reviewChange(true));
+router.post("/elective-change-requests/:id/reject", authenticateUser, authorize("elective_change.approve"), reviewChange(false));
+
+// Elective allocation runs. A run is computed from the students' ranked
+// preferences and kept as a draft to inspect; publishing writes it.
+const RUN_LIST_COLUMNS = "id, year, types, priority, seed, status, summary, created_by, created_at, published_by, published_at, publish_report";
+
+// Body: { year, priority: cgpa | attendance | lottery, types?: [category codes], seed? }
+router.post("/elective-allocations", authenticateUser, authorize("elective.allocate"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+    const { priority } = req.body || {};
+    const year = Number(req.body?.year);
+    const seed = req.body?.seed === undefined ? newSeed() : Number(req.body.seed);
+
+    if (!Number.isInteger(year) || year < 1 || year > 4) {
+      return res.status(400).json({ success: false, error: "year must be between 1 and 4." });
+    }
+    if (!ALLOCATION_PRIORITIES.includes(priority)) {
+      return res.status(400).json({ success: false, error: `priority must be one of: ${ALLOCATION_PRIORITIES.join(", ")}.` });
+    }
+    if (!Number.isInteger(seed) || seed < 0) {
+      return res.status(400).json({ success: false, error: "seed must be a non-negative whole number." });
+    }
+
+    const yearCategories = await loadCategories(department_id, year);
+    const requested = req.body?.types ?? yearCategories.map(c => c.code);
+    if (!Array.isArray(requested) || requested.some(code => !findCategory(yearCategories, code))) {
+      return res.status(400).json({
+        success: false,
+        error: `types must be a list of the year ${year} elective categories: ${yearCategories.map(c => c.code).join(", ") || "none"}.`,
+      });
+    }
+
+    const categories = yearCategories.filter(c => requested.includes(c.code));
+    const types = categories.map(c => c.code);
+    if (types.length === 0) {
+      return res.status(400).json({ success: false, error: `No elective categories to allocate in year ${year}.` });
+    }
+
+    const results = await computeAllocation({ departmentId: department_id, year, categories, priority, seed });
+
+    const { data: run, error } = await supabase
+      .from("elective_allocation_runs")
+      .insert([{
+        department_id,
+        year,
+        types,
+        priority,
+        seed,
+        status: "draft",
+        results: { students: results.students, sections: results.sections },
+        summary: results.summary,
+        created_by: req.user.id,
+      }])
+      .select(RUN_LIST_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log("🎲 Elective allocation drafted:", run.id, "year", year, priority, results.summary);
+
+    res.status(201).json({ success: true, run, sections: results.sections });
+  } catch (err) {
+    console.error("Error running elective allocation:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get("/elective-allocations", authenticateUser, authorize("elective.allocate"), async (req, res) => {
+  try {
+    let query = supabase
+      .from("elective_allocation_runs")
+      .select(RUN_LIST_COLUMNS)
+      .eq("department_id", req.user.department_id)
+      .order("created_at", { ascending: false });
+
+    if (req.query.year) query = query.eq("year", Number(req.query.year));
+
+    const { data: runs, error } = await query;
+    if (error) throw error;
+
+    res.json({ success: true, runs: runs || [] });
+  } catch (err) {
+    console.error("Error listing elective allocations:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+const loadRun = async (req) => {
+  const { data, error } = await supabase
+    .from("elective_allocation_runs")
+    .select("*")
+    .eq("id", req.params.id)
+    .eq("department_id", req.user.department_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Results of a run. ?student_id= narrows it to one student and their reasoning.
+router.get("/elective-allocations/:id", authenticateUser, authorize("elective.allocate"), async (req, res) => {
+  try {
+    const run = await loadRun(req);
+    if (!run) return res.status(404).json({ success: false, error: "Allocation run not found." });
+
+    const { results, ...details } = run;
+    let students = results?.students || [];
+
+    if (req.query.student_id) {
+      students = students.filter(s => s.student_id === req.query.student_id);
+      if (students.length === 0) {
+        return res.status(404).json({ success: false, error: "Student is not part of this allocation." });
+      }
+    }
+
+    res.json({ success: true, run: details, sections: results?.sections || [], students });
+  } catch (err) {
+    console.error("Error fetching elective allocation:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Writes a draft into student_subject_selection and locks the selections of
+// everyone who took part. Drafts made before students changed their
+// preferences have to be run again. A publish that fails halfway leaves the
+// run a draft; publishing it again finishes the job.
+router.post("/elective-allocations/:id/publish", authenticateUser, authorize("elective.allocate"), async (req, res) => {
+  try {
+    const run = await loadRun(req);
+    if (!run) return res.status(404).json({ success: false, error: "Allocation run not found." });
+
+    if (run.status !== "draft") {
+      return res.status(409).json({ success: false, error: `This allocation is already ${run.status}.` });
+    }
+
+    const studentIds = run.results.students.map(s => s.student_id);
+    const preferences = await loadPreferences(studentIds, run.types);
+    if (preferencesChanged(run, preferences)) {
+      return res.status(409).json({
+        success: false,
+        error: "Students changed their preferences after this allocation was run. Run it again before publishing.",
+      });
+    }
+
+    // Only one request gets to publish a run
+    const { data: claimed, error: claimError } = await supabase
+      .from("elective_allocation_runs")
+      .update({ status: "publishing" })
+      .eq("id", run.id)
+      .eq("status", "draft")
+      .select("id");
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) {
+      return res.status(409).json({ success: false, error: "This allocation is already being published." });
+    }
+
+    let report;
+    try {
+      report = await publishAllocation(req, run);
+    } catch (err) {
+      await supabase.from("elective_allocation_runs").update({ status: "draft" }).eq("id", run.id);
+      throw err;
+    }
+
+    const { data: published, error: updateError } = await supabase
+      .from("elective_allocation_runs")
+      .update({
+        status: "published",
+        published_by: req.user.id,
+        published_at: new Date().toISOString(),
+        publish_report: report,
+      })
+      .eq("id", run.id)
+      .select(RUN_LIST_COLUMNS)
+      .single();
+
+    if (updateError) throw updateError;
+
+    await recordAudit(req, {
+      action: "elective.allocation_publish",
+      entity: "elective_allocation_runs",
+      entity_id: run.id,
+      before: { status: "draft" },
+      after: { status: "published", year: run.year, types: run.types, priority: run.priority, ...report },
+      department_id: req.user.department_id,
+    });
+
+    console.log("📢 Elective allocation published:", run.id, report);
+
+    res.json({ success: true, run: published, report });
+  } catch (err) {
+    console.error("Error publishing elective allocation:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Get year-wise submission statistics for HOD's department
+router.get("/year-statistics", authenticateUser, authorize("statistics.department"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+
+    if (!department_id) {
+      return res.status(400).json({
+        success: false,
+        error: "Department ID not found in token"
+      });
+    }
+
+    console.log('📊 Fetching year statistics for department:', department_id);
+
+    // Get all classes in this department grouped by year
+    const { data: classes, error: classesError } = await supabase
+      .from("classes")
+      .select("id, name, year")
+      .eq("department_id", department_id)
+      .order("year", { ascending: true });
+
+    if (classesError) throw classesError;
+
+    // Group classes by year
+    const yearGroups = {};
+    (classes || []).forEach(cls => {
+      if (!yearGroups[cls.year]) {
+        yearGroups[cls.year] = [];
+      }
+      yearGroups[cls.year].push(cls.id);
+    });
+
+    // Calculate statistics for each year
+    const yearStats = await Promise.all(
+      Object.entries(yearGroups).map(async ([year, classIds]) => {
+        // Get all students in these classes
+        const { data: students, error: studentsError } = await supabase
+          .from("students")
+          .select("id, class_id, batch_id, defaulter")
+          .in("class_id", classIds);
+
+        if (studentsError) throw studentsError;
+
+        const totalStudents = students?.length || 0;
+        const defaulterStudents = students?.filter(s => s.defaulter).length || 0;
+
+        if (totalStudents === 0) {
+          return {
+            year: parseInt(year),
+            yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
+            percentage: 0,
+            totalStudents: 0,
+            defaulterCount: 0,
+            classCount: classIds.length
+          };
+        }
+
+        // Completion of the assessment components of every subject the students take
+        const summary = await completionSummary(students);
+
+        return {
+          year: parseInt(year),
+          yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
+          percentage: summary.percent,
+          totalStudents,
+          completedStudents: summary.completed_students,
+          expectedSubmissions: summary.total,
+          completedSubmissions: summary.completed,
+          defaulterCount: defaulterStudents,
+          classCount: classIds.length
+        };
+      })
+    );
+
+    console.log('✅ Year statistics calculated:', yearStats);
+
+    return res.json({
+      success: true,
+      statistics: yearStats.sort((a, b) => a.year - b.year)
+    });
+  } catch (err) {
+    console.error("Error fetching year statistics:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Audit log of changes in the HOD's department
+// Optional filters: actor_id, actor_role, action, entity, entity_id, from, to, limit, offset
+router.get("/audit", authenticateUser, authorize("audit.read_department"), async (req, res) => {
+  try {
+    const department_id = req.user.department_id;
+
+    if (!department_id) {
+      return res.status(403).json({
+        success: false,
+        error: "Department ID missing in token.",
+      });
+    }
+
+    const { total, entries } = await listAuditEntries(req.query, { department_id });
+
+    res.json({ success: true, total, entries });
+  } catch (err) {
+    console.error("Error fetching department audit log:", err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
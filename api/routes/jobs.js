@@ -0,0 +1,70 @@
+import express from "express";
+import crypto from "crypto";
+import { runDefaulterReminders } from "../jobs/defaulterReminders.js";
+import { runElectiveWindowClose } from "../jobs/electiveWindows.js";
+import { runDefaulterRecalculation } from "../jobs/defaulterRecalculation.js";
+
+const router = express.Router();
+
+// Scheduled jobs are triggered over HTTP by Vercel Cron (see vercel.json),
+// which sends "Authorization: Bearer <CRON_SECRET>". Without CRON_SECRET
+// configured the jobs can't be triggered at all.
+const cronAccess = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ success: false, error: "CRON_SECRET is not configured" });
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const provided = Buffer.from(req.headers.authorization || "");
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  next();
+};
+
+router.use(cronAccess);
+
+// Vercel Cron issues GET requests; POST is there for manual runs
+const defaulterReminders = async (req, res) => {
+  try {
+    const result = await runDefaulterReminders();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Defaulter reminder job failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+router.get("/defaulter-reminders", defaulterReminders);
+router.post("/defaulter-reminders", defaulterReminders);
+
+const electiveWindows = async (req, res) => {
+  try {
+    const result = await runElectiveWindowClose();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Elective window job failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+router.get("/elective-windows", electiveWindows);
+router.post("/elective-windows", electiveWindows);
+
+const defaulterRecalculation = async (req, res) => {
+  try {
+    const result = await runDefaulterRecalculation();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Defaulter recalculation job failed:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+router.get("/defaulter-recalculation", defaulterRecalculation);
+router.post("/defaulter-recalculation", defaulterRecalculation);
+
+export default router;
@@ -0,0 +1,288 @@
+import express from "express";
+import { supabase } from '../db/supabaseClient.js'
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { subjectScope, classScope, studentScope } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { enrolledSubjects, loadDefaulterSubjects, isSubjectDefaulter } from "../utils/defaulterStatus.js";
+import { validateMarks, findComponent, loadSubmissions, completionSummary } from "../utils/components.js";
+import { departmentBoundaries, gradeFor } from "../utils/grades.js";
+import { chunk } from "../utils/queries.js";
+
+const router = express.Router();
+
+const UPSERT_CHUNK_SIZE = 500;
+
+const loadStudents = async (studentIds) => {
+  const students = [];
+
+  for (const part of chunk(studentIds)) {
+    const { data, error } = await supabase
+      .from("students")
+      .select("id, roll_no, name, class_id, batch_id")
+      .in("id", part);
+
+    if (error) throw error;
+    students.push(...(data || []));
+  }
+  return students;
+};
+
+const loadSubjects = async (subjectIds) => {
+  const subjects = [];
+
+  for (const part of chunk(subjectIds)) {
+    const { data, error } = await supabase
+      .from("subjects")
+      .select("id, name, subject_code, type")
+      .in("id", part);
+
+    if (error) throw error;
+    subjects.push(...(data || []));
+  }
+  return subjects.sort((a, b) => String(a.subject_code).localeCompare(String(b.subject_code)));
+};
+
+// One subject of a mark sheet: marks per component, weighted internal total and grade
+const subjectResult = (progress, boundaries) => ({
+  components: (progress?.components || []).map(({ component_id, name, max_marks, weight, status, marks }) => ({
+    component_id, name, max_marks, weight, status, marks,
+  })),
+  internal_total: progress?.internal_total ?? null,
+  internal_max: progress?.internal_max ?? 0,
+  internal_percent: progress?.internal_percent ?? null,
+  grade: gradeFor(progress?.internal_percent ?? null, boundaries),
+});
+
+// Returns an error message, or null when every entry is well formed
+const validateEntries = (entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return "entries must be a non-empty array of { student_id, marks }.";
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    if (!entry || !entry.student_id) return "Each entry needs a student_id.";
+    if (seen.has(entry.student_id)) return `Student ${entry.student_id} is listed more than once.`;
+    seen.add(entry.student_id);
+  }
+  return null;
+};
+
+// PUT /api/marks/subjects/:subjectId/components/:componentId
+// Enter marks of one assessment component for a whole subject, or a batch of it.
+// Body: { batch_id?, entries: [{ student_id, marks }] }
+// Nothing is saved unless every entry is valid; invalid entries are listed.
+router.put("/subjects/:subjectId/components/:componentId", authenticateUser,
+  authorize("submission.mark", subjectScope(req => req.params.subjectId)),
+  async (req, res) => {
+    try {
+      const { subjectId, componentId } = req.params;
+      const { batch_id, entries } = req.body || {};
+
+      const entriesError = validateEntries(entries);
+      if (entriesError) return res.status(400).json({ success: false, error: entriesError });
+
+      const component = await findComponent(subjectId, { component_id: componentId });
+      if (!component) {
+        return res.status(404).json({ success: false, error: "Assessment component not found for this subject." });
+      }
+
+      const studentIds = entries.map(e => e.student_id);
+      const students = new Map((await loadStudents(studentIds)).map(s => [s.id, s]));
+      const enrolled = await enrolledSubjects([...students.values()]);
+      const defaulterSubjects = component.applies_to === "defaulters"
+        ? await loadDefaulterSubjects(studentIds)
+        : null;
+
+      const invalid = [];
+      entries.forEach(entry => {
+        const student = students.get(entry.student_id);
+        const { error: marksError } = validateMarks(entry.marks, component);
+
+        let error = null;
+        if (!student) error = "Student not found.";
+        else if (batch_id && student.batch_id !== batch_id) error = "Student is not in this batch.";
+        else if (!enrolled.get(student.id)?.has(subjectId)) error = "Student does not take this subject.";
+        else if (defaulterSubjects && !isSubjectDefaulter(defaulterSubjects, student.id, subjectId)) {
+          error = `${component.name} only applies to defaulters in this subject.`;
+        }
+        else if (entry.marks === undefined || entry.marks === null || entry.marks === "") error = "marks is required.";
+        else if (marksError) error = marksError;
+
+        if (error) invalid.push({ student_id: entry.student_id, roll_no: student?.roll_no || null, error });
+      });
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${invalid.length} entr${invalid.length === 1 ? "y is" : "ies are"} invalid. Nothing was saved.`,
+          invalid,
+        });
+      }
+
+      const existing = new Map(
+        (await loadSubmissions(studentIds, { subjectIds: [subjectId] }))
+          .filter(row => row.component_id === component.id)
+          .map(row => [row.student_id, row])
+      );
+
+      const now = new Date().toISOString();
+      const rows = entries.map(entry => ({
+        student_id: entry.student_id,
+        subject_id: subjectId,
+        component_id: component.id,
+        marks: Number(entry.marks),
+        status: "completed",
+        marked_by: req.user.id,
+        marked_at: now,
+      }));
+
+      for (const part of chunk(rows, UPSERT_CHUNK_SIZE)) {
+        const { error } = await supabase
+          .from("student_submissions")
+          .upsert(part, { onConflict: "student_id,component_id" });
+
+        if (error) throw error;
+      }
+
+      const changed = rows.filter(row => {
+        const before = existing.get(row.student_id);
+        return !before || before.marks === null || Number(before.marks) !== row.marks || before.status !== row.status;
+      });
+
+      if (changed.length > 0) {
+        await recordAudit(req, {
+          action: "marks.enter",
+          entity: "assessment_components",
+          entity_id: component.id,
+          before: Object.fromEntries(changed.map(row => [row.student_id, existing.get(row.student_id)?.marks ?? null])),
+          after: Object.fromEntries(changed.map(row => [row.student_id, row.marks])),
+        });
+      }
+
+      console.log(`📝 Marks entered for ${component.name}:`, rows.length, "students,", changed.length, "changed");
+
+      return res.json({
+        success: true,
+        message: `Marks saved for ${rows.length} student(s).`,
+        component: { id: component.id, name: component.name, max_marks: Number(component.max_marks) },
+        saved: rows.length,
+        changed: changed.length,
+      });
+    } catch (err) {
+      console.error("Error entering marks:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/marks/classes/:classId/result-sheet
+// Every student of the class with marks per component, internal total and
+// grade in each subject they take
+router.get("/classes/:classId/result-sheet", authenticateUser,
+  authorize("result.read", classScope(req => req.params.classId)),
+  async (req, res) => {
+    try {
+      const { classId } = req.params;
+
+      const { data: cls, error: classError } = await supabase
+        .from("classes")
+        .select("id, name, year, department_id")
+        .eq("id", classId)
+        .single();
+
+      if (classError) throw classError;
+
+      const { data: students, error: studentsError } = await supabase
+        .from("students")
+        .select("id, roll_no, name, hall_ticket_number, class_id, batch_id")
+        .eq("class_id", classId)
+        .order("roll_no", { ascending: true });
+
+      if (studentsError) throw studentsError;
+
+      const summary = await completionSummary(students || []);
+      const boundaries = await departmentBoundaries(cls.department_id);
+
+      const subjectIds = [...new Set((students || []).flatMap(s => Object.keys(summary.students.get(s.id)?.subjects || {})))];
+      const subjects = (await loadSubjects(subjectIds)).map(subject => ({
+        ...subject,
+        components: [...summary.components.values()]
+          .filter(stats => stats.component.subject_id === subject.id)
+          .map(({ component }) => ({
+            id: component.id,
+            name: component.name,
+            max_marks: Number(component.max_marks),
+            weight: Number(component.weight),
+            applies_to: component.applies_to,
+          })),
+      }));
+
+      const rows = (students || []).map(student => {
+        const progress = summary.students.get(student.id)?.subjects || {};
+        return {
+          id: student.id,
+          roll_no: student.roll_no,
+          name: student.name,
+          hall_ticket_number: student.hall_ticket_number,
+          subjects: Object.fromEntries(
+            Object.entries(progress).map(([subjectId, p]) => [subjectId, subjectResult(p, boundaries)])
+          ),
+        };
+      });
+
+      return res.json({
+        success: true,
+        class: cls,
+        grade_boundaries: boundaries,
+        subjects,
+        students: rows,
+      });
+    } catch (err) {
+      console.error("Error building result sheet:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/marks/students/:id/mark-sheet
+router.get("/students/:id/mark-sheet", authenticateUser,
+  authorize("result.read", studentScope(req => req.params.id)),
+  async (req, res) => {
+    try {
+      const { data: student, error: studentError } = await supabase
+        .from("students")
+        .select("id, roll_no, name, hall_ticket_number, class_id, batch_id, classes ( name, year, department_id )")
+        .eq("id", req.params.id)
+        .single();
+
+      if (studentError) throw studentError;
+
+      const boundaries = await departmentBoundaries(student.classes?.department_id);
+
+      const summary = await completionSummary([student]);
+      const progress = summary.students.get(student.id)?.subjects || {};
+      const subjects = await loadSubjects(Object.keys(progress));
+
+      const { classes, ...profile } = student;
+
+      return res.json({
+        success: true,
+        student: { ...profile, class_name: classes?.name || null, year: classes?.year || null },
+        grade_boundaries: boundaries,
+        subjects: subjects.map(subject => ({
+          id: subject.id,
+          code: subject.subject_code,
+          name: subject.name,
+          type: subject.type,
+          ...subjectResult(progress[subject.id], boundaries),
+        })),
+      });
+    } catch (err) {
+      console.error("Error building mark sheet:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,468 @@
+import express from "express";
+import { supabase } from '../db/supabaseClient.js'
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { classScope, subjectScope, departmentScope } from "../utils/permissions.js";
+import { subjectRoster, loadSubjectStatuses, loadDefaulterSubjects, isSubjectDefaulter } from "../utils/defaulterStatus.js";
+import { completionSummary } from "../utils/components.js";
+import { findChoices, loadCategories, loadChoices, loadLocked, missingCategories } from "../utils/electiveCategories.js";
+import { departmentBoundaries, gradeFor } from "../utils/grades.js";
+import { reportFormat, sendReport } from "../utils/reports.js";
+import { chunk, selectAll } from "../utils/queries.js";
+
+const router = express.Router();
+
+// Downloadable .xlsx / .csv versions of the statistics screens.
+// Every report takes ?format=xlsx (default) or ?format=csv and only covers
+// what the caller's scope allows (see authorize()).
+
+const STATUS_LABELS = { completed: "Completed", pending: "Pending", not_started: "Not started" };
+
+const requireFormat = (req, res, next) => {
+  req.reportFormat = reportFormat(req);
+  if (!req.reportFormat) {
+    return res.status(400).json({ success: false, error: "format must be xlsx or csv." });
+  }
+  next();
+};
+
+const loadSubjects = async (subjectIds) => {
+  const subjects = [];
+
+  for (const part of chunk([...new Set(subjectIds)])) {
+    const { data, error } = await supabase
+      .from("subjects")
+      .select("id, name, subject_code, type")
+      .in("id", part);
+
+    if (error) throw error;
+    subjects.push(...(data || []));
+  }
+  return subjects.sort((a, b) => String(a.subject_code).localeCompare(String(b.subject_code)));
+};
+
+const loadClassStudents = async (classIds) => {
+  const students = [];
+
+  for (const part of chunk(classIds)) {
+    students.push(...await selectAll(() => supabase
+      .from("students")
+      .select("id, roll_no, name, hall_ticket_number, attendance_percent, defaulter, class_id, batch_id, batches ( name )")
+      .in("class_id", part)
+      .order("roll_no", { ascending: true })
+      .order("id", { ascending: true })));
+  }
+  return students;
+};
+
+const subjectLabel = (subject) => subject?.subject_code || subject?.name || "Subject";
+
+const percentText = (value) => (value === null || value === undefined ? "" : value);
+
+// GET /api/reports/classes/:classId/roster
+// Class roster with each student's submission status per subject and component
+router.get("/classes/:classId/roster", authenticateUser,
+  authorize("report.class", classScope(req => req.params.classId)),
+  requireFormat,
+  async (req, res) => {
+    try {
+      const { data: cls, error: classError } = await supabase
+        .from("classes")
+        .select("id, name")
+        .eq("id", req.params.classId)
+        .single();
+
+      if (classError) throw classError;
+
+      const students = await loadClassStudents([cls.id]);
+      const summary = await completionSummary(students);
+
+      const subjectIds = [...new Set(students.flatMap(s => Object.keys(summary.students.get(s.id)?.subjects || {})))];
+      const subjects = await loadSubjects(subjectIds);
+      const componentsOf = (subjectId) => [...summary.components.values()]
+        .map(stats => stats.component)
+        .filter(component => component.subject_id === subjectId);
+
+      const columns = ["Roll No", "Name", "Hall Ticket", "Batch", "Attendance %", "Defaulter"];
+      subjects.forEach(subject => {
+        componentsOf(subject.id).forEach(component => columns.push(`${subjectLabel(subject)}: ${component.name}`));
+        columns.push(`${subjectLabel(subject)}: Completion %`);
+      });
+      columns.push("Overall completion %");
+
+      const rows = students.map(student => {
+        const progress = summary.students.get(student.id);
+        const row = {
+          "Roll No": student.roll_no,
+          "Name": student.name,
+          "Hall Ticket": student.hall_ticket_number,
+          "Batch": student.batches?.name || "",
+          "Attendance %": percentText(student.attendance_percent),
+          "Defaulter": student.defaulter ? "Yes" : "No",
+        };
+
+        subjects.forEach(subject => {
+          const subjectProgress = progress?.subjects[subject.id];
+          const items = new Map((subjectProgress?.components || []).map(item => [item.component_id, item]));
+
+          componentsOf(subject.id).forEach(component => {
+            const item = items.get(component.id);
+            // Blank where the student doesn't take the subject or the component doesn't apply
+            row[`${subjectLabel(subject)}: ${component.name}`] = item ? STATUS_LABELS[item.status] || item.status : "";
+          });
+          row[`${subjectLabel(subject)}: Completion %`] = percentText(subjectProgress?.percent);
+        });
+
+        row["Overall completion %"] = percentText(progress?.percent);
+        return row;
+      });
+
+      return sendReport(res, {
+        filename: `class-roster-${cls.name}`,
+        format: req.reportFormat,
+        sheets: [{ name: cls.name, rows, columns }],
+      });
+    } catch (err) {
+      console.error("Error generating class roster report:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Students of a subject the caller may see: everyone for the director and the
+// subject's HOD; otherwise the classes/batches they teach it to, the students
+// who picked them for it as an elective, and their own class
+const visibleRoster = async (req, subjectId) => {
+  const roster = await subjectRoster(subjectId);
+  const user = req.user;
+
+  if (user.role === "director" || (user.role === "hod" && req.scope.department_id === user.department_id)) {
+    return roster;
+  }
+
+  const { data: mappings, error: mappingsError } = await supabase
+    .from("faculty_subjects")
+    .select("class_id, batch_id")
+    .eq("faculty_id", user.id)
+    .eq("subject_id", subjectId);
+
+  if (mappingsError) throw mappingsError;
+
+  const electiveStudents = new Set(
+    (await findChoices({ subjectId, facultyId: user.id })).map(choice => choice.student_id)
+  );
+
+  return roster.filter(student =>
+    (user.class_id && student.class_id === user.class_id) ||
+    electiveStudents.has(student.id) ||
+    (mappings || []).some(m => m.class_id === student.class_id && (!m.batch_id || m.batch_id === student.batch_id))
+  );
+};
+
+// GET /api/reports/subjects/:subjectId
+// Faculty subject report: per student attendance, defaulter status,
+// component statuses and marks, internal total and grade
+router.get("/subjects/:subjectId", authenticateUser,
+  authorize("report.subject", subjectScope(req => req.params.subjectId)),
+  requireFormat,
+  async (req, res) => {
+    try {
+      const { subjectId } = req.params;
+      const [subject] = await loadSubjects([subjectId]);
+
+      const students = (await visibleRoster(req, subjectId))
+        .sort((a, b) => String(a.roll_no).localeCompare(String(b.roll_no), undefined, { numeric: true }));
+      const studentIds = students.map(s => s.id);
+
+      const summary = await completionSummary(students, { subjectIds: [subjectId] });
+      const components = [...summary.components.values()].map(stats => stats.component);
+      const statuses = new Map(
+        (await loadSubjectStatuses(studentIds, { subjectId, columns: "student_id, attendance_percent" }))
+          .map(row => [row.student_id, row])
+      );
+      const defaulterSubjects = await loadDefaulterSubjects(studentIds);
+      const boundaries = await departmentBoundaries(req.scope.department_id);
+
+      const classNames = new Map();
+      const classIds = [...new Set(students.map(s => s.class_id).filter(Boolean))];
+      if (classIds.length > 0) {
+        const { data: classes, error: classesError } = await supabase
+          .from("classes")
+          .select("id, name")
+          .in("id", classIds);
+
+        if (classesError) throw classesError;
+        (classes || []).forEach(c => classNames.set(c.id, c.name));
+      }
+
+      const columns = ["Roll No", "Name", "Hall Ticket", "Class", "Attendance %", "Defaulter"];
+      components.forEach(component => {
+        columns.push(`${component.name} status`, `${component.name} marks (/${Number(component.max_marks)})`);
+      });
+      columns.push("Internal total", "Internal max", "Internal %", "Grade", "Completion %");
+
+      const rows = students.map(student => {
+        const progress = summary.students.get(student.id)?.subjects[subjectId];
+        const items = new Map((progress?.components || []).map(item => [item.component_id, item]));
+
+        const row = {
+          "Roll No": student.roll_no,
+          "Name": student.name,
+          "Hall Ticket": student.hall_ticket_number,
+          "Class": classNames.get(student.class_id) || "",
+          "Attendance %": percentText(statuses.get(student.id)?.attendance_percent),
+          "Defaulter": isSubjectDefaulter(defaulterSubjects, student.id, subjectId) ? "Yes" : "No",
+        };
+
+        components.forEach(component => {
+          const item = items.get(component.id);
+          row[`${component.name} status`] = item ? STATUS_LABELS[item.status] || item.status : "";
+          row[`${component.name} marks (/${Number(component.max_marks)})`] = item?.marks ?? "";
+        });
+
+        row["Internal total"] = progress?.internal_total ?? "";
+        row["Internal max"] = progress?.internal_max ?? "";
+        row["Internal %"] = percentText(progress?.internal_percent);
+        row["Grade"] = gradeFor(progress?.internal_percent ?? null, boundaries) || "";
+        row["Completion %"] = percentText(progress?.percent);
+        return row;
+      });
+
+      return sendReport(res, {
+        filename: `subject-report-${subjectLabel(subject)}`,
+        format: req.reportFormat,
+        sheets: [{ name: subjectLabel(subject), rows, columns }],
+      });
+    } catch (err) {
+      console.error("Error generating subject report:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/reports/departments/:departmentId/defaulters
+// Every student of the department who is a defaulter, one row per subject
+router.get("/departments/:departmentId/defaulters", authenticateUser,
+  authorize("report.department", departmentScope(req => req.params.departmentId)),
+  requireFormat,
+  async (req, res) => {
+    try {
+      const { departmentId } = req.params;
+
+      const { data: department, error: departmentError } = await supabase
+        .from("departments")
+        .select("id, name")
+        .eq("id", departmentId)
+        .single();
+
+      if (departmentError) throw departmentError;
+
+      const { data: classes, error: classesError } = await supabase
+        .from("classes")
+        .select("id, name, year")
+        .eq("department_id", departmentId)
+        .order("year", { ascending: true })
+        .order("name", { ascending: true });
+
+      if (classesError) throw classesError;
+
+      const classNames = new Map((classes || []).map(c => [c.id, c.name]));
+      const students = await loadClassStudents((classes || []).map(c => c.id));
+      const studentsById = new Map(students.map(s => [s.id, s]));
+
+      const statuses = await loadSubjectStatuses(students.map(s => s.id), {
+        columns: "student_id, subject_id, is_defaulter, attendance_percent, threshold, source, reason",
+      });
+      const tracked = new Set(statuses.map(row => row.student_id));
+      const defaulterRows = statuses.filter(row => row.is_defaulter);
+      const subjects = new Map((await loadSubjects(defaulterRows.map(row => row.subject_id))).map(s => [s.id, s]));
+
+      const rows = defaulterRows.map(row => {
+        const student = studentsById.get(row.student_id);
+        return {
+          "Class": classNames.get(student?.class_id) || "",
+          "Roll No": student?.roll_no ?? "",
+          "Name": student?.name || "",
+          "Hall Ticket": student?.hall_ticket_number || "",
+          "Subject code": subjects.get(row.subject_id)?.subject_code || "",
+          "Subject": subjects.get(row.subject_id)?.name || "",
+          "Attendance %": percentText(row.attendance_percent),
+          "Threshold %": percentText(row.threshold),
+          "Source": row.source || "",
+          "Reason": row.reason || "",
+        };
+      });
+
+      // Students not recalculated per subject yet only have the global flag
+      students
+        .filter(student => student.defaulter && !tracked.has(student.id))
+        .forEach(student => rows.push({
+          "Class": classNames.get(student.class_id) || "",
+          "Roll No": student.roll_no,
+          "Name": student.name,
+          "Hall Ticket": student.hall_ticket_number,
+          "Subject code": "",
+          "Subject": "All subjects",
+          "Attendance %": percentText(student.attendance_percent),
+          "Threshold %": "",
+          "Source": "student flag",
+          "Reason": "",
+        }));
+
+      const classOrder = new Map((classes || []).map((c, index) => [c.name, index]));
+      rows.sort((a, b) =>
+        (classOrder.get(a.Class) ?? 0) - (classOrder.get(b.Class) ?? 0) ||
+        String(a["Roll No"]).localeCompare(String(b["Roll No"]), undefined, { numeric: true }) ||
+        String(a["Subject code"]).localeCompare(String(b["Subject code"]))
+      );
+
+      return sendReport(res, {
+        filename: `defaulters-${department.name}`,
+        format: req.reportFormat,
+        sheets: [{
+          name: "Defaulters",
+          rows,
+          columns: ["Class", "Roll No", "Name", "Hall Ticket", "Subject code", "Subject", "Attendance %", "Threshold %", "Source", "Reason"],
+        }],
+      });
+    } catch (err) {
+      console.error("Error generating department defaulter report:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/reports/departments/:departmentId/elective-selections?year=
+// Students of a year who never picked an elective, and (second sheet, xlsx
+// only) those who picked some but not every mandatory category
+router.get("/departments/:departmentId/elective-selections", authenticateUser,
+  authorize("report.department", departmentScope(req => req.params.departmentId)),
+  requireFormat,
+  async (req, res) => {
+    try {
+      const { departmentId } = req.params;
+      const year = Number(req.query.year);
+      if (!Number.isInteger(year) || year < 1 || year > 4) {
+        return res.status(400).json({ success: false, error: "year must be between 1 and 4." });
+      }
+
+      const { data: department, error: departmentError } = await supabase
+        .from("departments")
+        .select("id, name")
+        .eq("id", departmentId)
+        .single();
+
+      if (departmentError) throw departmentError;
+
+      const { data: classes, error: classesError } = await supabase
+        .from("classes")
+        .select("id, name")
+        .eq("department_id", departmentId)
+        .eq("year", year)
+        .order("name", { ascending: true });
+
+      if (classesError) throw classesError;
+
+      const classNames = new Map((classes || []).map(c => [c.id, c.name]));
+      const students = await loadClassStudents((classes || []).map(c => c.id));
+      const categories = await loadCategories(departmentId, year);
+      const choices = await loadChoices(students.map(s => s.id));
+      const locked = await loadLocked(students.map(s => s.id));
+
+      const classOrder = new Map((classes || []).map((c, index) => [c.id, index]));
+      students.sort((a, b) =>
+        (classOrder.get(a.class_id) ?? 0) - (classOrder.get(b.class_id) ?? 0) ||
+        String(a.roll_no).localeCompare(String(b.roll_no), undefined, { numeric: true })
+      );
+
+      const neverSelected = [];
+      const incomplete = [];
+      students.forEach(student => {
+        const chosen = choices.get(student.id);
+        const row = {
+          "Class": classNames.get(student.class_id) || "",
+          "Roll No": student.roll_no,
+          "Name": student.name,
+          "Hall Ticket": student.hall_ticket_number || "",
+          "Locked": locked.has(student.id) ? "Yes" : "No",
+        };
+
+        if (chosen.length === 0) {
+          neverSelected.push(row);
+          return;
+        }
+
+        const missing = missingCategories(categories, chosen);
+        if (missing.length > 0) {
+          incomplete.push({ ...row, "Missing": missing.map(m => `${m.code} (${m.chosen}/${m.needed})`).join(", ") });
+        }
+      });
+
+      return sendReport(res, {
+        filename: `elective-selections-${department.name}-year-${year}`,
+        format: req.reportFormat,
+        sheets: [
+          { name: "Never selected", rows: neverSelected, columns: ["Class", "Roll No", "Name", "Hall Ticket", "Locked"] },
+          { name: "Incomplete", rows: incomplete, columns: ["Class", "Roll No", "Name", "Hall Ticket", "Locked", "Missing"] },
+        ],
+      });
+    } catch (err) {
+      console.error("Error generating elective selection report:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// GET /api/reports/director-summary
+// One row per department: classes, students, defaulters and submission completion
+router.get("/director-summary", authenticateUser, authorize("report.institution"), requireFormat,
+  async (req, res) => {
+    try {
+      const { data: departments, error: deptError } = await supabase
+        .from("departments")
+        .select("id, name")
+        .order("name", { ascending: true });
+
+      if (deptError) throw deptError;
+
+      // One department at a time; each summary loads every student's submissions
+      const rows = [];
+      for (const dept of departments || []) {
+        const { data: classes, error: classesError } = await supabase
+          .from("classes")
+          .select("id")
+          .eq("department_id", dept.id);
+
+        if (classesError) throw classesError;
+
+        const students = await loadClassStudents((classes || []).map(c => c.id));
+        const summary = await completionSummary(students);
+
+        rows.push({
+          "Department": dept.name,
+          "Classes": (classes || []).length,
+          "Students": students.length,
+          "Defaulters": students.filter(s => s.defaulter).length,
+          "Submissions expected": summary.total,
+          "Submissions completed": summary.completed,
+          "Completion %": summary.percent,
+          "Students fully completed": summary.completed_students,
+        });
+      }
+
+      return sendReport(res, {
+        filename: "director-summary",
+        format: req.reportFormat,
+        sheets: [{
+          name: "Departments",
+          rows,
+          columns: ["Department", "Classes", "Students", "Defaulters", "Submissions expected", "Submissions completed", "Completion %", "Students fully completed"],
+        }],
+      });
+    } catch (err) {
+      console.error("Error generating director summary report:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+export default router;
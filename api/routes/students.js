@@ -1,61 +1,62 @@
 import express from 'express'
 import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { loadDefaulterSubjects, isSubjectDefaulter, loadSubjectStatuses } from "../utils/defaulterStatus.js";
+import { acceptFiles } from "../middlewares/upload.js";
+import {
+  MAX_UPLOAD_FILES,
+  storeUploadFiles,
+  removeUploadFiles,
+  readUploadFile,
+  sendUploadFile,
+  latestUpload,
+  latestUploads,
+  publicFiles,
+  publicUpload,
+} from "../utils/defaulterUploads.js";
+import { deadlineState } from "../utils/deadlines.js";
+import { loadComponents, loadSubmissions, subjectProgress } from "../utils/components.js";
+import { departmentBoundaries, gradeFor } from "../utils/grades.js";
+import {
+  seatLimit,
+  findSection,
+  claimSeat,
+  syncSeats,
+  joinWaitlist,
+  leaveWaitlist,
+  waitlistPosition,
+  promoteReleased,
+  sectionOccupancy,
+  occupancyOf,
+} from "../utils/electiveSeats.js";
+import {
+  loadCategories,
+  studentCategories,
+  categoryFor,
+  findCategory,
+  missingCategories,
+  loadChoices,
+  saveChoice,
+  selectionColumns,
+  isLocked,
+  setLocked,
+} from "../utils/electiveCategories.js";
+import { MAX_PREFERENCES, loadPreferences } from "../utils/electiveAllocation.js";
+import { loadWindow, windowError, describeWindow } from "../utils/electiveWindows.js";
+import {
+  MAX_REASON_LENGTH,
+  REQUEST_COLUMNS,
+  loadRequest,
+  listRequests,
+  recordEvent,
+  cancelRequest,
+} from "../utils/electiveChanges.js";
 
 const router = express.Router()
 
-// Test endpoint to debug authentication
-router.get("/debug-auth", authenticateUser, authorizeRoles("student"), async (req, res) => {
-  try {
-    console.log('Debug auth - Full req.user:', req.user);
-
-    const student_id = req.user.id;
-
-    // Check if student exists
-    const { data: student, error } = await supabase
-      .from("students")
-      .select("id, name, hall_ticket_number, class_id, batch_id")
-      .eq("id", student_id)
-      .maybeSingle();
-
-    // Get all students to compare
-    const { data: allStudents } = await supabase
-      .from("students")
-      .select("id, name, hall_ticket_number")
-      .limit(10);
-
-    return res.json({
-      success: true,
-      tokenData: req.user,
-      studentFound: !!student,
-      studentData: student,
-      error: error,
-      sampleStudents: allStudents
-    });
-  } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
-
-// Public endpoint to check students (for debugging only - remove in production)
-router.get("/debug-students", async (req, res) => {
-  try {
-    const { data: students } = await supabase
-      .from("students")
-      .select("id, name, hall_ticket_number, class_id, batch_id")
-      .limit(5);
-
-    return res.json({
-      success: true,
-      students: students
-    });
-  } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
-
 // Get student dashboard data
-router.get("/dashboard", authenticateUser, authorizeRoles("student"), async (req, res) => {
+router.get("/dashboard", authenticateUser, authorize("student_portal.read"), async (req, res) => {
   try {
     const student_id = req.user.id;
     const class_id = req.user.class_id;
@@ -146,21 +147,8 @@ router.get("/dashboard", authenticateUser, authorizeRoles("student"), async (req
     });
 
     // Also add elective subjects that the student has selected
-    const { data: studentSelections, error: selectionsError } = await supabase
-      .from("student_subject_selection")
-      .select("mdm_id, oe_id, pe_id")
-      .eq("student_id", student_id)
-      .maybeSingle();
-
-    if (selectionsError) throw selectionsError;
-
-    // Get elective subject IDs
-    const electiveSubjectIds = [];
-    if (studentSelections) {
-      if (studentSelections.mdm_id) electiveSubjectIds.push(studentSelections.mdm_id);
-      if (studentSelections.oe_id) electiveSubjectIds.push(studentSelections.oe_id);
-      if (studentSelections.pe_id) electiveSubjectIds.push(studentSelections.pe_id);
-    }
+    const choices = (await loadChoices([student_id])).get(student_id);
+    const electiveSubjectIds = [...new Set(choices.map(c => c.subject_id))];
 
     // Fetch elective subject details and add to subjects array
     if (electiveSubjectIds.length > 0) {
@@ -185,27 +173,6 @@ router.get("/dashboard", authenticateUser, authorizeRoles("student"), async (req
       });
     }
 
-    // Get student submissions for all subjects
-    const { data: submissions, error: submissionsError } = await supabase
-      .from("student_submissions")
-      .select("subject_id, submission_type_id, status")
-      .eq("student_id", student_id);
-
-    if (submissionsError) throw submissionsError;
-
-    // Get submission types separately
-    const { data: submissionTypes, error: typesError } = await supabase
-      .from("submission_types")
-      .select("id, name");
-
-    if (typesError) throw typesError;
-
-    // Create a map of submission type IDs to names
-    const typeMap = new Map();
-    submissionTypes.forEach(type => {
-      typeMap.set(type.id, type.name);
-    });
-
     // Get faculty availability for subjects
     const subjectIds = subjects.map(s => s.id);
     const { data: facultyAvailability, error: availabilityError } = await supabase
@@ -221,21 +188,28 @@ router.get("/dashboard", authenticateUser, authorizeRoles("student"), async (req
       availabilityMap.set(fa.subject_id, fa.is_available);
     });
 
+    // Defaulter status is per subject; components meant for defaulters only
+    // count where it applies
+    const defaulterSubjects = await loadDefaulterSubjects([student_id]);
+    const components = await loadComponents(subjectIds);
+
+    // Grades use the grade boundaries of the student's department
+    const { data: studentClass, error: classError } = await supabase
+      .from("classes")
+      .select("department_id")
+      .eq("id", studentClassId)
+      .maybeSingle();
+
+    if (classError) throw classError;
+    const gradeBoundaries = await departmentBoundaries(studentClass?.department_id);
+    const submissions = new Map(
+      (await loadSubmissions([student_id], { subjectIds })).map(sub => [sub.component_id, sub])
+    );
+
     // Map submissions to subjects
     const subjectsWithSubmissions = subjects.map(subject => {
-      const subjectSubmissions = submissions.filter(s => s.subject_id === subject.id);
-      const submissionMap = {
-        CIE: 'pending',
-        TA: 'pending',
-        'Defaulter work': 'pending'
-      };
-
-      subjectSubmissions.forEach(sub => {
-        const typeName = typeMap.get(sub.submission_type_id);
-        if (typeName) {
-          submissionMap[typeName] = sub.status;
-        }
-      });
+      const defaulter = isSubjectDefaulter(defaulterSubjects, student_id, subject.id);
+      const progress = subjectProgress(components.get(subject.id), submissions, defaulter);
 
       return {
         id: subject.id,
@@ -243,31 +217,22 @@ router.get("/dashboard", authenticateUser, authorizeRoles("student"), async (req
         name: subject.name,
         type: subject.type,
         facultyAvailable: availabilityMap.get(subject.id) || false,
-        submissions: {
-          cie: submissionMap.CIE,
-          ta: submissionMap.TA,
-          defaulter: submissionMap['Defaulter work']
-        }
+        defaulter,
+        // Status per component name, e.g. { "CIE-1": "completed", "Lab journal": "pending" }
+        submissions: Object.fromEntries(progress.components.map(c => [c.name, c.status])),
+        components: progress.components,
+        completed: progress.completed,
+        total: progress.total,
+        weightedScore: progress.weighted_score,
+        internalTotal: progress.internal_total,
+        internalMax: progress.internal_max,
+        internalPercent: progress.internal_percent,
+        grade: gradeFor(progress.internal_percent, gradeBoundaries)
       };
     });
 
-    // Calculate submission percentage (exclude defaulter work for non-defaulter students)
-    const isDefaulter = student.defaulter;
-    const submissionsPerSubject = isDefaulter ? 3 : 2; // CIE, TA, and optionally Defaulter work
-    const totalSubmissions = subjectsWithSubmissions.length * submissionsPerSubject;
-
-    const completedSubmissions = subjectsWithSubmissions.reduce((count, subject) => {
-      let subjectCompleted = 0;
-      subjectCompleted += (subject.submissions.cie === 'completed' ? 1 : 0);
-      subjectCompleted += (subject.submissions.ta === 'completed' ? 1 : 0);
-
-      // Only count defaulter work for defaulter students
-      if (isDefaulter) {
-        subjectCompleted += (subject.submissions.defaulter === 'completed' ? 1 : 0);
-      }
-
-      return count + subjectCompleted;
-    }, 0);
+    const totalSubmissions = subjectsWithSubmissions.reduce((count, subject) => count + subject.total, 0);
+    const completedSubmissions = subjectsWithSubmissions.reduce((count, subject) => count + subject.completed, 0);
 
     const submissionPercentage = totalSubmissions > 0 ? Math.round((completedSubmissions / totalSubmissions) * 100) : 0;
 
@@ -311,7 +276,7 @@ router.get("/dashboard", authenticateUser, authorizeRoles("student"), async (req
 });
 
 // Get all subjects for student (theory, practical, MDM, OE, PE)
-router.get("/subjects", authenticateUser, authorizeRoles("student"), async (req, res) => {
+router.get("/subjects", authenticateUser, authorize("student_portal.read"), async (req, res) => {
   try {
     const student_id = req.user.id;
     const class_id = req.user.class_id;
@@ -336,13 +301,14 @@ router.get("/subjects", authenticateUser, authorizeRoles("student"), async (req,
     // Get class information including year
     const { data: classInfo, error: classError } = await supabase
       .from("classes")
-      .select("year")
+      .select("year, department_id")
       .eq("id", class_id)
       .maybeSingle();
 
     if (classError) throw classError;
 
     const classYear = classInfo?.year || 1;
+    const categories = classInfo ? await loadCategories(classInfo.department_id, classYear) : [];
 
     // Get all subjects for the class
     const { data: allSubjects, error: subjectsError } = await supabase
@@ -379,22 +345,14 @@ router.get("/subjects", authenticateUser, authorizeRoles("student"), async (req,
 
     const facultyMap = new Map(faculties.map(f => [f.id, f.name]));
 
-    // Get student's subject selections (MDM, OE, PE)
-    const { data: studentSelections, error: selectionsError } = await supabase
-      .from("student_subject_selection")
-      .select("mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id")
-      .eq("student_id", student_id)
-      .maybeSingle();
-
-    if (selectionsError) throw selectionsError;
+    // Get student's elective choices
+    const choices = (await loadChoices([student_id])).get(student_id);
 
-    // Organize subjects by type
+    // Organize subjects by type, one list per elective category
     const subjectsByType = {
       theory: [],
       practical: [],
-      mdm: [],
-      oe: [],
-      pe: []
+      ...Object.fromEntries(categories.map(category => [category.code.toLowerCase(), []]))
     };
 
     // Get faculty availability for all subjects
@@ -442,12 +400,7 @@ router.get("/subjects", authenticateUser, authorizeRoles("student"), async (req,
     });
 
     // Get selected elective subjects from subjects table (not limited to class)
-    const electiveSubjectIds = [];
-    if (studentSelections) {
-      if (studentSelections.mdm_id) electiveSubjectIds.push(studentSelections.mdm_id);
-      if (studentSelections.oe_id) electiveSubjectIds.push(studentSelections.oe_id);
-      if (studentSelections.pe_id) electiveSubjectIds.push(studentSelections.pe_id);
-    }
+    const electiveSubjectIds = [...new Set(choices.map(c => c.subject_id))];
 
     let electiveSubjects = [];
     if (electiveSubjectIds.length > 0) {
@@ -461,12 +414,7 @@ router.get("/subjects", authenticateUser, authorizeRoles("student"), async (req,
     }
 
     // Get faculty names for elective subjects
-    const electiveFacultyIds = [];
-    if (studentSelections) {
-      if (studentSelections.mdm_faculty_id) electiveFacultyIds.push(studentSelections.mdm_faculty_id);
-      if (studentSelections.oe_faculty_id) electiveFacultyIds.push(studentSelections.oe_faculty_id);
-      if (studentSelections.pe_faculty_id) electiveFacultyIds.push(studentSelections.pe_faculty_id);
-    }
+    const electiveFacultyIds = [...new Set(choices.map(c => c.faculty_id).filter(Boolean))];
 
     if (electiveFacultyIds.length > 0) {
       const { data: electiveFaculties, error: electiveFacultiesError } = await supabase
@@ -482,62 +430,25 @@ router.get("/subjects", authenticateUser, authorizeRoles("student"), async (req,
       });
     }
 
-    // Add selected elective subjects based on class year
-    // Year 2: OE and MDM only
-    // Year 3: OE, PE, and MDM
-    // Year 4: OE and PE only
-    if (studentSelections) {
-      // MDM - Show for Year 2 and Year 3
-      if ((classYear === 2 || classYear === 3) && studentSelections.mdm_id) {
-        const mdmSubject = electiveSubjects.find(s => s.id === studentSelections.mdm_id);
-        if (mdmSubject) {
-          subjectsByType.mdm.push({
-            id: mdmSubject.id,
-            code: mdmSubject.subject_code,
-            name: mdmSubject.name,
-            faculty: facultyMap.get(studentSelections.mdm_faculty_id) || 'Not assigned',
-            description: 'Multidisciplinary Minor'
-          });
-        }
-      }
-
-      // OE - Show for Year 2, Year 3, and Year 4
-      if ((classYear === 2 || classYear === 3 || classYear === 4) && studentSelections.oe_id) {
-        const oeSubject = electiveSubjects.find(s => s.id === studentSelections.oe_id);
-        if (oeSubject) {
-          subjectsByType.oe.push({
-            id: oeSubject.id,
-            code: oeSubject.subject_code,
-            name: oeSubject.name,
-            faculty: facultyMap.get(studentSelections.oe_faculty_id) || 'Not assigned',
-            description: 'Open Elective'
-          });
-        }
-      }
-
-      // PE - Show for Year 3 and Year 4
-      if ((classYear === 3 || classYear === 4) && studentSelections.pe_id) {
-        const peSubject = electiveSubjects.find(s => s.id === studentSelections.pe_id);
-        if (peSubject) {
-          subjectsByType.pe.push({
-            id: peSubject.id,
-            code: peSubject.subject_code,
-            name: peSubject.name,
-            faculty: facultyMap.get(studentSelections.pe_faculty_id) || 'Not assigned',
-            description: 'Professional Elective'
-          });
-        }
-      }
-    }
+    // Add selected elective subjects under the categories of the class year
+    choices.forEach(choice => {
+      const category = findCategory(categories, choice.category_code);
+      const subject = electiveSubjects.find(s => s.id === choice.subject_id);
+      if (!category || !subject) return;
 
-    console.log('Subjects organized:', {
-      theory: subjectsByType.theory.length,
-      practical: subjectsByType.practical.length,
-      mdm: subjectsByType.mdm.length,
-      oe: subjectsByType.oe.length,
-      pe: subjectsByType.pe.length
+      subjectsByType[category.code.toLowerCase()].push({
+        id: subject.id,
+        code: subject.subject_code,
+        name: subject.name,
+        faculty: facultyMap.get(choice.faculty_id) || 'Not assigned',
+        description: category.name
+      });
     });
 
+    console.log('Subjects organized:', Object.fromEntries(
+      Object.entries(subjectsByType).map(([type, list]) => [type, list.length])
+    ));
+
     return res.json({
       success: true,
       subjects: subjectsByType
@@ -549,7 +460,7 @@ router.get("/subjects", authenticateUser, authorizeRoles("student"), async (req,
 });
 
 // Get available elective subjects (MDM, OE, PE) for student
-router.get("/elective-subjects", authenticateUser, authorizeRoles("student"), async (req, res) => {
+router.get("/elective-subjects", authenticateUser, authorize("student_portal.read"), async (req, res) => {
   try {
     const student_id = req.user.id;
     const class_id = req.user.class_id;
@@ -587,6 +498,7 @@ router.get("/elective-subjects", authenticateUser, authorizeRoles("student"), as
         year,
         department_id,
         faculty_ids,
+        seat_limits,
         subjects (
           id,
           name,
@@ -617,34 +529,42 @@ router.get("/elective-subjects", authenticateUser, authorizeRoles("student"), as
 
     const facultyMap = new Map(faculties.map(f => [f.id, f.name]));
 
-    // Get student's current selections
-    const { data: currentSelections, error: selectionsError } = await supabase
-      .from("student_subject_selection")
-      .select("mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id, selections_locked")
+    // Get student's current choices
+    const categories = await loadCategories(department_id, year);
+    const choices = (await loadChoices([student_id])).get(student_id);
+    const locked = await isLocked(student_id);
+    const window = await loadWindow(department_id, year);
+
+    const occupancy = await sectionOccupancy(offeredSubjects.map(os => os.id));
+
+    const { data: waitlist, error: waitlistError } = await supabase
+      .from("elective_waitlist")
+      .select("id, offered_subject_id, faculty_id, elective_type, created_at")
       .eq("student_id", student_id)
-      .maybeSingle();
+      .is("promoted_at", null);
 
-    if (selectionsError) throw selectionsError;
+    if (waitlistError) throw waitlistError;
 
-    // Organize subjects by type based on class year
-    // Year 2: OE and MDM only
-    // Year 3: OE, PE, and MDM
-    // Year 4: OE and PE only
-    const electiveSubjects = {
-      mdm: [],
-      oe: [],
-      pe: []
-    };
+    // Organize subjects by the elective categories of the class year
+    const electiveSubjects = Object.fromEntries(categories.map(category => [category.code.toLowerCase(), []]));
 
     offeredSubjects.forEach(offered => {
       const subject = offered.subjects;
       if (!subject) return;
 
-      // Prepare faculty options
-      const facultyOptions = (offered.faculty_ids || []).map(fId => ({
-        id: fId,
-        name: facultyMap.get(fId) || 'Unknown Faculty'
-      }));
+      // Prepare faculty options with remaining seats (null when unlimited)
+      const facultyOptions = (offered.faculty_ids || []).map(fId => {
+        const limit = seatLimit(offered, fId);
+        const { taken, waiting } = occupancyOf(occupancy, offered.id, fId);
+        return {
+          id: fId,
+          name: facultyMap.get(fId) || 'Unknown Faculty',
+          seat_limit: limit,
+          seats_taken: taken,
+          seats_remaining: limit === null ? null : Math.max(limit - taken, 0),
+          waitlist_count: waiting
+        };
+      });
 
       const subjectData = {
         id: subject.id,
@@ -654,44 +574,48 @@ router.get("/elective-subjects", authenticateUser, authorizeRoles("student"), as
         faculties: facultyOptions
       };
 
-      // Categorize subjects - check type field (case insensitive)
-      const subjectType = (subject.type || '').toLowerCase();
-      const subjectName = (subject.name || '').toLowerCase();
-      
-      // MDM - Show for Year 2 and Year 3
-      if ((year === 2 || year === 3) && (subjectType === 'mdm' || subjectName.includes('multidisciplinary') || subjectName.includes('mdm'))) {
-        electiveSubjects.mdm.push(subjectData);
-        console.log('✅ Added MDM subject:', subject.name);
-      } 
-      // OE - Show for Year 2, Year 3, and Year 4
-      else if ((year === 2 || year === 3 || year === 4) && (subjectType === 'oe' || subjectName.includes('open elective') || subjectName.includes('oe'))) {
-        electiveSubjects.oe.push(subjectData);
-        console.log('✅ Added OE subject:', subject.name);
-      } 
-      // PE - Show for Year 3 and Year 4
-      else if ((year === 3 || year === 4) && (subjectType === 'pe' || subjectName.includes('professional elective') || subjectName.includes('pe'))) {
-        // For PE, only show subjects from student's department
-        if (offered.department_id === department_id) {
-          electiveSubjects.pe.push(subjectData);
-          console.log('✅ Added PE subject:', subject.name);
-        } else {
-          console.log('⏭️ Skipped PE subject (different department):', subject.name);
-        }
+      const category = categoryFor(offered, categories, department_id);
+      if (category) {
+        electiveSubjects[category.code.toLowerCase()].push(subjectData);
       } else {
         console.log('⏭️ Subject not shown for year', year, ':', subject.name, 'Type:', subject.type);
       }
     });
 
-    console.log('Elective subjects organized:', {
-      mdm: electiveSubjects.mdm.length,
-      oe: electiveSubjects.oe.length,
-      pe: electiveSubjects.pe.length
-    });
+    console.log('Elective subjects organized:', Object.fromEntries(
+      Object.entries(electiveSubjects).map(([code, list]) => [code, list.length])
+    ));
+
+    const offeredById = new Map(offeredSubjects.map(os => [os.id, os]));
+    const waitlistEntries = [];
+    for (const entry of waitlist || []) {
+      const offered = offeredById.get(entry.offered_subject_id);
+      waitlistEntries.push({
+        type: entry.elective_type,
+        subject_id: offered?.subject_id || null,
+        subject_name: offered?.subjects?.name || null,
+        faculty_id: entry.faculty_id,
+        faculty_name: facultyMap.get(entry.faculty_id) || null,
+        position: await waitlistPosition(entry),
+        joined_at: entry.created_at
+      });
+    }
 
     return res.json({
       success: true,
+      categories: categories.map(({ code, name, pick_count, mandatory }) => ({
+        code,
+        name,
+        pick_count,
+        mandatory,
+        chosen: choices
+          .filter(c => c.category_code === code)
+          .map(({ subject_id, faculty_id }) => ({ subject_id, faculty_id }))
+      })),
       electives: electiveSubjects,
-      currentSelections: currentSelections || {}
+      currentSelections: { ...selectionColumns(choices), selections_locked: locked },
+      window: describeWindow(window),
+      waitlist: waitlistEntries
     });
   } catch (err) {
     console.error("Error fetching elective subjects:", err);
@@ -700,20 +624,15 @@ router.get("/elective-subjects", authenticateUser, authorizeRoles("student"), as
 });
 
 // Get defaulter work for student
-router.get("/defaulter-work", authenticateUser, authorizeRoles("student"), async (req, res) => {
+router.get("/defaulter-work", authenticateUser, authorize("student_portal.read"), async (req, res) => {
   try {
     const student_id = req.user.id;
 
     console.log('📋 Fetching defaulter work for student:', student_id);
 
-    // Get student's elective selections
-    const { data: studentSelections, error: selectionsError } = await supabase
-      .from("student_subject_selection")
-      .select("mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id")
-      .eq("student_id", student_id)
-      .maybeSingle();
-
-    if (selectionsError) throw selectionsError;
+    // Get student's elective choices and the subject types that are electives for them
+    const choices = (await loadChoices([student_id])).get(student_id);
+    const electiveTypes = new Set((await studentCategories(student_id)).map(c => c.subject_type));
 
     // Get defaulter work assigned to this student
     const { data: defaulterWork, error } = await supabase
@@ -722,11 +641,18 @@ router.get("/defaulter-work", authenticateUser, authorizeRoles("student"), async
         id,
         subject_id,
         faculty_id,
-        submission_text,
-        reference_link,
         created_at,
         skip,
         status,
+        defaulter_assignments (
+          id,
+          title,
+          instruction_text,
+          reference_link,
+          attachments,
+          due_at,
+          grace_hours
+        ),
         subjects (
           name,
           subject_code,
@@ -743,7 +669,8 @@ router.get("/defaulter-work", authenticateUser, authorizeRoles("student"), async
 
     // Filter defaulter work to only show:
     // 1. Regular subjects (theory, practical) - show all
-    // 2. Elective subjects (mdm, oe, pe) - only show if student selected that faculty for that subject
+    // 2. Elective subjects (types of the student's elective categories) - only
+    //    show if student selected that faculty for that subject
     const filteredWork = (defaulterWork || []).filter(work => {
       const subjectType = (work.subjects?.type || '').toLowerCase();
       
@@ -752,21 +679,9 @@ router.get("/defaulter-work", authenticateUser, authorizeRoles("student"), async
         return true;
       }
       
-      // For elective subjects, only show if student selected this faculty for this subject
-      if (!studentSelections) return false;
-      
-      if (subjectType === 'mdm' || subjectType === 'oe' || subjectType === 'pe') {
+      if (electiveTypes.has(subjectType)) {
         // Check if this work is for a subject the student selected with this faculty
-        if (work.subject_id === studentSelections.mdm_id && work.faculty_id === studentSelections.mdm_faculty_id) {
-          return true;
-        }
-        if (work.subject_id === studentSelections.oe_id && work.faculty_id === studentSelections.oe_faculty_id) {
-          return true;
-        }
-        if (work.subject_id === studentSelections.pe_id && work.faculty_id === studentSelections.pe_faculty_id) {
-          return true;
-        }
-        return false;
+        return choices.some(c => c.subject_id === work.subject_id && c.faculty_id === work.faculty_id);
       }
       
       // For any other type, show it
@@ -774,17 +689,61 @@ router.get("/defaulter-work", authenticateUser, authorizeRoles("student"), async
     });
 
     console.log('📋 Filtered defaulter work:', filteredWork.length);
-    console.log('📋 Student selections:', studentSelections);
-
-    const formattedWork = filteredWork.map(work => ({
-      id: work.id,
-      subjectCode: work.subjects?.subject_code || 'N/A',
-      subjectName: work.subjects?.name || 'Unknown Subject',
-      description: work.submission_text,
-      referenceLink: work.reference_link,
-      assignedDate: work.created_at,
-      status: work.status || 'pending'
-    }));
+    console.log('📋 Student choices:', choices.length);
+
+    // Current defaulter status in each subject, so the student can see why work was assigned
+    const statuses = await loadSubjectStatuses([student_id], {
+      columns: "id, subject_id, is_defaulter, status, attendance_percent, threshold, source, reason",
+    });
+    const statusMap = new Map(statuses.map(st => [st.subject_id, st]));
+    const uploadMap = await latestUploads(filteredWork.map(work => work.id));
+
+    const now = new Date();
+
+    const formattedWork = filteredWork.map(work => {
+      const subjectStatus = statusMap.get(work.subject_id);
+      const upload = uploadMap.get(work.id);
+      const assignment = work.defaulter_assignments || {};
+      const deadline = deadlineState({ ...assignment, status: work.status, skip: work.skip }, {
+        handedInAt: upload?.first_submitted_at,
+        pendingReview: upload?.status === "submitted",
+        now,
+      });
+
+      return {
+        id: work.id,
+        subjectCode: work.subjects?.subject_code || 'N/A',
+        subjectName: work.subjects?.name || 'Unknown Subject',
+        assignmentId: assignment.id || null,
+        title: assignment.title || null,
+        description: assignment.instruction_text,
+        referenceLink: assignment.reference_link,
+        attachments: publicFiles(assignment.attachments),
+        assignedDate: work.created_at,
+        status: work.status || 'pending',
+        dueAt: deadline.due_at,
+        graceEndsAt: deadline.grace_ends_at,
+        deadlineState: deadline.state,
+        overdue: deadline.overdue,
+        late: deadline.late,
+        defaulterStatus: subjectStatus ? {
+          isDefaulter: subjectStatus.is_defaulter,
+          status: subjectStatus.status,
+          attendancePercent: subjectStatus.attendance_percent,
+          threshold: subjectStatus.threshold,
+          source: subjectStatus.source,
+          reason: subjectStatus.reason
+        } : null,
+        latestUpload: upload ? {
+          id: upload.id,
+          version: upload.version,
+          status: upload.status,
+          submittedAt: upload.submitted_at,
+          reviewedAt: upload.reviewed_at,
+          remarks: upload.remarks
+        } : null
+      };
+    });
 
     console.log('📋 Formatted defaulter work:', formattedWork.length);
 
@@ -798,13 +757,204 @@ router.get("/defaulter-work", authenticateUser, authorizeRoles("student"), async
   }
 });
 
+// The student's own defaulter work item, or null
+const findOwnDefaulterWork = async (workId, studentId) => {
+  const { data, error } = await supabase
+    .from("defaulter_submissions")
+    .select("id, student_id, subject_id, faculty_id, skip, status, defaulter_assignments ( attachments )")
+    .eq("id", workId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && data.student_id === studentId ? data : null;
+};
+
+// Hand in defaulter work: multipart with an optional answer_text and up to
+// MAX_UPLOAD_FILES files in "files". Each call creates a new version.
+router.post("/defaulter-work/:id/uploads", authenticateUser, authorize("defaulter_work.submit"),
+  acceptFiles("files", MAX_UPLOAD_FILES),
+  async (req, res) => {
+    try {
+      const student_id = req.user.id;
+      const work = await findOwnDefaulterWork(req.params.id, student_id);
+
+      if (!work) {
+        return res.status(404).json({ success: false, error: "Defaulter work not found" });
+      }
+      if (work.skip) {
+        return res.status(400).json({ success: false, error: "This work was skipped by faculty; nothing to submit." });
+      }
+      if (work.status === "completed") {
+        return res.status(409).json({ success: false, error: "This work has already been accepted." });
+      }
+
+      // Multipart fields arrive as strings; a JSON body could send anything
+      if (req.body.answer_text != null && typeof req.body.answer_text !== "string") {
+        return res.status(400).json({ success: false, error: "answer_text must be text." });
+      }
+      const answer_text = (req.body.answer_text || "").trim() || null;
+      const files = req.files || [];
+
+      if (!answer_text && files.length === 0) {
+        return res.status(400).json({ success: false, error: "Provide answer_text or at least one file." });
+      }
+
+      const previous = await latestUpload(work.id);
+      if (previous && previous.status === "accepted") {
+        return res.status(409).json({ success: false, error: "This work has already been accepted." });
+      }
+
+      const version = (previous?.version || 0) + 1;
+      const stored = await storeUploadFiles(`defaulter-work/${work.id}/v${version}`, files);
+
+      const { data: upload, error: insertError } = await supabase
+        .from("defaulter_work_uploads")
+        .insert([{
+          defaulter_submission_id: work.id,
+          student_id,
+          version,
+          answer_text,
+          files: stored,
+          status: "submitted",
+          submitted_at: new Date().toISOString(),
+        }])
+        .select("*")
+        .single();
+
+      if (insertError) {
+        await removeUploadFiles(stored);
+
+        // unique (defaulter_submission_id, version): another upload won the race
+        if (insertError.code === "23505") {
+          return res.status(409).json({ success: false, error: "Another submission was saved at the same time. Please try again." });
+        }
+        throw insertError;
+      }
+
+      console.log('📤 Defaulter work uploaded:', work.id, 'version', version, 'files', stored.length);
+
+      await recordAudit(req, {
+        action: "defaulter_work.submit",
+        entity: "defaulter_work_uploads",
+        entity_id: upload.id,
+        after: publicUpload(upload),
+      });
+
+      return res.status(201).json({ success: true, upload: publicUpload(upload) });
+    } catch (err) {
+      console.error("Error uploading defaulter work:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Every version the student handed in for one work item, newest first
+router.get("/defaulter-work/:id/uploads", authenticateUser, authorize("student_portal.read"), async (req, res) => {
+  try {
+    const work = await findOwnDefaulterWork(req.params.id, req.user.id);
+    if (!work) {
+      return res.status(404).json({ success: false, error: "Defaulter work not found" });
+    }
+
+    const { data: uploads, error } = await supabase
+      .from("defaulter_work_uploads")
+      .select("*")
+      .eq("defaulter_submission_id", work.id)
+      .order("version", { ascending: false });
+
+    if (error) throw error;
+
+    return res.json({
+      success: true,
+      work: { id: work.id, status: work.status },
+      uploads: (uploads || []).map(publicUpload),
+    });
+  } catch (err) {
+    console.error("Error fetching defaulter work uploads:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Download a reference file the faculty attached to the student's work
+router.get("/defaulter-work/:id/attachments/:index", authenticateUser, authorize("student_portal.read"),
+  async (req, res) => {
+    try {
+      const work = await findOwnDefaulterWork(req.params.id, req.user.id);
+      if (!work) {
+        return res.status(404).json({ success: false, error: "Defaulter work not found" });
+      }
+
+      const stored = await readUploadFile({ files: work.defaulter_assignments?.attachments }, req.params.index);
+      if (!stored) {
+        return res.status(404).json({ success: false, error: "File not found" });
+      }
+
+      return sendUploadFile(res, stored);
+    } catch (err) {
+      console.error("Error downloading defaulter work attachment:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Download one of the student's own uploaded files
+router.get("/defaulter-work/uploads/:uploadId/files/:index", authenticateUser, authorize("student_portal.read"),
+  async (req, res) => {
+    try {
+      const { data: upload, error } = await supabase
+        .from("defaulter_work_uploads")
+        .select("id, student_id, files")
+        .eq("id", req.params.uploadId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!upload || upload.student_id !== req.user.id) {
+        return res.status(404).json({ success: false, error: "Upload not found" });
+      }
+
+      const stored = await readUploadFile(upload, req.params.index);
+      if (!stored) {
+        return res.status(404).json({ success: false, error: "File not found" });
+      }
+
+      return sendUploadFile(res, stored);
+    } catch (err) {
+      console.error("Error downloading defaulter work file:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Class year, department and elective categories of the signed-in student
+const electiveContext = async (req) => {
+  const { data: classInfo, error } = await supabase
+    .from("classes")
+    .select("year, department_id")
+    .eq("id", req.user.class_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!classInfo) return null;
+
+  return {
+    ...classInfo,
+    categories: await loadCategories(classInfo.department_id, classInfo.year),
+    window: await loadWindow(classInfo.department_id, classInfo.year),
+  };
+};
+
+const LOCKED_ERROR = "Your subject selections are locked. Contact your class teacher to make changes.";
+
+// Body: { subject_id, faculty_id, type, replaces? }. type is an elective
+// category code; replaces is the subject this pick swaps out when the
+// category already has all its picks (single-pick categories swap anyway).
 router.post(
   "/select-elective",
   authenticateUser,
-  authorizeRoles("student"),
+  authorize("elective.select"),
   async (req, res) => {
     try {
-      const { subject_id, faculty_id, type } = req.body;
+      const { subject_id, faculty_id, type, replaces = null } = req.body;
       const student_id = req.user.id;
 
       if (!subject_id || !faculty_id || !type) {
@@ -814,27 +964,22 @@ router.post(
         });
       }
 
-      if (!["MDM", "OE", "PE"].includes(type)) {
+      const context = await electiveContext(req);
+      if (!context) return res.status(404).json({ success: false, error: "Class not found" });
+
+      const category = findCategory(context.categories, type);
+      if (!category) {
         return res.status(400).json({
           success: false,
-          error: "Invalid type. Must be one of: MDM, OE, or PE.",
+          error: `Invalid type. Must be one of: ${context.categories.map(c => c.code).join(", ")}.`,
         });
       }
 
-      // Check if selections are locked
-      const { data: existing, error: existingError } = await supabase
-        .from("student_subject_selection")
-        .select("*")
-        .eq("student_id", student_id)
-        .maybeSingle();
-
-      if (existingError) throw existingError;
+      const closed = windowError(context.window);
+      if (closed) return res.status(403).json({ success: false, error: closed });
 
-      if (existing && existing.selections_locked) {
-        return res.status(403).json({
-          success: false,
-          error: "Your subject selections are locked. Contact your class teacher to make changes.",
-        });
+      if (await isLocked(student_id)) {
+        return res.status(403).json({ success: false, error: LOCKED_ERROR });
       }
 
       // Verify that faculty teaches this subject
@@ -852,39 +997,91 @@ router.post(
         });
       }
 
-      // Prepare update payload based on type
-      let updateData = {};
-      if (type === "MDM") {
-        updateData = { mdm_id: subject_id, mdm_faculty_id: faculty_id };
-      } else if (type === "OE") {
-        updateData = { oe_id: subject_id, oe_faculty_id: faculty_id };
-      } else if (type === "PE") {
-        updateData = { pe_id: subject_id, pe_faculty_id: faculty_id };
+      const offered = await findSection(subject_id, faculty_id, { year: context.year });
+      if (!offered || categoryFor(offered, context.categories, context.department_id)?.code !== category.code) {
+        return res.status(400).json({
+          success: false,
+          error: `This subject is not offered as ${category.name} with the selected faculty.`,
+        });
       }
 
-      // Insert or update
-      if (existing) {
-        const { error: updateError } = await supabase
-          .from("student_subject_selection")
-          .update(updateData)
-          .eq("student_id", student_id);
-        if (updateError) throw updateError;
+      const current = (await loadChoices([student_id], { categoryCode: category.code })).get(student_id);
+      if (!current.some(c => c.subject_id === subject_id)
+        && current.length >= category.pick_count
+        && category.pick_count > 1
+        && !current.some(c => c.subject_id === replaces)) {
+        return res.status(409).json({
+          success: false,
+          error: `You already picked ${category.pick_count} ${category.name} subjects. Say which one this replaces.`,
+        });
+      }
 
-        return res.status(200).json({
-          success: true,
-          message: `${type} subject selection updated successfully.`,
+      // Students keep the seat they already hold even if the limit was lowered since
+      const alreadySelected = current.some(c => c.subject_id === subject_id && c.faculty_id === faculty_id);
+
+      const { seat, full } = await claimSeat({
+        offered,
+        facultyId: faculty_id,
+        studentId: student_id,
+        type: category.code,
+        force: alreadySelected,
+      });
+
+      if (full) {
+        const { entry, position } = await joinWaitlist({
+          offered,
+          facultyId: faculty_id,
+          studentId: student_id,
+          type: category.code,
+          replaces: category.pick_count === 1 ? current[0]?.subject_id || null : replaces,
+        });
+
+        await recordAudit(req, {
+          action: "elective.waitlist_join",
+          entity: "elective_waitlist",
+          entity_id: entry.id,
+          after: { subject_id, faculty_id, type: category.code, position },
+          department_id: offered.department_id,
         });
-      } else {
-        const { error: insertError } = await supabase
-          .from("student_subject_selection")
-          .insert([{ student_id, ...updateData, selections_locked: false }]);
-        if (insertError) throw insertError;
 
-        return res.status(201).json({
+        console.log(`⏳ Student waitlisted for ${category.code}:`, student_id, "position", position);
+
+        return res.status(202).json({
           success: true,
-          message: `${type} subject selected successfully.`,
+          waitlisted: true,
+          position,
+          message: `All seats with this faculty are taken. You are number ${position} on the waitlist and will be moved in automatically when a seat frees up.`,
         });
       }
+
+      const change = await saveChoice(student_id, category, { subject_id, faculty_id, offered_subject_id: offered.id }, { replaces });
+      if (change.error) {
+        // The seat just claimed isn't used by any choice; give it back
+        await promoteReleased(req, await syncSeats(student_id, category.code));
+        return res.status(409).json({ success: false, error: change.error });
+      }
+
+      await leaveWaitlist(student_id, category.code);
+
+      // Give up the seat of the replaced choice and let its waitlist move up
+      await promoteReleased(req, await syncSeats(student_id, category.code));
+
+      await recordAudit(req, {
+        action: "elective.select",
+        entity: "student_elective_choices",
+        entity_id: student_id,
+        before: change.before,
+        after: { ...change.after, seat_no: seat.seat_no },
+        department_id: offered.department_id,
+      });
+
+      return res.status(current.length > 0 ? 200 : 201).json({
+        success: true,
+        seat_no: seat.seat_no,
+        message: current.length > 0
+          ? `${category.name} selection updated successfully.`
+          : `${category.name} subject selected successfully.`,
+      });
     } catch (err) {
       console.error("❌ Error selecting elective:", err);
       return res.status(500).json({ success: false, error: err.message });
@@ -892,77 +1089,307 @@ router.post(
   }
 );
 
-// Lock student's elective selections
+// Change requests for locked electives. Body: { type, from_subject_id,
+// from_faculty_id, to_subject_id, to_faculty_id, reason }. The class
+// teacher (and the HOD for categories that need it) decides.
+router.post("/elective-change-requests", authenticateUser, authorize("elective_change.request"), async (req, res) => {
+  try {
+    const student_id = req.user.id;
+    const { type, from_subject_id, from_faculty_id, to_subject_id, to_faculty_id } = req.body || {};
+    const reason = String(req.body?.reason || "").trim();
+
+    if (!type || !from_subject_id || !from_faculty_id || !to_subject_id || !to_faculty_id) {
+      return res.status(400).json({
+        success: false,
+        error: "type, from_subject_id, from_faculty_id, to_subject_id and to_faculty_id are required.",
+      });
+    }
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ success: false, error: `reason is required (at most ${MAX_REASON_LENGTH} characters).` });
+    }
+
+    const context = await electiveContext(req);
+    if (!context) return res.status(404).json({ success: false, error: "Class not found" });
+
+    const category = findCategory(context.categories, type);
+    if (!category) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Must be one of: ${context.categories.map(c => c.code).join(", ")}.`,
+      });
+    }
+
+    if (!await isLocked(student_id)) {
+      return res.status(400).json({ success: false, error: "Your selections aren't locked. Change them directly instead." });
+    }
+
+    const current = (await loadChoices([student_id], { categoryCode: category.code })).get(student_id);
+    if (!current.some(c => c.subject_id === from_subject_id && c.faculty_id === from_faculty_id)) {
+      return res.status(400).json({ success: false, error: `That isn't one of your current ${category.name} picks.` });
+    }
+    if (from_subject_id === to_subject_id && from_faculty_id === to_faculty_id) {
+      return res.status(400).json({ success: false, error: "The requested subject and faculty are the ones you already have." });
+    }
+    if (to_subject_id !== from_subject_id && current.some(c => c.subject_id === to_subject_id)) {
+      return res.status(400).json({ success: false, error: `You already have that subject as ${category.name}.` });
+    }
+
+    const offered = await findSection(to_subject_id, to_faculty_id, { year: context.year });
+    if (!offered || categoryFor(offered, context.categories, context.department_id)?.code !== category.code) {
+      return res.status(400).json({
+        success: false,
+        error: `This subject is not offered as ${category.name} with the selected faculty.`,
+      });
+    }
+
+    const { data: request, error } = await supabase
+      .from("elective_change_requests")
+      .insert([{
+        student_id,
+        class_id: req.user.class_id,
+        department_id: context.department_id,
+        category_code: category.code,
+        from_subject_id,
+        from_faculty_id,
+        to_subject_id,
+        to_faculty_id,
+        to_offered_subject_id: offered.id,
+        reason,
+        status: "pending",
+        requires_hod: !!category.change_needs_hod,
+      }])
+      .select(REQUEST_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ success: false, error: `You already have an open ${category.name} change request.` });
+      }
+      throw error;
+    }
+
+    await recordEvent(req, request, "filed", reason);
+    await recordAudit(req, {
+      action: "elective.change_request",
+      entity: "elective_change_requests",
+      entity_id: request.id,
+      after: { type: category.code, from_subject_id, from_faculty_id, to_subject_id, to_faculty_id, reason },
+      department_id: context.department_id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: category.change_needs_hod
+        ? "Change request sent to your class teacher. It also needs the HOD's approval."
+        : "Change request sent to your class teacher.",
+      request: (await listRequests({ studentId: student_id })).find(r => r.id === request.id),
+    });
+  } catch (err) {
+    console.error("❌ Error filing elective change request:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get("/elective-change-requests", authenticateUser, authorize("student_portal.read"), async (req, res) => {
+  try {
+    return res.json({ success: true, requests: await listRequests({ studentId: req.user.id }) });
+  } catch (err) {
+    console.error("❌ Error fetching elective change requests:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.post("/elective-change-requests/:id/cancel", authenticateUser, authorize("elective_change.request"), async (req, res) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request || request.student_id !== req.user.id) {
+      return res.status(404).json({ success: false, error: "Change request not found." });
+    }
+
+    const cancelled = await cancelRequest(req, request);
+    if (!cancelled) {
+      return res.status(409).json({ success: false, error: `This request is already ${request.status}.` });
+    }
+
+    return res.json({ success: true, message: "Change request cancelled." });
+  } catch (err) {
+    console.error("❌ Error cancelling elective change request:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Ranked elective preferences, used when the HOD allocates electives instead
+// of first come first served selection
+router.get("/elective-preferences", authenticateUser, authorize("student_portal.read"), async (req, res) => {
+  try {
+    const context = await electiveContext(req);
+    if (!context) return res.status(404).json({ success: false, error: "Class not found" });
+
+    const preferences = (await loadPreferences([req.user.id])).get(req.user.id) || {};
+
+    return res.json({
+      success: true,
+      preferences: Object.fromEntries(
+        context.categories.map(category => [
+          category.code,
+          (preferences[category.code] || []).map(({ rank, subject_id, faculty_id, updated_at }) => ({ rank, subject_id, faculty_id, updated_at })),
+        ])
+      ),
+    });
+  } catch (err) {
+    console.error("❌ Error fetching elective preferences:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { type, preferences: [{ subject_id, faculty_id }] }, best first.
+// Replaces the student's ranking for that category; an empty list withdraws it.
+router.put("/elective-preferences", authenticateUser, authorize("elective.select"), async (req, res) => {
+  try {
+    const student_id = req.user.id;
+    const { type, preferences } = req.body || {};
+
+    const context = await electiveContext(req);
+    if (!context) return res.status(404).json({ success: false, error: "Class not found" });
+
+    const category = findCategory(context.categories, type);
+    if (!category) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Must be one of: ${context.categories.map(c => c.code).join(", ")}.`,
+      });
+    }
+    if (!Array.isArray(preferences) || preferences.length > MAX_PREFERENCES) {
+      return res.status(400).json({
+        success: false,
+        error: `preferences must be a list of at most ${MAX_PREFERENCES} { subject_id, faculty_id }.`,
+      });
+    }
+
+    const closed = windowError(context.window);
+    if (closed) return res.status(403).json({ success: false, error: closed });
+
+    if (await isLocked(student_id)) {
+      return res.status(403).json({ success: false, error: LOCKED_ERROR });
+    }
+
+    const now = new Date().toISOString();
+    const seen = new Set();
+    const rows = [];
+
+    for (const [index, preference] of preferences.entries()) {
+      const { subject_id, faculty_id } = preference || {};
+      if (!subject_id || !faculty_id) {
+        return res.status(400).json({ success: false, error: `Preference ${index + 1} needs a subject_id and faculty_id.` });
+      }
+
+      const key = `${subject_id}:${faculty_id}`;
+      if (seen.has(key)) {
+        return res.status(400).json({ success: false, error: `Preference ${index + 1} is listed more than once.` });
+      }
+      seen.add(key);
+
+      const offered = await findSection(subject_id, faculty_id, { year: context.year });
+      if (!offered || categoryFor(offered, context.categories, context.department_id)?.code !== category.code) {
+        return res.status(400).json({
+          success: false,
+          error: `Preference ${index + 1} is not a ${category.name} subject offered to you with that faculty.`,
+        });
+      }
+
+      rows.push({
+        student_id,
+        elective_type: category.code,
+        rank: index + 1,
+        offered_subject_id: offered.id,
+        subject_id,
+        faculty_id,
+        updated_at: now,
+      });
+    }
+
+    const before = (await loadPreferences([student_id], [category.code])).get(student_id)?.[category.code] || [];
+
+    if (rows.length > 0) {
+      const { error: upsertError } = await supabase
+        .from("elective_preferences")
+        .upsert(rows, { onConflict: "student_id,elective_type,rank" });
+
+      if (upsertError) throw upsertError;
+    }
+
+    const { error: deleteError } = await supabase
+      .from("elective_preferences")
+      .delete()
+      .eq("student_id", student_id)
+      .eq("elective_type", category.code)
+      .gt("rank", rows.length);
+
+    if (deleteError) throw deleteError;
+
+    await recordAudit(req, {
+      action: "elective.preferences",
+      entity: "elective_preferences",
+      entity_id: student_id,
+      before: { type: category.code, preferences: before.map(p => ({ subject_id: p.subject_id, faculty_id: p.faculty_id })) },
+      after: { type: category.code, preferences: rows.map(p => ({ subject_id: p.subject_id, faculty_id: p.faculty_id })) },
+      department_id: context.department_id,
+    });
+
+    return res.json({
+      success: true,
+      message: rows.length > 0
+        ? `${category.name} preferences saved.`
+        : `${category.name} preferences withdrawn.`,
+      preferences: rows.map(({ rank, subject_id, faculty_id }) => ({ rank, subject_id, faculty_id })),
+    });
+  } catch (err) {
+    console.error("❌ Error saving elective preferences:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Lock student's elective selections once every mandatory category of their
+// class year has its picks
 router.post(
   "/lock-selections",
   authenticateUser,
-  authorizeRoles("student"),
+  authorize("elective.lock"),
   async (req, res) => {
     try {
       const student_id = req.user.id;
-      const class_id = req.user.class_id;
-
-      // Get class year to determine which electives are required
-      const { data: classInfo, error: classError } = await supabase
-        .from("classes")
-        .select("year")
-        .eq("id", class_id)
-        .maybeSingle();
 
-      if (classError) throw classError;
+      const context = await electiveContext(req);
+      if (!context) return res.status(404).json({ success: false, error: "Class not found" });
 
-      const classYear = classInfo?.year || 1;
+      const choices = (await loadChoices([student_id])).get(student_id);
 
-      // Check if required subjects are selected based on year
-      const { data: selections, error: selectError } = await supabase
-        .from("student_subject_selection")
-        .select("*")
-        .eq("student_id", student_id)
-        .maybeSingle();
-
-      if (selectError) throw selectError;
-
-      if (!selections) {
+      if (choices.length === 0 && context.categories.length > 0) {
         return res.status(400).json({
           success: false,
           error: "No elective selections found. Please select your elective subjects first.",
         });
       }
 
-      // Validate based on year
-      const missingSubjects = [];
-      
-      // Year 2: OE and MDM required
-      if (classYear === 2) {
-        if (!selections.oe_id) missingSubjects.push('OE');
-        if (!selections.mdm_id) missingSubjects.push('MDM');
-      }
-      // Year 3: OE, MDM, and PE required
-      else if (classYear === 3) {
-        if (!selections.oe_id) missingSubjects.push('OE');
-        if (!selections.mdm_id) missingSubjects.push('MDM');
-        if (!selections.pe_id) missingSubjects.push('PE');
-      }
-      // Year 4: OE and PE required
-      else if (classYear === 4) {
-        if (!selections.oe_id) missingSubjects.push('OE');
-        if (!selections.pe_id) missingSubjects.push('PE');
-      }
-
-      if (missingSubjects.length > 0) {
+      const missing = missingCategories(context.categories, choices);
+      if (missing.length > 0) {
         return res.status(400).json({
           success: false,
-          error: `Please select all required elective subjects (${missingSubjects.join(', ')}) before locking.`,
+          error: `Please select all required elective subjects (${missing.map(m => m.needed > 1 ? `${m.code}: ${m.chosen}/${m.needed}` : m.code).join(', ')}) before locking.`,
+          missing,
         });
       }
 
-      // Lock the selections
-      const { error: updateError } = await supabase
-        .from("student_subject_selection")
-        .update({ selections_locked: true })
-        .eq("student_id", student_id);
+      const wasLocked = await isLocked(student_id);
+      await setLocked([student_id], true);
 
-      if (updateError) throw updateError;
+      await recordAudit(req, {
+        action: "elective.lock",
+        entity: "student_subject_selection",
+        entity_id: student_id,
+        before: { selections_locked: wasLocked },
+        after: { selections_locked: true },
+      });
 
       return res.status(200).json({
         success: true,
@@ -1,11 +1,31 @@
 import express from 'express'
+import xlsx from "xlsx";
 import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles } from "../middlewares/auth.js";
+import { authenticateUser, authorize } from "../middlewares/auth.js";
+import { acceptFiles } from "../middlewares/upload.js";
+import { subjectScope } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { findChoices } from "../utils/electiveCategories.js";
+import {
+  enrolledSubjects,
+  subjectRoster,
+  loadDefaulterSubjects,
+  filterSubjectDefaulters,
+  isSubjectDefaulter,
+} from "../utils/defaulterStatus.js";
+import {
+  parseMark,
+  findComponent,
+  loadComponents,
+  loadSubmissions,
+  completionSummary,
+} from "../utils/components.js";
+import { chunk } from "../utils/queries.js";
 
 const router = express.Router()
 
 // Get subjects assigned to the logged-in faculty
-router.get("/faculty-subjects", authenticateUser, authorizeRoles("faculty", "class_teacher", "hod"),
+router.get("/faculty-subjects", authenticateUser, authorize("subject.read"),
   async (req, res) => {
     try {
       const faculty_id = req.user.id;
@@ -121,34 +141,10 @@ router.get("/faculty-subjects", authenticateUser, authorizeRoles("faculty", "cla
         }
       });
 
-      // Also fetch elective subjects (OE, PE, MDM) where this faculty is assigned via student selections
-      const { data: electiveSelections, error: electiveError } = await supabase
-        .from('student_subject_selection')
-        .select(`
-          mdm_id,
-          oe_id,
-          pe_id,
-          mdm_faculty_id,
-          oe_faculty_id,
-          pe_faculty_id
-        `)
-        .or(`mdm_faculty_id.eq.${faculty_id},oe_faculty_id.eq.${faculty_id},pe_faculty_id.eq.${faculty_id}`);
-
-      if (electiveError) throw electiveError;
-
-      // Collect unique elective subject IDs where this faculty is assigned
-      const electiveSubjectIds = new Set();
-      (electiveSelections || []).forEach(selection => {
-        if (selection.mdm_faculty_id === faculty_id && selection.mdm_id) {
-          electiveSubjectIds.add(selection.mdm_id);
-        }
-        if (selection.oe_faculty_id === faculty_id && selection.oe_id) {
-          electiveSubjectIds.add(selection.oe_id);
-        }
-        if (selection.pe_faculty_id === faculty_id && selection.pe_id) {
-          electiveSubjectIds.add(selection.pe_id);
-        }
-      });
+      // Also fetch elective subjects where students chose this faculty
+      const electiveSubjectIds = new Set(
+        (await findChoices({ facultyId: faculty_id })).map(choice => choice.subject_id)
+      );
 
       // Fetch elective subject details from student selections
       if (electiveSubjectIds.size > 0) {
@@ -203,7 +199,8 @@ router.get("/faculty-subjects", authenticateUser, authorizeRoles("faculty", "cla
   }
 );
 
-// Get submission types
+// Get submission types (legacy; statistics are computed from each subject's
+// assessment components, see /components)
 router.get("/types", authenticateUser, async (req, res) => {
   try {
     const { data: types, error } = await supabase
@@ -223,8 +220,57 @@ router.get("/types", authenticateUser, async (req, res) => {
   }
 });
 
+// Get the assessment components of a subject
+router.get("/components", authenticateUser, authorize("submission.read", subjectScope(req => req.query.subject_id)),
+  async (req, res) => {
+    try {
+      const { data: components, error } = await supabase
+        .from("assessment_components")
+        .select("id, subject_id, name, max_marks, weight, due_at, applies_to, position")
+        .eq("subject_id", req.query.subject_id)
+        .order("position", { ascending: true })
+        .order("name", { ascending: true });
+
+      if (error) throw error;
+
+      return res.json({ success: true, components: components || [] });
+    } catch (err) {
+      console.error("Error fetching assessment components:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Per-component statistics of one subject for a list of students, in the
+// shape of submissionStats keyed by component name
+const subjectComponentStats = async (subjectId, students) => {
+  const summary = await completionSummary(students, { subjectIds: [subjectId] });
+
+  const submissionStats = {};
+  summary.components.forEach(stats => {
+    submissionStats[stats.component.name] = {
+      componentId: stats.component.id,
+      appliesTo: stats.component.applies_to,
+      maxMarks: Number(stats.component.max_marks),
+      weight: Number(stats.component.weight),
+      dueAt: stats.component.due_at,
+      total: stats.expected,
+      completed: stats.completed,
+      pending: stats.pending,
+      notStarted: stats.not_started,
+      averageMarks: stats.average_marks
+    };
+  });
+
+  return {
+    submissionStats,
+    completionRate: summary.percent,
+    completedStudents: summary.completed_students
+  };
+};
+
 // Get students for faculty with their submissions
-router.get("/students", authenticateUser, authorizeRoles("faculty", "class_teacher", "hod"),
+router.get("/students", authenticateUser, authorize("submission.read", subjectScope(req => req.query.subject_id)),
   async (req, res) => {
     try {
       const faculty_id = req.user.id;
@@ -278,42 +324,28 @@ router.get("/students", authenticateUser, authorizeRoles("faculty", "class_teach
         }
       }
 
-      // Check student_subject_selection for elective subjects
-      // This is the authoritative source for which students selected which faculty
-      const { data: electiveSelections, error: electiveError } = await supabase
-        .from('student_subject_selection')
-        .select('student_id, mdm_id, oe_id, pe_id, mdm_faculty_id, oe_faculty_id, pe_faculty_id')
-        .or(`mdm_faculty_id.eq.${faculty_id},oe_faculty_id.eq.${faculty_id},pe_faculty_id.eq.${faculty_id}`);
-
-      if (!electiveError && electiveSelections) {
-        const electiveStudentIds = [];
-        electiveSelections.forEach(selection => {
-          if ((selection.mdm_faculty_id === faculty_id && selection.mdm_id === subject_id) ||
-              (selection.oe_faculty_id === faculty_id && selection.oe_id === subject_id) ||
-              (selection.pe_faculty_id === faculty_id && selection.pe_id === subject_id)) {
-            electiveStudentIds.push(selection.student_id);
-          }
-        });
+      // Elective choices are the authoritative source for which students selected which faculty
+      const electiveStudentIds = (await findChoices({ subjectId: subject_id, facultyId: faculty_id }))
+        .map(choice => choice.student_id);
 
-        if (electiveStudentIds.length > 0) {
-          const { data: electiveStudents, error: electiveStudentsError } = await supabase
-            .from('students')
-            .select(`
-              id,
-              roll_no,
-              name,
-              email,
-              attendance_percent,
-              defaulter,
-              class_id,
-              batch_id
-            `)
-            .in('id', electiveStudentIds)
-            .order('roll_no', { ascending: true });
-
-          if (!electiveStudentsError && electiveStudents) {
-            allStudents.push(...electiveStudents);
-          }
+      if (electiveStudentIds.length > 0) {
+        const { data: electiveStudents, error: electiveStudentsError } = await supabase
+          .from('students')
+          .select(`
+            id,
+            roll_no,
+            name,
+            email,
+            attendance_percent,
+            defaulter,
+            class_id,
+            batch_id
+          `)
+          .in('id', electiveStudentIds)
+          .order('roll_no', { ascending: true });
+
+        if (!electiveStudentsError && electiveStudents) {
+          allStudents.push(...electiveStudents);
         }
       }
 
@@ -330,49 +362,33 @@ router.get("/students", authenticateUser, authorizeRoles("faculty", "class_teach
         return res.json({
           success: true,
           students: [],
-          submission_types: []
+          components: []
         });
       }
 
-      // Get all submissions for these students and this subject
-      const studentIds = students.map(s => s.id);
-      const { data: submissions, error: submissionsError } = await supabase
-        .from("student_submissions")
-        .select("student_id, submission_type_id, status")
-        .eq("subject_id", subject_id)
-        .in("student_id", studentIds);
-
-      if (submissionsError) throw submissionsError;
+      // Progress of each student over the subject's assessment components
+      const summary = await completionSummary(students, { subjectIds: [subject_id] });
+      const components = [...summary.components.values()].map(stats => stats.component);
 
-      // Get submission types
-      const { data: submissionTypes, error: typesError } = await supabase
-        .from("submission_types")
-        .select("*");
-
-      if (typesError) throw typesError;
-
-      // Map submissions to students
       const studentsWithSubmissions = students.map(student => {
-        const studentSubmissions = submissions.filter(s => s.student_id === student.id);
-        const submissionMap = {};
-
-        studentSubmissions.forEach(sub => {
-          const type = submissionTypes.find(t => t.id === sub.submission_type_id);
-          if (type) {
-            submissionMap[type.name] = sub.status;
-          }
-        });
+        const progress = summary.students.get(student.id)?.subjects[subject_id];
+        const items = progress?.components || [];
 
         return {
           ...student,
-          submissions: submissionMap,
+          // Keyed by component name; only components expected of the student
+          submissions: Object.fromEntries(items.map(item => [item.name, item.status])),
+          marks: Object.fromEntries(items.map(item => [item.name, item.marks])),
+          completed: progress?.completed || 0,
+          total: progress?.total || 0,
+          weighted_score: progress?.weighted_score ?? null,
         };
       });
 
       return res.json({
         success: true,
         students: studentsWithSubmissions,
-        submission_types: submissionTypes,
+        components,
       });
     } catch (err) {
       console.error("Error fetching students:", err);
@@ -385,115 +401,122 @@ router.get("/students", authenticateUser, authorizeRoles("faculty", "class_teach
 router.post(
   "/mark-submission",
   authenticateUser,
-  authorizeRoles("faculty", "class_teacher", "hod"),
+  authorize("submission.mark", subjectScope(req => req.body.subject_id)),
   async (req, res) => {
     try {
-      const { student_id, subject_id, submission_type, status } = req.body;
+      const { student_id, subject_id, component_id, submission_type, marks } = req.body;
       const marked_by = req.user.id;
 
-      // 🧩 1️⃣ Basic validation
-      if (!student_id || !subject_id || !submission_type || !status) {
-        return res.status(400).json({
-          success: false,
-          error: "student_id, subject_id, submission_type, and status are required.",
-        });
-      }
-
-      if (!["pending", "completed"].includes(status.toLowerCase())) {
+      // 🧩 1️⃣ Basic validation. The component is given by component_id, or by
+      // name through submission_type for older clients
+      if (!student_id || !subject_id || (!component_id && !submission_type)) {
         return res.status(400).json({
           success: false,
-          error: "Status must be 'pending' or 'completed'.",
+          error: "student_id, subject_id and component_id (or submission_type) are required.",
         });
       }
 
-      // 🧩 2️⃣ Verify faculty can actually mark this subject
-      const { data: allowedSubject, error: allowedError } = await supabase
-        .from("faculty_subjects")
-        .select("id")
-        .eq("faculty_id", marked_by)
-        .eq("subject_id", subject_id)
-        .maybeSingle();
+      // 🧩 2️⃣ Faculty's authority over this subject is checked by authorize("submission.mark")
 
-      if (allowedError) throw allowedError;
-      if (!allowedSubject) {
-        return res.status(403).json({
+      // 🧩 3️⃣ Resolve the assessment component of this subject
+      const component = await findComponent(subject_id, { component_id, name: submission_type });
+      if (!component) {
+        return res.status(400).json({
           success: false,
-          error: "You are not authorized to mark submissions for this subject.",
+          error: component_id
+            ? "Assessment component not found for this subject."
+            : `Invalid submission_type: ${submission_type}.`,
         });
       }
 
-      // 🧩 3️⃣ Validate student belongs to same class/batch as faculty
-      // (Optional strictness)
-      // const { data: studentData } = await supabase
-      //   .from("students")
-      //   .select("class_id, batch_id")
-      //   .eq("id", student_id)
-      //   .single();
-
-      // TODO: add logic if you want to ensure class alignment for batch-based subjects
-
-      // 🧩 4️⃣ Fetch submission type ID
-      const { data: subType, error: subTypeErr } = await supabase
-        .from("submission_types")
-        .select("id")
-        .eq("name", submission_type)
-        .maybeSingle();
+      const { error: markError, value: mark } = parseMark({ status: req.body.status, marks }, component);
+      if (markError) return res.status(400).json({ success: false, error: markError });
+      const { status } = mark;
 
-      if (subTypeErr) throw subTypeErr;
-      if (!subType) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid submission_type: ${submission_type}.`,
-        });
+      if (component.applies_to === "defaulters") {
+        const defaulterSubjects = await loadDefaulterSubjects([student_id]);
+        if (!isSubjectDefaulter(defaulterSubjects, student_id, subject_id)) {
+          return res.status(400).json({
+            success: false,
+            error: `${component.name} only applies to defaulters in this subject.`,
+          });
+        }
       }
 
-      const submission_type_id = subType.id;
-
-      // 🧩 5️⃣ Check if a record already exists
+      // 🧩 4️⃣ Check if a record already exists
       const { data: existing, error: existingErr } = await supabase
         .from("student_submissions")
-        .select("id")
+        .select("id, status, marks, marked_by, marked_at")
         .eq("student_id", student_id)
-        .eq("subject_id", subject_id)
-        .eq("submission_type_id", submission_type_id)
+        .eq("component_id", component.id)
         .maybeSingle();
 
       if (existingErr) throw existingErr;
 
-      // 🧩 6️⃣ Insert or update accordingly
+      const values = { status, marked_by, marked_at: new Date() };
+      if (mark.marks !== undefined) values.marks = mark.marks;
+
+      const audited = (row) => ({
+        student_id,
+        subject_id,
+        component_id: component.id,
+        component: component.name,
+        status: row.status,
+        marks: row.marks ?? null,
+        marked_by: row.marked_by,
+      });
+
+      // 🧩 5️⃣ Insert or update accordingly
       if (existing) {
         const { error: updateErr } = await supabase
           .from("student_submissions")
-          .update({
-            status,
-            marked_by,
-            marked_at: new Date(),
-          })
+          .update(values)
           .eq("id", existing.id);
 
         if (updateErr) throw updateErr;
 
+        await recordAudit(req, {
+          action: "submission.mark",
+          entity: "student_submissions",
+          entity_id: existing.id,
+          before: audited(existing),
+          after: audited({ marks: existing.marks, ...values }),
+        });
+
         return res.status(200).json({
           success: true,
-          message: `${submission_type} submission updated to ${status} successfully.`,
+          message: `${component.name} submission updated to ${status} successfully.`,
         });
       } else {
-        const { error: insertErr } = await supabase.from("student_submissions").insert([
+        const { data: created, error: insertErr } = await supabase.from("student_submissions").insert([
           {
             student_id,
             subject_id,
-            submission_type_id,
-            status,
-            marked_by,
-            marked_at: new Date(),
+            component_id: component.id,
+            ...values,
           },
-        ]);
+        ]).select("id").single();
+
+        if (insertErr) {
+          if (insertErr.code === "23505") {
+            return res.status(409).json({
+              success: false,
+              error: "This submission was just marked by someone else. Reload and try again.",
+            });
+          }
+          throw insertErr;
+        }
 
-        if (insertErr) throw insertErr;
+        await recordAudit(req, {
+          action: "submission.mark",
+          entity: "student_submissions",
+          entity_id: created.id,
+          after: audited(values),
+        });
 
         return res.status(201).json({
           success: true,
-          message: `${submission_type} submission marked as ${status} successfully.`,
+          message: `${component.name} submission marked as ${status} successfully.`,
         });
       }
     } catch (err) {
@@ -507,8 +530,407 @@ router.post(
 
 
 
+const MAX_BULK_CELLS = 5000;
+const BULK_CHUNK_SIZE = 500;
+
+// A matrix cell is a status ("completed"), marks (17) or { status?, marks? }
+const cellMark = (cell) => {
+  if (cell !== null && typeof cell === "object") return { status: cell.status, marks: cell.marks };
+  if (typeof cell === "number") return { marks: cell };
+  return { status: cell };
+};
+
+const loadStudentRows = async (studentIds) => {
+  const students = [];
+
+  for (const part of chunk(studentIds)) {
+    const { data, error } = await supabase
+      .from("students")
+      .select("id, roll_no, class_id, batch_id")
+      .in("id", part);
+
+    if (error) throw error;
+    students.push(...(data || []));
+  }
+  return new Map(students.map(s => [s.id, s]));
+};
+
+// Check a matrix of marks for one subject against its components and the
+// students' enrolment and defaulter status.
+// rows: [{ row, student_id, submissions: { <component id or name>: cell } }]
+// Returns { results, pending }: results holds the "unchanged" and "rejected"
+// cells; pending the cells that would change, each with the row before and
+// the record to write.
+const planMarks = async (subject_id, rows, marked_by) => {
+  const components = (await loadComponents([subject_id])).get(subject_id) || [];
+  const componentsById = new Map(components.map(c => [c.id, c]));
+  const componentsByName = new Map(components.map(c => [c.name.toLowerCase(), c]));
+
+  const studentIds = [...new Set(rows.map(row => row.student_id).filter(Boolean))];
+  const students = await loadStudentRows(studentIds);
+  const enrolled = await enrolledSubjects([...students.values()]);
+  const defaulterSubjects = await loadDefaulterSubjects(studentIds);
+
+  const existing = new Map(
+    (await loadSubmissions(studentIds, { subjectIds: [subject_id] }))
+      .map(row => [`${row.student_id}:${row.component_id}`, row])
+  );
+
+  const results = [];
+  const pending = [];
+  const seen = new Set();
+  const now = new Date().toISOString();
+
+  rows.forEach(row => {
+    const student = row.student_id ? students.get(row.student_id) : null;
+    const reject = (component, error, key = null) => results.push({
+      row: row.row,
+      student_id: row.student_id || null,
+      roll_no: student?.roll_no || null,
+      component_id: component?.id || null,
+      component: component?.name || key,
+      result: "rejected",
+      error,
+    });
+
+    if (!row.student_id) return reject(null, "student_id is required.");
+    if (!student) return reject(null, "Student not found.");
+    if (!enrolled.get(student.id)?.has(subject_id)) return reject(null, "Student does not take this subject.");
+
+    const cells = Object.entries(row.submissions || {});
+    if (cells.length === 0) return reject(null, "No submissions given for this student.");
+
+    cells.forEach(([key, cell]) => {
+      const component = componentsById.get(key) || componentsByName.get(String(key).toLowerCase());
+      if (!component) return reject(null, "Unknown assessment component for this subject.", key);
+
+      const cellKey = `${student.id}:${component.id}`;
+      if (seen.has(cellKey)) return reject(component, "Listed more than once.");
+      seen.add(cellKey);
+
+      if (component.applies_to === "defaulters" && !isSubjectDefaulter(defaulterSubjects, student.id, subject_id)) {
+        return reject(component, `${component.name} only applies to defaulters in this subject.`);
+      }
+
+      const { error, value } = parseMark(cellMark(cell), component);
+      if (error) return reject(component, error);
+
+      const before = existing.get(cellKey);
+      // Marks left out keep their current value
+      const marks = value.marks !== undefined ? value.marks : (before?.marks ?? null);
+      const result = {
+        row: row.row,
+        student_id: student.id,
+        roll_no: student.roll_no,
+        component_id: component.id,
+        component: component.name,
+        before: before ? { status: before.status, marks: before.marks ?? null } : null,
+        after: { status: value.status, marks },
+      };
+
+      const unchanged = before && before.status === value.status &&
+        (before.marks === null ? marks === null : Number(before.marks) === marks);
+      if (unchanged) {
+        results.push({ ...result, result: "unchanged" });
+        return;
+      }
+
+      pending.push({
+        result,
+        record: {
+          student_id: student.id,
+          subject_id,
+          component_id: component.id,
+          status: value.status,
+          marks,
+          marked_by,
+          marked_at: now,
+        },
+      });
+    });
+  });
+
+  return { results, pending };
+};
+
+// Upsert planned cells in batches and audit them once. A failed batch
+// rejects its own cells only. Returns the results of the pending cells.
+const writeMarks = async (req, subject_id, pending, action) => {
+  const results = [];
+  const saved = [];
+
+  for (const part of chunk(pending, BULK_CHUNK_SIZE)) {
+    const { error } = await supabase
+      .from("student_submissions")
+      .upsert(part.map(p => p.record), { onConflict: "student_id,component_id" });
+
+    if (error) {
+      console.error("Marking batch failed:", error);
+      part.forEach(p => results.push({ ...p.result, result: "rejected", error: error.message }));
+      continue;
+    }
+
+    part.forEach(p => results.push({ ...p.result, result: "saved" }));
+    saved.push(...part);
+  }
+
+  if (saved.length > 0) {
+    const snapshot = (pick) => Object.fromEntries(
+      saved.map(p => [`${p.record.student_id}:${p.result.component}`, pick(p.result)])
+    );
+
+    await recordAudit(req, {
+      action,
+      entity: "subjects",
+      entity_id: subject_id,
+      before: snapshot(r => r.before),
+      after: snapshot(r => r.after),
+    });
+  }
+
+  return results;
+};
+
+const summarizeResults = (results) => {
+  const summary = {};
+  results.forEach(r => { summary[r.result] = (summary[r.result] || 0) + 1; });
+  return summary;
+};
+
+// Mark many students x components of one subject in one request.
+// Body: {
+//   subject_id,
+//   rows: [{ student_id, submissions: { <component id or name>: "completed" | 17 | { status?, marks? } } }]
+// }
+// Authority over the subject is checked once; valid cells are upserted in
+// batches. Every cell gets a result: "saved", "unchanged" or "rejected" (with
+// the reason). Rejected cells don't stop the rest from being saved.
+router.post(
+  "/mark-submissions/bulk",
+  authenticateUser,
+  authorize("submission.mark", subjectScope(req => req.body.subject_id)),
+  async (req, res) => {
+    try {
+      const { subject_id, rows } = req.body;
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "rows must be a non-empty array of { student_id, submissions }.",
+        });
+      }
+
+      const cellCount = rows.reduce((count, row) => count + Object.keys(row?.submissions || {}).length, 0);
+      if (cellCount > MAX_BULK_CELLS) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${MAX_BULK_CELLS} submissions can be marked per request.`,
+        });
+      }
+
+      const { results, pending } = await planMarks(
+        subject_id,
+        rows.map((row, index) => ({ row: index, student_id: row?.student_id, submissions: row?.submissions })),
+        req.user.id
+      );
+      results.push(...await writeMarks(req, subject_id, pending, "submission.bulk_mark"));
+      results.sort((a, b) => a.row - b.row);
+
+      const summary = { saved: 0, unchanged: 0, rejected: 0, ...summarizeResults(results) };
+      console.log("✅ Bulk marking:", { subject_id, ...summary });
+
+      return res.json({ success: true, summary, results });
+    } catch (err) {
+      console.error("❌ Error bulk marking submissions:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+
+const normalizeHeader = (header) => String(header || "").trim().toLowerCase().replace(/[\s.]+/g, "_");
+
+const ROLL_HEADERS = ["roll_no", "roll_number", "rollno", "roll"];
+const HALL_TICKET_HEADERS = ["hall_ticket_number", "hall_ticket_no", "hall_ticket", "hallticket"];
+// Informational columns that are skipped without a warning
+const IGNORED_HEADERS = ["name", "student_name", "sr_no", "s_no", "sno", "class", "batch", "email"];
+
+// Numbers (or numeric text) are marks; anything else is a status
+const importedCell = (value) => {
+  if (typeof value === "number") return value;
+  const text = String(value).trim();
+  if (text !== "" && !Number.isNaN(Number(text))) return Number(text);
+  return text.toLowerCase();
+};
+
+// Import submission statuses and marks of one subject from an Excel sheet.
+// Multipart: file (first sheet is read), subject_id, class_id?, batch_id?, commit?
+// The sheet has a roll number or hall ticket column and one column per
+// assessment component; numbers are marks, text is a status. Empty cells are
+// left alone. Without commit=true nothing is written: the response is the
+// diff that would be applied, with unknown students, unknown columns and
+// invalid values flagged.
+router.post(
+  "/import",
+  authenticateUser,
+  authorize("submission.mark"),
+  acceptFiles("file", 1),
+  // multipart body (and so body.subject_id) is only available after multer ran
+  authorize("submission.mark", subjectScope(req => req.body.subject_id)),
+  async (req, res) => {
+    try {
+      const { subject_id, class_id, batch_id } = req.body;
+      const commit = String(req.body.commit || "").toLowerCase() === "true";
+      const file = (req.files || [])[0];
+
+      if (!file) return res.status(400).json({ success: false, error: "No file uploaded" });
+
+      let data;
+      try {
+        const workbook = xlsx.read(file.buffer, { type: "buffer" });
+        data = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: "" });
+      } catch (parseError) {
+        return res.status(400).json({ success: false, error: "Could not read the Excel file." });
+      }
+
+      if (!data.length) return res.status(400).json({ success: false, error: "Excel sheet is empty" });
+
+      // Work out what each column is
+      const components = (await loadComponents([subject_id])).get(subject_id) || [];
+      const componentsByName = new Map(components.map(c => [c.name.trim().toLowerCase(), c]));
+
+      const headers = [...new Set(data.flatMap(record => Object.keys(record)))];
+      const rollHeader = headers.find(h => ROLL_HEADERS.includes(normalizeHeader(h)));
+      const hallTicketHeader = headers.find(h => HALL_TICKET_HEADERS.includes(normalizeHeader(h)));
+
+      if (!rollHeader && !hallTicketHeader) {
+        return res.status(400).json({
+          success: false,
+          error: "The sheet needs a roll_no or hall_ticket_number column.",
+        });
+      }
+
+      const componentColumns = headers
+        .map(header => ({ header, component: componentsByName.get(String(header).trim().toLowerCase()) }))
+        .filter(column => column.component);
+      const unknownColumns = headers.filter(header =>
+        header !== rollHeader && header !== hallTicketHeader &&
+        !IGNORED_HEADERS.includes(normalizeHeader(header)) &&
+        !componentColumns.some(column => column.header === header)
+      );
+
+      if (componentColumns.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "No column matches an assessment component of this subject.",
+          components: components.map(c => c.name),
+          unknown_columns: unknownColumns,
+        });
+      }
+
+      // Match rows to the students who take the subject
+      const roster = (await subjectRoster(subject_id))
+        .filter(s => (!class_id || s.class_id === class_id) && (!batch_id || s.batch_id === batch_id));
+
+      const byHallTicket = new Map();
+      const byRoll = new Map();
+      roster.forEach(student => {
+        if (student.hall_ticket_number) byHallTicket.set(String(student.hall_ticket_number).trim(), student);
+        const roll = String(student.roll_no ?? "").trim();
+        if (!byRoll.has(roll)) byRoll.set(roll, []);
+        byRoll.get(roll).push(student);
+      });
+
+      const rows = [];
+      const unknownStudents = [];
+
+      data.forEach((record, index) => {
+        const rowNumber = (record.__rowNum__ ?? index + 1) + 1;
+        const hallTicket = hallTicketHeader ? String(record[hallTicketHeader]).trim() : "";
+        const roll = rollHeader ? String(record[rollHeader]).trim() : "";
+
+        const submissions = {};
+        componentColumns.forEach(({ header, component }) => {
+          if (String(record[header]).trim() === "") return;
+          submissions[component.id] = importedCell(record[header]);
+        });
+        if (Object.keys(submissions).length === 0) return;
+
+        let student = null;
+        let error = null;
+        if (hallTicket) {
+          student = byHallTicket.get(hallTicket);
+          if (!student) error = "Hall ticket number not found among the students of this subject.";
+        } else if (roll) {
+          const matches = byRoll.get(roll) || [];
+          if (matches.length === 1) student = matches[0];
+          else if (matches.length > 1) error = "Roll number matches several students; add class_id or a hall_ticket_number column.";
+          else error = "Roll number not found among the students of this subject.";
+        } else {
+          error = "Missing roll number / hall ticket number.";
+        }
+
+        if (!student) {
+          unknownStudents.push({ row: rowNumber, roll_no: roll || null, hall_ticket_number: hallTicket || null, error });
+          return;
+        }
+
+        rows.push({ row: rowNumber, student_id: student.id, submissions });
+      });
+
+      const cellCount = rows.reduce((count, row) => count + Object.keys(row.submissions).length, 0);
+      if (cellCount > MAX_BULK_CELLS) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${MAX_BULK_CELLS} submissions can be imported per file.`,
+        });
+      }
+
+      const { results, pending } = await planMarks(subject_id, rows, req.user.id);
+
+      if (commit) {
+        results.push(...await writeMarks(req, subject_id, pending, "submission.import"));
+      } else {
+        results.push(...pending.map(p => ({ ...p.result, result: "change" })));
+      }
+      results.sort((a, b) => a.row - b.row);
+
+      const summary = {
+        rows: data.length,
+        unknown_students: unknownStudents.length,
+        ...(commit ? { saved: 0 } : { change: 0 }),
+        unchanged: 0,
+        rejected: 0,
+        ...summarizeResults(results),
+      };
+
+      console.log(commit ? "✅ Submission import applied:" : "🔍 Submission import dry run:", { subject_id, file: file.originalname, ...summary });
+
+      return res.json({
+        success: true,
+        dry_run: !commit,
+        message: commit
+          ? `Import applied. ${summary.saved} submission(s) saved.`
+          : `Dry run: ${summary.change} submission(s) would change. Send commit=true to apply.`,
+        summary,
+        columns: {
+          components: componentColumns.map(({ header, component }) => ({ header, component_id: component.id, component: component.name })),
+          unknown: unknownColumns,
+        },
+        unknown_students: unknownStudents,
+        changes: results.filter(r => r.result === "change" || r.result === "saved"),
+        rejected: results.filter(r => r.result === "rejected"),
+      });
+    } catch (err) {
+      console.error("❌ Error importing submissions:", err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+
 // Get dashboard statistics for class teacher
-router.get("/dashboard-statistics", authenticateUser, authorizeRoles("faculty", "class_teacher", "hod"),
+router.get("/dashboard-statistics", authenticateUser, authorize("statistics.class"),
   async (req, res) => {
     try {
       const class_id = req.user.class_id;
@@ -523,7 +945,7 @@ router.get("/dashboard-statistics", authenticateUser, authorizeRoles("faculty",
       // Get all students in the class
       const { data: students, error: studentsError } = await supabase
         .from("students")
-        .select("id, defaulter")
+        .select("id, class_id, batch_id, defaulter")
         .eq("class_id", class_id);
 
       if (studentsError) throw studentsError;
@@ -544,64 +966,24 @@ router.get("/dashboard-statistics", authenticateUser, authorizeRoles("faculty",
         });
       }
 
-      const studentIds = students.map(s => s.id);
-
-      // Get all submissions for these students
-      const { data: submissions, error: submissionsError } = await supabase
-        .from("student_submissions")
-        .select("student_id, submission_type_id, status")
-        .in("student_id", studentIds);
-
-      if (submissionsError) throw submissionsError;
-
-      // Get submission types
-      const { data: submissionTypes, error: typesError } = await supabase
-        .from("submission_types")
-        .select("*");
-
-      if (typesError) throw typesError;
-
-      const taType = submissionTypes.find(t => t.name === 'TA');
-      const cieType = submissionTypes.find(t => t.name === 'CIE');
-      const defaulterType = submissionTypes.find(t => t.name === 'Defaulter work');
-
-      // Calculate statistics
-      const studentsWithSubmissions = new Set();
-      submissions.forEach(sub => {
-        if (sub.status === 'completed' && 
-            (sub.submission_type_id === taType?.id || sub.submission_type_id === cieType?.id)) {
-          studentsWithSubmissions.add(sub.student_id);
-        }
-      });
-
-      const studentSubmissionMap = {};
-      submissions.forEach(sub => {
-        if (!studentSubmissionMap[sub.student_id]) {
-          studentSubmissionMap[sub.student_id] = {};
-        }
-        studentSubmissionMap[sub.student_id][sub.submission_type_id] = sub.status;
-      });
-
-      const studentsWithBothCompleted = Object.values(studentSubmissionMap).filter(subs => 
-        subs[taType?.id] === 'completed' && subs[cieType?.id] === 'completed'
-      ).length;
-
-      const defaulterStudentIds = students.filter(s => s.defaulter).map(s => s.id);
-      const defaulterStudentsWithWork = new Set();
-      
-      submissions.forEach(sub => {
-        if (sub.submission_type_id === defaulterType?.id &&
-            sub.status === 'completed' &&
-            defaulterStudentIds.includes(sub.student_id)) {
-          defaulterStudentsWithWork.add(sub.student_id);
-        }
+      // Completion of the assessment components of every subject the students take
+      const summary = await completionSummary(students);
+
+      // A defaulter has submitted once every component meant for defaulters
+      // is completed in the subjects they are a defaulter in
+      let defaultersExpected = 0;
+      let defaultersDone = 0;
+      summary.students.forEach(progress => {
+        if (progress.defaulter_total === 0) return;
+        defaultersExpected++;
+        if (progress.defaulter_completed === progress.defaulter_total) defaultersDone++;
       });
 
       const statistics = {
-        overallSubmission: Math.round((studentsWithSubmissions.size / totalStudents) * 100),
-        submissionMarked: Math.round((studentsWithBothCompleted / totalStudents) * 100),
-        defaulterWorkSubmitted: defaulterStudents > 0 
-          ? Math.round((defaulterStudentsWithWork.size / defaulterStudents) * 100) 
+        overallSubmission: summary.percent,
+        submissionMarked: Math.round((summary.completed_students / totalStudents) * 100),
+        defaulterWorkSubmitted: defaultersExpected > 0
+          ? Math.round((defaultersDone / defaultersExpected) * 100)
           : 0,
         totalStudents,
         defaulterCount: defaulterStudents
@@ -619,7 +1001,7 @@ router.get("/dashboard-statistics", authenticateUser, authorizeRoles("faculty",
 );
 
 // Get subject-wise submission statistics
-router.get("/subject-statistics", authenticateUser, authorizeRoles("faculty", "class_teacher", "hod"),
+router.get("/subject-statistics", authenticateUser, authorize("statistics.subject"),
   async (req, res) => {
     try {
       const faculty_id = req.user.id;
@@ -695,42 +1077,12 @@ router.get("/subject-statistics", authenticateUser, authorizeRoles("faculty", "c
         }
       }
 
-      // Also get elective subjects where this faculty is assigned via student selections
-      const { data: electiveSelections, error: electiveError } = await supabase
-        .from('student_subject_selection')
-        .select(`
-          student_id,
-          mdm_id,
-          oe_id,
-          pe_id,
-          mdm_faculty_id,
-          oe_faculty_id,
-          pe_faculty_id
-        `)
-        .or(`mdm_faculty_id.eq.${faculty_id},oe_faculty_id.eq.${faculty_id},pe_faculty_id.eq.${faculty_id}`);
-
-      if (electiveError) throw electiveError;
-
-      // Add student selections to the map
-      (electiveSelections || []).forEach(selection => {
-        if (selection.mdm_faculty_id === faculty_id && selection.mdm_id) {
-          if (!electiveSubjectMap.has(selection.mdm_id)) {
-            electiveSubjectMap.set(selection.mdm_id, new Set());
-          }
-          electiveSubjectMap.get(selection.mdm_id).add(selection.student_id);
-        }
-        if (selection.oe_faculty_id === faculty_id && selection.oe_id) {
-          if (!electiveSubjectMap.has(selection.oe_id)) {
-            electiveSubjectMap.set(selection.oe_id, new Set());
-          }
-          electiveSubjectMap.get(selection.oe_id).add(selection.student_id);
-        }
-        if (selection.pe_faculty_id === faculty_id && selection.pe_id) {
-          if (!electiveSubjectMap.has(selection.pe_id)) {
-            electiveSubjectMap.set(selection.pe_id, new Set());
-          }
-          electiveSubjectMap.get(selection.pe_id).add(selection.student_id);
+      // Also get elective subjects where students chose this faculty
+      (await findChoices({ facultyId: faculty_id })).forEach(choice => {
+        if (!electiveSubjectMap.has(choice.subject_id)) {
+          electiveSubjectMap.set(choice.subject_id, new Set());
         }
+        electiveSubjectMap.get(choice.subject_id).add(choice.student_id);
       });
 
       // Fetch elective subject details
@@ -767,42 +1119,9 @@ router.get("/subject-statistics", authenticateUser, authorizeRoles("faculty", "c
             if (studentsError) return null;
 
             const studentIds = (students || []).map(s => s.id);
-            const defaulterCount = (students || []).filter(s => s.defaulter).length;
-
-            // Get submission statistics
-            let submissions = [];
-            if (studentIds.length > 0) {
-              const { data: submissionsData, error: submissionsError } = await supabase
-                .from("student_submissions")
-                .select("student_id, submission_type_id, status")
-                .eq("subject_id", subject.id)
-                .in("student_id", studentIds);
-
-              if (submissionsError) return null;
-              submissions = submissionsData || [];
-            }
+            const defaulterCount = (await filterSubjectDefaulters(subject.id, studentIds)).length;
 
-            // Get submission types
-            const { data: submissionTypes, error: typesError } = await supabase
-              .from("submission_types")
-              .select("*");
-
-            if (typesError) return null;
-
-            // Calculate statistics per submission type
-            const typeStats = {};
-            (submissionTypes || []).forEach(type => {
-              const typeSubmissions = submissions.filter(s => s.submission_type_id === type.id);
-              const completed = typeSubmissions.filter(s => s.status === 'completed').length;
-              const pending = typeSubmissions.filter(s => s.status === 'pending').length;
-              
-              typeStats[type.name] = {
-                total: totalStudents || 0,
-                completed,
-                pending,
-                notStarted: (totalStudents || 0) - completed - pending
-              };
-            });
+            const stats = await subjectComponentStats(subject.id, students || []);
 
             return {
               id: subject.id,
@@ -811,7 +1130,7 @@ router.get("/subject-statistics", authenticateUser, authorizeRoles("faculty", "c
               type: subject.type,
               totalStudents: totalStudents || 0,
               defaulterCount,
-              submissionStats: typeStats
+              ...stats
             };
           } catch (error) {
             console.error('Error processing subject stats:', error);
@@ -837,39 +1156,9 @@ router.get("/subject-statistics", authenticateUser, authorizeRoles("faculty", "c
 
             if (studentsError) return null;
 
-            const defaulterCount = (students || []).filter(s => s.defaulter).length;
-
-            // Get submission statistics
-            const { data: submissionsData, error: submissionsError } = await supabase
-              .from("student_submissions")
-              .select("student_id, submission_type_id, status")
-              .eq("subject_id", subject.id)
-              .in("student_id", studentIds);
-
-            if (submissionsError) return null;
-            const submissions = submissionsData || [];
-
-            // Get submission types
-            const { data: submissionTypes, error: typesError } = await supabase
-              .from("submission_types")
-              .select("*");
-
-            if (typesError) return null;
-
-            // Calculate statistics per submission type
-            const typeStats = {};
-            (submissionTypes || []).forEach(type => {
-              const typeSubmissions = submissions.filter(s => s.submission_type_id === type.id);
-              const completed = typeSubmissions.filter(s => s.status === 'completed').length;
-              const pending = typeSubmissions.filter(s => s.status === 'pending').length;
-              
-              typeStats[type.name] = {
-                total: totalStudents,
-                completed,
-                pending,
-                notStarted: totalStudents - completed - pending
-              };
-            });
+            const defaulterCount = (await filterSubjectDefaulters(subject.id, (students || []).map(s => s.id))).length;
+
+            const stats = await subjectComponentStats(subject.id, students || []);
 
             return {
               id: subject.id,
@@ -878,7 +1167,7 @@ router.get("/subject-statistics", authenticateUser, authorizeRoles("faculty", "c
               type: subject.type,
               totalStudents,
               defaulterCount,
-              submissionStats: typeStats
+              ...stats
             };
           } catch (error) {
             console.error('Error processing elective subject stats:', error);
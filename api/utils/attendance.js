@@ -0,0 +1,277 @@
+import { supabase } from '../db/supabaseClient.js'
+import { loadPolicies, resolveRule, evaluateRule } from "./defaulterPolicy.js";
+import { enrolledSubjects, loadSubjectStatuses } from "./defaulterStatus.js";
+import { chunk, selectAll } from "./queries.js";
+
+export const ATTENDANCE_STATUSES = ["present", "absent", "excused"];
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+// Excused lectures count neither for nor against the student
+const percentOf = (counts) => {
+  const counted = counts.present + counts.absent;
+  return counted > 0 ? roundPercent((counts.present / counted) * 100) : null;
+};
+
+const emptyCounts = () => ({ present: 0, absent: 0, excused: 0 });
+
+// records: [{ student_id, subject_id, status }]
+// Returns Map(student_id -> { overall, subjects: { subject_id: {...} } })
+export const summarizeRecords = (records) => {
+  const byStudent = new Map();
+
+  records.forEach(record => {
+    if (!ATTENDANCE_STATUSES.includes(record.status)) return;
+
+    if (!byStudent.has(record.student_id)) {
+      byStudent.set(record.student_id, { overall: emptyCounts(), subjects: {} });
+    }
+    const summary = byStudent.get(record.student_id);
+    summary.overall[record.status]++;
+
+    if (!summary.subjects[record.subject_id]) {
+      summary.subjects[record.subject_id] = emptyCounts();
+    }
+    summary.subjects[record.subject_id][record.status]++;
+  });
+
+  const result = new Map();
+  byStudent.forEach((summary, studentId) => {
+    const subjects = {};
+    Object.entries(summary.subjects).forEach(([subjectId, counts]) => {
+      subjects[subjectId] = {
+        ...counts,
+        total: counts.present + counts.absent + counts.excused,
+        percent: percentOf(counts),
+      };
+    });
+
+    result.set(studentId, {
+      overall: {
+        ...summary.overall,
+        total: summary.overall.present + summary.overall.absent + summary.overall.excused,
+        percent: percentOf(summary.overall),
+      },
+      subjects,
+    });
+  });
+
+  return result;
+};
+
+// All attendance marks of the given students, flattened to { student_id, subject_id, status }
+export const loadAttendanceRecords = async (studentIds, { subjectId } = {}) => {
+  if (!studentIds || studentIds.length === 0) return [];
+
+  const records = [];
+  for (const part of chunk(studentIds)) {
+    const rows = await selectAll(() => {
+      let query = supabase
+        .from("attendance_records")
+        .select("student_id, status, attendance_sessions!inner ( subject_id )")
+        .in("student_id", part)
+        .order("id", { ascending: true });
+
+      if (subjectId) query = query.eq("attendance_sessions.subject_id", subjectId);
+      return query;
+    });
+
+    rows.forEach(row => records.push({
+      student_id: row.student_id,
+      subject_id: row.attendance_sessions.subject_id,
+      status: row.status,
+    }));
+  }
+
+  return records;
+};
+
+export const getStudentAttendance = async (studentId) => {
+  const summary = summarizeRecords(await loadAttendanceRecords([studentId])).get(studentId);
+  return summary || { overall: { ...emptyCounts(), total: 0, percent: null }, subjects: {} };
+};
+
+const ruleLabel = (rule) => (rule.source === "default" ? "default" : `${rule.source.replace("_", " ")} policy`);
+
+// Human readable explanation stored with each calculated status
+const describeStatus = (percent, rule, status, fromLectures) => {
+  if (percent === null || percent === undefined) return "No lectures recorded yet.";
+
+  const label = fromLectures ? "Attendance" : "Imported attendance";
+  const cutoff = rule.threshold - rule.grace_band;
+
+  if (status === "defaulter") return `${label} ${percent}% is below ${cutoff}% (${ruleLabel(rule)}).`;
+  if (status === "grace") return `${label} ${percent}% is in the grace band below ${rule.threshold}% (${ruleLabel(rule)}).`;
+  return `${label} ${percent}% meets ${rule.threshold}% (${ruleLabel(rule)}).`;
+};
+
+const recalculateChunk = async (ids) => {
+  const { data: students, error } = await supabase
+    .from("students")
+    .select("id, class_id, batch_id, attendance_percent, defaulter, classes ( department_id )")
+    .in("id", ids);
+
+  if (error) throw error;
+
+  const records = await loadAttendanceRecords(ids);
+  const summaries = summarizeRecords(records);
+  const enrolled = await enrolledSubjects(students || []);
+  const existing = await loadSubjectStatuses(ids);
+
+  const manual = new Map();
+  existing
+    .filter(row => row.source === "manual")
+    .forEach(row => manual.set(`${row.student_id}:${row.subject_id}`, row));
+
+  const subjectIds = [...new Set([
+    ...records.map(r => r.subject_id),
+    ...[...enrolled.values()].flatMap(set => [...set]),
+    ...existing.map(row => row.subject_id),
+  ])];
+
+  let subjectMap = new Map();
+  if (subjectIds.length > 0) {
+    const { data: subjects, error: subjectsError } = await supabase
+      .from("subjects")
+      .select("id, type")
+      .in("id", subjectIds);
+
+    if (subjectsError) throw subjectsError;
+    subjectMap = new Map((subjects || []).map(s => [s.id, s]));
+  }
+
+  const policies = await loadPolicies({
+    departmentIds: (students || []).map(s => s.classes?.department_id),
+    subjectIds,
+  });
+
+  const now = new Date().toISOString();
+  const statusRows = [];
+  const kept = new Set();
+  const changed = [];
+
+  for (const student of students || []) {
+    const departmentId = student.classes?.department_id || null;
+    const summary = summaries.get(student.id);
+    const live = summary?.overall.percent;
+    const hasLive = live !== null && live !== undefined;
+    const percent = hasLive ? live : (Number(student.attendance_percent) || 0);
+
+    const studentSubjects = new Set([
+      ...(enrolled.get(student.id) || []),
+      ...Object.keys(summary?.subjects || {}),
+      ...existing.filter(row => row.student_id === student.id && row.source === "manual").map(row => row.subject_id),
+    ]);
+
+    const subjectsBelow = [];
+
+    studentSubjects.forEach(subjectId => {
+      const rule = resolveRule(policies, departmentId, subjectMap.get(subjectId) || { id: subjectId });
+      const counts = summary?.subjects[subjectId];
+      const fromLectures = counts?.percent !== null && counts?.percent !== undefined;
+
+      // Once a student has recorded lectures, subjects without any yet are not
+      // judged on the imported figure
+      const subjectPercent = fromLectures ? counts.percent : (hasLive ? null : percent);
+      const status = evaluateRule(subjectPercent, rule);
+
+      const key = `${student.id}:${subjectId}`;
+      const override = manual.get(key);
+      kept.add(key);
+
+      const row = {
+        student_id: student.id,
+        subject_id: subjectId,
+        status,
+        attendance_percent: subjectPercent,
+        threshold: rule.threshold,
+        grace_band: rule.grace_band,
+        policy_id: rule.policy_id,
+        updated_at: now,
+      };
+
+      if (override) {
+        Object.assign(row, {
+          is_defaulter: override.is_defaulter,
+          source: "manual",
+          reason: override.reason,
+          overridden_by: override.overridden_by,
+        });
+      } else {
+        Object.assign(row, {
+          is_defaulter: status === "defaulter",
+          source: fromLectures ? "attendance" : "policy",
+          reason: describeStatus(subjectPercent, rule, status, fromLectures),
+          overridden_by: null,
+        });
+      }
+
+      if (row.is_defaulter) subjectsBelow.push(subjectId);
+      statusRows.push(row);
+    });
+
+    // Without any known subject only the department rule can apply
+    const defaulter = studentSubjects.size > 0
+      ? subjectsBelow.length > 0
+      : evaluateRule(percent, resolveRule(policies, departmentId)) === "defaulter";
+
+    if (percent === Number(student.attendance_percent) && defaulter === student.defaulter) continue;
+
+    const { error: updateError } = await supabase
+      .from("students")
+      .update({ attendance_percent: percent, defaulter })
+      .eq("id", student.id);
+
+    if (updateError) throw updateError;
+
+    if (defaulter !== student.defaulter) {
+      changed.push({
+        student_id: student.id,
+        attendance_percent: percent,
+        defaulter,
+        subjects_below: subjectsBelow,
+      });
+    }
+  }
+
+  if (statusRows.length > 0) {
+    const { error: upsertError } = await supabase
+      .from("student_subject_defaulters")
+      .upsert(statusRows, { onConflict: "student_id,subject_id" });
+
+    if (upsertError) throw upsertError;
+  }
+
+  // Subjects the student no longer takes (e.g. a changed elective)
+  const staleIds = existing
+    .filter(row => !kept.has(`${row.student_id}:${row.subject_id}`))
+    .map(row => row.id);
+
+  if (staleIds.length > 0) {
+    const { error: deleteError } = await supabase
+      .from("student_subject_defaulters")
+      .delete()
+      .in("id", staleIds);
+
+    if (deleteError) throw deleteError;
+  }
+
+  return changed;
+};
+
+// Recompute attendance_percent, the per-subject defaulter status
+// (student_subject_defaulters) and the overall defaulter flag for the given
+// students. A subject with recorded lectures is judged on them against its
+// defaulter rule (see defaulterPolicy.js). Students without any counted
+// lecture are judged on the percentage they were imported with. Manual
+// overrides are kept. Returns the students whose overall defaulter flag changed.
+export const recalculateStudents = async (studentIds) => {
+  const ids = [...new Set((studentIds || []).filter(Boolean))];
+  const changed = [];
+
+  for (const part of chunk(ids)) {
+    changed.push(...await recalculateChunk(part));
+  }
+
+  return changed;
+};
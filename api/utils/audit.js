@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import { supabase } from '../db/supabaseClient.js'
+import { userTypeFor } from "./sessions.js";
+import { PAGE_SIZE } from "./queries.js";
+
+// Append-only audit trail of every write made through the API.
+// Entries form a hash chain: each row stores the hash of the previous row
+// and a hash over its own content, so editing or deleting a row breaks
+// verification of everything after it. prev_hash is unique in the table,
+// which stops two concurrent writers from forking the chain.
+
+const GENESIS_HASH = "0".repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with sorted keys so the hash doesn't depend on key order
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const HASHED_FIELDS = [
+  "actor_id", "actor_type", "actor_role", "action", "entity", "entity_id",
+  "department_id", "before", "after", "changes", "ip_address", "user_agent", "created_at",
+];
+
+export const hashEntry = (entry, prevHash) => {
+  const content = {};
+  HASHED_FIELDS.forEach(field => { content[field] = entry[field] ?? null; });
+  // timestamptz comes back as "+00:00" rather than "Z"
+  content.created_at = new Date(entry.created_at).toISOString();
+
+  return crypto
+    .createHash("sha256")
+    .update(prevHash + canonical(content))
+    .digest("hex");
+};
+
+// Field-level diff: { field: { from, to } } for every field that changed
+export const diffRecords = (before, after) => {
+  if (!before || !after) return null;
+
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (canonical(before[key]) !== canonical(after[key])) {
+      changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  });
+  return changes;
+};
+
+// Students carry only a class in their token
+const classDepartment = async (classId) => {
+  const { data, error } = await supabase
+    .from("classes")
+    .select("department_id")
+    .eq("id", classId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.department_id || null;
+};
+
+const lastHash = async () => {
+  const { data, error } = await supabase
+    .from("audit_log")
+    .select("hash")
+    .order("seq", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0].hash : GENESIS_HASH;
+};
+
+// recordAudit(req, { action: "student.update", entity: "students", entity_id, before, after })
+// department_id defaults to the resource scope resolved by authorize(), then
+// the caller's own department (or their class's, for students). Never throws: the write it describes has
+// already happened, so a failure is logged instead of failing the request.
+// `actor` ({ id, role?, type?, department_id?, class_id? }) is for unauthenticated
+// endpoints such as password reset where there is no req.user.
+export const recordAudit = async (req, { action, entity, entity_id = null, before = null, after = null, department_id, actor }) => {
+  const user = actor || req.user || {};
+
+  let departmentId = department_id !== undefined
+    ? department_id
+    : (req.scope?.department_id || user.department_id || null);
+
+  if (departmentId === null && department_id === undefined && user.class_id) {
+    try {
+      departmentId = await classDepartment(user.class_id);
+    } catch (err) {
+      console.error("Failed to resolve department for audit entry:", err);
+    }
+  }
+
+  const entry = {
+    actor_id: user.id || null,
+    actor_type: user.type || (user.role ? userTypeFor(user.role) : null),
+    actor_role: user.role || null,
+    action,
+    entity,
+    entity_id: entity_id != null ? String(entity_id) : null,
+    department_id: departmentId,
+    before,
+    after,
+    changes: diffRecords(before, after),
+    ip_address: req.ip || null,
+    user_agent: req.headers?.["user-agent"] || null,
+  };
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    try {
+      const prevHash = await lastHash();
+      const row = { ...entry, created_at: new Date().toISOString() };
+
+      const { error } = await supabase
+        .from("audit_log")
+        .insert([{ ...row, prev_hash: prevHash, hash: hashEntry(row, prevHash) }]);
+
+      if (!error) return;
+
+      // Another entry was appended after we read the chain head; read it again
+      if (error.code !== "23505") throw error;
+    } catch (err) {
+      console.error(`❌ Failed to record audit entry ${action}:`, err);
+      return;
+    }
+  }
+
+  console.error(`❌ Failed to record audit entry ${action}: chain head kept moving`);
+};
+
+// Shared by the director and HOD audit endpoints.
+// Filters: actor_id, actor_role, action, entity, entity_id, from, to, limit, offset
+export const listAuditEntries = async (filters = {}, { department_id } = {}) => {
+  const limit = Math.min(Number(filters.limit) || 100, 1000);
+  const offset = Math.max(Number(filters.offset) || 0, 0);
+
+  let query = supabase
+    .from("audit_log")
+    .select("seq, actor_id, actor_type, actor_role, action, entity, entity_id, department_id, before, after, changes, ip_address, user_agent, created_at", { count: "exact" })
+    .order("seq", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (department_id) query = query.eq("department_id", department_id);
+  if (filters.actor_id) query = query.eq("actor_id", filters.actor_id);
+  if (filters.actor_role) query = query.eq("actor_role", filters.actor_role);
+  if (filters.action) query = query.eq("action", filters.action);
+  if (filters.entity) query = query.eq("entity", filters.entity);
+  if (filters.entity_id) query = query.eq("entity_id", filters.entity_id);
+  if (filters.from) query = query.gte("created_at", filters.from);
+  if (filters.to) query = query.lte("created_at", filters.to);
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  return { total: count || 0, entries: data || [] };
+};
+
+// Walk the whole chain and report the first entry whose hash doesn't match
+export const verifyAuditChain = async () => {
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("audit_log")
+      .select(`seq, prev_hash, hash, ${HASHED_FIELDS.join(", ")}`)
+      .order("seq", { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      if (row.prev_hash !== prevHash || hashEntry(row, row.prev_hash) !== row.hash) {
+        return { valid: false, checked, broken_at: row.seq };
+      }
+      prevHash = row.hash;
+      checked++;
+    }
+
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return { valid: true, checked, broken_at: null };
+};
@@ -0,0 +1,302 @@
+import { supabase } from '../db/supabaseClient.js'
+import { enrolledSubjects, loadDefaulterSubjects, isSubjectDefaulter } from "./defaulterStatus.js";
+import { chunk, selectAll } from "./queries.js";
+
+// Assessment components are configured per subject by the HOD
+// (assessment_components): assignments, lab journals, CIE-1, CIE-2, ... each
+// with a maximum mark, a weight and an optional due date. "applies_to" says
+// who the component is expected from: every student of the subject ("all")
+// or only students who are defaulters in it ("defaulters", e.g. defaulter work).
+//
+// Faculty record one student_submissions row per student and component with
+// a status ("pending" / "completed") and optionally marks. A component is done
+// for a student once that row is "completed".
+
+export const COMPONENT_AUDIENCES = ["all", "defaulters"];
+export const SUBMISSION_STATUSES = ["pending", "completed"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Validates a component from a request body. With partial, only the given
+// fields are checked (for updates). Returns { error } or { value }
+export const validateComponent = (body, { partial = false } = {}) => {
+  const value = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name is required." };
+    if (name.length > 100) return { error: "name must be at most 100 characters." };
+    value.name = name;
+  }
+
+  if (body.max_marks !== undefined || !partial) {
+    const maxMarks = Number(body.max_marks);
+    if (isBlank(body.max_marks) || Number.isNaN(maxMarks) || maxMarks <= 0) {
+      return { error: "max_marks must be a number greater than 0." };
+    }
+    value.max_marks = maxMarks;
+  }
+
+  if (body.weight !== undefined || !partial) {
+    const weight = isBlank(body.weight) ? 1 : Number(body.weight);
+    if (Number.isNaN(weight) || weight < 0 || weight > 100) {
+      return { error: "weight must be a number between 0 and 100." };
+    }
+    value.weight = weight;
+  }
+
+  if (body.due_at !== undefined || !partial) {
+    if (isBlank(body.due_at)) {
+      value.due_at = null;
+    } else {
+      const due = new Date(body.due_at);
+      if (Number.isNaN(due.getTime())) return { error: "due_at must be a valid date." };
+      value.due_at = due.toISOString();
+    }
+  }
+
+  if (body.applies_to !== undefined || !partial) {
+    const appliesTo = body.applies_to || "all";
+    if (!COMPONENT_AUDIENCES.includes(appliesTo)) {
+      return { error: `applies_to must be one of: ${COMPONENT_AUDIENCES.join(", ")}` };
+    }
+    value.applies_to = appliesTo;
+  }
+
+  if (body.position !== undefined || !partial) {
+    const position = isBlank(body.position) ? 0 : Number(body.position);
+    if (!Number.isInteger(position)) return { error: "position must be a whole number." };
+    value.position = position;
+  }
+
+  return { value };
+};
+
+// Validates marks against a component. Returns { error } or { value } (null when not given)
+export const validateMarks = (marks, component) => {
+  if (isBlank(marks)) return { value: null };
+
+  const value = Number(marks);
+  if (Number.isNaN(value) || value < 0 || value > Number(component.max_marks)) {
+    return { error: `marks for ${component.name} must be between 0 and ${component.max_marks}.` };
+  }
+  return { value };
+};
+
+// Validates one mark of a component: { status?, marks? }. Recording marks
+// completes the component unless a status is given.
+// Returns { error } or { value: { status, marks } } (marks undefined when not given)
+export const parseMark = ({ status, marks }, component) => {
+  const hasMarks = !isBlank(marks);
+  if (!status && !hasMarks) return { error: "status or marks is required." };
+
+  const value = { status: status ? String(status).toLowerCase() : "completed" };
+  if (!SUBMISSION_STATUSES.includes(value.status)) {
+    return { error: "Status must be 'pending' or 'completed'." };
+  }
+
+  if (hasMarks) {
+    const { error, value: marksValue } = validateMarks(marks, component);
+    if (error) return { error };
+    value.marks = marksValue;
+  }
+
+  return { value };
+};
+
+// Map(subject_id -> [components]) in display order
+export const loadComponents = async (subjectIds) => {
+  const ids = [...new Set((subjectIds || []).filter(Boolean))];
+  const bySubject = new Map(ids.map(id => [id, []]));
+
+  for (const part of chunk(ids)) {
+    const { data, error } = await supabase
+      .from("assessment_components")
+      .select("id, subject_id, name, max_marks, weight, due_at, applies_to, position")
+      .in("subject_id", part)
+      .order("position", { ascending: true })
+      .order("name", { ascending: true });
+
+    if (error) throw error;
+    (data || []).forEach(component => bySubject.get(component.subject_id).push(component));
+  }
+
+  return bySubject;
+};
+
+// The subject's component matching an id, or (for older clients that send
+// submission_type) a name
+export const findComponent = async (subjectId, { component_id, name }) => {
+  let query = supabase
+    .from("assessment_components")
+    .select("id, subject_id, name, max_marks, weight, due_at, applies_to, position")
+    .eq("subject_id", subjectId);
+
+  query = component_id ? query.eq("id", component_id) : query.eq("name", name);
+
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// Component submissions of the given students, optionally limited to subjects
+export const loadSubmissions = async (studentIds, { subjectIds = null } = {}) => {
+  const ids = [...new Set((studentIds || []).filter(Boolean))];
+  const rows = [];
+
+  for (const part of chunk(ids)) {
+    rows.push(...await selectAll(() => {
+      const query = supabase
+        .from("student_submissions")
+        .select("id, student_id, subject_id, component_id, status, marks, marked_by, marked_at")
+        .in("student_id", part)
+        .not("component_id", "is", null)
+        .order("id", { ascending: true });
+
+      return subjectIds ? query.in("subject_id", subjectIds) : query;
+    }));
+  }
+
+  return rows;
+};
+
+export const applicableComponents = (components, isDefaulter) =>
+  (components || []).filter(c => c.applies_to !== "defaulters" || isDefaulter);
+
+// Progress of one student in one subject.
+// submissions: Map(component_id -> student_submissions row) of that student
+export const subjectProgress = (components, submissions, isDefaulter) => {
+  const items = applicableComponents(components, isDefaulter).map(component => {
+    const row = submissions.get(component.id);
+    return {
+      component_id: component.id,
+      name: component.name,
+      applies_to: component.applies_to,
+      max_marks: Number(component.max_marks),
+      weight: Number(component.weight),
+      due_at: component.due_at,
+      status: row?.status || "not_started",
+      marks: row?.marks === null || row?.marks === undefined ? null : Number(row.marks),
+    };
+  });
+
+  const completed = items.filter(item => item.status === "completed").length;
+
+  // Weighted score over the components that have marks so far
+  const marked = items.filter(item => item.marks !== null && item.max_marks > 0);
+  const weightTotal = marked.reduce((sum, item) => sum + item.weight, 0);
+  const weighted = marked.reduce((sum, item) => sum + item.weight * (item.marks / item.max_marks), 0);
+
+  // Internal total out of the summed weights; components without marks count as 0
+  const internalMax = items.reduce((sum, item) => sum + item.weight, 0);
+  const internalTotal = marked.length > 0 ? round(weighted) : null;
+
+  const defaulterItems = items.filter(item => item.applies_to === "defaulters");
+
+  return {
+    total: items.length,
+    completed,
+    percent: items.length > 0 ? Math.round((completed / items.length) * 100) : null,
+    weighted_score: weightTotal > 0 ? round((weighted / weightTotal) * 100) : null,
+    internal_total: internalTotal,
+    internal_max: internalMax,
+    internal_percent: internalTotal !== null && internalMax > 0 ? round((weighted / internalMax) * 100) : null,
+    defaulter_total: defaulterItems.length,
+    defaulter_completed: defaulterItems.filter(item => item.status === "completed").length,
+    components: items,
+  };
+};
+
+const emptyComponentStats = (component) => ({
+  component,
+  expected: 0,
+  completed: 0,
+  pending: 0,
+  not_started: 0,
+  marked: 0,
+  marks_total: 0,
+});
+
+// Completion of students across their subjects, computed from the configured
+// components. students: [{ id, class_id, batch_id }]. Each student is
+// evaluated on subjectIds when given, otherwise on the subjects they take.
+// Returns {
+//   total, completed, percent           - component submissions expected / done
+//   completed_students                  - students who completed everything expected of them
+//   students: Map(id -> { total, completed, percent, subjects: { subject_id: subjectProgress } })
+//   components: Map(component_id -> { component, expected, completed, pending, not_started, average_marks })
+// }
+export const completionSummary = async (students, { subjectIds = null } = {}) => {
+  const list = (students || []).filter(s => s && s.id);
+  const studentIds = list.map(s => s.id);
+
+  const enrolled = subjectIds
+    ? new Map(list.map(s => [s.id, new Set(subjectIds)]))
+    : await enrolledSubjects(list);
+
+  const allSubjectIds = [...new Set([...enrolled.values()].flatMap(set => [...set]))];
+  const components = await loadComponents(allSubjectIds);
+  const submissions = await loadSubmissions(studentIds, { subjectIds: subjectIds || null });
+  const defaulterSubjects = await loadDefaulterSubjects(studentIds);
+
+  const byStudent = new Map();
+  submissions.forEach(row => {
+    if (!byStudent.has(row.student_id)) byStudent.set(row.student_id, new Map());
+    byStudent.get(row.student_id).set(row.component_id, row);
+  });
+
+  const componentStats = new Map();
+  components.forEach(list => list.forEach(c => componentStats.set(c.id, emptyComponentStats(c))));
+
+  const result = { total: 0, completed: 0, completed_students: 0, students: new Map() };
+
+  list.forEach(student => {
+    const studentRows = byStudent.get(student.id) || new Map();
+    const summary = { total: 0, completed: 0, defaulter_total: 0, defaulter_completed: 0, subjects: {} };
+
+    (enrolled.get(student.id) || new Set()).forEach(subjectId => {
+      const isDefaulter = isSubjectDefaulter(defaulterSubjects, student.id, subjectId);
+      const progress = subjectProgress(components.get(subjectId), studentRows, isDefaulter);
+
+      summary.subjects[subjectId] = progress;
+      summary.total += progress.total;
+      summary.completed += progress.completed;
+      summary.defaulter_total += progress.defaulter_total;
+      summary.defaulter_completed += progress.defaulter_completed;
+
+      progress.components.forEach(item => {
+        const stats = componentStats.get(item.component_id);
+        stats.expected++;
+        if (item.status === "completed") stats.completed++;
+        else if (item.status === "pending") stats.pending++;
+        else stats.not_started++;
+        if (item.marks !== null) {
+          stats.marked++;
+          stats.marks_total += item.marks;
+        }
+      });
+    });
+
+    summary.percent = summary.total > 0 ? Math.round((summary.completed / summary.total) * 100) : null;
+
+    result.students.set(student.id, summary);
+    result.total += summary.total;
+    result.completed += summary.completed;
+    if (summary.total > 0 && summary.completed === summary.total) result.completed_students++;
+  });
+
+  result.percent = result.total > 0 ? Math.round((result.completed / result.total) * 100) : 0;
+
+  result.components = new Map();
+  componentStats.forEach((stats, id) => {
+    const { marked, marks_total, ...rest } = stats;
+    result.components.set(id, {
+      ...rest,
+      average_marks: marked > 0 ? round(marks_total / marked) : null,
+    });
+  });
+
+  return result;
+};
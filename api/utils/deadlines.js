@@ -0,0 +1,64 @@
+// Deadlines of defaulter work. An assignment may carry a due_at and a grace
+// period in hours. Work handed in before due_at + grace is on time; after that
+// it is late. Work still outstanding after the grace period is overdue.
+//
+// Deadline states:
+//   "none"      - no due date
+//   "open"      - before the due date
+//   "grace"     - past the due date, still inside the grace period
+//   "overdue"   - past the grace period and nothing handed in
+//   "submitted" - handed in, waiting for review
+//   "completed" - accepted / marked completed
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Validates { due_at, grace_hours } from a request body.
+// Returns { error } or { value: { due_at, grace_hours } }
+export const parseDeadline = ({ due_at, grace_hours }) => {
+  if (due_at === undefined || due_at === null || due_at === "") {
+    if (grace_hours !== undefined && grace_hours !== null && grace_hours !== "") {
+      return { error: "grace_hours requires a due_at." };
+    }
+    return { value: { due_at: null, grace_hours: 0 } };
+  }
+
+  const due = new Date(due_at);
+  if (Number.isNaN(due.getTime())) {
+    return { error: "due_at must be a valid date." };
+  }
+
+  const grace = grace_hours === undefined || grace_hours === null || grace_hours === "" ? 0 : Number(grace_hours);
+  if (!Number.isInteger(grace) || grace < 0 || grace > 24 * 30) {
+    return { error: "grace_hours must be a whole number between 0 and 720." };
+  }
+
+  return { value: { due_at: due.toISOString(), grace_hours: grace } };
+};
+
+export const graceEndsAt = (work) =>
+  work.due_at ? new Date(new Date(work.due_at).getTime() + (Number(work.grace_hours) || 0) * HOUR_MS) : null;
+
+// work: { status, skip, due_at, grace_hours }
+// handedInAt: when the student first handed the work in (null if never)
+// pendingReview: the latest upload is waiting for review
+export const deadlineState = (work, { handedInAt = null, pendingReview = false, now = new Date() } = {}) => {
+  const graceEnd = graceEndsAt(work);
+  const handedIn = handedInAt ? new Date(handedInAt) : null;
+
+  const result = {
+    due_at: work.due_at || null,
+    grace_hours: Number(work.grace_hours) || 0,
+    grace_ends_at: graceEnd ? graceEnd.toISOString() : null,
+    late: !!(graceEnd && handedIn && handedIn > graceEnd),
+    overdue: false,
+  };
+
+  if (work.status === "completed" || work.skip) return { ...result, state: "completed" };
+  if (pendingReview) return { ...result, state: "submitted" };
+  if (!graceEnd) return { ...result, state: "none" };
+
+  if (now <= new Date(work.due_at)) return { ...result, state: "open" };
+  if (now <= graceEnd) return { ...result, state: "grace" };
+
+  return { ...result, state: "overdue", overdue: true };
+};
@@ -0,0 +1,144 @@
+import { supabase } from '../db/supabaseClient.js'
+import { selectAll } from "./queries.js";
+
+// Defaulter rules are configured by HODs in defaulter_policies:
+//   scope "department"   - the department default
+//   scope "subject_type" - override for one subject type (theory, practical, oe, ...)
+//   scope "subject"      - override for a single subject
+// A rule is { threshold, grace_band }. A student is a defaulter in a subject
+// when their attendance is below threshold - grace_band; between that and the
+// threshold they are in the grace band (warned, not flagged).
+//
+// For a subject the most specific rule wins: the subject's own override,
+// then the student's department rule for the subject type, then the
+// student's department default, then DEFAULT_POLICY.
+
+export const DEFAULT_POLICY = { threshold: 75, grace_band: 0 };
+
+export const POLICY_SCOPES = ["department", "subject_type", "subject"];
+
+const normalizeType = (type) => String(type || "").trim().toLowerCase();
+
+const toRule = (row, source) => ({
+  threshold: Number(row.threshold),
+  grace_band: Number(row.grace_band) || 0,
+  source,
+  policy_id: row.id || null,
+});
+
+// Returns an error message, or null when the rule is acceptable
+export const validateRule = ({ threshold, grace_band = 0 }) => {
+  const t = Number(threshold);
+  const g = Number(grace_band);
+
+  if (threshold === undefined || threshold === null || Number.isNaN(t) || t < 0 || t > 100) {
+    return "threshold must be a number between 0 and 100.";
+  }
+  if (Number.isNaN(g) || g < 0 || g > t) {
+    return "grace_band must be a number between 0 and the threshold.";
+  }
+  return null;
+};
+
+// Load every rule that can apply to students of these departments and these subjects
+export const loadPolicies = async ({ departmentIds = [], subjectIds = [] } = {}) => {
+  const policies = { departments: new Map(), types: new Map(), subjects: new Map() };
+
+  const deptIds = [...new Set(departmentIds.filter(Boolean))];
+  if (deptIds.length > 0) {
+    const { data, error } = await supabase
+      .from("defaulter_policies")
+      .select("id, department_id, scope, subject_type, threshold, grace_band")
+      .in("department_id", deptIds)
+      .in("scope", ["department", "subject_type"]);
+
+    if (error) throw error;
+
+    (data || []).forEach(row => {
+      if (row.scope === "department") {
+        policies.departments.set(row.department_id, row);
+      } else {
+        policies.types.set(`${row.department_id}:${normalizeType(row.subject_type)}`, row);
+      }
+    });
+  }
+
+  const subjIds = [...new Set(subjectIds.filter(Boolean))];
+  if (subjIds.length > 0) {
+    const { data, error } = await supabase
+      .from("defaulter_policies")
+      .select("id, department_id, scope, subject_id, threshold, grace_band")
+      .eq("scope", "subject")
+      .in("subject_id", subjIds);
+
+    if (error) throw error;
+
+    (data || []).forEach(row => policies.subjects.set(row.subject_id, row));
+  }
+
+  return policies;
+};
+
+// Effective rule for a student of `departmentId` in `subject` ({ id, type }).
+// Without a subject, the department default is returned.
+export const resolveRule = (policies, departmentId, subject = null) => {
+  if (subject) {
+    const subjectRow = policies.subjects.get(subject.id);
+    if (subjectRow) return toRule(subjectRow, "subject");
+
+    const typeRow = policies.types.get(`${departmentId}:${normalizeType(subject.type)}`);
+    if (typeRow) return toRule(typeRow, "subject_type");
+  }
+
+  const deptRow = policies.departments.get(departmentId);
+  if (deptRow) return toRule(deptRow, "department");
+
+  return { ...DEFAULT_POLICY, source: "default", policy_id: null };
+};
+
+// "ok" | "grace" | "defaulter"
+export const evaluateRule = (percent, rule) => {
+  if (percent === null || percent === undefined) return "ok";
+
+  const value = Number(percent);
+  if (value < rule.threshold - rule.grace_band) return "defaulter";
+  if (value < rule.threshold) return "grace";
+  return "ok";
+};
+
+// Students whose status can depend on a policy row: everyone in the
+// department, plus (for a subject override) anyone with lectures recorded in
+// that subject, which covers students of other departments taking it as an elective.
+export const affectedStudentIds = async ({ department_id, scope, subject_id }) => {
+  const ids = new Set();
+
+  const { data: classes, error: classError } = await supabase
+    .from("classes")
+    .select("id")
+    .eq("department_id", department_id);
+
+  if (classError) throw classError;
+
+  const classIds = (classes || []).map(c => c.id);
+  if (classIds.length > 0) {
+    const students = await selectAll(() => supabase
+      .from("students")
+      .select("id")
+      .in("class_id", classIds)
+      .order("id", { ascending: true }));
+
+    students.forEach(s => ids.add(s.id));
+  }
+
+  if (scope === "subject" && subject_id) {
+    const records = await selectAll(() => supabase
+      .from("attendance_records")
+      .select("id, student_id, attendance_sessions!inner ( subject_id )")
+      .eq("attendance_sessions.subject_id", subject_id)
+      .order("id", { ascending: true }));
+
+    records.forEach(r => ids.add(r.student_id));
+  }
+
+  return [...ids];
+};
@@ -0,0 +1,73 @@
+import { supabase } from '../db/supabaseClient.js'
+import { recalculateStudents } from "./attendance.js";
+import { chunk } from "./queries.js";
+
+// A change to a defaulter rule can affect a whole department, too many
+// students to recalculate in one request. The students are queued in
+// defaulter_recalculations (one row per student, keyed by student_id) and
+// worked off in batches: the first one right away by the request that
+// changed the rule, the rest by the HOD asking for more or by the
+// defaulter-recalculation job. A student queued again while being
+// recalculated keeps their newer row and is done once more.
+
+export const RECALCULATION_BATCH_SIZE = Number(process.env.DEFAULTER_RECALCULATION_BATCH_SIZE) || 200;
+
+export const queueRecalculation = async (studentIds, departmentId) => {
+  const requestedAt = new Date().toISOString();
+
+  for (const part of chunk([...new Set(studentIds)])) {
+    const { error } = await supabase
+      .from("defaulter_recalculations")
+      .upsert(
+        part.map(student_id => ({ student_id, department_id: departmentId, requested_at: requestedAt })),
+        { onConflict: "student_id" }
+      );
+
+    if (error) throw error;
+  }
+};
+
+export const pendingRecalculations = async (departmentId = null) => {
+  let query = supabase
+    .from("defaulter_recalculations")
+    .select("student_id", { count: "exact", head: true });
+
+  if (departmentId) query = query.eq("department_id", departmentId);
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+};
+
+// Recalculates the longest waiting students (of one department, or of all).
+// Returns { changed, processed, remaining } where changed is the
+// recalculateStudents() output
+export const runRecalculationBatch = async ({ departmentId = null, limit = RECALCULATION_BATCH_SIZE } = {}) => {
+  let query = supabase
+    .from("defaulter_recalculations")
+    .select("student_id, requested_at")
+    .order("requested_at", { ascending: true })
+    .order("student_id", { ascending: true })
+    .limit(limit);
+
+  if (departmentId) query = query.eq("department_id", departmentId);
+
+  const { data: queued, error } = await query;
+  if (error) throw error;
+  if (!queued || queued.length === 0) return { changed: [], processed: 0, remaining: 0 };
+
+  const changed = await recalculateStudents(queued.map(q => q.student_id));
+
+  const latest = queued.reduce((max, q) => (q.requested_at > max ? q.requested_at : max), queued[0].requested_at);
+  for (const part of chunk(queued.map(q => q.student_id))) {
+    const { error: deleteError } = await supabase
+      .from("defaulter_recalculations")
+      .delete()
+      .in("student_id", part)
+      .lte("requested_at", latest);
+
+    if (deleteError) throw deleteError;
+  }
+
+  return { changed, processed: queued.length, remaining: await pendingRecalculations(departmentId) };
+};
@@ -0,0 +1,204 @@
+import { supabase } from '../db/supabaseClient.js'
+import { loadChoices, findChoices } from "./electiveCategories.js";
+import { chunk, selectAll } from "./queries.js";
+
+// Defaulter status is kept per student per subject in student_subject_defaulters.
+// Each row records where the decision came from:
+//   "attendance" - the student's recorded lectures in that subject against its rule
+//   "policy"     - no lectures recorded yet; the imported attendance against the rule
+//   "manual"     - set by a teacher; kept as-is when attendance is recalculated
+// students.defaulter is maintained as "defaulter in at least one subject".
+
+export const DEFAULTER_SOURCES = ["attendance", "policy", "manual"];
+
+// Subjects each student takes: subjects mapped to their class (for the whole
+// class or for their batch) plus their elective selections.
+// students: [{ id, class_id, batch_id }]. Returns Map(student_id -> Set(subject_id))
+export const enrolledSubjects = async (students) => {
+  const enrolled = new Map((students || []).map(s => [s.id, new Set()]));
+  if (enrolled.size === 0) return enrolled;
+
+  const classIds = [...new Set(students.map(s => s.class_id).filter(Boolean))];
+  if (classIds.length > 0) {
+    const { data: mappings, error } = await supabase
+      .from("faculty_subjects")
+      .select("class_id, batch_id, subject_id")
+      .in("class_id", classIds)
+      .not("subject_id", "is", null);
+
+    if (error) throw error;
+
+    students.forEach(student => {
+      (mappings || []).forEach(m => {
+        if (m.class_id !== student.class_id) return;
+        if (m.batch_id && m.batch_id !== student.batch_id) return;
+        enrolled.get(student.id).add(m.subject_id);
+      });
+    });
+  }
+
+  (await loadChoices([...enrolled.keys()])).forEach((choices, studentId) => {
+    choices.forEach(choice => enrolled.get(studentId)?.add(choice.subject_id));
+  });
+
+  return enrolled;
+};
+
+// Students who take a subject: those of the classes (or batches) it is mapped
+// to, plus those who selected it as an elective.
+// Returns [{ id, roll_no, name, hall_ticket_number, class_id, batch_id }]
+export const subjectRoster = async (subjectId) => {
+  const columns = "id, roll_no, name, hall_ticket_number, class_id, batch_id";
+  const roster = new Map();
+
+  const { data: mappings, error } = await supabase
+    .from("faculty_subjects")
+    .select("class_id, batch_id")
+    .eq("subject_id", subjectId);
+
+  if (error) throw error;
+
+  for (const mapping of mappings || []) {
+    if (!mapping.class_id) continue;
+
+    const students = await selectAll(() => {
+      const query = supabase
+        .from("students")
+        .select(columns)
+        .eq("class_id", mapping.class_id)
+        .order("id", { ascending: true });
+
+      return mapping.batch_id ? query.eq("batch_id", mapping.batch_id) : query;
+    });
+
+    students.forEach(s => roster.set(s.id, s));
+  }
+
+  const choices = await findChoices({ subjectId });
+
+  const electiveIds = [...new Set(choices.map(c => c.student_id))].filter(id => !roster.has(id));
+  for (const part of chunk(electiveIds)) {
+    const { data, error: studentsError } = await supabase
+      .from("students")
+      .select(columns)
+      .in("id", part);
+
+    if (studentsError) throw studentsError;
+    (data || []).forEach(s => roster.set(s.id, s));
+  }
+
+  return [...roster.values()];
+};
+
+// Stored status rows of the given students, optionally for one subject
+export const loadSubjectStatuses = async (studentIds, { subjectId, columns = "*" } = {}) => {
+  const ids = [...new Set((studentIds || []).filter(Boolean))];
+  const rows = [];
+
+  for (const part of chunk(ids)) {
+    rows.push(...await selectAll(() => {
+      const query = supabase
+        .from("student_subject_defaulters")
+        .select(columns)
+        .in("student_id", part)
+        .order("id", { ascending: true });
+
+      return subjectId ? query.eq("subject_id", subjectId) : query;
+    }));
+  }
+
+  return rows;
+};
+
+// Map(student_id -> Set(subject_id)) of the subjects each student is a
+// defaulter in; students who are a defaulter nowhere are left out. Students
+// with no status rows at all (not recalculated since per-subject tracking
+// began) fall back to their global flag and map to null, meaning "every subject".
+export const loadDefaulterSubjects = async (studentIds) => {
+  const ids = [...new Set((studentIds || []).filter(Boolean))];
+  const result = new Map();
+  const tracked = new Set();
+
+  const rows = await loadSubjectStatuses(ids, { columns: "id, student_id, subject_id, is_defaulter" });
+  rows.forEach(row => {
+    tracked.add(row.student_id);
+    if (!row.is_defaulter) return;
+    if (!result.has(row.student_id)) result.set(row.student_id, new Set());
+    result.get(row.student_id).add(row.subject_id);
+  });
+
+  const untracked = ids.filter(id => !tracked.has(id));
+  for (const part of chunk(untracked)) {
+    const { data, error } = await supabase
+      .from("students")
+      .select("id")
+      .in("id", part)
+      .eq("defaulter", true);
+
+    if (error) throw error;
+    (data || []).forEach(s => result.set(s.id, null));
+  }
+
+  return result;
+};
+
+export const isSubjectDefaulter = (defaulterSubjects, studentId, subjectId) => {
+  if (!defaulterSubjects.has(studentId)) return false;
+  const subjects = defaulterSubjects.get(studentId);
+  return subjects === null || subjects.has(subjectId);
+};
+
+// The subset of studentIds who are defaulters in subjectId
+export const filterSubjectDefaulters = async (subjectId, studentIds) => {
+  const defaulterSubjects = await loadDefaulterSubjects(studentIds);
+  return [...new Set(studentIds)].filter(id => isSubjectDefaulter(defaulterSubjects, id, subjectId));
+};
+
+export const getSubjectStatus = async (studentId, subjectId) => {
+  const { data, error } = await supabase
+    .from("student_subject_defaulters")
+    .select("*")
+    .eq("student_id", studentId)
+    .eq("subject_id", subjectId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Pin a student's status in one subject. Attendance figures on the row keep
+// being refreshed by recalculateStudents(); is_defaulter is left alone until
+// the override is cleared.
+export const setManualStatus = async ({ studentId, subjectId, isDefaulter, reason, userId }) => {
+  const { data, error } = await supabase
+    .from("student_subject_defaulters")
+    .upsert({
+      student_id: studentId,
+      subject_id: subjectId,
+      is_defaulter: isDefaulter,
+      source: "manual",
+      reason,
+      overridden_by: userId,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: "student_id,subject_id" })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Hand the subject back to the calculated status. The caller recalculates the
+// student afterwards so the row is rebuilt from attendance.
+export const clearManualStatus = async (studentId, subjectId) => {
+  const { data, error } = await supabase
+    .from("student_subject_defaulters")
+    .delete()
+    .eq("student_id", studentId)
+    .eq("subject_id", subjectId)
+    .eq("source", "manual")
+    .select("*");
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
@@ -0,0 +1,115 @@
+import { supabase } from '../db/supabaseClient.js'
+import { getStorage } from "./storage.js";
+import { chunk, selectAll } from "./queries.js";
+
+// Students hand in defaulter work as numbered versions in defaulter_work_uploads.
+// Every (re)submission is a new version; only the latest one can be reviewed.
+// Accepting it completes the defaulter_submissions row it belongs to.
+
+export const UPLOAD_STATUSES = ["submitted", "accepted", "rejected"];
+export const REVIEW_DECISIONS = ["accepted", "rejected"];
+export const MAX_UPLOAD_FILES = 5;
+
+const safeFileName = (name) =>
+  String(name || "file").replace(/[^A-Za-z0-9._-]+/g, "_").slice(-100) || "file";
+
+// Write multer files to storage under a key prefix, e.g.
+// "defaulter-work/<id>/v2". Returns the descriptors stored on the row that
+// owns them; on failure anything already written is removed.
+export const storeUploadFiles = async (prefix, files) => {
+  const storage = getStorage();
+  const stored = [];
+  const stamp = Date.now();
+
+  try {
+    for (const [index, file] of (files || []).entries()) {
+      const key = `${prefix}/${stamp}-${index}-${safeFileName(file.originalname)}`;
+      await storage.put(key, file.buffer, file.mimetype);
+
+      stored.push({
+        key,
+        name: file.originalname,
+        size: file.size,
+        content_type: file.mimetype || "application/octet-stream",
+      });
+    }
+  } catch (err) {
+    await removeUploadFiles(stored);
+    throw err;
+  }
+
+  return stored;
+};
+
+export const removeUploadFiles = async (files) => {
+  const storage = getStorage();
+
+  for (const file of files || []) {
+    try {
+      await storage.remove(file.key);
+    } catch (err) {
+      console.error("Failed to remove stored file:", file.key, err.message);
+    }
+  }
+};
+
+// upload: any row with a files array (uploads, assignment attachments)
+export const readUploadFile = async (upload, index) => {
+  const file = (upload.files || [])[Number(index)];
+  if (!file) return null;
+
+  return { file, buffer: await getStorage().get(file.key) };
+};
+
+export const sendUploadFile = (res, { file, buffer }) => {
+  res.setHeader("Content-Type", file.content_type || "application/octet-stream");
+  res.setHeader("Content-Disposition", `attachment; filename="${safeFileName(file.name)}"`);
+  return res.send(buffer);
+};
+
+export const latestUpload = async (submissionId) => {
+  const { data, error } = await supabase
+    .from("defaulter_work_uploads")
+    .select("*")
+    .eq("defaulter_submission_id", submissionId)
+    .order("version", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Map(defaulter_submission_id -> latest upload) for a list of work items.
+// Each entry also carries first_submitted_at, when the work was first handed in.
+export const latestUploads = async (submissionIds) => {
+  const ids = [...new Set((submissionIds || []).filter(Boolean))];
+  const latest = new Map();
+  if (ids.length === 0) return latest;
+
+  // Chunked to keep the .in() filter within URL length limits, and paged
+  // since a chunk's versions can pass the 1000-row response cap
+  for (const part of chunk(ids)) {
+    const uploads = await selectAll(() => supabase
+      .from("defaulter_work_uploads")
+      .select("id, defaulter_submission_id, version, status, submitted_at, reviewed_at, remarks")
+      .in("defaulter_submission_id", part)
+      .order("defaulter_submission_id", { ascending: true })
+      .order("version", { ascending: true }));
+
+    uploads.forEach(upload => {
+      const first = latest.get(upload.defaulter_submission_id)?.first_submitted_at || upload.submitted_at;
+      latest.set(upload.defaulter_submission_id, { ...upload, first_submitted_at: first });
+    });
+  }
+  return latest;
+};
+
+// File descriptors are returned to clients without storage keys
+export const publicFiles = (files) =>
+  (files || []).map(({ name, size, content_type }, index) => ({ index, name, size, content_type }));
+
+export const publicUpload = (upload) => ({
+  ...upload,
+  files: publicFiles(upload.files),
+});
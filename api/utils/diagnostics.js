@@ -0,0 +1,87 @@
+import { supabase } from '../db/supabaseClient.js'
+
+const PING_TIMEOUT_MS = Number(process.env.DB_PING_TIMEOUT_MS) || 3000;
+
+// Tables reported by the row-count health summary. Only counts are read,
+// never row contents.
+export const HEALTH_TABLES = [
+  "departments",
+  "users",
+  "user_roles",
+  "classes",
+  "batches",
+  "students",
+  "subjects",
+  "faculty_subjects",
+  "department_offered_subjects",
+  "faculty_availability",
+  "student_subject_selection",
+  "student_elective_choices",
+  "elective_categories",
+  "elective_windows",
+  "elective_change_requests",
+  "elective_change_events",
+  "elective_seats",
+  "elective_waitlist",
+  "elective_preferences",
+  "elective_allocation_runs",
+  "submission_types",
+  "assessment_components",
+  "grade_boundaries",
+  "student_submissions",
+  "defaulter_assignments",
+  "defaulter_submissions",
+  "attendance_sessions",
+  "attendance_records",
+  "defaulter_policies",
+  "student_subject_defaulters",
+  "defaulter_work_uploads",
+  "sessions",
+  "password_resets",
+  "invites",
+  "login_throttle",
+  "login_attempts",
+  "audit_log",
+];
+
+// Round trip to Supabase with a timeout, so a hung connection reports as down
+export const pingDatabase = async () => {
+  const started = Date.now();
+
+  try {
+    const { error } = await supabase
+      .from("departments")
+      .select("id")
+      .limit(1)
+      .abortSignal(AbortSignal.timeout(PING_TIMEOUT_MS));
+
+    if (error) throw error;
+
+    return { ok: true, latency_ms: Date.now() - started };
+  } catch (err) {
+    return {
+      ok: false,
+      latency_ms: Date.now() - started,
+      error: err.name === "AbortError" ? `Timed out after ${PING_TIMEOUT_MS}ms` : err.message,
+    };
+  }
+};
+
+const countRows = async (table) => {
+  const { count, error } = await supabase
+    .from(table)
+    .select("*", { count: "exact", head: true })
+    .abortSignal(AbortSignal.timeout(PING_TIMEOUT_MS));
+
+  if (error) return { table, ok: false, rows: null, error: error.message || error.code };
+  return { table, ok: true, rows: count ?? 0 };
+};
+
+export const tableHealth = async (tables = HEALTH_TABLES) => {
+  const results = await Promise.all(tables.map(countRows));
+
+  return {
+    ok: results.every(r => r.ok),
+    tables: results,
+  };
+};
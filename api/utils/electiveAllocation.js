@@ -0,0 +1,561 @@
+import { supabase } from '../db/supabaseClient.js'
+import { seatLimit, claimSeat, promoteReleased } from "./electiveSeats.js";
+import { categoryFor, loadChoices, setLocked } from "./electiveCategories.js";
+import { chunk, selectAll } from "./queries.js";
+
+// Preference based elective allocation. Students rank (subject, faculty)
+// sections per elective category in elective_preferences; the HOD runs an
+// allocation for a year of their department, which is stored as a draft in
+// elective_allocation_runs until it is published.
+//
+// Students are ordered by the run's priority and, in that order, each gets
+// the highest ranked section that still has a seat (serial dictatorship).
+// Categories with several picks are filled in rounds, one pick per student
+// per round, so the first students can't take every seat of a category.
+// Ties, and the whole order for "lottery", are broken by a random draw
+// seeded from the run so a draft can be reproduced.
+
+export const ALLOCATION_PRIORITIES = ["cgpa", "attendance", "lottery"];
+export const MAX_PREFERENCES = 10;
+
+const OFFERED_COLUMNS = "id, subject_id, department_id, year, faculty_ids, seat_limits, is_active, subjects ( name, subject_code, type )";
+
+const sectionKey = (offeredId, facultyId) => `${offeredId}:${facultyId}`;
+
+// mulberry32: small deterministic generator, good enough for a lottery draw
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const newSeed = () => Math.floor(Math.random() * 2147483647);
+
+const descending = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return b - a;
+};
+
+const numberOrNull = (value) => (value === null || value === undefined || value === "" ? null : Number(value));
+
+// Students in allocation order, each with priority_rank (1 = first pick)
+export const orderStudents = (students, priority, seed) => {
+  const random = seededRandom(seed);
+  const draws = new Map(
+    [...students].sort((a, b) => String(a.id).localeCompare(String(b.id))).map(s => [s.id, random()])
+  );
+
+  const cgpa = (s) => numberOrNull(s.cgpa);
+  const attendance = (s) => numberOrNull(s.attendance_percent);
+
+  const keys = priority === "cgpa" ? [cgpa, attendance]
+    : priority === "attendance" ? [attendance, cgpa]
+      : [];
+
+  return [...students]
+    .sort((a, b) => {
+      for (const key of keys) {
+        const order = descending(key(a), key(b));
+        if (order !== 0) return order;
+      }
+      return draws.get(a.id) - draws.get(b.id);
+    })
+    .map((student, index) => ({ ...student, priority_rank: index + 1 }));
+};
+
+// Students of every class of a department in a year
+export const allocationStudents = async (departmentId, year) => {
+  const { data: classes, error: classesError } = await supabase
+    .from("classes")
+    .select("id")
+    .eq("department_id", departmentId)
+    .eq("year", year);
+
+  if (classesError) throw classesError;
+
+  const students = [];
+  for (const part of chunk((classes || []).map(c => c.id))) {
+    students.push(...await selectAll(() => supabase
+      .from("students")
+      .select("id, roll_no, name, class_id, cgpa, attendance_percent")
+      .in("class_id", part)
+      .order("id", { ascending: true })));
+  }
+  return students;
+};
+
+// Map(student_id -> { TYPE: [preferences by rank] })
+export const loadPreferences = async (studentIds, types) => {
+  const preferences = new Map();
+
+  // A chunk of students can have more ranked rows than fit in one response
+  for (const part of chunk(studentIds)) {
+    const rows = await selectAll(() => {
+      const query = supabase
+        .from("elective_preferences")
+        .select("student_id, elective_type, rank, offered_subject_id, subject_id, faculty_id, updated_at")
+        .in("student_id", part)
+        .order("student_id", { ascending: true })
+        .order("elective_type", { ascending: true })
+        .order("rank", { ascending: true });
+
+      return types ? query.in("elective_type", types) : query;
+    });
+
+    rows.forEach(row => {
+      if (!preferences.has(row.student_id)) preferences.set(row.student_id, {});
+      const byType = preferences.get(row.student_id);
+      (byType[row.elective_type] ||= []).push(row);
+    });
+  }
+
+  preferences.forEach(byType => Object.values(byType).forEach(list => list.sort((a, b) => a.rank - b.rank)));
+  return preferences;
+};
+
+export const loadOfferedSections = async (offeredIds) => {
+  const sections = new Map();
+
+  for (const part of chunk([...new Set(offeredIds)])) {
+    const { data, error } = await supabase
+      .from("department_offered_subjects")
+      .select(OFFERED_COLUMNS)
+      .in("id", part);
+
+    if (error) throw error;
+    (data || []).forEach(row => sections.set(row.id, row));
+  }
+  return sections;
+};
+
+const loadSeats = async (offeredIds) => {
+  const seats = [];
+
+  for (const part of chunk([...new Set(offeredIds)])) {
+    seats.push(...await selectAll(() => supabase
+      .from("elective_seats")
+      .select("id, offered_subject_id, faculty_id, seat_no, student_id, elective_type")
+      .in("offered_subject_id", part)
+      .order("id", { ascending: true })));
+  }
+  return seats;
+};
+
+// Computes an allocation of the given categories without writing anything.
+// Returns { students: [...], sections: [...], summary: { CODE: counts } }
+export const computeAllocation = async ({ departmentId, year, categories, priority, seed }) => {
+  const codes = categories.map(c => c.code);
+  const students = orderStudents(await allocationStudents(departmentId, year), priority, seed);
+  const preferences = await loadPreferences(students.map(s => s.id), codes);
+
+  const offeredIds = [...preferences.values()].flatMap(byType => Object.values(byType).flat().map(p => p.offered_subject_id));
+  const offered = await loadOfferedSections(offeredIds);
+
+  // Participants' current seats are given back when the run is published,
+  // so only seats held by everyone else count against the limits
+  const participants = new Set(
+    [...preferences.entries()].flatMap(([studentId, byType]) => Object.keys(byType).map(type => `${studentId}:${type}`))
+  );
+  const heldByOthers = new Map();
+  (await loadSeats([...offered.keys()])).forEach(seat => {
+    if (participants.has(`${seat.student_id}:${seat.elective_type}`)) return;
+    const key = sectionKey(seat.offered_subject_id, seat.faculty_id);
+    heldByOthers.set(key, (heldByOthers.get(key) || 0) + 1);
+  });
+
+  const sections = new Map();
+  const sectionFor = (type, preference) => {
+    const key = sectionKey(preference.offered_subject_id, preference.faculty_id);
+    if (!sections.has(key)) {
+      const row = offered.get(preference.offered_subject_id);
+      const limit = seatLimit(row, preference.faculty_id);
+      const held = heldByOthers.get(key) || 0;
+      sections.set(key, {
+        offered_subject_id: preference.offered_subject_id,
+        subject_id: preference.subject_id,
+        subject_code: row?.subjects?.subject_code || null,
+        subject_name: row?.subjects?.name || null,
+        faculty_id: preference.faculty_id,
+        type,
+        seat_limit: limit,
+        held_by_others: held,
+        seats_available: limit === null ? null : Math.max(limit - held, 0),
+        remaining: limit === null ? null : Math.max(limit - held, 0),
+        allocated: 0,
+        first_choice_demand: 0,
+        filled_at_rank: null,
+      });
+    }
+    return sections.get(key);
+  };
+
+  // Each participant walks down their ranking; seats only ever run out, so a
+  // section passed over once never needs to be looked at again
+  const states = new Map();
+  students.forEach(student => {
+    categories.forEach(category => {
+      const ranked = preferences.get(student.id)?.[category.code];
+      if (!ranked || ranked.length === 0) return;
+
+      ranked.forEach(preference => {
+        const row = offered.get(preference.offered_subject_id);
+        const usable = row && row.is_active && (row.faculty_ids || []).includes(preference.faculty_id)
+          && categoryFor(row, categories, departmentId)?.code === category.code;
+        if (usable && preference.rank === ranked[0].rank) sectionFor(category.code, preference).first_choice_demand++;
+      });
+
+      states.set(`${student.id}:${category.code}`, { ranked, next: 0, allocated: [], reasoning: [] });
+    });
+  });
+
+  const rounds = Math.max(0, ...categories.map(c => c.pick_count));
+  for (let round = 1; round <= rounds; round++) {
+    for (const student of students) {
+      for (const category of categories) {
+        const state = states.get(`${student.id}:${category.code}`);
+        if (!state || round > category.pick_count || state.allocated.length >= round) continue;
+
+        while (state.next < state.ranked.length) {
+          const preference = state.ranked[state.next++];
+          const base = { rank: preference.rank, subject_id: preference.subject_id, faculty_id: preference.faculty_id };
+
+          const row = offered.get(preference.offered_subject_id);
+          const usable = row && row.is_active
+            && (row.faculty_ids || []).includes(preference.faculty_id)
+            && categoryFor(row, categories, departmentId)?.code === category.code;
+
+          if (!usable) {
+            state.reasoning.push({ ...base, outcome: "unavailable", note: "This subject is no longer offered with this faculty." });
+            continue;
+          }
+          if (state.allocated.some(a => a.subject_id === preference.subject_id)) {
+            state.reasoning.push({ ...base, outcome: "duplicate", note: "This subject was already allocated with another faculty." });
+            continue;
+          }
+
+          const section = sectionFor(category.code, preference);
+          if (section.remaining !== null && section.remaining <= 0) {
+            state.reasoning.push({
+              ...base,
+              outcome: "full",
+              note: section.filled_at_rank
+                ? `All seats went to students ahead of you (the last one to priority rank ${section.filled_at_rank}).`
+                : "No seats were left after students outside this allocation.",
+            });
+            continue;
+          }
+
+          section.allocated++;
+          if (section.remaining !== null) {
+            section.remaining--;
+            if (section.remaining === 0) section.filled_at_rank = student.priority_rank;
+          }
+
+          state.allocated.push({
+            offered_subject_id: preference.offered_subject_id,
+            subject_id: preference.subject_id,
+            faculty_id: preference.faculty_id,
+            preference_rank: preference.rank,
+          });
+          state.reasoning.push({ ...base, outcome: "allocated", note: `Seat allocated in round ${round} at priority rank ${student.priority_rank}.` });
+          break;
+        }
+      }
+    }
+  }
+
+  const summary = Object.fromEntries(codes.map(code => [code, { participants: 0, complete: 0, incomplete: 0, first_choice: 0 }]));
+
+  const results = students.map(student => {
+    const electives = {};
+
+    categories.forEach(category => {
+      const state = states.get(`${student.id}:${category.code}`);
+      if (!state) return;
+
+      state.ranked.slice(state.next).forEach(preference => {
+        state.reasoning.push({
+          rank: preference.rank,
+          subject_id: preference.subject_id,
+          faculty_id: preference.faculty_id,
+          outcome: "not_considered",
+          note: "Higher preferences filled every pick.",
+        });
+      });
+
+      const counts = summary[category.code];
+      counts.participants++;
+      if (state.allocated.length >= category.pick_count) counts.complete++;
+      else counts.incomplete++;
+      if (state.allocated.some(a => a.preference_rank === state.ranked[0].rank)) counts.first_choice++;
+
+      electives[category.code] = { pick_count: category.pick_count, allocated: state.allocated, reasoning: state.reasoning };
+    });
+
+    return {
+      student_id: student.id,
+      roll_no: student.roll_no,
+      name: student.name,
+      class_id: student.class_id,
+      cgpa: numberOrNull(student.cgpa),
+      attendance_percent: numberOrNull(student.attendance_percent),
+      priority_rank: student.priority_rank,
+      electives,
+    };
+  });
+
+  return {
+    students: results,
+    sections: [...sections.values()].map(({ remaining: _remaining, ...section }) => section),
+    summary,
+  };
+};
+
+// True when students' rankings differ from the ones the run was computed
+// from, including students who withdrew a ranking or made a new one
+export const preferencesChanged = (run, preferences) => {
+  const key = (p) => `${p.rank}:${p.subject_id}:${p.faculty_id}`;
+
+  return run.results.students.some(student => run.types.some(type => {
+    // Every ranked preference of a participant shows up once in the reasoning
+    const drafted = (student.electives[type]?.reasoning || []).map(key).sort();
+    const current = (preferences.get(student.student_id)?.[type] || []).map(key).sort();
+    return drafted.join(",") !== current.join(",");
+  }));
+};
+
+// Seats the students hold in the given categories
+const loadStudentSeats = async (studentIds, types) => {
+  const seats = [];
+
+  for (const part of chunk(studentIds)) {
+    seats.push(...await selectAll(() => supabase
+      .from("elective_seats")
+      .select("id, offered_subject_id, faculty_id, seat_no, student_id, elective_type")
+      .in("student_id", part)
+      .in("elective_type", types)
+      .order("id", { ascending: true })));
+  }
+  return seats;
+};
+
+// Moves a participant's seat to another participant allocated to the same
+// section, unless the seat changed hands meanwhile. Returns true when it did
+const handOverSeat = async (seat, studentId, type) => {
+  const { data, error } = await supabase
+    .from("elective_seats")
+    .update({ student_id: studentId, elective_type: type })
+    .eq("id", seat.id)
+    .eq("student_id", seat.student_id)
+    .select("id");
+
+  if (error) throw error;
+  return !!data && data.length > 0;
+};
+
+// New seats for the students allocated to one section, lowest free seat
+// numbers first, in one insert. If someone outside the run took a seat
+// meanwhile the insert fails and each student claims a seat on their own.
+// Returns the needs that didn't get a seat
+const seatSection = async (offered, facultyId, needs, occupied) => {
+  const limit = seatLimit(offered, facultyId);
+  const rows = [];
+  let seatNo = 1;
+
+  for (const need of needs) {
+    while (occupied.has(seatNo)) seatNo++;
+    if (limit !== null && (seatNo > limit || occupied.size + rows.length >= limit)) break;
+
+    rows.push({
+      offered_subject_id: offered.id,
+      faculty_id: facultyId,
+      seat_no: seatNo++,
+      student_id: need.student_id,
+      elective_type: need.type,
+    });
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabase.from("elective_seats").insert(rows);
+    if (!error) return needs.slice(rows.length);
+    if (error.code !== "23505") throw error;
+  }
+
+  const unseated = [];
+  for (const need of needs) {
+    const { full } = await claimSeat({ offered, facultyId, studentId: need.student_id, type: need.type });
+    if (full) unseated.push(need);
+  }
+  return unseated;
+};
+
+const sameChoices = (current, picks) => {
+  const key = (c) => `${c.subject_id}:${c.faculty_id}:${c.offered_subject_id || ""}`;
+  return current.map(key).sort().join(",") === picks.map(key).sort().join(",");
+};
+
+// Writes a computed allocation: everyone who took part in a category gets
+// the seats and choices they were allocated there and is locked, and seats
+// they held elsewhere in that category are given back.
+//
+// Writes are batched and only touch what differs from the allocation, so
+// publishing again after a failure carries on where it stopped. Seats
+// change hands rather than being freed and claimed again: a participant's
+// old seat in a section another participant moves into is handed over, and
+// left-over seats are only deleted at the end, so first come first served
+// selections can't take them in between. A seat taken by another
+// department's students since the draft is reported as a conflict and
+// that pick left out.
+export const publishAllocation = async (req, run) => {
+  const participants = run.results.students.filter(s => Object.keys(s.electives).length > 0);
+  const studentIds = participants.map(s => s.student_id);
+
+  const entries = participants.flatMap(student => run.types
+    .filter(type => student.electives[type])
+    .map(type => ({ student, type, allocated: student.electives[type].allocated })));
+
+  // Waitlist places in the run's categories are dropped first, so promotions
+  // can't move a participant while their seats are being written
+  for (const type of run.types) {
+    const inType = entries.filter(e => e.type === type).map(e => e.student.student_id);
+
+    for (const part of chunk(inType)) {
+      const { error } = await supabase
+        .from("elective_waitlist")
+        .delete()
+        .in("student_id", part)
+        .eq("elective_type", type);
+
+      if (error) throw error;
+    }
+  }
+
+  // Seats participants keep, give up (spare) and still need, per section
+  const entryKeys = new Set(entries.map(e => `${e.student.student_id}:${e.type}`));
+  const heldSeats = (await loadStudentSeats(studentIds, run.types))
+    .filter(seat => entryKeys.has(`${seat.student_id}:${seat.elective_type}`));
+
+  const spare = new Map();
+  const needs = new Map();
+
+  entries.forEach(({ student, type, allocated }) => {
+    const held = heldSeats.filter(seat => seat.student_id === student.student_id && seat.elective_type === type);
+    const heldKeys = new Set(held.map(seat => sectionKey(seat.offered_subject_id, seat.faculty_id)));
+    const wantedKeys = new Set(allocated.map(a => sectionKey(a.offered_subject_id, a.faculty_id)));
+
+    held.filter(seat => !wantedKeys.has(sectionKey(seat.offered_subject_id, seat.faculty_id))).forEach(seat => {
+      const key = sectionKey(seat.offered_subject_id, seat.faculty_id);
+      if (!spare.has(key)) spare.set(key, []);
+      spare.get(key).push(seat);
+    });
+
+    allocated.filter(a => !heldKeys.has(sectionKey(a.offered_subject_id, a.faculty_id))).forEach(allocation => {
+      const key = sectionKey(allocation.offered_subject_id, allocation.faculty_id);
+      if (!needs.has(key)) needs.set(key, []);
+      needs.get(key).push({ student_id: student.student_id, roll_no: student.roll_no, type, allocation });
+    });
+  });
+
+  const handedOver = new Set();
+  for (const [key, list] of needs) {
+    const spares = spare.get(key) || [];
+    const waiting = [];
+
+    for (const need of list) {
+      const seat = spares.find(s => !handedOver.has(s.id));
+      if (seat && await handOverSeat(seat, need.student_id, need.type)) {
+        handedOver.add(seat.id);
+        continue;
+      }
+      waiting.push(need);
+    }
+    needs.set(key, waiting);
+  }
+
+  const open = [...needs.entries()].filter(([, list]) => list.length > 0);
+  const conflicts = [];
+
+  if (open.length > 0) {
+    const offered = await loadOfferedSections(open.map(([, list]) => list[0].allocation.offered_subject_id));
+    const occupied = new Map();
+    (await loadSeats([...offered.keys()])).forEach(seat => {
+      const key = sectionKey(seat.offered_subject_id, seat.faculty_id);
+      if (!occupied.has(key)) occupied.set(key, new Set());
+      occupied.get(key).add(seat.seat_no);
+    });
+
+    for (const [key, list] of open) {
+      const { offered_subject_id, faculty_id } = list[0].allocation;
+      const section = offered.get(offered_subject_id);
+      const unseated = section ? await seatSection(section, faculty_id, list, occupied.get(key) || new Set()) : list;
+
+      unseated.forEach(need => conflicts.push({ student_id: need.student_id, roll_no: need.roll_no, type: need.type, ...need.allocation }));
+    }
+  }
+
+  // Choices are only rewritten for students whose picks differ
+  const lost = new Set(conflicts.map(c => `${c.student_id}:${c.type}:${sectionKey(c.offered_subject_id, c.faculty_id)}`));
+  const current = await loadChoices(studentIds);
+  const rewrite = new Map(run.types.map(type => [type, []]));
+  const inserts = [];
+  let allocated = 0;
+
+  entries.forEach(({ student, type, allocated: picks }) => {
+    const granted = picks.filter(a => !lost.has(`${student.student_id}:${type}:${sectionKey(a.offered_subject_id, a.faculty_id)}`));
+    allocated += granted.length;
+
+    const existing = current.get(student.student_id).filter(c => c.category_code === type);
+    if (sameChoices(existing, granted)) return;
+
+    rewrite.get(type).push(student.student_id);
+    inserts.push(...granted.map(({ subject_id, faculty_id, offered_subject_id }) => ({
+      student_id: student.student_id,
+      category_code: type,
+      subject_id,
+      faculty_id,
+      offered_subject_id: offered_subject_id || null,
+    })));
+  });
+
+  for (const [type, ids] of rewrite) {
+    for (const part of chunk(ids)) {
+      const { error } = await supabase
+        .from("student_elective_choices")
+        .delete()
+        .in("student_id", part)
+        .eq("category_code", type);
+
+      if (error) throw error;
+    }
+  }
+
+  for (const part of chunk(inserts)) {
+    const { error } = await supabase.from("student_elective_choices").insert(part);
+    if (error) throw error;
+  }
+
+  await setLocked(studentIds, true);
+
+  // Seats nobody from the run moved into are given back last
+  const released = [...spare.values()].flat().filter(seat => !handedOver.has(seat.id));
+  for (const part of chunk(released.map(seat => seat.id))) {
+    const { error } = await supabase
+      .from("elective_seats")
+      .delete()
+      .in("id", part);
+
+    if (error) throw error;
+  }
+
+  // ...and go to those sections' waitlists
+  const promoted = await promoteReleased(req, released);
+
+  return { students: studentIds.length, allocated, conflicts, promoted: promoted.length };
+};
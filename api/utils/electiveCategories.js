@@ -0,0 +1,356 @@
+import { supabase } from '../db/supabaseClient.js'
+import { chunk, selectAll } from "./queries.js";
+
+// Elective rules are set per department and year by the HOD in
+// elective_categories: a category (MDM, OE, PE or any other code) says
+// which offered subjects belong to it (subject_type, and whether only the
+// student's own department's offerings count), how many subjects a student
+// picks from it, whether it must be filled before selections can be locked
+// and whether changing a locked pick also needs the HOD's approval. Department years without categories use
+// DEFAULT_ELECTIVE_CATEGORIES.
+//
+// Students' picks are rows in student_elective_choices, one per chosen
+// subject. student_subject_selection only keeps the selections_locked flag.
+
+export const OFFERED_BY = ["any", "department"];
+export const MAX_PICK_COUNT = 10;
+
+// The rules that used to be hard-coded: year 2 takes OE and MDM, year 3 OE,
+// MDM and PE, year 4 OE and PE. name_matches lets older subjects without a
+// type still be recognised by name.
+export const DEFAULT_ELECTIVE_CATEGORIES = [
+  { code: "MDM", name: "Multidisciplinary Minor", subject_type: "mdm", offered_by: "any", years: [2, 3], name_matches: ["multidisciplinary", "mdm"] },
+  { code: "OE", name: "Open Elective", subject_type: "oe", offered_by: "any", years: [2, 3, 4], name_matches: ["open elective", "oe"] },
+  { code: "PE", name: "Professional Elective", subject_type: "pe", offered_by: "department", years: [3, 4], name_matches: ["professional elective", "pe"] },
+];
+
+const CHOICE_COLUMNS = "student_id, category_code, subject_id, faculty_id, offered_subject_id, created_at";
+
+const defaultCategories = (departmentId, year) => DEFAULT_ELECTIVE_CATEGORIES
+  .filter(category => category.years.includes(year))
+  .map(({ years: _years, ...category }, position) => ({
+    id: null,
+    department_id: departmentId,
+    year,
+    ...category,
+    pick_count: 1,
+    mandatory: true,
+    change_needs_hod: false,
+    position,
+  }));
+
+// Validates a category body. Returns { error } or { value }
+export const validateCategory = (body, { partial = false } = {}) => {
+  const value = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has("code")) {
+    const code = String(body.code || "").trim().toUpperCase();
+    if (!/^[A-Z0-9_]{1,20}$/.test(code)) {
+      return { error: "code must be 1-20 letters, digits or underscores." };
+    }
+    value.code = code;
+  }
+
+  if (!partial || has("name")) {
+    const name = String(body.name || "").trim();
+    if (!name || name.length > 100) return { error: "name is required (at most 100 characters)." };
+    value.name = name;
+  }
+
+  if (!partial || has("subject_type")) {
+    const subjectType = String(body.subject_type || "").trim().toLowerCase();
+    if (!subjectType || subjectType.length > 30) {
+      return { error: "subject_type is required: the subject type that belongs to this category." };
+    }
+    value.subject_type = subjectType;
+  }
+
+  if (has("offered_by")) {
+    if (!OFFERED_BY.includes(body.offered_by)) {
+      return { error: `offered_by must be one of: ${OFFERED_BY.join(", ")}.` };
+    }
+    value.offered_by = body.offered_by;
+  }
+
+  if (has("pick_count")) {
+    if (!Number.isInteger(body.pick_count) || body.pick_count < 1 || body.pick_count > MAX_PICK_COUNT) {
+      return { error: `pick_count must be a whole number between 1 and ${MAX_PICK_COUNT}.` };
+    }
+    value.pick_count = body.pick_count;
+  }
+
+  if (has("mandatory")) {
+    if (typeof body.mandatory !== "boolean") return { error: "mandatory must be true or false." };
+    value.mandatory = body.mandatory;
+  }
+
+  if (has("change_needs_hod")) {
+    if (typeof body.change_needs_hod !== "boolean") return { error: "change_needs_hod must be true or false." };
+    value.change_needs_hod = body.change_needs_hod;
+  }
+
+  if (has("position")) {
+    if (!Number.isInteger(body.position) || body.position < 0) {
+      return { error: "position must be a non-negative whole number." };
+    }
+    value.position = body.position;
+  }
+
+  return { value };
+};
+
+// Categories of a department year, in display order
+export const loadCategories = async (departmentId, year) => {
+  const { data, error } = await supabase
+    .from("elective_categories")
+    .select("*")
+    .eq("department_id", departmentId)
+    .eq("year", year)
+    .order("position", { ascending: true })
+    .order("code", { ascending: true });
+
+  if (error) throw error;
+  return data && data.length > 0 ? data : defaultCategories(departmentId, year);
+};
+
+// Categories that apply to a student, from their class
+export const studentCategories = async (studentId) => {
+  const { data: student, error } = await supabase
+    .from("students")
+    .select("id, classes ( year, department_id )")
+    .eq("id", studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!student?.classes) return [];
+  return loadCategories(student.classes.department_id, student.classes.year);
+};
+
+// The category an offered subject belongs to for students of departmentId, or null
+export const categoryFor = (offered, categories, departmentId) => {
+  const subjectType = (offered?.subjects?.type || "").toLowerCase();
+  const subjectName = (offered?.subjects?.name || "").toLowerCase();
+
+  return categories.find(category => {
+    if (category.offered_by === "department" && offered.department_id !== departmentId) return false;
+    if (subjectType === category.subject_type) return true;
+    return (category.name_matches || []).some(match => subjectName.includes(match));
+  }) || null;
+};
+
+export const findCategory = (categories, code) =>
+  categories.find(category => category.code === code) || null;
+
+// Mandatory categories a student hasn't picked enough subjects in:
+// [{ code, name, needed, chosen }]
+export const missingCategories = (categories, choices) =>
+  categories
+    .filter(category => category.mandatory)
+    .map(category => ({
+      code: category.code,
+      name: category.name,
+      needed: category.pick_count,
+      chosen: (choices || []).filter(c => c.category_code === category.code).length,
+    }))
+    .filter(category => category.chosen < category.needed);
+
+// Map(student_id -> [choices]); students without choices map to []
+export const loadChoices = async (studentIds, { categoryCode } = {}) => {
+  const ids = [...new Set((studentIds || []).filter(Boolean))];
+  const choices = new Map(ids.map(id => [id, []]));
+
+  for (const part of chunk(ids)) {
+    const rows = await selectAll(() => {
+      const query = supabase
+        .from("student_elective_choices")
+        .select(CHOICE_COLUMNS)
+        .in("student_id", part)
+        .order("student_id", { ascending: true })
+        .order("subject_id", { ascending: true });
+
+      return categoryCode ? query.eq("category_code", categoryCode) : query;
+    });
+
+    rows.forEach(row => choices.get(row.student_id).push(row));
+  }
+
+  choices.forEach(rows => rows.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))));
+  return choices;
+};
+
+// Every choice matching a filter: { subjectId, facultyId, studentIds }
+export const findChoices = async ({ subjectId, facultyId, studentIds } = {}) => {
+  const rows = [];
+  const parts = studentIds ? chunk([...new Set(studentIds)]) : [null];
+
+  for (const part of parts) {
+    if (part && part.length === 0) continue;
+
+    rows.push(...await selectAll(() => {
+      let query = supabase
+        .from("student_elective_choices")
+        .select(CHOICE_COLUMNS)
+        .order("student_id", { ascending: true })
+        .order("subject_id", { ascending: true });
+
+      if (subjectId) query = query.eq("subject_id", subjectId);
+      if (facultyId) query = query.eq("faculty_id", facultyId);
+      if (part) query = query.in("student_id", part);
+      return query;
+    }));
+  }
+  return rows;
+};
+
+// Adds a pick to a category, or swaps it for `replaces` (a subject id).
+// A single-pick category always swaps. Returns { before, after } or
+// { error } when the category is already full.
+export const saveChoice = async (studentId, category, { subject_id, faculty_id, offered_subject_id }, { replaces = null } = {}) => {
+  const current = (await loadChoices([studentId], { categoryCode: category.code })).get(studentId);
+
+  let replaced = current.find(c => c.subject_id === subject_id)
+    || (replaces && current.find(c => c.subject_id === replaces))
+    || null;
+
+  if (!replaced && current.length >= category.pick_count) {
+    if (category.pick_count > 1) {
+      return { error: `You already picked ${category.pick_count} ${category.name} subjects. Say which one this replaces.` };
+    }
+    replaced = current[0];
+  }
+
+  if (replaced) {
+    const { error } = await supabase
+      .from("student_elective_choices")
+      .delete()
+      .eq("student_id", studentId)
+      .eq("category_code", category.code)
+      .eq("subject_id", replaced.subject_id);
+
+    if (error) throw error;
+  }
+
+  const { error } = await supabase
+    .from("student_elective_choices")
+    .insert([{ student_id: studentId, category_code: category.code, subject_id, faculty_id, offered_subject_id }]);
+
+  if (error) throw error;
+
+  return {
+    before: replaced ? { category: category.code, subject_id: replaced.subject_id, faculty_id: replaced.faculty_id } : null,
+    after: { category: category.code, subject_id, faculty_id },
+  };
+};
+
+// Replaces every pick of a category: picks [{ subject_id, faculty_id, offered_subject_id }]
+export const setCategoryChoices = async (studentId, categoryCode, picks) => {
+  const { data: before, error: deleteError } = await supabase
+    .from("student_elective_choices")
+    .delete()
+    .eq("student_id", studentId)
+    .eq("category_code", categoryCode)
+    .select("subject_id, faculty_id");
+
+  if (deleteError) throw deleteError;
+
+  if (picks.length > 0) {
+    const { error } = await supabase
+      .from("student_elective_choices")
+      .insert(picks.map(({ subject_id, faculty_id, offered_subject_id }) => ({
+        student_id: studentId,
+        category_code: categoryCode,
+        subject_id,
+        faculty_id,
+        offered_subject_id: offered_subject_id || null,
+      })));
+
+    if (error) throw error;
+  }
+
+  return {
+    before: (before || []).map(({ subject_id, faculty_id }) => ({ subject_id, faculty_id })),
+    after: picks.map(({ subject_id, faculty_id }) => ({ subject_id, faculty_id })),
+  };
+};
+
+// Older clients read one subject per type as mdm_id / mdm_faculty_id etc.
+// Returns those columns from the first pick of each category.
+export const selectionColumns = (choices) => {
+  const columns = {};
+  (choices || []).forEach(choice => {
+    const prefix = choice.category_code.toLowerCase();
+    if (columns[`${prefix}_id`]) return;
+    columns[`${prefix}_id`] = choice.subject_id;
+    columns[`${prefix}_faculty_id`] = choice.faculty_id;
+  });
+  return columns;
+};
+
+// Set(student_id) of students whose selections are locked
+export const loadLocked = async (studentIds) => {
+  const locked = new Set();
+
+  for (const part of chunk([...new Set(studentIds)])) {
+    const { data, error } = await supabase
+      .from("student_subject_selection")
+      .select("student_id")
+      .in("student_id", part)
+      .eq("selections_locked", true);
+
+    if (error) throw error;
+    (data || []).forEach(row => locked.add(row.student_id));
+  }
+  return locked;
+};
+
+export const isLocked = async (studentId) => (await loadLocked([studentId])).has(studentId);
+
+export const setLocked = async (studentIds, locked) => {
+  for (const part of chunk([...new Set(studentIds)])) {
+    const { error } = await supabase
+      .from("student_subject_selection")
+      .upsert(part.map(student_id => ({ student_id, selections_locked: locked })), { onConflict: "student_id" });
+
+    if (error) throw error;
+  }
+};
+
+// Picks sent by class teachers: { CODE: [{ subject_id, faculty_id }] }, or
+// the older { mdm_id, mdm_faculty_id, ... } with one subject per category.
+// Only categories present are returned. Returns { error } or { value: Map(code -> picks) }
+export const parsePicks = (input, categories) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "electiveSelections must be an object of { category: [{ subject_id, faculty_id }] }." };
+  }
+
+  const value = new Map();
+
+  for (const category of categories) {
+    const prefix = category.code.toLowerCase();
+    let picks;
+
+    if (input[category.code] !== undefined) {
+      picks = input[category.code];
+      if (!Array.isArray(picks)) return { error: `${category.code} must be a list of { subject_id, faculty_id }.` };
+    } else if (input[`${prefix}_id`] !== undefined) {
+      picks = input[`${prefix}_id`] ? [{ subject_id: input[`${prefix}_id`], faculty_id: input[`${prefix}_faculty_id`] }] : [];
+    } else {
+      continue;
+    }
+
+    if (picks.length > category.pick_count) {
+      return { error: `${category.name} takes at most ${category.pick_count} subject(s).` };
+    }
+    if (picks.some(p => !p?.subject_id || !p?.faculty_id)) {
+      return { error: `Every ${category.name} pick needs a subject_id and faculty_id.` };
+    }
+    if (new Set(picks.map(p => p.subject_id)).size < picks.length) {
+      return { error: `${category.name} lists the same subject more than once.` };
+    }
+
+    value.set(category.code, picks.map(({ subject_id, faculty_id }) => ({ subject_id, faculty_id })));
+  }
+
+  return { value };
+};
@@ -0,0 +1,316 @@
+import { supabase } from '../db/supabaseClient.js'
+import { recordAudit } from "./audit.js";
+import { sendMail, appLink } from "./mailer.js";
+import { loadCategories, findCategory, categoryFor } from "./electiveCategories.js";
+import { findSection, claimSeat, syncSeats, promoteReleased } from "./electiveSeats.js";
+import { chunk, selectAll } from "./queries.js";
+
+// Elective change requests. Once a student's selections are locked they
+// ask to swap one pick (from subject/faculty -> to subject/faculty) with a
+// reason. The class teacher approves or rejects; categories with
+// change_needs_hod also need the HOD's approval after the class teacher's.
+//
+//   pending --class teacher--> awaiting_hod --HOD--> approved
+//      \                           \
+//       +--> approved / rejected    +--> rejected
+//   pending / awaiting_hod --student--> cancelled
+//
+// Approving claims the request (status "applying") so two reviewers can't
+// apply it twice, takes a seat in the new section within its limit, then
+// swaps the pick in one conditional update. If anything fails the request
+// goes back to where it was. Every step is kept in elective_change_events.
+
+export const CHANGE_STATUSES = ["pending", "awaiting_hod", "applying", "approved", "rejected", "cancelled"];
+export const OPEN_STATUSES = ["pending", "awaiting_hod"];
+export const MAX_REASON_LENGTH = 500;
+
+export const REQUEST_COLUMNS = `
+  id, student_id, class_id, department_id, category_code,
+  from_subject_id, from_faculty_id, to_subject_id, to_faculty_id, to_offered_subject_id,
+  reason, status, requires_hod, created_at, updated_at, decided_at, decided_by,
+  students ( name, roll_no, email )
+`;
+
+export const loadRequest = async (id) => {
+  const { data, error } = await supabase
+    .from("elective_change_requests")
+    .select(REQUEST_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+export const recordEvent = async (req, request, action, note = null) => {
+  const { error } = await supabase
+    .from("elective_change_events")
+    .insert([{
+      request_id: request.id,
+      action,
+      from_status: request.status,
+      actor_id: req.user.id,
+      actor_role: req.user.role,
+      note,
+    }]);
+
+  if (error) throw error;
+};
+
+// Moves a request from one status to another unless someone else moved it
+// first. Returns the updated request or null.
+const transition = async (request, from, to, fields = {}) => {
+  const { data, error } = await supabase
+    .from("elective_change_requests")
+    .update({ status: to, updated_at: new Date().toISOString(), ...fields })
+    .eq("id", request.id)
+    .eq("status", from)
+    .select(REQUEST_COLUMNS);
+
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+// Requests matching { studentId, classId, departmentId, status }, newest
+// first, with subject and faculty names and their event history
+export const listRequests = async ({ studentId, classId, departmentId, status } = {}) => {
+  const requests = await selectAll(() => {
+    let query = supabase
+      .from("elective_change_requests")
+      .select(REQUEST_COLUMNS)
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: true });
+
+    if (studentId) query = query.eq("student_id", studentId);
+    if (classId) query = query.eq("class_id", classId);
+    if (departmentId) query = query.eq("department_id", departmentId);
+    if (status) query = query.eq("status", status);
+    return query;
+  });
+  if (requests.length === 0) return [];
+
+  const subjectIds = [...new Set(requests.flatMap(r => [r.from_subject_id, r.to_subject_id]))];
+  const facultyIds = [...new Set(requests.flatMap(r => [r.from_faculty_id, r.to_faculty_id]))];
+  const subjects = new Map();
+  const faculty = new Map();
+  const events = new Map();
+
+  for (const part of chunk(subjectIds)) {
+    const { data, error: subjectsError } = await supabase
+      .from("subjects")
+      .select("id, name, subject_code")
+      .in("id", part);
+
+    if (subjectsError) throw subjectsError;
+    (data || []).forEach(s => subjects.set(s.id, s));
+  }
+
+  for (const part of chunk(facultyIds)) {
+    const { data, error: facultyError } = await supabase
+      .from("users")
+      .select("id, name")
+      .in("id", part);
+
+    if (facultyError) throw facultyError;
+    (data || []).forEach(f => faculty.set(f.id, f.name));
+  }
+
+  for (const part of chunk(requests.map(r => r.id))) {
+    const rows = await selectAll(() => supabase
+      .from("elective_change_events")
+      .select("request_id, action, from_status, actor_id, actor_role, note, created_at")
+      .in("request_id", part)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true }));
+
+    rows.forEach(({ request_id, ...event }) => {
+      if (!events.has(request_id)) events.set(request_id, []);
+      events.get(request_id).push(event);
+    });
+  }
+
+  const pick = (subjectId, facultyId) => ({
+    subject_id: subjectId,
+    subject_code: subjects.get(subjectId)?.subject_code || null,
+    subject_name: subjects.get(subjectId)?.name || null,
+    faculty_id: facultyId,
+    faculty_name: faculty.get(facultyId) || null,
+  });
+
+  return requests.map(request => ({
+    id: request.id,
+    student_id: request.student_id,
+    student_name: request.students?.name || null,
+    roll_no: request.students?.roll_no ?? null,
+    type: request.category_code,
+    from: pick(request.from_subject_id, request.from_faculty_id),
+    to: pick(request.to_subject_id, request.to_faculty_id),
+    reason: request.reason,
+    status: request.status,
+    requires_hod: request.requires_hod,
+    created_at: request.created_at,
+    decided_at: request.decided_at,
+    events: events.get(request.id) || [],
+  }));
+};
+
+const notifyDecision = async (request, approved, note) => {
+  try {
+    await sendMail({
+      to: request.students?.email,
+      subject: `Your ${request.category_code} elective change request was ${approved ? "approved" : "rejected"}`,
+      text: [
+        `Hello ${request.students?.name || ""},`,
+        "",
+        approved
+          ? `Your ${request.category_code} elective has been changed as you asked.`
+          : `Your ${request.category_code} elective change request was rejected.`,
+        ...(note ? ["", `Note from the reviewer: ${note}`] : []),
+        "",
+        `Review your elective selections: ${appLink("/")}`,
+      ].join("\n"),
+    });
+  } catch (err) {
+    console.error("Failed to notify elective change decision:", request.id, err.message);
+  }
+};
+
+// Swaps the pick. Returns { seat_no } or { error } (nothing changed)
+const applySwap = async (req, request) => {
+  const { data: student, error: studentError } = await supabase
+    .from("students")
+    .select("id, classes ( year, department_id )")
+    .eq("id", request.student_id)
+    .maybeSingle();
+
+  if (studentError) throw studentError;
+  if (!student?.classes) return { error: "The student is no longer in a class." };
+
+  const { year, department_id } = student.classes;
+  const category = findCategory(await loadCategories(department_id, year), request.category_code);
+  const offered = category && await findSection(request.to_subject_id, request.to_faculty_id, { year });
+  if (!offered || categoryFor(offered, [category], department_id)?.code !== request.category_code) {
+    return { error: `The requested subject is no longer offered as ${request.category_code} with that faculty.` };
+  }
+
+  const { seat, full } = await claimSeat({
+    offered,
+    facultyId: request.to_faculty_id,
+    studentId: request.student_id,
+    type: request.category_code,
+  });
+  if (full) return { error: "All seats with the requested faculty are taken." };
+
+  const { data: swapped, error: swapError } = await supabase
+    .from("student_elective_choices")
+    .update({
+      subject_id: request.to_subject_id,
+      faculty_id: request.to_faculty_id,
+      offered_subject_id: offered.id,
+    })
+    .eq("student_id", request.student_id)
+    .eq("category_code", request.category_code)
+    .eq("subject_id", request.from_subject_id)
+    .eq("faculty_id", request.from_faculty_id)
+    .select("id");
+
+  // The new seat is given back by syncSeats when the swap didn't happen,
+  // and the old one when it did
+  const released = await syncSeats(request.student_id, request.category_code);
+
+  if (swapError) {
+    if (swapError.code !== "23505") throw swapError;
+    return { error: "The student already has the requested subject." };
+  }
+  if (!swapped || swapped.length === 0) {
+    return { error: "The student's current pick has changed since the request was filed." };
+  }
+
+  await promoteReleased(req, released);
+  return { seat_no: seat.seat_no };
+};
+
+// A review by the class teacher (stage "class_teacher") or the HOD (stage
+// "hod"). Returns { request } or { status, error }
+export const reviewRequest = async (req, request, { stage, approve, note = null }) => {
+  const expected = stage === "hod" ? "awaiting_hod" : "pending";
+  if (request.status !== expected) {
+    return { status: 409, error: `This request is ${request.status.replace("_", " ")}, not waiting for ${stage === "hod" ? "the HOD" : "the class teacher"}.` };
+  }
+
+  if (!approve) {
+    const rejected = await transition(request, expected, "rejected", { decided_at: new Date().toISOString(), decided_by: req.user.id });
+    if (!rejected) return { status: 409, error: "This request was already decided." };
+
+    await recordEvent(req, request, "rejected", note);
+    await recordAudit(req, {
+      action: "elective.change_reject",
+      entity: "elective_change_requests",
+      entity_id: request.id,
+      before: { status: expected },
+      after: { status: "rejected", note },
+      department_id: request.department_id,
+    });
+    await notifyDecision(request, false, note);
+    return { request: rejected };
+  }
+
+  if (stage === "class_teacher" && request.requires_hod) {
+    const forwarded = await transition(request, expected, "awaiting_hod");
+    if (!forwarded) return { status: 409, error: "This request was already decided." };
+
+    await recordEvent(req, request, "teacher_approved", note);
+    await recordAudit(req, {
+      action: "elective.change_forward",
+      entity: "elective_change_requests",
+      entity_id: request.id,
+      before: { status: expected },
+      after: { status: "awaiting_hod", note },
+      department_id: request.department_id,
+    });
+    return { request: forwarded };
+  }
+
+  const applying = await transition(request, expected, "applying");
+  if (!applying) return { status: 409, error: "This request was already decided." };
+
+  let result;
+  try {
+    result = await applySwap(req, request);
+  } catch (err) {
+    await transition(applying, "applying", expected);
+    throw err;
+  }
+
+  if (result.error) {
+    await transition(applying, "applying", expected);
+    await recordEvent(req, request, "apply_failed", result.error);
+    return { status: 409, error: result.error };
+  }
+
+  const approved = await transition(applying, "applying", "approved", { decided_at: new Date().toISOString(), decided_by: req.user.id });
+  await recordEvent(req, request, "approved", note);
+  await recordAudit(req, {
+    action: "elective.change_apply",
+    entity: "student_elective_choices",
+    entity_id: request.student_id,
+    before: { category: request.category_code, subject_id: request.from_subject_id, faculty_id: request.from_faculty_id },
+    after: { category: request.category_code, subject_id: request.to_subject_id, faculty_id: request.to_faculty_id, seat_no: result.seat_no },
+    department_id: request.department_id,
+  });
+  await notifyDecision(request, true, note);
+
+  return { request: approved };
+};
+
+// Withdrawn by the student while still open. Returns the request or null
+export const cancelRequest = async (req, request) => {
+  for (const status of OPEN_STATUSES) {
+    const cancelled = await transition(request, status, "cancelled", { decided_at: new Date().toISOString(), decided_by: req.user.id });
+    if (cancelled) {
+      await recordEvent(req, { ...request, status }, "cancelled");
+      return cancelled;
+    }
+  }
+  return null;
+};
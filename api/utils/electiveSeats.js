@@ -0,0 +1,385 @@
+import { supabase } from '../db/supabaseClient.js'
+import { recordAudit } from "./audit.js";
+import { sendMail, appLink } from "./mailer.js";
+import { studentCategories, findCategory, loadChoices, saveChoice } from "./electiveCategories.js";
+import { chunk, selectAll } from "./queries.js";
+
+// Elective sections are (offered subject, faculty) pairs from
+// department_offered_subjects. The HOD can cap each section through
+// seat_limits ({ faculty_id: seats }); sections without a limit are open.
+//
+// Seats are rows in elective_seats numbered 1..limit per section, with a
+// unique (offered_subject_id, faculty_id, seat_no). Students racing for the
+// last seat insert the same seat number and only one insert succeeds, so a
+// section can't be overfilled by concurrent requests.
+//
+// A student who picks a full section goes on its waitlist (elective_waitlist,
+// first come first served, one entry per elective category). When a seat
+// frees up, the first student waiting is moved into it and their choices
+// updated. "type" below is the elective category code.
+
+const MAX_CLAIM_ATTEMPTS = 10;
+const SECTION_COLUMNS = "id, subject_id, department_id, year, faculty_ids, seat_limits, subjects ( name, subject_code, type )";
+
+const sectionKey = (offeredId, facultyId) => `${offeredId}:${facultyId}`;
+
+// Seats in a section, or null when it has no limit
+export const seatLimit = (offered, facultyId) => {
+  const limit = offered?.seat_limits?.[facultyId];
+  return limit === undefined || limit === null ? null : Number(limit);
+};
+
+// The active offered subject a student takes subject_id from faculty_id in
+export const findSection = async (subjectId, facultyId, { year } = {}) => {
+  let query = supabase
+    .from("department_offered_subjects")
+    .select(SECTION_COLUMNS)
+    .eq("subject_id", subjectId)
+    .eq("is_active", true)
+    .contains("faculty_ids", [facultyId]);
+
+  if (year) query = query.eq("year", year);
+
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
+
+const loadSection = async (offeredId) => {
+  const { data, error } = await supabase
+    .from("department_offered_subjects")
+    .select(SECTION_COLUMNS)
+    .eq("id", offeredId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const sectionSeats = async (offeredId, facultyId) => {
+  const { data, error } = await supabase
+    .from("elective_seats")
+    .select("id, seat_no, student_id, elective_type")
+    .eq("offered_subject_id", offeredId)
+    .eq("faculty_id", facultyId);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Take a seat in a section. Returns { seat } or { full: true }.
+// force ignores the limit (class teacher overrides).
+export const claimSeat = async ({ offered, facultyId, studentId, type, force = false }) => {
+  const limit = force ? null : seatLimit(offered, facultyId);
+
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const seats = await sectionSeats(offered.id, facultyId);
+
+    const own = seats.find(s => s.student_id === studentId);
+    if (own) return { seat: own };
+
+    // A lowered limit leaves existing seats alone but takes no new students
+    if (limit !== null && seats.length >= limit) return { full: true };
+
+    const taken = new Set(seats.map(s => s.seat_no));
+    let seatNo = 1;
+    while (taken.has(seatNo)) seatNo++;
+    if (limit !== null && seatNo > limit) return { full: true };
+
+    const { data, error } = await supabase
+      .from("elective_seats")
+      .insert([{
+        offered_subject_id: offered.id,
+        faculty_id: facultyId,
+        seat_no: seatNo,
+        student_id: studentId,
+        elective_type: type,
+      }])
+      .select("id, seat_no, student_id, elective_type")
+      .single();
+
+    if (!error) return { seat: data };
+
+    // Someone else took this seat number first; look again
+    if (error.code !== "23505") throw error;
+  }
+
+  throw new Error("Could not allocate a seat. Please try again.");
+};
+
+// Give up the student's seats in a category that none of their choices use
+// (all of them when choices is empty). Returns the released seats so their
+// sections' waitlists can move up.
+export const releaseUnchosenSeats = async (studentId, type, choices = []) => {
+  const { data: seats, error } = await supabase
+    .from("elective_seats")
+    .select("id, offered_subject_id, faculty_id, seat_no")
+    .eq("student_id", studentId)
+    .eq("elective_type", type);
+
+  if (error) throw error;
+
+  const chosen = new Set(choices.map(c => sectionKey(c.offered_subject_id, c.faculty_id)));
+  const released = (seats || []).filter(seat => !chosen.has(sectionKey(seat.offered_subject_id, seat.faculty_id)));
+  if (released.length === 0) return [];
+
+  const { error: deleteError } = await supabase
+    .from("elective_seats")
+    .delete()
+    .in("id", released.map(seat => seat.id));
+
+  if (deleteError) throw deleteError;
+  return released.map(({ id: _id, ...seat }) => seat);
+};
+
+// Seats the student keeps after changing a category: the ones their choices use
+export const syncSeats = async (studentId, type) => {
+  const choices = (await loadChoices([studentId], { categoryCode: type })).get(studentId);
+  return releaseUnchosenSeats(studentId, type, choices);
+};
+
+export const waitlistPosition = async (entry) => {
+  const { count, error } = await supabase
+    .from("elective_waitlist")
+    .select("id", { count: "exact", head: true })
+    .eq("offered_subject_id", entry.offered_subject_id)
+    .eq("faculty_id", entry.faculty_id)
+    .is("promoted_at", null)
+    .lt("created_at", entry.created_at);
+
+  if (error) throw error;
+  return (count || 0) + 1;
+};
+
+// Queue the student for a full section. Joining another section's queue for
+// the same category replaces their previous place. replaces is the subject
+// the seat should take the place of when it comes. Returns { entry, position }
+export const joinWaitlist = async ({ offered, facultyId, studentId, type, replaces = null }) => {
+  const { data: existing, error: existingError } = await supabase
+    .from("elective_waitlist")
+    .select("*")
+    .eq("student_id", studentId)
+    .eq("elective_type", type)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+
+  if (existing && existing.offered_subject_id === offered.id && existing.faculty_id === facultyId) {
+    if (existing.replaces_subject_id !== replaces) {
+      const { error: updateError } = await supabase
+        .from("elective_waitlist")
+        .update({ replaces_subject_id: replaces })
+        .eq("id", existing.id);
+
+      if (updateError) throw updateError;
+    }
+    return { entry: existing, position: await waitlistPosition(existing) };
+  }
+
+  if (existing) await leaveWaitlist(studentId, type);
+
+  const { data: entry, error } = await supabase
+    .from("elective_waitlist")
+    .insert([{
+      offered_subject_id: offered.id,
+      faculty_id: facultyId,
+      student_id: studentId,
+      elective_type: type,
+      replaces_subject_id: replaces,
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { entry, position: await waitlistPosition(entry) };
+};
+
+export const leaveWaitlist = async (studentId, type) => {
+  const { error } = await supabase
+    .from("elective_waitlist")
+    .delete()
+    .eq("student_id", studentId)
+    .eq("elective_type", type);
+
+  if (error) throw error;
+};
+
+const notifyPromotion = async (studentId, offered) => {
+  try {
+    const { data: student, error } = await supabase
+      .from("students")
+      .select("name, email")
+      .eq("id", studentId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const subject = offered.subjects ? `${offered.subjects.subject_code} ${offered.subjects.name}` : "your elective";
+    await sendMail({
+      to: student?.email,
+      subject: `You got a seat in ${subject}`,
+      text: [
+        `Hello ${student?.name || ""},`,
+        "",
+        `A seat freed up and you have been moved from the waitlist into ${subject}.`,
+        `Review your elective selections: ${appLink("/")}`,
+      ].join("\n"),
+    });
+  } catch (err) {
+    console.error("Failed to notify waitlist promotion:", studentId, err.message);
+  }
+};
+
+// Move waitlisted students into free seats of a section, first come first
+// served. req is used for the audit trail (the request that freed the seat).
+// Returns [{ student_id, elective_type, seat_no }]
+export const promoteWaitlist = async (req, offeredId, facultyId) => {
+  const offered = await loadSection(offeredId);
+  if (!offered) return [];
+
+  const promoted = [];
+  const freedElsewhere = [];
+
+  for (;;) {
+    const { data: waiting, error } = await supabase
+      .from("elective_waitlist")
+      .select("*")
+      .eq("offered_subject_id", offeredId)
+      .eq("faculty_id", facultyId)
+      .is("promoted_at", null)
+      .order("created_at", { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    const next = waiting?.[0];
+    if (!next) break;
+
+    // Claim the entry so concurrent promotions don't move the same student twice
+    const { data: claimed, error: claimError } = await supabase
+      .from("elective_waitlist")
+      .update({ promoted_at: new Date().toISOString() })
+      .eq("id", next.id)
+      .is("promoted_at", null)
+      .select("id");
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) continue;
+
+    const unclaim = async () => {
+      const { error: resetError } = await supabase
+        .from("elective_waitlist")
+        .update({ promoted_at: null })
+        .eq("id", next.id);
+
+      if (resetError) throw resetError;
+    };
+
+    let seat, full;
+    try {
+      ({ seat, full } = await claimSeat({ offered, facultyId, studentId: next.student_id, type: next.elective_type }));
+    } catch (err) {
+      // Leave the entry queued instead of stuck as promoted
+      await unclaim();
+      throw err;
+    }
+
+    if (full) {
+      await unclaim();
+      break;
+    }
+
+    const category = findCategory(await studentCategories(next.student_id), next.elective_type);
+    const change = category
+      ? await saveChoice(next.student_id, category, {
+        subject_id: offered.subject_id,
+        faculty_id: facultyId,
+        offered_subject_id: offered.id,
+      }, { replaces: next.replaces_subject_id })
+      : { error: "The category no longer applies to this student." };
+
+    const { error: deleteError } = await supabase
+      .from("elective_waitlist")
+      .delete()
+      .eq("id", next.id);
+
+    if (deleteError) throw deleteError;
+
+    // The student's picks changed since they queued and there's no room left
+    // for this one: the seat goes to the next student instead
+    if (change.error) {
+      const { error: seatError } = await supabase.from("elective_seats").delete().eq("id", seat.id);
+      if (seatError) throw seatError;
+      console.log("⏭️ Waitlist entry dropped:", next.student_id, next.elective_type, change.error);
+      continue;
+    }
+
+    freedElsewhere.push(...await syncSeats(next.student_id, next.elective_type));
+
+    await recordAudit(req, {
+      action: "elective.waitlist_promote",
+      entity: "student_elective_choices",
+      entity_id: next.student_id,
+      before: change.before,
+      after: { ...change.after, seat_no: seat.seat_no },
+      department_id: offered.department_id,
+    });
+    await notifyPromotion(next.student_id, offered);
+
+    promoted.push({ student_id: next.student_id, elective_type: next.elective_type, seat_no: seat.seat_no });
+  }
+
+  // A promoted student may have given up a seat in another section
+  for (const seat of freedElsewhere) {
+    promoted.push(...await promoteWaitlist(req, seat.offered_subject_id, seat.faculty_id));
+  }
+
+  return promoted;
+};
+
+// Promote waitlists of every section the released seats belonged to
+export const promoteReleased = async (req, released) => {
+  const sections = new Map();
+  released.forEach(seat => sections.set(sectionKey(seat.offered_subject_id, seat.faculty_id), seat));
+
+  const promoted = [];
+  for (const seat of sections.values()) {
+    promoted.push(...await promoteWaitlist(req, seat.offered_subject_id, seat.faculty_id));
+  }
+  return promoted;
+};
+
+// Map("offered_id:faculty_id" -> { taken, waiting }) for listing sections
+export const sectionOccupancy = async (offeredIds) => {
+  const ids = [...new Set((offeredIds || []).filter(Boolean))];
+  const occupancy = new Map();
+  if (ids.length === 0) return occupancy;
+
+  const entry = (key) => {
+    if (!occupancy.has(key)) occupancy.set(key, { taken: 0, waiting: 0 });
+    return occupancy.get(key);
+  };
+
+  for (const part of chunk(ids)) {
+    const seats = await selectAll(() => supabase
+      .from("elective_seats")
+      .select("offered_subject_id, faculty_id")
+      .in("offered_subject_id", part)
+      .order("id", { ascending: true }));
+
+    seats.forEach(s => { entry(sectionKey(s.offered_subject_id, s.faculty_id)).taken++; });
+
+    const waiting = await selectAll(() => supabase
+      .from("elective_waitlist")
+      .select("offered_subject_id, faculty_id")
+      .in("offered_subject_id", part)
+      .is("promoted_at", null)
+      .order("id", { ascending: true }));
+
+    waiting.forEach(w => { entry(sectionKey(w.offered_subject_id, w.faculty_id)).waiting++; });
+  }
+
+  return occupancy;
+};
+
+export const occupancyOf = (occupancy, offeredId, facultyId) =>
+  occupancy.get(sectionKey(offeredId, facultyId)) || { taken: 0, waiting: 0 };
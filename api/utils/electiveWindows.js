@@ -0,0 +1,69 @@
+import { supabase } from '../db/supabaseClient.js'
+
+// Elective selection windows. The HOD opens one window per department year
+// (elective_windows); students can only pick electives or rank preferences
+// between opens_at and closes_at. Years without a window stay open as
+// before. At close the elective-windows job locks every student of the year
+// and stamps closed_at.
+
+export const WINDOW_COLUMNS = "id, department_id, year, opens_at, closes_at, closed_at, locked_count, created_by, created_at, updated_at";
+
+export const loadWindow = async (departmentId, year) => {
+  const { data, error } = await supabase
+    .from("elective_windows")
+    .select(WINDOW_COLUMNS)
+    .eq("department_id", departmentId)
+    .eq("year", year)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// "none" | "upcoming" | "open" | "closed"
+export const windowState = (window, now = new Date()) => {
+  if (!window) return "none";
+  if (now < new Date(window.opens_at)) return "upcoming";
+  if (now >= new Date(window.closes_at) || window.closed_at) return "closed";
+  return "open";
+};
+
+// Why a student can't change electives right now, or null when they can
+export const windowError = (window, now = new Date()) => {
+  const state = windowState(window, now);
+  if (state === "upcoming") {
+    return `Elective selection opens on ${new Date(window.opens_at).toUTCString()}.`;
+  }
+  if (state === "closed") {
+    return `Elective selection closed on ${new Date(window.closes_at).toUTCString()}.`;
+  }
+  return null;
+};
+
+// Validates { opens_at, closes_at }. Returns { error } or { value }
+export const validateWindow = (body) => {
+  const opensAt = new Date(body?.opens_at);
+  const closesAt = new Date(body?.closes_at);
+
+  if (!body?.opens_at || Number.isNaN(opensAt.getTime())) {
+    return { error: "opens_at must be a date and time." };
+  }
+  if (!body?.closes_at || Number.isNaN(closesAt.getTime())) {
+    return { error: "closes_at must be a date and time." };
+  }
+  if (closesAt <= opensAt) {
+    return { error: "closes_at must be after opens_at." };
+  }
+
+  return { value: { opens_at: opensAt.toISOString(), closes_at: closesAt.toISOString() } };
+};
+
+// Public shape of a window, with its state
+export const describeWindow = (window, now = new Date()) => window
+  ? {
+    opens_at: window.opens_at,
+    closes_at: window.closes_at,
+    closed_at: window.closed_at,
+    state: windowState(window, now),
+  }
+  : null;
@@ -0,0 +1,2 @@
+// Vercel deployments count as production even when NODE_ENV isn't set there
+export const isProduction = () => process.env.NODE_ENV === "production" || !!process.env.VERCEL;
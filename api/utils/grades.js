@@ -0,0 +1,87 @@
+import { supabase } from '../db/supabaseClient.js'
+
+// Grade boundaries are configured per department by the HOD in
+// grade_boundaries, one row per grade with the minimum internal percentage
+// needed for it. A student's grade in a subject is the highest grade whose
+// min_percent their weighted internal percentage reaches. Departments
+// without boundaries use DEFAULT_GRADE_BOUNDARIES.
+
+export const DEFAULT_GRADE_BOUNDARIES = [
+  { grade: "O", min_percent: 90 },
+  { grade: "A+", min_percent: 80 },
+  { grade: "A", min_percent: 70 },
+  { grade: "B+", min_percent: 60 },
+  { grade: "B", min_percent: 50 },
+  { grade: "C", min_percent: 45 },
+  { grade: "P", min_percent: 40 },
+  { grade: "F", min_percent: 0 },
+];
+
+const byMinDescending = (a, b) => b.min_percent - a.min_percent;
+
+// Validates a whole scale: [{ grade, min_percent }]. One grade must start at 0
+// so every percentage maps to a grade. Returns { error } or { value }
+export const validateBoundaries = (boundaries) => {
+  if (!Array.isArray(boundaries) || boundaries.length === 0) {
+    return { error: "boundaries must be a non-empty array of { grade, min_percent }." };
+  }
+
+  const grades = new Set();
+  const mins = new Set();
+  const value = [];
+
+  for (const boundary of boundaries) {
+    const grade = String(boundary?.grade || "").trim();
+    const min = Number(boundary?.min_percent);
+
+    if (!grade || grade.length > 10) {
+      return { error: "Each boundary needs a grade of at most 10 characters." };
+    }
+    if (boundary.min_percent === undefined || boundary.min_percent === null || Number.isNaN(min) || min < 0 || min > 100) {
+      return { error: `min_percent for ${grade} must be a number between 0 and 100.` };
+    }
+    if (grades.has(grade)) return { error: `Grade ${grade} is listed more than once.` };
+    if (mins.has(min)) return { error: `More than one grade starts at ${min}%.` };
+
+    grades.add(grade);
+    mins.add(min);
+    value.push({ grade, min_percent: min });
+  }
+
+  if (!mins.has(0)) return { error: "The lowest grade must start at 0%." };
+
+  return { value: value.sort(byMinDescending) };
+};
+
+// Map(department_id -> boundaries, highest grade first); defaults where none are configured
+export const loadGradeBoundaries = async (departmentIds) => {
+  const ids = [...new Set((departmentIds || []).filter(Boolean))];
+  const scales = new Map(ids.map(id => [id, []]));
+
+  if (ids.length > 0) {
+    const { data, error } = await supabase
+      .from("grade_boundaries")
+      .select("department_id, grade, min_percent")
+      .in("department_id", ids);
+
+    if (error) throw error;
+
+    (data || []).forEach(row => {
+      scales.get(row.department_id).push({ grade: row.grade, min_percent: Number(row.min_percent) });
+    });
+  }
+
+  scales.forEach((boundaries, id) => {
+    scales.set(id, boundaries.length > 0 ? boundaries.sort(byMinDescending) : DEFAULT_GRADE_BOUNDARIES);
+  });
+
+  return scales;
+};
+
+export const gradeFor = (percent, boundaries = DEFAULT_GRADE_BOUNDARIES) => {
+  if (percent === null || percent === undefined) return null;
+  return boundaries.find(b => percent >= b.min_percent)?.grade || null;
+};
+
+export const departmentBoundaries = async (departmentId) =>
+  departmentId ? (await loadGradeBoundaries([departmentId])).get(departmentId) : DEFAULT_GRADE_BOUNDARIES;
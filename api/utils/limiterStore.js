@@ -0,0 +1,126 @@
+import { supabase } from '../db/supabaseClient.js'
+
+// Stores for the login limiter. Each store keeps one state object per key:
+// { failures, last_failure_at, locked_until } and exposes get/set/delete and
+// addFailure, which counts a failure atomically so parallel wrong guesses
+// each add one.
+//
+// The in-memory store is fine for a single long-running process and for tests.
+// On Vercel every request may hit a fresh function instance, so the state has
+// to live in the database instead.
+
+const MAX_INCREMENT_ATTEMPTS = 10;
+
+// The state after one more failure at `now`. Failures older than windowMs
+// start the count over; reaching maxFailures locks the key for lockoutMs.
+export const nextFailureState = (state, { now, windowMs, maxFailures, lockoutMs }) => {
+  const lastFailure = state?.last_failure_at ? new Date(state.last_failure_at) : null;
+  const stillLocked = !!state?.locked_until && new Date(state.locked_until) > now;
+  const counting = stillLocked || (lastFailure && now - lastFailure <= windowMs);
+
+  const failures = (counting ? state.failures || 0 : 0) + 1;
+  return {
+    failures,
+    last_failure_at: now.toISOString(),
+    locked_until: failures >= maxFailures
+      ? new Date(now.getTime() + lockoutMs).toISOString()
+      : null,
+  };
+};
+
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, state) {
+      entries.set(key, { ...state });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async addFailure(key, options) {
+      const state = nextFailureState(entries.get(key), options);
+      entries.set(key, state);
+      return { ...state };
+    },
+  };
+};
+
+export const createDatabaseStore = (table = "login_throttle") => ({
+  async get(key) {
+    const { data, error } = await supabase
+      .from(table)
+      .select("failures, last_failure_at, locked_until")
+      .eq("key", key)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+  async set(key, state) {
+    const { error } = await supabase
+      .from(table)
+      .upsert([{ key, ...state, updated_at: new Date().toISOString() }], { onConflict: "key" });
+
+    if (error) throw error;
+  },
+  async delete(key) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq("key", key);
+
+    if (error) throw error;
+  },
+  // Compare-and-set: the update only applies while the row still has the
+  // count it was read with, otherwise another failure got in first and the
+  // row is read again
+  async addFailure(key, options) {
+    for (let attempt = 0; attempt < MAX_INCREMENT_ATTEMPTS; attempt++) {
+      const current = await this.get(key);
+      const next = nextFailureState(current, options);
+      const row = { ...next, updated_at: new Date().toISOString() };
+
+      if (!current) {
+        const { error } = await supabase.from(table).insert([{ key, ...row }]);
+        if (!error) return next;
+        if (error.code === "23505") continue;
+        throw error;
+      }
+
+      let query = supabase
+        .from(table)
+        .update(row)
+        .eq("key", key)
+        .eq("failures", current.failures);
+
+      query = current.last_failure_at
+        ? query.eq("last_failure_at", current.last_failure_at)
+        : query.is("last_failure_at", null);
+
+      const { data, error } = await query.select("key");
+      if (error) throw error;
+      if (data && data.length > 0) return next;
+    }
+
+    throw new Error(`Could not record login failure for ${key}`);
+  },
+});
+
+let store = null;
+
+// LOGIN_LIMITER_STORE=memory|database, defaults to database on Vercel
+export const getLimiterStore = () => {
+  if (!store) {
+    const kind = process.env.LOGIN_LIMITER_STORE || (process.env.VERCEL ? "database" : "memory");
+    store = kind === "database" ? createDatabaseStore() : createMemoryStore();
+  }
+  return store;
+};
+
+export const setLimiterStore = (customStore) => {
+  store = customStore;
+};
@@ -0,0 +1,91 @@
+import fs from "fs";
+import { isProduction } from "./environment.js";
+
+// Email delivery goes through a transport object with a single async send(message) method.
+// MAIL_TRANSPORT picks a built-in one: "console", "file" or "webhook". Outside
+// production it defaults to "console"; in production it must be set, since
+// mails carry password reset and invite links that don't belong in the logs.
+// Tests (or a real provider integration) can plug their own in with setMailTransport().
+
+// Hides the value of token query parameters in links
+const redactTokens = (text) => String(text || "").replace(/([?&]token=)[^&\s]+/g, "$1[redacted]");
+
+const consoleTransport = {
+  async send(message) {
+    console.log("📧 Email to:", message.to);
+    console.log("📧 Subject:", message.subject);
+    console.log(isProduction() ? redactTokens(message.text) : message.text);
+  },
+};
+
+// Appends one JSON line per message, handy as a local inbox during development and tests
+const fileTransport = (filePath) => ({
+  async send(message) {
+    const line = JSON.stringify({ ...message, sent_at: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, line + "\n");
+  },
+});
+
+// Posts the message to an HTTP endpoint (e.g. a mail relay or serverless function)
+const webhookTransport = (url) => ({
+  async send(message) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(message),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail webhook responded with ${response.status}`);
+    }
+  },
+});
+
+let customTransport = null;
+
+export const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case "file":
+      return fileTransport(process.env.MAIL_FILE || "mail.log");
+    case "webhook":
+      if (!process.env.MAIL_WEBHOOK_URL) {
+        throw new Error("MAIL_WEBHOOK_URL is required for the webhook mail transport");
+      }
+      return webhookTransport(process.env.MAIL_WEBHOOK_URL);
+    case "console":
+      return consoleTransport;
+    default:
+      if (isProduction()) {
+        throw new Error("MAIL_TRANSPORT must be set in production (file, webhook or console)");
+      }
+      return consoleTransport;
+  }
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  if (!to) {
+    console.warn("Skipping email without recipient:", subject);
+    return false;
+  }
+
+  await getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@rivoox.local",
+    to,
+    subject,
+    text,
+  });
+  return true;
+};
+
+// Link to a page of the frontend, e.g. appLink("/reset-password", { token })
+export const appLink = (pathname, params = {}) => {
+  const base = (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
+  const query = new URLSearchParams(params).toString();
+  return `${base}${pathname}${query ? `?${query}` : ""}`;
+};
@@ -0,0 +1,345 @@
+import { supabase } from '../db/supabaseClient.js'
+
+// Central registry of what each role may do. Routers refer to these action
+// names through authorize(action, scopeResolver) instead of listing roles.
+export const PERMISSIONS = {
+  // Own profile / account
+  "profile.read": ["director", "hod"],
+
+  // Institution administration
+  "department.read": ["director"],
+  "department.create": ["director"],
+  "department.delete": ["director"],
+  "hod.assign": ["director"],
+  "staff.delete": ["director"],
+  "login_attempts.read": ["director"],
+  "statistics.institution": ["director"],
+  "audit.read": ["director"],
+  "audit.verify": ["director"],
+  "diagnostics.read": ["director"],
+
+  // Staff onboarding (which roles can be invited is decided in routes/auth.js)
+  "invite.manage": ["director", "hod"],
+  "staff.read": ["class_teacher", "faculty"],
+  "hod.list": ["director"],
+  "department_staff.list": ["hod"],
+  "role.assign": ["director", "hod"],
+
+  // Department administration
+  "class.read": ["hod"],
+  "class.create": ["hod"],
+  "class.update": ["hod"],
+  "class.delete": ["hod"],
+  "offered_subject.read": ["hod"],
+  "offered_subject.create": ["hod"],
+  "offered_subject.update": ["hod"],
+  "elective.allocate": ["hod"],
+  "elective_category.manage": ["hod"],
+  "elective_window.manage": ["hod"],
+  "elective_change.approve": ["hod"],
+  "offered_subject.delete": ["hod"],
+  "statistics.department": ["hod"],
+  "audit.read_department": ["hod"],
+  "defaulter_policy.manage": ["hod"],
+  "assessment.manage": ["hod"],
+  "grade_scale.manage": ["hod"],
+
+  // Class administration
+  "student.read": ["class_teacher"],
+  "student.import": ["class_teacher"],
+  "student.update": ["class_teacher"],
+  "student.delete": ["class_teacher"],
+  "batch.read": ["class_teacher"],
+  "batch.create": ["class_teacher", "hod"],
+  "subject.assign": ["class_teacher"],
+  "elective.read_student": ["class_teacher"],
+  "elective.unlock": ["class_teacher"],
+  "elective_change.review": ["class_teacher"],
+  "statistics.class": ["class_teacher"],
+
+  // Teaching
+  "subject.read": ["faculty", "class_teacher", "hod"],
+  "teaching.students": ["faculty", "class_teacher", "hod"],
+  "availability.manage": ["faculty", "class_teacher"],
+  "submission.read": ["faculty", "class_teacher", "hod"],
+  "submission.mark": ["faculty", "class_teacher", "hod"],
+  "statistics.subject": ["faculty", "class_teacher", "hod"],
+  "result.read": ["class_teacher", "hod", "director"],
+  "defaulter.read": ["faculty", "class_teacher", "hod"],
+  "defaulter.assign": ["faculty", "class_teacher", "hod"],
+  "defaulter.override": ["faculty", "class_teacher", "hod"],
+  "defaulter.review": ["faculty", "class_teacher", "hod"],
+  "attendance.mark": ["faculty", "class_teacher", "hod"],
+  "attendance.read": ["faculty", "class_teacher", "hod"],
+
+  // Downloadable reports
+  "report.class": ["class_teacher", "hod", "director"],
+  "report.subject": ["faculty", "class_teacher", "hod", "director"],
+  "report.department": ["hod", "director"],
+  "report.institution": ["director"],
+
+  // Student self-service
+  "student_portal.read": ["student"],
+  "elective.select": ["student"],
+  "elective.lock": ["student"],
+  "elective_change.request": ["student"],
+  "defaulter_work.submit": ["student"],
+};
+
+export const can = (user, action) =>
+  !!user && (PERMISSIONS[action] || []).includes(user.role);
+
+export const permissionsFor = (user) =>
+  Object.keys(PERMISSIONS).filter(action => can(user, action));
+
+// Faculty "teach" a subject when they are mapped to it directly or offer it as an elective
+export const teachesSubject = async (facultyId, subjectId) => {
+  const { data: mapped, error: mappedError } = await supabase
+    .from("faculty_subjects")
+    .select("id")
+    .eq("faculty_id", facultyId)
+    .eq("subject_id", subjectId)
+    .limit(1);
+
+  if (mappedError) throw mappedError;
+  if (mapped && mapped.length > 0) return true;
+
+  const { data: offered, error: offeredError } = await supabase
+    .from("department_offered_subjects")
+    .select("id")
+    .eq("subject_id", subjectId)
+    .contains("faculty_ids", [facultyId])
+    .limit(1);
+
+  if (offeredError) throw offeredError;
+  return !!offered && offered.length > 0;
+};
+
+// Faculty teach a subject to a class when it is mapped to them for the whole
+// class, or for the given batch of it
+export const teachesClass = async (facultyId, subjectId, { class_id, batch_id = null }) => {
+  const { data, error } = await supabase
+    .from("faculty_subjects")
+    .select("batch_id")
+    .eq("faculty_id", facultyId)
+    .eq("subject_id", subjectId)
+    .eq("class_id", class_id);
+
+  if (error) throw error;
+  return (data || []).some(m => !m.batch_id || m.batch_id === batch_id);
+};
+
+// A resource scope is { class_id, department_id, subject_id } (any subset).
+// Access is granted when one of the user's scopes covers it:
+//   director  - everything
+//   hod       - resources in their department
+//   any staff - their own class (class_teacher token) or subjects they teach
+export const isInScope = async (user, scope) => {
+  if (user.role === "director") return true;
+
+  if (user.role === "hod" && scope.department_id && scope.department_id === user.department_id) {
+    return true;
+  }
+
+  if (scope.class_id && user.class_id && scope.class_id === user.class_id) {
+    return true;
+  }
+
+  if (scope.subject_id && user.role !== "student" && await teachesSubject(user.id, scope.subject_id)) {
+    return true;
+  }
+
+  return false;
+};
+
+// Scope resolvers for authorize(). Each takes a function that reads the
+// resource id from the request and resolves to the resource's scope,
+// undefined when the request doesn't name a resource, or null when the
+// resource doesn't exist.
+
+const classDepartment = async (classId) => {
+  const { data, error } = await supabase
+    .from("classes")
+    .select("department_id")
+    .eq("id", classId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.department_id || null;
+};
+
+export const classScope = (getClassId) => async (req) => {
+  const classId = getClassId(req);
+  if (!classId) return undefined;
+
+  const { data: cls, error } = await supabase
+    .from("classes")
+    .select("id, department_id")
+    .eq("id", classId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!cls) return null;
+
+  return { class_id: cls.id, department_id: cls.department_id };
+};
+
+export const studentScope = (getStudentId) => async (req) => {
+  const studentId = getStudentId(req);
+  if (!studentId) return undefined;
+
+  const { data: student, error } = await supabase
+    .from("students")
+    .select("id, class_id")
+    .eq("id", studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!student) return null;
+
+  return {
+    class_id: student.class_id,
+    department_id: student.class_id ? await classDepartment(student.class_id) : null,
+  };
+};
+
+export const departmentScope = (getDepartmentId) => async (req) => {
+  const departmentId = getDepartmentId(req);
+  if (!departmentId) return undefined;
+
+  const { data: department, error } = await supabase
+    .from("departments")
+    .select("id")
+    .eq("id", departmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!department) return null;
+
+  return { department_id: department.id };
+};
+
+// Subjects are scoped to the people teaching them, plus the HOD of the department
+export const subjectScope = (getSubjectId) => async (req) => {
+  const subjectId = getSubjectId(req);
+  if (!subjectId) return undefined;
+
+  const { data: subject, error } = await supabase
+    .from("subjects")
+    .select("id, department_id")
+    .eq("id", subjectId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!subject) return null;
+
+  return { subject_id: subject.id, department_id: subject.department_id };
+};
+
+// A student's standing in one subject is visible to their class teacher, the
+// HOD of their department and the people teaching the subject
+export const studentSubjectScope = (getStudentId, getSubjectId) => async (req) => {
+  const studentId = getStudentId(req);
+  const subjectId = getSubjectId(req);
+  if (!studentId || !subjectId) return undefined;
+
+  const student = await studentScope(() => studentId)(req);
+  if (!student) return null;
+
+  const { data: subject, error } = await supabase
+    .from("subjects")
+    .select("id")
+    .eq("id", subjectId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!subject) return null;
+
+  return { ...student, subject_id: subject.id };
+};
+
+// A lecture belongs to the people teaching its subject and to the class it was held for
+export const attendanceSessionScope = (getSessionId) => async (req) => {
+  const sessionId = getSessionId(req);
+  if (!sessionId) return undefined;
+
+  const { data: session, error } = await supabase
+    .from("attendance_sessions")
+    .select("id, subject_id, class_id, subjects ( department_id )")
+    .eq("id", sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!session) return null;
+
+  return {
+    subject_id: session.subject_id,
+    class_id: session.class_id,
+    department_id: session.subjects?.department_id || null,
+  };
+};
+
+// A defaulter work upload belongs to the people teaching the work's subject,
+// the student's class teacher and the HOD of the subject's department
+export const defaulterUploadScope = (getUploadId) => async (req) => {
+  const uploadId = getUploadId(req);
+  if (!uploadId) return undefined;
+
+  const { data: upload, error } = await supabase
+    .from("defaulter_work_uploads")
+    .select("id, defaulter_submissions ( subject_id, students ( class_id ), subjects ( department_id ) )")
+    .eq("id", uploadId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!upload || !upload.defaulter_submissions) return null;
+
+  const work = upload.defaulter_submissions;
+  return {
+    subject_id: work.subject_id,
+    class_id: work.students?.class_id || null,
+    department_id: work.subjects?.department_id || null,
+  };
+};
+
+// A defaulter assignment belongs to the people teaching its subject and the
+// HOD of the subject's department
+export const defaulterAssignmentScope = (getAssignmentId) => async (req) => {
+  const assignmentId = getAssignmentId(req);
+  if (!assignmentId) return undefined;
+
+  const { data: assignment, error } = await supabase
+    .from("defaulter_assignments")
+    .select("id, subject_id, subjects ( department_id )")
+    .eq("id", assignmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!assignment) return null;
+
+  return {
+    subject_id: assignment.subject_id,
+    department_id: assignment.subjects?.department_id || null,
+  };
+};
+
+// An assessment component belongs to the people teaching its subject and the
+// HOD of the subject's department
+export const assessmentComponentScope = (getComponentId) => async (req) => {
+  const componentId = getComponentId(req);
+  if (!componentId) return undefined;
+
+  const { data: component, error } = await supabase
+    .from("assessment_components")
+    .select("id, subject_id, subjects ( department_id )")
+    .eq("id", componentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!component) return null;
+
+  return {
+    subject_id: component.subject_id,
+    department_id: component.subjects?.department_id || null,
+  };
+};
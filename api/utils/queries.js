@@ -0,0 +1,26 @@
+// Helpers for reading large sets through Supabase, which returns at most
+// PAGE_SIZE rows per request and gets slow with very long .in() lists.
+
+export const PAGE_SIZE = 1000;
+export const ID_CHUNK_SIZE = 100;
+
+export const chunk = (items, size = ID_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+// Every row of a query, page by page. buildQuery must return a fresh,
+// consistently ordered query each time it's called.
+export const selectAll = async (buildQuery) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+};
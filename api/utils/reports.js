@@ -0,0 +1,55 @@
+import xlsx from "xlsx";
+
+// Downloadable reports. A report is one or more sheets of rows (plain
+// objects, keys are the column headers). xlsx keeps every sheet; csv only
+// has room for the first one.
+
+export const REPORT_FORMATS = ["xlsx", "csv"];
+
+// Excel limits sheet names to 31 characters and a few forbidden characters
+const sheetName = (name) => String(name || "Report").replace(/[\\/?*[\]:]/g, " ").slice(0, 31);
+
+const safeFileName = (name) => String(name || "report").replace(/[^A-Za-z0-9._-]+/g, "_").slice(0, 100);
+
+// Returns the format asked for in ?format=, or null when it isn't supported
+export const reportFormat = (req) => {
+  const format = String(req.query.format || "xlsx").toLowerCase();
+  return REPORT_FORMATS.includes(format) ? format : null;
+};
+
+// Text starting with one of these is run as a formula when the file is
+// opened in a spreadsheet; a leading ' keeps it text. Numbers stay numbers.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) =>
+  typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+const escapeRow = (row) =>
+  Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeCell(value)]));
+
+// columns fixes the header order (and headers of empty sheets)
+const toSheet = ({ rows, columns }) => {
+  const header = columns || Object.keys(rows[0] || {});
+  return rows.length > 0
+    ? xlsx.utils.json_to_sheet(rows.map(escapeRow), { header })
+    : xlsx.utils.aoa_to_sheet([header]);
+};
+
+// sheets: [{ name, rows, columns? }]
+export const sendReport = (res, { filename, format, sheets }) => {
+  const base = `${safeFileName(filename)}-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === "csv") {
+    const csv = xlsx.utils.sheet_to_csv(toSheet(sheets[0]));
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${base}.csv"`);
+    return res.send(csv);
+  }
+
+  const workbook = xlsx.utils.book_new();
+  sheets.forEach(sheet => xlsx.utils.book_append_sheet(workbook, toSheet(sheet), sheetName(sheet.name)));
+
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${base}.xlsx"`);
+  return res.send(xlsx.write(workbook, { type: "buffer", bookType: "xlsx" }));
+};
@@ -0,0 +1,85 @@
+import { supabase } from '../db/supabaseClient.js'
+
+// A staff member can work in several contexts, e.g. class teacher of one
+// class and subject faculty for others, or an HOD who also teaches.
+// Each context is { role, class_id, department_id }; the access token
+// carries all of them plus the one that is currently active.
+//
+// Contexts come from:
+//   users.role / users.department_id  - the primary role
+//   user_roles                        - extra roles granted to the user
+//   classes.class_teacher_id          - one class_teacher context per class
+
+const makeContext = (role, { class_id = null, department_id = null } = {}) => ({
+  role,
+  class_id,
+  department_id,
+});
+
+const sameContext = (a, b) =>
+  a.role === b.role &&
+  (a.class_id || null) === (b.class_id || null) &&
+  (a.department_id || null) === (b.department_id || null);
+
+export const loadRoleContexts = async (user) => {
+  const contexts = [];
+  const add = (context) => {
+    if (!contexts.some(c => sameContext(c, context))) contexts.push(context);
+  };
+
+  if (user.role === "hod" && !user.department_id) {
+    throw new Error(`No department_id found for HOD with user ID: ${user.id}`);
+  }
+
+  const { data: classes, error: classError } = await supabase
+    .from("classes")
+    .select("id, department_id")
+    .eq("class_teacher_id", user.id)
+    .order("year", { ascending: true })
+    .order("name", { ascending: true });
+
+  if (classError) throw classError;
+
+  const { data: granted, error: grantedError } = await supabase
+    .from("user_roles")
+    .select("role, department_id")
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: true });
+
+  if (grantedError) throw grantedError;
+
+  const classContexts = (classes || []).map(cls =>
+    makeContext("class_teacher", { class_id: cls.id, department_id: cls.department_id })
+  );
+
+  // Primary role first so it is the default active context
+  if (user.role === "class_teacher") {
+    classContexts.forEach(add);
+    if (classContexts.length === 0) {
+      console.warn(`No class found for class_teacher_id = ${user.id}`);
+      add(makeContext("class_teacher", { department_id: user.department_id || null }));
+    }
+  } else if (user.role === "director") {
+    add(makeContext("director"));
+  } else {
+    add(makeContext(user.role, { department_id: user.department_id || null }));
+  }
+
+  (granted || []).forEach(row =>
+    add(makeContext(row.role, { department_id: row.department_id || user.department_id || null }))
+  );
+
+  classContexts.forEach(add);
+
+  return contexts;
+};
+
+// Find the context matching a { role, class_id } request. class_id only
+// needs to be given when the user is class teacher of several classes.
+export const findContext = (contexts, wanted) => {
+  if (!wanted || !wanted.role) return null;
+
+  return contexts.find(c =>
+    c.role === wanted.role && (!wanted.class_id || c.class_id === wanted.class_id)
+  ) || null;
+};
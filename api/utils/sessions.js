@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { supabase } from '../db/supabaseClient.js'
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+export const userTypeFor = (role) => (role === "student" ? "student" : "staff");
+
+// The active role/class a session is working in, kept so a refresh doesn't reset it
+export const activeContextOf = (payload) => ({
+  role: payload.role,
+  class_id: payload.class_id || null,
+  department_id: payload.department_id || null,
+});
+
+export const signAccessToken = (payload, sessionId) =>
+  jwt.sign({ ...payload, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Create a new session row and return an access/refresh token pair for it
+export const createSession = async (payload, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const { data: session, error } = await supabase
+    .from("sessions")
+    .insert([
+      {
+        user_id: payload.id,
+        user_type: userTypeFor(payload.role),
+        refresh_token_hash: hashToken(refreshToken),
+        expires_at: refreshExpiry(),
+        context: activeContextOf(payload),
+        ip_address: req.ip || null,
+        user_agent: req.headers["user-agent"] || null,
+      },
+    ])
+    .select("id")
+    .single();
+
+  if (error) throw error;
+
+  return {
+    token: signAccessToken(payload, session.id),
+    refresh_token: refreshToken,
+    session_id: session.id,
+  };
+};
+
+// Look up the session a refresh token belongs to.
+// A token that was already rotated out means it was stolen or replayed,
+// so every session of that user is revoked.
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: session, error } = await supabase
+    .from("sessions")
+    .select("id, user_id, user_type, context, expires_at, revoked_at")
+    .eq("refresh_token_hash", tokenHash)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!session) {
+    const { data: reused, error: reusedError } = await supabase
+      .from("sessions")
+      .select("id, user_id, user_type")
+      .eq("previous_token_hash", tokenHash)
+      .maybeSingle();
+
+    if (reusedError) throw reusedError;
+
+    if (reused) {
+      console.warn(`Refresh token reuse detected for ${reused.user_type} ${reused.user_id}`);
+      await revokeUserSessions(reused.user_id, reused.user_type);
+    }
+    return null;
+  }
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  return session;
+};
+
+// Swap the refresh token of a session for a new one. The update is
+// conditional on the old hash so two concurrent refreshes can't both win.
+export const rotateSession = async (session, oldRefreshToken, payload) => {
+  const refreshToken = generateRefreshToken();
+  const oldHash = hashToken(oldRefreshToken);
+
+  const { data: updated, error } = await supabase
+    .from("sessions")
+    .update({
+      refresh_token_hash: hashToken(refreshToken),
+      previous_token_hash: oldHash,
+      expires_at: refreshExpiry(),
+      last_used_at: new Date().toISOString(),
+    })
+    .eq("id", session.id)
+    .eq("refresh_token_hash", oldHash)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) throw error;
+  if (!updated || updated.length === 0) return null;
+
+  return {
+    token: signAccessToken(payload, session.id),
+    refresh_token: refreshToken,
+    session_id: session.id,
+  };
+};
+
+export const updateSessionContext = async (sessionId, payload) => {
+  const { error } = await supabase
+    .from("sessions")
+    .update({ context: activeContextOf(payload) })
+    .eq("id", sessionId);
+
+  if (error) throw error;
+};
+
+export const revokeSession = async (sessionId) => {
+  const { error } = await supabase
+    .from("sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+};
+
+export const revokeUserSessions = async (userId, userType = "staff") => {
+  const { data, error } = await supabase
+    .from("sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("user_type", userType)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) throw error;
+  return (data || []).length;
+};
+
+// Used by authenticateUser on every request
+export const isSessionActive = async (sessionId) => {
+  const { data: session, error } = await supabase
+    .from("sessions")
+    .select("id, expires_at, revoked_at")
+    .eq("id", sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+};
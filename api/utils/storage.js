@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+import { supabase } from '../db/supabaseClient.js'
+
+// File storage for uploaded work. Each store exposes
+//   put(key, buffer, contentType), get(key) -> Buffer, remove(key)
+// where key is a relative path such as "defaulter-work/<id>/v1/0-answer.pdf".
+//
+// The local store writes below a directory on disk, which is fine for a single
+// server and for development. On Vercel the filesystem is read-only and not
+// shared between instances, so files go to a Supabase Storage bucket instead.
+
+// Keys are built by the API, but never let one escape the storage root
+const assertSafeKey = (key) => {
+  const normalized = path.posix.normalize(String(key || ""));
+  if (!normalized || normalized.startsWith("..") || path.posix.isAbsolute(normalized)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+export const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+  const fullPath = (key) => path.join(root, assertSafeKey(key));
+
+  return {
+    driver: "local",
+    async put(key, buffer) {
+      const target = fullPath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+    },
+    async get(key) {
+      return fs.promises.readFile(fullPath(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(fullPath(key), { force: true });
+    },
+  };
+};
+
+export const createSupabaseStorage = (bucket) => ({
+  driver: "supabase",
+  async put(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(assertSafeKey(key), buffer, { contentType: contentType || "application/octet-stream", upsert: false });
+
+    if (error) throw error;
+  },
+  async get(key) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .download(assertSafeKey(key));
+
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  },
+  async remove(key) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .remove([assertSafeKey(key)]);
+
+    if (error) throw error;
+  },
+});
+
+let storage = null;
+
+// STORAGE_DRIVER=local|supabase, defaults to supabase on Vercel.
+// STORAGE_LOCAL_DIR (default "uploads/storage") / STORAGE_BUCKET (default "uploads")
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || (process.env.VERCEL ? "supabase" : "local");
+    storage = driver === "supabase"
+      ? createSupabaseStorage(process.env.STORAGE_BUCKET || "uploads")
+      : createLocalStorage(process.env.STORAGE_LOCAL_DIR || "uploads/storage");
+  }
+  return storage;
+};
+
+export const setStorage = (customStorage) => {
+  storage = customStorage;
+};